@@ -9,6 +9,8 @@ const NETWORKS = {
     currency: "ALV",
     explorer: "https://alveyscan.com",
     factoryAddress: process.env.FACTORY_ALVEY_ADDRESS || process.env.FACTORY_ADDRESS || "0x0000000000000000000000000000000000000000",
+    // Uniswap V2 compatible router: new tokens create their pair with it, so buys and sells get their own fees
+    dexRouter: process.env.ALVEY_DEX_ROUTER || "0x0000000000000000000000000000000000000000",
     nativeCurrency: {
       name: "Alvey",
       symbol: "ALV",
@@ -22,6 +24,7 @@ const NETWORKS = {
     currency: "tBNB",
     explorer: "https://testnet.bscscan.com",
     factoryAddress: process.env.FACTORY_BSC_TESTNET_ADDRESS || "0x6725F303b657a9451d8BA641348b6761A6CC7a17",
+    dexRouter: process.env.BSC_TESTNET_DEX_ROUTER || "0xD99D1c33F9fC3444f8101754aBC46c52416550D1", // PancakeSwap V2
     nativeCurrency: {
       name: "Test BNB",
       symbol: "tBNB",
@@ -35,6 +38,7 @@ const NETWORKS = {
     currency: "BNB",
     explorer: "https://bscscan.com",
     factoryAddress: process.env.FACTORY_BSC_ADDRESS || "0x0000000000000000000000000000000000000000",
+    dexRouter: process.env.BSC_DEX_ROUTER || "0x10ED43C718714eb63d5aA57B78B54704E256024E", // PancakeSwap V2
     nativeCurrency: {
       name: "BNB",
       symbol: "BNB",
@@ -73,6 +77,178 @@ const PAYMENT = {
   AMOUNT_USDT: parseFloat(process.env.PAYMENT_AMOUNT_USDT || "20"),
   TIMEOUT: parseInt(process.env.PAYMENT_TIMEOUT || "900000", 10), // 15 minutes
   CHECK_INTERVAL: parseInt(process.env.PAYMENT_CHECK_INTERVAL || "5000", 10), // 5 seconds
+  LOOKBACK_BLOCKS: parseInt(process.env.PAYMENT_LOOKBACK_BLOCKS || "100", 10), // first scan when no cursor is stored
+  MAX_BLOCK_RANGE: parseInt(process.env.PAYMENT_MAX_BLOCK_RANGE || "2000", 10), // blocks per scan (RPC log limit)
+  // Match payments on a unique amount (e.g. 20.000137 USDT) instead of the payer wallet
+  MATCH_BY_AMOUNT: process.env.PAYMENT_MATCH_BY_AMOUNT === "true" || process.env.PAYMENT_MATCH_BY_AMOUNT === "1",
+  UNIQUE_AMOUNT_DECIMALS: 6, // decimals used for the per-order offset
+  UNIQUE_AMOUNT_MAX_OFFSET: 999, // offset range: 0.000001 - 0.000999
+  MAX_NATIVE_BLOCK_RANGE: parseInt(process.env.PAYMENT_MAX_NATIVE_BLOCK_RANGE || "50", 10), // native coin scans fetch full blocks
+};
+
+// Payment methods registry
+// token: ERC-20 contract address, or null for the chain's native coin (decimals are read from chain)
+// price: amount of `currency` charged per token creation
+const PAYMENT_METHODS = {
+  usdt_bsc: {
+    name: "USDT (BSC)",
+    network: "bsc",
+    currency: "USDT",
+    token: ADDRESSES.USDT_BSC,
+    wallet: ADDRESSES.PAYMENT_WALLET_BSC,
+    price: PAYMENT.AMOUNT_USDT,
+  },
+  ausdt_alvey: {
+    name: "aUSDT (Alvey Chain)",
+    network: "alvey",
+    currency: "aUSDT",
+    token: ADDRESSES.aUSDT_ALVEY,
+    wallet: ADDRESSES.PAYMENT_WALLET_ALVEY,
+    price: PAYMENT.AMOUNT_USDT,
+  },
+  alv_alvey: {
+    name: "ALV (Alvey Chain)",
+    network: "alvey",
+    currency: "ALV",
+    token: null,
+    wallet: ADDRESSES.PAYMENT_WALLET_ALVEY,
+    price: parseFloat(process.env.PAYMENT_AMOUNT_ALV || "0"),
+  },
+  bnb_bsc: {
+    name: "BNB (BSC)",
+    network: "bsc",
+    currency: "BNB",
+    token: null,
+    wallet: ADDRESSES.PAYMENT_WALLET_BSC,
+    price: parseFloat(process.env.PAYMENT_AMOUNT_BNB || "0"),
+  },
+};
+
+// Method used for payments created before the registry existed
+const DEFAULT_PAYMENT_METHOD = "usdt_bsc";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Helper to get payment method by key
+function getPaymentMethod(methodKey) {
+  const method = PAYMENT_METHODS[methodKey || DEFAULT_PAYMENT_METHOD];
+  if (!method) {
+    throw new Error(`Payment method ${methodKey} not found`);
+  }
+  return { key: methodKey || DEFAULT_PAYMENT_METHOD, ...method };
+}
+
+// Payment methods that are fully configured (wallet, token and price set)
+function getEnabledPaymentMethods() {
+  return Object.keys(PAYMENT_METHODS)
+    .map((key) => getPaymentMethod(key))
+    .filter(
+      (method) =>
+        method.wallet &&
+        method.wallet !== ZERO_ADDRESS &&
+        method.token !== ZERO_ADDRESS &&
+        method.price > 0
+    );
+}
+
+// Per-payment deposit addresses derived from an HD wallet (BIP-44 m/44'/60'/0'/0/<index>)
+// The bot only needs the account xpub to derive addresses; the sweeper job needs the mnemonic
+const DEPOSIT_ADDRESSES = {
+  XPUB: process.env.DEPOSIT_XPUB || "", // extended public key of m/44'/60'/0'
+  MNEMONIC: process.env.DEPOSIT_MNEMONIC || "",
+  ENABLED: Boolean(process.env.DEPOSIT_XPUB || process.env.DEPOSIT_MNEMONIC),
+  ACCOUNT_PATH: "m/44'/60'/0'",
+  SWEEP_LOOKBACK_DAYS: parseInt(process.env.DEPOSIT_SWEEP_LOOKBACK_DAYS || "30", 10), // payments the sweeper checks
+};
+
+// Pricing engine (amounts in PRICING.CURRENCY)
+// Defaults keep the flat PAYMENT_AMOUNT_USDT price; set the env vars to price per network and feature.
+// Other payment methods scale the quote by method.price / PAYMENT.AMOUNT_USDT
+const PRICING = {
+  CURRENCY: "USDT",
+  BASE: {
+    alvey: parseFloat(process.env.PRICE_BASE_ALVEY || String(PAYMENT.AMOUNT_USDT)),
+    bscTestnet: parseFloat(process.env.PRICE_BASE_BSC_TESTNET || String(PAYMENT.AMOUNT_USDT)),
+    bsc: parseFloat(process.env.PRICE_BASE_BSC || String(PAYMENT.AMOUNT_USDT)),
+  },
+  FEATURES: {
+    tax: { name: "Tax", price: parseFloat(process.env.PRICE_FEATURE_TAX || "0") },
+    reflection: { name: "Reflection", price: parseFloat(process.env.PRICE_FEATURE_REFLECTION || "0") },
+    burn: { name: "Burn", price: parseFloat(process.env.PRICE_FEATURE_BURN || "0") },
+  },
+  ADDONS: {
+    autoVerify: { name: "Auto-verification", price: parseFloat(process.env.PRICE_ADDON_AUTO_VERIFY || "0") },
+  },
+};
+
+// Referral program (commission and payouts in USDT)
+const REFERRAL = {
+  COMMISSION_PERCENT: parseFloat(process.env.REFERRAL_COMMISSION_PERCENT || "10"), // of the quote total
+  MIN_PAYOUT: parseFloat(process.env.REFERRAL_MIN_PAYOUT || "10"), // balances below this wait for the next batch
+  PAYOUT_METHOD: "usdt_bsc", // paid from this payment method's wallet and token
+};
+
+// Deployment retries after a confirmed payment (exponential backoff: 10s, 20s, ...)
+const DEPLOY_RETRY = {
+  MAX_ATTEMPTS: parseInt(process.env.DEPLOY_MAX_ATTEMPTS || "3", 10),
+  BASE_DELAY: parseInt(process.env.DEPLOY_RETRY_DELAY || "10000", 10),
+};
+
+// Deployment queue (bot-signed deployments, one nonce allocation at a time per network)
+const DEPLOY_QUEUE = {
+  CONCURRENCY: parseInt(process.env.DEPLOY_CONCURRENCY || "3", 10), // deployments sent or awaiting confirmation at once
+  POLL_INTERVAL: 5000, // 5 seconds between queue cycles
+  STUCK_AFTER: parseInt(process.env.DEPLOY_STUCK_AFTER || "180000", 10), // unmined this long = stuck, sped up
+  SPEEDUP_PERCENT: 20, // gas price raise per replacement (nodes require at least 10%)
+  MAX_SPEEDUPS: parseInt(process.env.DEPLOY_MAX_SPEEDUPS || "3", 10), // then the nonce is freed with a cancellation
+  MAX_CANCEL_BUMPS: 3, // raises of the cancellation before admins are asked to step in
+};
+
+// Graceful shutdown
+const SHUTDOWN = {
+  DRAIN_TIMEOUT: parseInt(process.env.SHUTDOWN_TIMEOUT || "90000", 10), // wait this long for running operations on SIGTERM
+};
+
+// Transactions signed in the user's own wallet (non-custodial deployment)
+const USER_SIGNING = {
+  DEPLOY_ENABLED: process.env.USER_SIGNED_DEPLOY !== "false",
+  SIGNING_PAGE_URL: process.env.WALLET_SIGNING_PAGE_URL || "", // optional web page that opens the wallet (tx in the URL fragment)
+  POLL_INTERVAL: 10000, // 10 seconds between checks for the signed transaction
+  WATCH_TIMEOUT: 1800000, // stop watching after 30 minutes (a pasted tx hash still works)
+};
+
+// How the bot receives updates: long polling (default) or a webhook served by bot/utils/webhookServer.js
+const WEBHOOK = {
+  ENABLED: process.env.BOT_MODE === "webhook",
+  URL: process.env.WEBHOOK_URL || "", // public HTTPS URL Telegram posts to; the server listens on its path
+  SECRET: process.env.WEBHOOK_SECRET || "", // checked against the X-Telegram-Bot-Api-Secret-Token header
+  // HTTP server for the webhook and /health, /ready; in polling mode it only runs when HTTP_PORT is set
+  PORT: parseInt(process.env.HTTP_PORT) || (process.env.BOT_MODE === "webhook" ? 8443 : 0),
+  HOST: process.env.HTTP_HOST || "0.0.0.0",
+  TLS_CERT: process.env.WEBHOOK_TLS_CERT || "", // serve HTTPS directly (without a reverse proxy)
+  TLS_KEY: process.env.WEBHOOK_TLS_KEY || "",
+  SELF_SIGNED: process.env.WEBHOOK_SELF_SIGNED === "true", // upload TLS_CERT to Telegram
+  MAX_CONNECTIONS: parseInt(process.env.WEBHOOK_MAX_CONNECTIONS) || 40,
+  MAX_BODY_SIZE: 1024 * 1024, // 1 MB
+};
+
+// Telegram IDs allowed to run admin commands (comma separated)
+const ADMIN_IDS = (process.env.ADMIN_TELEGRAM_IDS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+// Helper to check admin access (configured IDs only; see isAdminUser in utils/admin.js for users.role)
+function isAdmin(telegramId) {
+  return ADMIN_IDS.includes(String(telegramId));
+}
+
+// Admin commands
+const ADMIN = {
+  BROADCAST_RATE: parseInt(process.env.BROADCAST_MESSAGES_PER_SECOND) || 20, // Telegram allows about 30 per second
+  STATS_DAYS: 7, // default /admin_stats period
+  MAX_STATS_DAYS: 90,
+  LIST_LIMIT: 20, // payments shown by /admin_payments
 };
 
 // Timeouts and limits
@@ -89,6 +265,35 @@ const TEST_MODE = process.env.TEST_MODE === "true" || process.env.TEST_MODE ===
 // Disable rate limit for testing
 const DISABLE_RATE_LIMIT = process.env.DISABLE_RATE_LIMIT === "true" || process.env.DISABLE_RATE_LIMIT === "1";
 
+// Abuse protection (bot/utils/abuseGuard.js), sliding windows in ms; DISABLE_RATE_LIMIT turns the limits off (bans still apply)
+const ABUSE = {
+  GLOBAL: { MAX: 30, WINDOW: 1000 }, // updates from all users
+  COMMANDS: { MAX: 10, WINDOW: 60000 }, // per user
+  CALLBACKS: { MAX: 30, WINDOW: 60000 }, // per user
+  FLOOD: { MAX: 8, WINDOW: 5000 }, // messages per user, exceeding it blocks at once
+  STRIKES_BEFORE_BLOCK: 3, // rate-limit hits within STRIKE_WINDOW before a temporary block
+  STRIKE_WINDOW: 600000, // 10 minutes
+  TEMP_BLOCK: 900000, // 15 minutes
+  NOTICE_INTERVAL: 60000, // at most one ban/block notice per user and minute
+  CACHE_TTL: 30000, // how long a user's ban status is cached
+};
+
+// Names and symbols of well-known tokens that cannot be imitated (more can be added with /admin_reserved)
+const RESERVED_TOKENS = {
+  NAMES: [
+    "Tether", "Tether USD", "USD Coin", "Binance", "Binance Coin", "Binance USD", "First Digital USD",
+    "Bitcoin", "Wrapped Bitcoin", "Ethereum", "Ether", "Wrapped Ether", "Wrapped BNB", "Dai",
+    "Alvey", "Alvey Chain", "PancakeSwap", "Uniswap", "Chainlink", "Solana", "Ripple", "Cardano",
+    "Dogecoin", "Shiba Inu", "Polygon", "Tron", "Toncoin",
+  ],
+  SYMBOLS: [
+    "USDT", "USDC", "BUSD", "FDUSD", "TUSD", "DAI", "BNB", "WBNB", "BTC", "BTCB", "WBTC", "ETH", "WETH",
+    "ALV", "WALV", "AUSDT", "CAKE", "UNI", "LINK", "SOL", "XRP", "ADA", "DOGE", "SHIB", "MATIC", "POL",
+    "TRX", "TON",
+  ],
+  FUZZY_MIN_LENGTH: 6, // names this long also match with one typo or inside a longer name
+};
+
 // NEW: Feature validation limits
 const FEATURE_LIMITS = {
   MIN_TAX: 0,
@@ -98,6 +303,13 @@ const FEATURE_LIMITS = {
   MIN_BURN: 0,
   MAX_BURN: 100,
   MAX_TOTAL_FEES: 100,  // Tax + Reflection + Burn cannot exceed
+  // Anti-whale limits in percent of supply (0 = no limit). The contract itself refuses limits below 0.1%
+  MIN_MAX_TRANSACTION: 0.1,
+  MIN_MAX_WALLET: 0.5,
+  MAX_LIMIT: 100,
+  // Anti-snipe window after a manual launch (same caps as the contract)
+  MAX_ANTI_SNIPE_BLOCKS: 100,
+  MAX_ANTI_SNIPE_SELL_FEE: 50,
 };
 
 // USDT token ABI (minimal for transfer detection)
@@ -110,7 +322,7 @@ const USDT_ABI = [
 
 // Factory ABI (minimal)
 const FACTORY_ABI = [
-  "function createToken(string memory _name, string memory _symbol, uint256 _initialSupply, uint8 _taxPercent, address _taxWallet, uint8 _reflectionPercent, uint8 _burnPercent, bool _enableReflection, bool _enableBurn, address _initialOwner) external returns (address)",
+  "function createToken(string memory _name, string memory _symbol, uint256 _initialSupply, uint8 _taxPercent, address _taxWallet, uint8 _reflectionPercent, uint8 _burnPercent, bool _enableReflection, bool _enableBurn, address _initialOwner, tuple(tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) buyFees, tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) sellFees, address dexRouter, uint16 maxTransactionBps, uint16 maxWalletBps, bool manualLaunch, uint8 antiSnipeBlocks, uint8 antiSnipeSellFee) _trading) external returns (address)",
   "function getTokenFeatures(address tokenAddress) external view returns (bool hasReflection, bool hasBurn, uint8 reflectionPercent, uint8 burnPercent, address taxWallet, uint8 taxPercent)",
   "event TokenDeployed(address indexed tokenAddress, address indexed creator, string name, string symbol, uint256 initialSupply, uint256 taxPercent, address taxWallet, address initialOwner)",
 ];
@@ -122,6 +334,22 @@ const TOKEN_ABI = [
   "function totalSupply() external view returns (uint256)",
   "function owner() external view returns (address)",
   "function transferOwnership(address newOwner) external",
+  "function renounceOwnership() external",
+  // Ownable2Step (tokens from older factories do not have these)
+  "function pendingOwner() external view returns (address)",
+  "function acceptOwnership() external",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  // Fee exemptions (tokens from older factories do not have these)
+  "function isExcludedFromFees(address account) external view returns (bool)",
+  "function setExcludedFromFees(address account, bool excluded) external",
+  "function creationBlock() external view returns (uint256)",
+  "event ExcludedFromFees(address indexed account, bool isExcluded)",
+  // Manual launch (tokens from older factories do not have these)
+  "function tradingEnabled() external view returns (bool)",
+  "function tradingEnabledBlock() external view returns (uint256)",
+  "function enableTrading() external",
+  "event TradingEnabled(uint256 blockNumber)",
 ];
 
 module.exports = {
@@ -130,6 +358,21 @@ module.exports = {
   NETWORK_DISPLAY_NAMES,
   ADDRESSES,
   PAYMENT,
+  PAYMENT_METHODS,
+  DEFAULT_PAYMENT_METHOD,
+  getPaymentMethod,
+  getEnabledPaymentMethods,
+  DEPOSIT_ADDRESSES,
+  PRICING,
+  REFERRAL,
+  DEPLOY_RETRY,
+  DEPLOY_QUEUE,
+  SHUTDOWN,
+  USER_SIGNING,
+  WEBHOOK,
+  ADMIN_IDS,
+  isAdmin,
+  ADMIN,
   TIMEOUTS,
   USDT_ABI,
   FACTORY_ABI,
@@ -137,5 +380,7 @@ module.exports = {
   TEST_MODE,
   FEATURE_LIMITS,
   DISABLE_RATE_LIMIT,
+  ABUSE,
+  RESERVED_TOKENS,
 };
 
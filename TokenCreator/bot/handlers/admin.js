@@ -0,0 +1,566 @@
+const {
+  getUser,
+  findUser,
+  setUserBanned,
+  getBroadcastRecipients,
+  getUserOverview,
+  getAdminStats,
+  getPaymentsByStatus,
+  getUserSession,
+  saveUserSession,
+  deleteUserSession,
+  logActivity,
+  getReservedNames,
+  addReservedName,
+  removeReservedName,
+  addReservedNameOverride,
+} = require("../utils/database");
+const { isAdminUser } = require("../utils/admin");
+const { forgetUser } = require("../utils/abuseGuard");
+const { normalizeTokenText, findReservedMatch } = require("../utils/reservedNames");
+const { escapeHtml } = require("../utils/html");
+const { ADMIN, NETWORK_DISPLAY_NAMES, PAYMENT_METHODS, RESERVED_TOKENS } = require("../config/constants");
+
+const ADMIN_STEPS = {
+  CONFIRM_BROADCAST: "admin_confirm_broadcast",
+};
+
+const BAN_ACTIVITIES = {
+  ban: "user_banned",
+  shadowban: "user_shadowbanned",
+  unban: "user_unbanned",
+};
+
+const PAYMENT_STATUSES = ["pending", "confirmed", "expired", "failed", "deploy_failed", "refund_pending", "refunded"];
+
+let broadcastRunning = false;
+
+/**
+ * Reply "admins only" unless the sender is an admin
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @returns {Promise<boolean>} True if the sender is an admin
+ */
+const requireAdmin = async (bot, msg) => {
+  if (!msg || !msg.chat || !msg.from) {
+    return false;
+  }
+  if (!(await isAdminUser(msg.from.id))) {
+    await bot.sendMessage(msg.chat.id, "⛔ This command is for admins only.");
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Handle /admin_stats [days] - tokens per network, revenue per day and wizard conversion
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = period in days)
+ */
+const handleAdminStats = async (bot, msg, match) => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  try {
+    const requested = parseInt(match && match[1]) || ADMIN.STATS_DAYS;
+    const days = Math.min(Math.max(requested, 1), ADMIN.MAX_STATS_DAYS);
+    const stats = await getAdminStats(days);
+
+    let message = `📊 <b>Bot Statistics</b> (last ${days} day${days === 1 ? "" : "s"})\n\n`;
+    message += `👥 <b>Users:</b> ${stats.users.total} (${stats.users.new} new, ${stats.users.banned} banned)\n\n`;
+
+    message += "🪙 <b>Tokens per network</b> (total / period)\n";
+    if (stats.tokensByNetwork.length === 0) {
+      message += "• none yet\n";
+    }
+    stats.tokensByNetwork.forEach((row) => {
+      const name = NETWORK_DISPLAY_NAMES[row.network] || row.network;
+      message += `• ${escapeHtml(name)}: ${row.total} / ${Number(row.recent || 0)}\n`;
+    });
+
+    message += "\n💰 <b>Revenue per day</b>\n";
+    if (stats.revenueByDay.length === 0) {
+      message += "• no confirmed payments\n";
+    }
+    stats.revenueByDay.forEach((row) => {
+      message += `• ${formatDay(row.day)}: ${Number(row.total)} ${escapeHtml(row.currency)} (${row.payments} payment${row.payments === 1 ? "" : "s"})\n`;
+    });
+
+    const { started, deployed } = stats.funnel;
+    const rate = started > 0 ? ((deployed / started) * 100).toFixed(1) : "0.0";
+    message += "\n🔁 <b>Conversion</b> (distinct users)\n";
+    message += `• Started /create_token: ${started}\n`;
+    message += `• Deployed a token: ${deployed}\n`;
+    message += `• Rate: ${rate}%`;
+
+    await bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in handleAdminStats:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle /admin_user <telegram id|@username|#user id> - profile, payments and recent activity
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = user identifier)
+ */
+const handleAdminUser = async (bot, msg, match) => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const identifier = match && match[1];
+  if (!identifier) {
+    await bot.sendMessage(chatId, "Usage: /admin_user &lt;telegram id | @username | #user id&gt;", { parse_mode: "HTML" });
+    return;
+  }
+
+  try {
+    const user = await findUser(identifier);
+    if (!user) {
+      await bot.sendMessage(chatId, "❌ User not found");
+      return;
+    }
+
+    const overview = await getUserOverview(user.id);
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ") || "-";
+
+    let message = `👤 <b>User #${user.id}</b>\n\n`;
+    message += `Telegram ID: <code>${user.telegram_id}</code>\n`;
+    message += `Username: ${user.username ? `@${escapeHtml(user.username)}` : "-"}\n`;
+    message += `Name: ${escapeHtml(name)}\n`;
+    message += `Role: ${user.role}\n`;
+    message += `Joined: ${formatDateTime(user.created_at)}\n`;
+    message += `Last active: ${formatDateTime(user.last_active)}\n`;
+    if (user.is_banned || user.is_shadowbanned) {
+      message += `⛔ ${user.is_shadowbanned ? "Shadowbanned" : "Banned"} ${formatDateTime(user.banned_at)}: ` +
+        `${escapeHtml(user.ban_reason || "no reason given")}\n`;
+    }
+    if (user.blocked_until && new Date(user.blocked_until) > new Date()) {
+      message += `🚫 Temporarily blocked until ${formatDateTime(user.blocked_until)}\n`;
+    }
+    if (user.referred_by) {
+      message += `Referred by: #${user.referred_by}\n`;
+    }
+
+    message += `\n🪙 Tokens: ${overview.tokens}\n`;
+    message += "💳 Payments:\n";
+    if (overview.payments.length === 0) {
+      message += "• none\n";
+    }
+    overview.payments.forEach((row) => {
+      message += `• ${row.status}: ${row.count} (${Number(row.total)} ${escapeHtml(row.currency)})\n`;
+    });
+
+    message += "\n📜 <b>Recent activity</b>\n";
+    if (overview.activity.length === 0) {
+      message += "• none\n";
+    }
+    overview.activity.forEach((entry) => {
+      message += `• ${formatDateTime(entry.created_at)} ${escapeHtml(entry.action)}\n`;
+    });
+
+    await bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in handleAdminUser:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle /admin_ban <user> [reason], /admin_shadowban <user> [reason] and /admin_unban <user>
+ * Unbanning also lifts a shadowban and a temporary block
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = user identifier, match[2] = reason)
+ * @param {string} mode - "ban", "shadowban" or "unban"
+ */
+const handleAdminBan = async (bot, msg, match, mode = "ban") => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const banned = mode !== "unban";
+  const command = `/admin_${mode}`;
+  const identifier = match && match[1];
+  if (!identifier) {
+    await bot.sendMessage(
+      chatId,
+      `Usage: ${command} &lt;telegram id | @username | #user id&gt;${banned ? " [reason]" : ""}`,
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  try {
+    const user = await findUser(identifier);
+    if (!user) {
+      await bot.sendMessage(chatId, "❌ User not found");
+      return;
+    }
+    if (banned && (await isAdminUser(user.telegram_id))) {
+      await bot.sendMessage(chatId, "❌ Admins cannot be banned");
+      return;
+    }
+
+    const reason = banned ? ((match[2] || "").trim().substring(0, 255) || null) : null;
+    await setUserBanned(user.id, banned, reason, mode === "shadowban");
+    forgetUser(user.telegram_id);
+
+    const admin = await getUser(msg.from.id);
+    await logActivity(user.id, BAN_ACTIVITIES[mode], {
+      admin_id: admin.id,
+      reason,
+    });
+
+    const label = user.username ? `@${escapeHtml(user.username)}` : `<code>${user.telegram_id}</code>`;
+    await bot.sendMessage(
+      chatId,
+      banned
+        ? `⛔ ${mode === "shadowban" ? "Shadowbanned" : "Banned"} ${label}${reason ? `: ${escapeHtml(reason)}` : ""}`
+        : `✅ Unbanned ${label}`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in handleAdminBan:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle /admin_broadcast <text> - ask for confirmation before messaging every user
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = message text)
+ */
+const handleAdminBroadcast = async (bot, msg, match) => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const text = ((match && match[1]) || "").trim();
+  if (!text) {
+    await bot.sendMessage(chatId, "Usage: /admin_broadcast &lt;message&gt;", { parse_mode: "HTML" });
+    return;
+  }
+  if (broadcastRunning) {
+    await bot.sendMessage(chatId, "⏳ A broadcast is already being sent. Try again when it has finished.");
+    return;
+  }
+
+  try {
+    const recipients = await getBroadcastRecipients();
+    await saveUserSession(msg.from.id, ADMIN_STEPS.CONFIRM_BROADCAST, { text });
+
+    await bot.sendMessage(chatId, `📣 Broadcast to ${recipients.length} user(s)?\n\n${text}`, {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: "📣 Send", callback_data: "admin_broadcast_send" },
+            { text: "❌ Cancel", callback_data: "admin_broadcast_cancel" },
+          ],
+        ],
+      },
+    });
+  } catch (error) {
+    console.error("Error in handleAdminBroadcast:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle the broadcast confirmation buttons
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleAdminBroadcastConfirm = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+
+  if (!(await isAdminUser(telegramId))) {
+    await bot.answerCallbackQuery(query.id, { text: "⛔ Admins only", show_alert: true });
+    return;
+  }
+
+  try {
+    const session = await getUserSession(telegramId);
+    if (!session || session.step !== ADMIN_STEPS.CONFIRM_BROADCAST) {
+      await bot.answerCallbackQuery(query.id, { text: "❌ Broadcast expired. Send /admin_broadcast again.", show_alert: true });
+      return;
+    }
+    await deleteUserSession(telegramId);
+
+    if (query.data === "admin_broadcast_cancel") {
+      await bot.answerCallbackQuery(query.id, { text: "Broadcast cancelled" });
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id });
+      return;
+    }
+
+    if (broadcastRunning) {
+      await bot.answerCallbackQuery(query.id, { text: "⏳ A broadcast is already being sent", show_alert: true });
+      return;
+    }
+
+    await bot.answerCallbackQuery(query.id, { text: "📣 Sending..." });
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id });
+
+    // Runs in the background: a large user base takes minutes at the Telegram rate limit
+    const admin = await getUser(telegramId);
+    runBroadcast(bot, session.session_data.text)
+      .then(async (result) => {
+        await logActivity(admin.id, "admin_broadcast", { ...result, length: session.session_data.text.length });
+        await bot.sendMessage(
+          chatId,
+          `✅ Broadcast finished\n\nSent: ${result.sent}\nBlocked the bot: ${result.blocked}\nFailed: ${result.failed}`
+        );
+      })
+      .catch((error) => {
+        console.error("Error running broadcast:", error);
+        bot.sendMessage(chatId, "❌ The broadcast stopped with an error. Check the logs.").catch(() => {});
+      });
+  } catch (error) {
+    console.error("Error in handleAdminBroadcastConfirm:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Send a message to every user who is not banned, at most ADMIN.BROADCAST_RATE per second
+ * A 429 from Telegram pauses for its retry_after and retries the recipient once
+ * @param {object} bot - Telegram bot instance
+ * @param {string} text - Message text (sent as plain text)
+ * @returns {Promise<object>} { sent, blocked, failed }
+ */
+const runBroadcast = async (bot, text) => {
+  broadcastRunning = true;
+  const result = { sent: 0, blocked: 0, failed: 0 };
+  const interval = Math.ceil(1000 / ADMIN.BROADCAST_RATE);
+
+  try {
+    const recipients = await getBroadcastRecipients();
+
+    for (const recipient of recipients) {
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        try {
+          await bot.sendMessage(recipient, text);
+          result.sent++;
+          break;
+        } catch (error) {
+          const status = error.response && error.response.statusCode;
+          const retryAfter = status === 429 && error.response.body && error.response.body.parameters
+            ? error.response.body.parameters.retry_after
+            : null;
+
+          if (retryAfter && attempt === 1) {
+            await sleep(retryAfter * 1000);
+            continue;
+          }
+          if (status === 403) {
+            result.blocked++; // Blocked the bot or deleted their account
+          } else {
+            result.failed++;
+            console.error(`Error broadcasting to ${recipient}:`, error.message);
+          }
+          break;
+        }
+      }
+      await sleep(interval);
+    }
+  } finally {
+    broadcastRunning = false;
+  }
+
+  return result;
+};
+
+/**
+ * Handle /admin_payments [status] - latest payments with a status (default pending)
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = status)
+ */
+const handleAdminPayments = async (bot, msg, match) => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const status = ((match && match[1]) || "pending").toLowerCase();
+  if (!PAYMENT_STATUSES.includes(status)) {
+    await bot.sendMessage(chatId, `Usage: /admin_payments [${PAYMENT_STATUSES.join(" | ")}]`);
+    return;
+  }
+
+  try {
+    const payments = await getPaymentsByStatus(status);
+    if (payments.length === 0) {
+      await bot.sendMessage(chatId, `✅ No ${status} payments.`);
+      return;
+    }
+
+    const shown = payments.slice(-ADMIN.LIST_LIMIT).reverse();
+    let message = `💳 <b>${escapeHtml(status)} payments (${payments.length})</b>\n`;
+    if (shown.length < payments.length) {
+      message += `Latest ${shown.length} shown\n`;
+    }
+    message += "\n";
+
+    shown.forEach((payment) => {
+      const method = PAYMENT_METHODS[payment.payment_method];
+      const user = payment.username ? `@${escapeHtml(payment.username)}` : payment.telegram_id;
+      message += `• <code>${payment.payment_id}</code>\n`;
+      message += `  ${payment.amount} ${escapeHtml(payment.currency)} via ${escapeHtml(method ? method.name : payment.payment_method)} - ${user}\n`;
+      message += `  Created ${formatDateTime(payment.created_at)}`;
+      if (status === "pending" && payment.expires_at) {
+        message += `, expires ${formatDateTime(payment.expires_at)}`;
+      }
+      message += "\n";
+      if (payment.deposit_address || payment.payer_wallet) {
+        const label = payment.deposit_address ? "Deposit" : "Payer";
+        message += `  ${label}: <code>${payment.deposit_address || payment.payer_wallet}</code>\n`;
+      }
+    });
+
+    await bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in handleAdminPayments:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle /admin_reserved [add|remove name|symbol <value>] - list or edit the reserved names registry
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = action, match[2] = kind, match[3] = value)
+ */
+const handleAdminReserved = async (bot, msg, match) => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const [, action, kind, rawValue] = match || [];
+  const value = (rawValue || "").trim().substring(0, 100);
+
+  try {
+    if (!action) {
+      const added = await getReservedNames();
+      const list = (rows) => (rows.length > 0 ? rows.map(escapeHtml).join(", ") : "-");
+
+      let message = "🛡 <b>Reserved Token Names</b>\n\n";
+      message += `<b>Built-in names:</b> ${list(RESERVED_TOKENS.NAMES)}\n\n`;
+      message += `<b>Built-in symbols:</b> ${list(RESERVED_TOKENS.SYMBOLS)}\n\n`;
+      message += `<b>Added names:</b> ${list(added.filter((row) => row.kind === "name").map((row) => row.value))}\n`;
+      message += `<b>Added symbols:</b> ${list(added.filter((row) => row.kind === "symbol").map((row) => row.value))}\n\n`;
+      message += "Usage: /admin_reserved add|remove name|symbol &lt;value&gt;\n";
+      message += "Allow a user: /admin_allow &lt;user&gt; name|symbol &lt;value&gt;";
+
+      await bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+      return;
+    }
+
+    if (!kind || !value || !normalizeTokenText(value)) {
+      await bot.sendMessage(chatId, "Usage: /admin_reserved add|remove name|symbol &lt;value&gt;", { parse_mode: "HTML" });
+      return;
+    }
+
+    const admin = await getUser(msg.from.id);
+    if (action === "add") {
+      const added = await addReservedName(kind, value, admin.id);
+      await bot.sendMessage(chatId, added ? `✅ Reserved ${kind} "${value}"` : `ℹ️ ${kind} "${value}" is already reserved`);
+      if (added) {
+        await logActivity(admin.id, "reserved_name_added", { kind, value });
+      }
+      return;
+    }
+
+    const removed = await removeReservedName(kind, value);
+    if (removed) {
+      await logActivity(admin.id, "reserved_name_removed", { kind, value });
+    }
+    await bot.sendMessage(
+      chatId,
+      removed
+        ? `✅ Removed reserved ${kind} "${value}"`
+        : `❌ ${kind} "${value}" was not added with /admin_reserved (built-in entries are in RESERVED_TOKENS)`
+    );
+  } catch (error) {
+    console.error("Error in handleAdminReserved:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle /admin_allow <user> name|symbol <value> - let a legitimate project use a reserved name or symbol
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = user identifier, match[2] = kind, match[3] = value)
+ */
+const handleAdminAllow = async (bot, msg, match) => {
+  if (!(await requireAdmin(bot, msg))) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const [, identifier, kind, rawValue] = match || [];
+  const value = (rawValue || "").trim().substring(0, 100);
+  if (!identifier || !kind || !normalizeTokenText(value)) {
+    await bot.sendMessage(chatId, "Usage: /admin_allow &lt;telegram id | @username | #user id&gt; name|symbol &lt;value&gt;", {
+      parse_mode: "HTML",
+    });
+    return;
+  }
+
+  try {
+    const user = await findUser(identifier);
+    if (!user) {
+      await bot.sendMessage(chatId, "❌ User not found");
+      return;
+    }
+
+    const reserved = await findReservedMatch(value, kind, user.id);
+    if (!reserved) {
+      await bot.sendMessage(chatId, `ℹ️ ${kind} "${value}" is not blocked for this user, nothing to allow.`);
+      return;
+    }
+
+    const admin = await getUser(msg.from.id);
+    await addReservedNameOverride(user.id, kind, value, normalizeTokenText(value), admin.id);
+    await logActivity(user.id, "reserved_name_allowed", { kind, value, reserved, admin_id: admin.id });
+
+    const label = user.username ? `@${user.username}` : user.telegram_id;
+    await bot.sendMessage(chatId, `✅ ${label} may now use the ${kind} "${value}" (reserved as "${reserved}")`);
+  } catch (error) {
+    console.error("Error in handleAdminAllow:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const formatDateTime = (date) =>
+  (date ? new Date(date).toISOString().replace("T", " ").substring(0, 16) + " UTC" : "-");
+
+// DATE() columns come back as local midnight
+const formatDay = (date) => new Date(date).toLocaleDateString("en-CA");
+
+module.exports = {
+  ADMIN_STEPS,
+  handleAdminStats,
+  handleAdminUser,
+  handleAdminBan,
+  handleAdminBroadcast,
+  handleAdminBroadcastConfirm,
+  handleAdminPayments,
+  handleAdminReserved,
+  handleAdminAllow,
+};
@@ -4,9 +4,10 @@
  */
 
 const { ethers } = require('ethers');
-const { getTokenFeatures, getTokenDetails } = require('../utils/blockchain');
+const { getTokenFeatures, getTokenDetails, getFeeExemptions } = require('../utils/blockchain');
 const { logActivity, getUser } = require('../utils/database');
 const { getNetwork, NETWORK_DISPLAY_NAMES } = require('../config/constants');
+const { hasUniformFees, hasAnyTax, totalFees, formatFeeSchedules } = require('../utils/feeSchedules');
 
 /**
  * Analyze a deployed token and send detailed report
@@ -58,8 +59,17 @@ async function analyzeToken(bot, chatId, userId, tokenAddress, networkKey = null
             return;
         }
 
+        // Exempt addresses are replayed from events; an RPC that refuses the log query only loses this section
+        let feeExemptions = null;
+        if (details.hasFeeExemptions) {
+            feeExemptions = await getFeeExemptions(tokenAddress, networkKey).catch((error) => {
+                console.error('Error reading fee exemptions:', error.message);
+                return false;
+            });
+        }
+
         // Build detailed analysis report
-        const analysis = buildTokenAnalysis(details, features, tokenAddress, networkKey);
+        const analysis = buildTokenAnalysis(details, features, tokenAddress, networkKey, feeExemptions);
         
         // Send analysis
         bot.sendMessage(chatId, analysis, { parse_mode: 'HTML' });
@@ -72,7 +82,8 @@ async function analyzeToken(bot, chatId, userId, tokenAddress, networkKey = null
                     network: networkKey,
                     tokenName: details.name,
                     hasReflection: features.hasReflection,
-                    hasBurn: features.hasBurn
+                    hasBurn: features.hasBurn,
+                    feeSchedules: features.feeSchedules
                 });
             } catch (logError) {
                 // Silently fail - logging is not critical
@@ -92,35 +103,117 @@ async function analyzeToken(bot, chatId, userId, tokenAddress, networkKey = null
 
 /**
  * Build formatted analysis report
+ * feeExemptions: exempt addresses, null for tokens without exemptions, false if they could not be read
  */
-function buildTokenAnalysis(details, features, tokenAddress, networkKey = 'alvey') {
+function buildTokenAnalysis(details, features, tokenAddress, networkKey = 'alvey', feeExemptions = null) {
     const network = getNetwork(networkKey);
     // Build features list
     const featuresList = [];
+    const schedules = features.feeSchedules;
+
+    // "5%", or "buy 3% / sell 5% / transfer 0%" when the schedules differ
+    const percentLabel = (field) => {
+        if (!schedules || hasUniformFees(schedules)) {
+            return `${features[field]}%`;
+        }
+        return `buy ${schedules.buy[field]}% / sell ${schedules.sell[field]}% / transfer ${schedules.transfer[field]}%`;
+    };
     
     if (features.hasReflection) {
-        featuresList.push(`✅ <b>Reflection:</b> ${features.reflectionPercent}%`);
+        featuresList.push(`✅ <b>Reflection:</b> ${percentLabel('reflectionPercent')}`);
     } else {
         featuresList.push(`❌ <b>Reflection:</b> Disabled`);
     }
     
     if (features.hasBurn) {
-        featuresList.push(`✅ <b>Burn:</b> ${features.burnPercent}%`);
+        featuresList.push(`✅ <b>Burn:</b> ${percentLabel('burnPercent')}`);
     } else {
         featuresList.push(`❌ <b>Burn:</b> Disabled`);
     }
     
-    if (features.taxPercent > 0) {
+    if (schedules ? hasAnyTax(schedules) : features.taxPercent > 0) {
         const taxWallet = features.taxWallet.substring(0, 6) + '...' + features.taxWallet.substring(features.taxWallet.length - 4);
-        featuresList.push(`✅ <b>Tax:</b> ${features.taxPercent}% → ${taxWallet}`);
+        featuresList.push(`✅ <b>Tax:</b> ${percentLabel('taxPercent')} → ${taxWallet}`);
     } else {
         featuresList.push(`❌ <b>Tax:</b> Disabled`);
     }
 
-    // Calculate total fees
-    const totalFees = (features.taxPercent || 0) + 
-                      (features.reflectionPercent || 0) + 
-                      (features.burnPercent || 0);
+    // Calculate total fees (tokens from older factories have one schedule for every transfer)
+    let feeSummary = `💾 Total Fees: <b>${totalFees({
+        taxPercent: features.taxPercent || 0,
+        reflectionPercent: features.reflectionPercent || 0,
+        burnPercent: features.burnPercent || 0
+    })}%</b>`;
+    if (schedules && !hasUniformFees(schedules)) {
+        feeSummary = formatFeeSchedules(schedules);
+    } else if (schedules) {
+        feeSummary += ' (same on buys, sells and transfers)';
+    }
+
+    // DEX pair created with the token (buys and sells are detected from it)
+    if (schedules) {
+        featuresList.push(features.mainPair
+            ? `✅ <b>DEX Pair:</b> <code>${features.mainPair}</code>`
+            : `❌ <b>DEX Pair:</b> None created (the owner can register one)`);
+    }
+
+    // Anti-whale limits (current values: the owner may have raised or removed them since launch)
+    if (features.limits) {
+        const limitLabel = (amount) => {
+            if (amount === '0') return 'None';
+            const tokens = Number(ethers.formatUnits(amount, 18)).toLocaleString('en-US', { maximumFractionDigits: 2 });
+            const percent = Number((BigInt(amount) * 10000n) / BigInt(details.totalSupply)) / 100;
+            return `${tokens} ${details.symbol} (${percent}% of supply)`;
+        };
+        featuresList.push(`🐋 <b>Max Transaction:</b> ${limitLabel(features.limits.maxTransactionAmount)}`);
+        featuresList.push(`🐋 <b>Max Wallet:</b> ${limitLabel(features.limits.maxWalletAmount)}`);
+    }
+
+    // Launch status (manual-launch tokens stay closed to DEX trading until the owner enables it)
+    if (features.launch) {
+        const { manualLaunch, tradingEnabled, tradingEnabledBlock, antiSnipeBlocks, antiSnipeSellFee } = features.launch;
+        if (tradingEnabled) {
+            featuresList.push(`🚀 <b>Launch:</b> ✅ Trading enabled at block ${tradingEnabledBlock}${manualLaunch ? '' : ' (at creation)'}`);
+        } else {
+            featuresList.push(`🚀 <b>Launch:</b> ⏸️ Trading not enabled yet (manual launch)`);
+        }
+        if (antiSnipeBlocks > 0) {
+            const windowEnd = tradingEnabled ? ` (until block ${tradingEnabledBlock + antiSnipeBlocks})` : '';
+            featuresList.push(`🎯 <b>Anti-Snipe:</b> +${antiSnipeSellFee}% burned sell fee for ${antiSnipeBlocks} blocks${windowEnd}`);
+        }
+    }
+
+    // Addresses that pay no fees (owner, tax wallet and the token itself from creation)
+    let exemptionInfo = '';
+    if (feeExemptions === false) {
+        exemptionInfo = '\n<b>Fee Exemptions:</b>\n⚠️ Could not read the exemption events\n';
+    } else if (feeExemptions) {
+        const labelOf = (address) => {
+            if (address.toLowerCase() === tokenAddress.toLowerCase()) return ' (token contract)';
+            if (address.toLowerCase() === details.owner.toLowerCase()) return ' (owner)';
+            if (address.toLowerCase() === features.taxWallet.toLowerCase()) return ' (tax wallet)';
+            return '';
+        };
+        const exemptList = feeExemptions.length > 0
+            ? feeExemptions.map((address) => `🛡️ <code>${address}</code>${labelOf(address)}`).join('\n')
+            : 'None';
+        exemptionInfo = `\n<b>Fee Exemptions:</b>\n${exemptList}\n`;
+    }
+
+    // Ownership status
+    let ownerInfo = `👤 Owner: <code>${details.owner}</code>`;
+    if (details.renounced) {
+        ownerInfo = `👤 Owner: 🔥 <b>Renounced</b> (no owner)`;
+    } else if (details.pendingOwner) {
+        ownerInfo += `\n⏳ Pending Owner: <code>${details.pendingOwner}</code> (not accepted yet)`;
+    }
+
+    let ownershipStatus = '✅ Allowed';
+    if (details.renounced) {
+        ownershipStatus = '🔥 RENOUNCED (Nobody can manage this token)';
+    } else if (details.twoStepOwnership) {
+        ownershipStatus = '✅ Two-step (New owner must accept)';
+    }
 
     // Format supply
     const formattedSupply = (
@@ -139,7 +232,7 @@ function buildTokenAnalysis(details, features, tokenAddress, networkKey = 'alvey
 📝 Name: <code>${details.name}</code>
 🏷️ Symbol: <code>${details.symbol}</code>
 📍 Address: <code>${tokenAddress}</code>
-👤 Owner: <code>${details.owner}</code>
+${ownerInfo}
 
 <b>Supply Information:</b>
 📈 Total Supply: <b>${formattedSupply}</b> ${details.symbol}
@@ -148,12 +241,12 @@ function buildTokenAnalysis(details, features, tokenAddress, networkKey = 'alvey
 ${featuresList.join('\n')}
 
 <b>Fee Summary:</b>
-💾 Total Fees: <b>${totalFees}%</b>
-
+${feeSummary}
+${exemptionInfo}
 <b>Security Status:</b>
 🔒 Minting: ✅ DISABLED (Immutable)
-🔒 Ownership Transfer: ✅ Allowed
-🔒 Settings: ✅ IMMUTABLE (Cannot be changed)
+🔒 Ownership: ${ownershipStatus}
+🔒 Settings: ✅ IMMUTABLE (Cannot be changed)${features.limits ? '\n🔒 Limits: ✅ Can only be raised or removed' : ''}
 
 <b>Explorer Links:</b>
 <a href="${network.explorer}/token/${tokenAddress}">View on ${network.name} Explorer</a>
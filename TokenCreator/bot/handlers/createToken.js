@@ -1,3 +1,4 @@
+const { ethers } = require("ethers");
 const {
   getUser,
   saveUserSession,
@@ -6,20 +7,73 @@ const {
   savePayment,
   getPayment,
   logActivity,
+  updateTokenVerification,
+  getPromoCodeUse,
+  holdPromoCodeUse,
+  linkPromoCodeUseToken,
+  updatePaymentStatus,
+  linkPaymentToken,
+  markPaymentDeployFailed,
+  getNextDepositIndex,
+  getOpenDeploymentByPayment,
+  getOpenDeploymentByPromoUse,
 } = require("../utils/database");
 const {
   isValidTokenName,
   isValidTokenSymbol,
   isValidSupply,
-  isValidTaxPercent,
+  parseFeePercents,
+  parseLimitPercent,
+  isValidLimitPair,
+  parseAntiSnipeBlocks,
+  parseAntiSnipeSellFee,
   isValidEthereumAddress,
   sanitizeInput,
 } = require("../utils/validators");
-const { ADDRESSES, PAYMENT, NETWORKS, getNetwork, NETWORK_DISPLAY_NAMES, TEST_MODE, DISABLE_RATE_LIMIT } = require("../config/constants");
+const {
+  PAYMENT,
+  NETWORKS,
+  getNetwork,
+  getPaymentMethod,
+  getEnabledPaymentMethods,
+  PRICING,
+  NETWORK_DISPLAY_NAMES,
+  USER_SIGNING,
+  DEPOSIT_ADDRESSES,
+  TEST_MODE,
+  DISABLE_RATE_LIMIT,
+  FEATURE_LIMITS,
+} = require("../config/constants");
 const {
   startPaymentListener,
-  deployTokenAfterPayment,
+  confirmPaymentByTxHash,
 } = require("./paymentVerification");
+const { requestWalletDeployment, handleWalletDeployInput } = require("./walletDeploy");
+const { notifyAdmins } = require("../utils/admin");
+const { deriveDepositAddress } = require("../utils/depositAddresses");
+const { getTokenDecimals, verifyContractWithFallback } = require("../utils/blockchain");
+const {
+  calculateQuote,
+  getMethodAmount,
+  formatQuote,
+  buildPriceBreakdown,
+} = require("../utils/pricing");
+const { validatePromoCode, reservePromoCode, formatPromoDiscount } = require("../utils/promoCodes");
+const { findReservedMatch } = require("../utils/reservedNames");
+const {
+  getFeeSchedules,
+  setSchedulePercent,
+  totalFees,
+  hasUniformFees,
+  formatFeeSchedules,
+  SCHEDULES,
+} = require("../utils/feeSchedules");
+const { trackOperation } = require("../utils/shutdown");
+
+// Fee prompts: one percentage for every trade, or separate buy / sell / transfer percentages
+const FEE_SCHEDULE_HINT =
+  "Send one number for buys, sells and wallet transfers alike, or three numbers for buy, sell and transfer (e.g. 3 5 0).";
+const NO_FEE = { buy: 0, sell: 0, transfer: 0 };
 
 // Session steps
 const STEPS = {
@@ -34,10 +88,20 @@ const STEPS = {
   WAITING_REFLECTION_PERCENT: "waiting_reflection_percent",
   WAITING_BURN_CHOICE: "waiting_burn_choice",
   WAITING_BURN_PERCENT: "waiting_burn_percent",
+  WAITING_LIMITS_CHOICE: "waiting_limits_choice",
+  WAITING_MAX_TX_PERCENT: "waiting_max_tx_percent",
+  WAITING_MAX_WALLET_PERCENT: "waiting_max_wallet_percent",
+  WAITING_LAUNCH_CHOICE: "waiting_launch_choice",
+  WAITING_ANTI_SNIPE_BLOCKS: "waiting_anti_snipe_blocks",
+  WAITING_ANTI_SNIPE_FEE: "waiting_anti_snipe_fee",
   WAITING_CONFIRMATION: "waiting_confirmation",
+  WAITING_PROMO_CODE: "waiting_promo_code",
+  WAITING_PAYMENT_METHOD: "waiting_payment_method",
   WAITING_PAYER_WALLET: "waiting_payer_wallet",
   WAITING_PAYMENT: "waiting_payment",
   WAITING_OWNER_WALLET: "waiting_owner_wallet",
+  WAITING_DEPLOY_MODE: "waiting_deploy_mode",
+  WAITING_WALLET_DEPLOY: "waiting_wallet_deploy",
 };
 
 /**
@@ -130,6 +194,31 @@ const handleCreateToken = async (bot, msg) => {
   }
 };
 
+/**
+ * Refuse a token name or symbol that imitates a reserved one (unless an admin allowed it)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {string} kind - "name" or "symbol"
+ * @param {string} value - Name or symbol entered by the user
+ * @returns {Promise<boolean>} True if the value was refused
+ */
+const rejectReservedName = async (bot, chatId, userId, kind, value) => {
+  const reserved = await findReservedMatch(value, kind, userId);
+  if (!reserved) {
+    return false;
+  }
+
+  await bot.sendMessage(
+    chatId,
+    `❌ "${value}" is too close to "${reserved}", a reserved token ${kind}. ` +
+    `Please choose another ${kind}.\n\n` +
+    "If you represent this project, contact support with your Telegram ID to get it approved."
+  );
+  await logActivity(userId, "reserved_name_blocked", { kind, value, reserved });
+  return true;
+};
+
 /**
  * Handle text messages during token creation flow
  * @param {object} bot - Telegram bot instance
@@ -167,6 +256,9 @@ const handleTokenCreationFlow = async (bot, msg) => {
         );
         return;
       }
+      if (await rejectReservedName(bot, chatId, user.id, "name", text)) {
+        return;
+      }
       session_data.name = text;
       await saveUserSession(telegramId, STEPS.WAITING_SYMBOL, session_data);
       await bot.sendMessage(chatId, "Token symbol? (e.g., MYT)");
@@ -178,6 +270,9 @@ const handleTokenCreationFlow = async (bot, msg) => {
         );
         return;
       }
+      if (await rejectReservedName(bot, chatId, user.id, "symbol", text.toUpperCase())) {
+        return;
+      }
       session_data.symbol = text.toUpperCase();
       await saveUserSession(telegramId, STEPS.WAITING_SUPPLY, session_data);
       await bot.sendMessage(chatId, "Initial supply? (e.g., 1000000)");
@@ -202,9 +297,9 @@ const handleTokenCreationFlow = async (bot, msg) => {
       const choice = text.toLowerCase();
       if (choice === "yes" || choice === "y") {
         await saveUserSession(telegramId, STEPS.WAITING_TAX_PERCENT, session_data);
-        await bot.sendMessage(chatId, "Tax percentage? (0-100)");
+        await bot.sendMessage(chatId, `Tax percentage? (0-100)\n\n${FEE_SCHEDULE_HINT}`);
       } else if (choice === "no" || choice === "n") {
-        session_data.taxPercent = 0;
+        setSchedulePercent(session_data, "taxPercent", NO_FEE);
         session_data.taxWallet = null;
         // NEW: Continue to reflection choice instead of going to preview
         await saveUserSession(telegramId, STEPS.WAITING_REFLECTION_CHOICE, session_data);
@@ -219,14 +314,15 @@ const handleTokenCreationFlow = async (bot, msg) => {
         await bot.sendMessage(chatId, "Please answer Yes or No.");
       }
     } else if (step === STEPS.WAITING_TAX_PERCENT) {
-      if (!isValidTaxPercent(text)) {
+      const percents = parseFeePercents(text);
+      if (!percents) {
         await bot.sendMessage(
           chatId,
-          "❌ Tax must be between 0 and 100."
+          "❌ Tax must be one number, or three numbers (buy sell transfer), between 0 and 100."
         );
         return;
       }
-      session_data.taxPercent = parseInt(text, 10);
+      setSchedulePercent(session_data, "taxPercent", percents);
       await saveUserSession(telegramId, STEPS.WAITING_TAX_WALLET, session_data);
       await bot.sendMessage(
         chatId,
@@ -251,10 +347,10 @@ const handleTokenCreationFlow = async (bot, msg) => {
       const choice = text.toLowerCase();
       if (choice === "yes" || choice === "y" || choice === "✅ yes") {
         await saveUserSession(telegramId, STEPS.WAITING_REFLECTION_PERCENT, session_data);
-        await bot.sendMessage(chatId, '📊 What reflection percentage? (0-100%)');
+        await bot.sendMessage(chatId, `📊 What reflection percentage? (0-100%)\n\n${FEE_SCHEDULE_HINT}`);
       } else if (choice === "no" || choice === "n" || choice === "❌ no") {
         session_data.enableReflection = false;
-        session_data.reflectionPercent = 0;
+        setSchedulePercent(session_data, "reflectionPercent", NO_FEE);
         await saveUserSession(telegramId, STEPS.WAITING_BURN_CHOICE, session_data);
         await bot.sendMessage(
           chatId,
@@ -271,15 +367,19 @@ const handleTokenCreationFlow = async (bot, msg) => {
         await bot.sendMessage(chatId, "Please answer Yes or No.");
       }
     } else if (step === STEPS.WAITING_REFLECTION_PERCENT) {
-      const reflectionPercent = parseInt(text);
+      const percents = parseFeePercents(text);
       
-      if (isNaN(reflectionPercent) || reflectionPercent < 0 || reflectionPercent > 100) {
-        await bot.sendMessage(chatId, '❌ Reflection must be a number between 0 and 100');
+      if (!percents) {
+        await bot.sendMessage(chatId, '❌ Reflection must be one number, or three numbers (buy sell transfer), between 0 and 100');
         return;
       }
       
-      session_data.reflectionPercent = reflectionPercent;
+      setSchedulePercent(session_data, "reflectionPercent", percents);
       session_data.enableReflection = true;
+
+      if (await reportExceededFees(bot, chatId, session_data, "Send the reflection percentage again.")) {
+        return;
+      }
       await saveUserSession(telegramId, STEPS.WAITING_BURN_CHOICE, session_data);
       await bot.sendMessage(
         chatId,
@@ -296,46 +396,162 @@ const handleTokenCreationFlow = async (bot, msg) => {
       const choice = text.toLowerCase();
       if (choice === "yes" || choice === "y" || choice === "✅ yes") {
         await saveUserSession(telegramId, STEPS.WAITING_BURN_PERCENT, session_data);
-        await bot.sendMessage(chatId, '🔥 What burn percentage? (0-100%)');
+        await bot.sendMessage(chatId, `🔥 What burn percentage? (0-100%)\n\n${FEE_SCHEDULE_HINT}`);
       } else if (choice === "no" || choice === "n" || choice === "❌ no") {
         session_data.enableBurn = false;
-        session_data.burnPercent = 0;
-        await showPreview(bot, chatId, telegramId, session_data);
+        setSchedulePercent(session_data, "burnPercent", NO_FEE);
+
+        if (await reportExceededFees(bot, chatId, session_data, "Send the reflection percentage again.")) {
+          await saveUserSession(telegramId, STEPS.WAITING_REFLECTION_PERCENT, session_data);
+          return;
+        }
+        await askLimitsChoice(bot, chatId, telegramId, session_data);
       } else {
         await bot.sendMessage(chatId, "Please answer Yes or No.");
       }
     } else if (step === STEPS.WAITING_BURN_PERCENT) {
-      const burnPercent = parseInt(text);
+      const percents = parseFeePercents(text);
       
-      if (isNaN(burnPercent) || burnPercent < 0 || burnPercent > 100) {
-        await bot.sendMessage(chatId, '❌ Burn must be a number between 0 and 100');
+      if (!percents) {
+        await bot.sendMessage(chatId, '❌ Burn must be one number, or three numbers (buy sell transfer), between 0 and 100');
         return;
       }
       
-      session_data.burnPercent = burnPercent;
+      setSchedulePercent(session_data, "burnPercent", percents);
       session_data.enableBurn = true;
-      
-      // NEW: Validate total fees
-      const totalFees = (session_data.taxPercent || 0) + 
-                        (session_data.reflectionPercent || 0) + 
-                        (burnPercent || 0);
-      
-      if (totalFees > 100) {
+
+      if (await reportExceededFees(bot, chatId, session_data, "Send the burn percentage again.")) {
+        return;
+      }
+
+      await askLimitsChoice(bot, chatId, telegramId, session_data);
+    } else if (step === STEPS.WAITING_LIMITS_CHOICE) {
+      const choice = text.toLowerCase();
+      if (choice === "yes" || choice === "y" || choice === "✅ yes") {
+        await saveUserSession(telegramId, STEPS.WAITING_MAX_TX_PERCENT, session_data);
         await bot.sendMessage(
           chatId,
-          `❌ Error: Total fees (${totalFees}%) exceed 100%\n\n` +
-          `Tax: ${session_data.taxPercent || 0}%\n` +
-          `Reflection: ${session_data.reflectionPercent || 0}%\n` +
-          `Burn: ${burnPercent}%\n\n` +
-          `Please reduce one or more percentages.`
+          `📏 Max transaction in % of supply? (${FEATURE_LIMITS.MIN_MAX_TRANSACTION}-${FEATURE_LIMITS.MAX_LIMIT}%, e.g. 1 or 0.5)\n\n` +
+          "No transfer can move more than this. Send 0 for no limit."
+        );
+      } else if (choice === "no" || choice === "n" || choice === "❌ no") {
+        session_data.maxTransactionPercent = 0;
+        session_data.maxWalletPercent = 0;
+        await askLaunchChoice(bot, chatId, telegramId, session_data);
+      } else {
+        await bot.sendMessage(chatId, "Please answer Yes or No.");
+      }
+    } else if (step === STEPS.WAITING_MAX_TX_PERCENT) {
+      const percent = parseLimitPercent(text, "maxTransaction");
+      if (percent === null) {
+        await bot.sendMessage(
+          chatId,
+          `❌ Max transaction must be between ${FEATURE_LIMITS.MIN_MAX_TRANSACTION}% and ${FEATURE_LIMITS.MAX_LIMIT}% ` +
+          "(up to two decimals), or 0 for no limit."
         );
-        await saveUserSession(telegramId, STEPS.WAITING_BURN_PERCENT, session_data);
         return;
       }
-      
+      session_data.maxTransactionPercent = percent;
+      await saveUserSession(telegramId, STEPS.WAITING_MAX_WALLET_PERCENT, session_data);
+      await bot.sendMessage(
+        chatId,
+        `👛 Max wallet in % of supply? (${FEATURE_LIMITS.MIN_MAX_WALLET}-${FEATURE_LIMITS.MAX_LIMIT}%, e.g. 2)\n\n` +
+        "No wallet can hold more than this (DEX pairs excepted). Send 0 for no limit."
+      );
+    } else if (step === STEPS.WAITING_MAX_WALLET_PERCENT) {
+      const percent = parseLimitPercent(text, "maxWallet");
+      if (percent === null) {
+        await bot.sendMessage(
+          chatId,
+          `❌ Max wallet must be between ${FEATURE_LIMITS.MIN_MAX_WALLET}% and ${FEATURE_LIMITS.MAX_LIMIT}% ` +
+          "(up to two decimals), or 0 for no limit."
+        );
+        return;
+      }
+      if (!isValidLimitPair(session_data.maxTransactionPercent, percent)) {
+        await bot.sendMessage(
+          chatId,
+          `❌ Max wallet cannot be below the max transaction (${session_data.maxTransactionPercent}%).`
+        );
+        return;
+      }
+      session_data.maxWalletPercent = percent;
+      await askLaunchChoice(bot, chatId, telegramId, session_data);
+    } else if (step === STEPS.WAITING_LAUNCH_CHOICE) {
+      if (text.includes("later")) {
+        session_data.manualLaunch = true;
+        await saveUserSession(telegramId, STEPS.WAITING_ANTI_SNIPE_BLOCKS, session_data);
+        await bot.sendMessage(
+          chatId,
+          `🎯 Anti-snipe window: for how many blocks after you enable trading should sells pay an extra fee? ` +
+          `(0-${FEATURE_LIMITS.MAX_ANTI_SNIPE_BLOCKS}, 0 for none)`
+        );
+      } else if (text.includes("at once")) {
+        session_data.manualLaunch = false;
+        session_data.antiSnipeBlocks = 0;
+        session_data.antiSnipeSellFee = 0;
+        await showPreview(bot, chatId, telegramId, session_data);
+      } else {
+        await bot.sendMessage(chatId, "Please choose one of the launch options.");
+      }
+    } else if (step === STEPS.WAITING_ANTI_SNIPE_BLOCKS) {
+      const blocks = parseAntiSnipeBlocks(text);
+      if (blocks === null) {
+        await bot.sendMessage(chatId, `❌ The window must be a whole number of blocks from 0 to ${FEATURE_LIMITS.MAX_ANTI_SNIPE_BLOCKS}.`);
+        return;
+      }
+      session_data.antiSnipeBlocks = blocks;
+      if (blocks === 0) {
+        session_data.antiSnipeSellFee = 0;
+        await showPreview(bot, chatId, telegramId, session_data);
+        return;
+      }
+      await saveUserSession(telegramId, STEPS.WAITING_ANTI_SNIPE_FEE, session_data);
+      await bot.sendMessage(
+        chatId,
+        `💸 Extra sell fee during those ${blocks} blocks? (1-${FEATURE_LIMITS.MAX_ANTI_SNIPE_SELL_FEE}%)\n\n` +
+        "It is burned and comes on top of the normal sell fees."
+      );
+    } else if (step === STEPS.WAITING_ANTI_SNIPE_FEE) {
+      const fee = parseAntiSnipeSellFee(text);
+      if (!fee) {
+        await bot.sendMessage(chatId, `❌ The anti-snipe sell fee must be a whole percent from 1 to ${FEATURE_LIMITS.MAX_ANTI_SNIPE_SELL_FEE}.`);
+        return;
+      }
+      session_data.antiSnipeSellFee = fee;
       await showPreview(bot, chatId, telegramId, session_data);
     } else if (step === STEPS.WAITING_CONFIRMATION) {
-      if (text.toLowerCase() === "confirm" || text === "✅ Confirm") {
+      const addonKey = Object.keys(PRICING.ADDONS).find((key) => text.includes(PRICING.ADDONS[key].name));
+
+      if (addonKey) {
+        // Toggle the add-on and show the updated quote
+        session_data.addons = { ...session_data.addons, [addonKey]: !(session_data.addons || {})[addonKey] };
+        await showPreview(bot, chatId, telegramId, session_data);
+      } else if (text === "🎟 Enter promo code") {
+        await saveUserSession(telegramId, STEPS.WAITING_PROMO_CODE, session_data);
+        await bot.sendMessage(chatId, "🎟 Send your promo code:", {
+          reply_markup: {
+            keyboard: [[{ text: "⬅️ Back" }]],
+            resize_keyboard: true,
+            one_time_keyboard: true,
+          },
+        });
+      } else if (text === "🗑 Remove promo code") {
+        delete session_data.promo;
+        await showPreview(bot, chatId, telegramId, session_data);
+      } else if (text.toLowerCase() === "confirm" || text === "✅ Confirm") {
+        // The code may have been used up since it was entered
+        if (session_data.promo && !TEST_MODE) {
+          const check = await validatePromoCode(session_data.promo.code, user.id);
+          if (!check.valid) {
+            delete session_data.promo;
+            await bot.sendMessage(chatId, `❌ Promo code removed: ${check.reason}`);
+            await showPreview(bot, chatId, telegramId, session_data);
+            return;
+          }
+          session_data.promo = check.promo;
+        }
+
         if (TEST_MODE) {
           // Skip payment in test mode - go directly to owner wallet
           const network = getNetwork(session_data.network || "alvey");
@@ -344,12 +560,24 @@ const handleTokenCreationFlow = async (bot, msg) => {
             `🧪 TEST MODE: Skipping payment verification.\n\nPlease send your ${network.name.toUpperCase()} wallet address to receive token ownership.`
           );
           await saveUserSession(telegramId, STEPS.WAITING_OWNER_WALLET, session_data);
-        } else {
-          await saveUserSession(telegramId, STEPS.WAITING_PAYER_WALLET, session_data);
+        } else if (calculateQuote(session_data).total <= 0) {
+          // Nothing to pay for this configuration (e.g. a 100% promo code)
+          const network = getNetwork(session_data.network || "alvey");
+          const redeemed = await redeemPromoCode(user.id, null, session_data);
+          if (!redeemed.valid) {
+            delete session_data.promo;
+            await bot.sendMessage(chatId, `❌ Promo code removed: ${redeemed.reason}`);
+            await showPreview(bot, chatId, telegramId, session_data);
+            return;
+          }
+          session_data.freeOrder = true;
           await bot.sendMessage(
             chatId,
-            "Which wallet will you send payment from? (BSC address)"
+            `🎁 No payment required.\n\nPlease send your ${network.name.toUpperCase()} wallet address to receive token ownership.`
           );
+          await saveUserSession(telegramId, STEPS.WAITING_OWNER_WALLET, session_data);
+        } else {
+          await requestPaymentMethod(bot, chatId, telegramId, user.id, session_data);
         }
       } else if (text.toLowerCase() === "cancel" || text === "❌ Cancel") {
         await deleteUserSession(telegramId);
@@ -357,7 +585,33 @@ const handleTokenCreationFlow = async (bot, msg) => {
       } else {
         await bot.sendMessage(chatId, "Please use the buttons to confirm or cancel.");
       }
+    } else if (step === STEPS.WAITING_PROMO_CODE) {
+      if (text === "⬅️ Back") {
+        await showPreview(bot, chatId, telegramId, session_data);
+        return;
+      }
+
+      const check = await validatePromoCode(text, user.id);
+      if (!check.valid) {
+        await bot.sendMessage(chatId, `❌ ${check.reason}. Try another code or tap ⬅️ Back.`);
+        return;
+      }
+
+      session_data.promo = check.promo;
+      await bot.sendMessage(
+        chatId,
+        `✅ Promo code ${check.promo.code} applied: ${formatPromoDiscount(check.promo, PRICING.CURRENCY)} off`
+      );
+      await showPreview(bot, chatId, telegramId, session_data);
+    } else if (step === STEPS.WAITING_PAYMENT_METHOD) {
+      await bot.sendMessage(chatId, "Please choose a payment method using the buttons above.");
     } else if (step === STEPS.WAITING_PAYER_WALLET) {
+      if (text === "⏭ Skip" || text.toLowerCase() === "skip") {
+        // Match this payment on a unique amount instead of the payer wallet
+        session_data.payerWallet = null;
+        await handlePaymentRequest(bot, chatId, telegramId, user.id, session_data);
+        return;
+      }
       if (!isValidEthereumAddress(text)) {
         await bot.sendMessage(chatId, "❌ Invalid address");
         return;
@@ -365,11 +619,30 @@ const handleTokenCreationFlow = async (bot, msg) => {
       session_data.payerWallet = text;
       await handlePaymentRequest(bot, chatId, telegramId, user.id, session_data);
     } else if (step === STEPS.WAITING_PAYMENT) {
-      if (text === "✅ Already sent" || text.toLowerCase().includes("sent")) {
-        // Payment listener is already running, just acknowledge
+      if (/^0x[a-fA-F0-9]{64}$/.test(text)) {
+        // User pasted the payment transaction hash
+        await bot.sendMessage(chatId, "🔍 Checking your transaction...");
+        const result = await confirmPaymentByTxHash(
+          bot,
+          session_data.paymentId,
+          text,
+          telegramId,
+          chatId
+        );
+        if (!result.confirmed && !result.partial) {
+          await bot.sendMessage(chatId, `❌ ${result.reason}`);
+        }
+      } else if (text === "✅ Already sent" || text.toLowerCase().includes("sent")) {
+        // The watcher keeps checking; offer the manual path for older or missed transfers
         await bot.sendMessage(
           chatId,
-          "⏳ Checking for your payment... Please wait."
+          "⏳ Checking for your payment... Please wait.\n\n" +
+          "If it is not confirmed within a few minutes, paste your payment transaction hash (0x...) here."
+        );
+      } else {
+        await bot.sendMessage(
+          chatId,
+          "⏳ Waiting for your payment. Paste the transaction hash (0x...) if you already sent it."
         );
       }
     } else if (step === STEPS.WAITING_OWNER_WALLET) {
@@ -377,7 +650,20 @@ const handleTokenCreationFlow = async (bot, msg) => {
         await bot.sendMessage(chatId, "❌ Invalid Alvey Chain address");
         return;
       }
+      if (USER_SIGNING.DEPLOY_ENABLED) {
+        await requestDeployMode(bot, chatId, telegramId, session_data, text);
+        return;
+      }
       await handleTokenDeployment(bot, chatId, telegramId, user.id, session_data, text);
+    } else if (step === STEPS.WAITING_DEPLOY_MODE || step === STEPS.WAITING_WALLET_DEPLOY) {
+      if (isValidEthereumAddress(text)) {
+        // Sending an owner wallet again restarts the deployment choice
+        await requestDeployMode(bot, chatId, telegramId, session_data, text);
+      } else if (step === STEPS.WAITING_WALLET_DEPLOY) {
+        await handleWalletDeployInput(bot, chatId, telegramId, user.id, session_data, text);
+      } else {
+        await bot.sendMessage(chatId, "Please choose how to deploy using the buttons above.");
+      }
     }
   } catch (error) {
     console.error("Error in handleTokenCreationFlow:", error);
@@ -385,6 +671,81 @@ const handleTokenCreationFlow = async (bot, msg) => {
   }
 };
 
+/**
+ * Tell the user when the fees of a schedule add up to more than 100% (the token constructor would revert)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {object} sessionData - Session data with the fees entered so far
+ * @param {string} retryPrompt - What to send next
+ * @returns {Promise<boolean>} True if a schedule exceeds 100%
+ */
+const reportExceededFees = async (bot, chatId, sessionData, retryPrompt) => {
+  const schedules = getFeeSchedules(sessionData);
+  const exceeded = SCHEDULES.find(({ key }) => totalFees(schedules[key]) > 100);
+  if (!exceeded) {
+    return false;
+  }
+
+  const schedule = schedules[exceeded.key];
+  await bot.sendMessage(
+    chatId,
+    `❌ Error: Total ${exceeded.label.toLowerCase()} fees (${totalFees(schedule)}%) exceed 100%\n\n` +
+    `Tax: ${schedule.taxPercent}%\n` +
+    `Reflection: ${schedule.reflectionPercent}%\n` +
+    `Burn: ${schedule.burnPercent}%\n\n` +
+    `Please reduce one or more percentages. ${retryPrompt}`
+  );
+  return true;
+};
+
+/**
+ * Ask whether to add anti-whale limits (the step after the fees)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} sessionData - Session data
+ */
+const askLimitsChoice = async (bot, chatId, telegramId, sessionData) => {
+  await saveUserSession(telegramId, STEPS.WAITING_LIMITS_CHOICE, sessionData);
+  await bot.sendMessage(
+    chatId,
+    "🐋 Add anti-whale limits?\n\nCap how much one transfer can move and one wallet can hold. " +
+    "After launch you can only raise or remove them, never tighten them.",
+    {
+      reply_markup: {
+        keyboard: [[{ text: "✅ Yes" }, { text: "❌ No" }]],
+        resize_keyboard: true,
+        one_time_keyboard: true,
+      },
+    }
+  );
+};
+
+/**
+ * Ask when trading should start (the step after the anti-whale limits)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} sessionData - Session data
+ */
+const askLaunchChoice = async (bot, chatId, telegramId, sessionData) => {
+  await saveUserSession(telegramId, STEPS.WAITING_LAUNCH_CHOICE, sessionData);
+  await bot.sendMessage(
+    chatId,
+    "🚀 When should trading start?\n\n" +
+    "At once: buys and sells work as soon as liquidity is added.\n" +
+    "Later: buys and sells stay closed until you tap Enable Trading (Manage Token), " +
+    "so you can add liquidity before snipers can buy. This cannot be undone once enabled.",
+    {
+      reply_markup: {
+        keyboard: [[{ text: "🚀 Trade at once" }, { text: "⏸ Enable trading later" }]],
+        resize_keyboard: true,
+        one_time_keyboard: true,
+      },
+    }
+  );
+};
+
 /**
  * Show token preview
  * @param {object} bot - Telegram bot instance
@@ -393,14 +754,32 @@ const handleTokenCreationFlow = async (bot, msg) => {
  * @param {object} sessionData - Session data
  */
 const showPreview = async (bot, chatId, telegramId, sessionData) => {
-  const paymentInfo = TEST_MODE 
-    ? "🧪 TEST MODE: Payment verification skipped"
-    : `Payment: ${PAYMENT.AMOUNT_USDT} USDT (BSC)`;
+  const quote = calculateQuote(sessionData);
+  const methodPrices = getEnabledPaymentMethods()
+    .map((method) => `${getMethodAmount(quote, method)} ${method.currency} (${getNetwork(method.network).name})`)
+    .join(" or ");
+
+  let paymentInfo = `💵 Price:\n${formatQuote(quote)}`;
+  if (TEST_MODE) {
+    paymentInfo += "\n\n🧪 TEST MODE: Payment verification skipped";
+  } else if (quote.total > 0) {
+    paymentInfo += `\n\nPayment: ${methodPrices}`;
+  }
+
+  // Add-on toggles (price shown on the button)
+  const addonButtons = Object.entries(PRICING.ADDONS).map(([key, addon]) => ({
+    text: `${(sessionData.addons || {})[key] ? "✅" : "➕"} ${addon.name} (+${addon.price} ${PRICING.CURRENCY})`,
+  }));
   
-  // NEW: Calculate total fees
-  const totalFees = (sessionData.taxPercent || 0) + 
-                    (sessionData.reflectionPercent || 0) + 
-                    (sessionData.burnPercent || 0);
+  // NEW: Calculate total fees (one line per schedule when buys and sells differ)
+  const schedules = getFeeSchedules(sessionData);
+  const feeSummary = hasUniformFees(schedules)
+    ? `✨ REFLECTION: ${sessionData.reflectionPercent || 0}%
+🔥 BURN: ${sessionData.burnPercent || 0}%
+
+💾 Total Fees: ${totalFees(schedules.transfer)}%`
+    : `💾 Fees (buy / sell / transfer):
+${formatFeeSchedules(schedules)}`;
   
   // NEW: Get network info
   const network = getNetwork(sessionData.network || "alvey");
@@ -413,12 +792,12 @@ const showPreview = async (bot, chatId, telegramId, sessionData) => {
 🏷️ Symbol: ${sessionData.symbol}
 📊 Supply: ${parseInt(sessionData.initialSupply).toLocaleString()}
 
-💰 TAX: ${sessionData.taxPercent || 0}%
+💰 TAX: ${formatTaxPercents(schedules)}
 ${sessionData.taxWallet ? `Tax Wallet: ${sessionData.taxWallet}` : ""}
-✨ REFLECTION: ${sessionData.reflectionPercent || 0}%
-🔥 BURN: ${sessionData.burnPercent || 0}%
+${feeSummary}
 
-💾 Total Fees: ${totalFees}%
+🐋 Limits: ${formatLimits(sessionData)}
+🚀 Launch: ${formatLaunch(sessionData)}
 
 ${paymentInfo}
 
@@ -428,13 +807,236 @@ ${paymentInfo}
   await saveUserSession(telegramId, STEPS.WAITING_CONFIRMATION, sessionData);
   await bot.sendMessage(chatId, preview, {
     reply_markup: {
-      keyboard: [[{ text: "✅ Confirm" }, { text: "❌ Cancel" }]],
+      keyboard: [
+        ...addonButtons.map((button) => [button]),
+        [{ text: sessionData.promo ? "🗑 Remove promo code" : "🎟 Enter promo code" }],
+        [{ text: "✅ Confirm" }, { text: "❌ Cancel" }],
+      ],
       resize_keyboard: true,
       one_time_keyboard: true,
     },
   });
 };
 
+/**
+ * Ask the user how they want to pay (skipped when only one method is enabled)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ * @param {object} sessionData - Session data
+ */
+const requestPaymentMethod = async (bot, chatId, telegramId, userId, sessionData) => {
+  const methods = getEnabledPaymentMethods();
+  const quote = calculateQuote(sessionData);
+
+  if (methods.length === 0) {
+    await bot.sendMessage(chatId, "❌ Payments are not configured. Please contact support.");
+    return;
+  }
+
+  if (methods.length === 1) {
+    sessionData.paymentMethod = methods[0].key;
+    await requestPayerWallet(bot, chatId, telegramId, userId, sessionData);
+    return;
+  }
+
+  await saveUserSession(telegramId, STEPS.WAITING_PAYMENT_METHOD, sessionData);
+  await bot.sendMessage(chatId, "💳 <b>Select Payment Method</b>", {
+    parse_mode: "HTML",
+    reply_markup: {
+      inline_keyboard: methods.map((method) => [
+        {
+          text: `${method.name} - ${getMethodAmount(quote, method)} ${method.currency}`,
+          callback_data: `paymethod_${method.key}`,
+        },
+      ]),
+    },
+  });
+};
+
+/**
+ * Handle payment method selection callback
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handlePaymentMethodSelection = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const methodKey = query.data.replace("paymethod_", "");
+
+  try {
+    const session = await getUserSession(telegramId);
+    if (!session || session.step !== STEPS.WAITING_PAYMENT_METHOD) {
+      await bot.answerCallbackQuery(query.id, { text: "This selection has expired", show_alert: true });
+      return;
+    }
+
+    const method = getEnabledPaymentMethods().find((m) => m.key === methodKey);
+    if (!method) {
+      await bot.answerCallbackQuery(query.id, { text: "Payment method not available", show_alert: true });
+      return;
+    }
+
+    const user = await getUser(telegramId);
+    session.session_data.paymentMethod = method.key;
+
+    await bot.editMessageText(`✅ Payment method: <b>${method.name}</b>`, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: "HTML",
+    });
+    await bot.answerCallbackQuery(query.id);
+
+    await requestPayerWallet(bot, chatId, telegramId, user.id, session.session_data);
+  } catch (error) {
+    console.error("Error in handlePaymentMethodSelection:", error);
+    await bot.answerCallbackQuery(query.id, { text: "Error selecting payment method", show_alert: true });
+  }
+};
+
+/**
+ * Ask for the payer wallet, or go straight to payment when matching by amount or deposit address
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ * @param {object} sessionData - Session data
+ */
+const requestPayerWallet = async (bot, chatId, telegramId, userId, sessionData) => {
+  if (PAYMENT.MATCH_BY_AMOUNT || DEPOSIT_ADDRESSES.ENABLED) {
+    // Pay-by-unique-amount or per-payment deposit address: no payer wallet needed
+    sessionData.payerWallet = null;
+    await handlePaymentRequest(bot, chatId, telegramId, userId, sessionData);
+    return;
+  }
+
+  const method = getPaymentMethod(sessionData.paymentMethod);
+  const network = getNetwork(method.network);
+
+  await saveUserSession(telegramId, STEPS.WAITING_PAYER_WALLET, sessionData);
+  await bot.sendMessage(
+    chatId,
+    `Which wallet will you send payment from? (${network.name} address)\n\n` +
+    "Paying from an exchange or smart wallet? Tap ⏭ Skip and you will get a unique amount to send instead.",
+    {
+      reply_markup: {
+        keyboard: [[{ text: "⏭ Skip" }]],
+        resize_keyboard: true,
+        one_time_keyboard: true,
+      },
+    }
+  );
+};
+
+/**
+ * Generate a unique payment amount (base price plus a small per-order offset)
+ * @param {number} baseAmount - Base price
+ * @param {number} tokenDecimals - Decimals of the payment currency
+ * @returns {string} Amount with up to PAYMENT.UNIQUE_AMOUNT_DECIMALS decimals (e.g. "20.000137")
+ */
+const generateUniqueAmount = (baseAmount, tokenDecimals) => {
+  const decimals = Math.min(PAYMENT.UNIQUE_AMOUNT_DECIMALS, tokenDecimals);
+  const offset = 1 + Math.floor(Math.random() * PAYMENT.UNIQUE_AMOUNT_MAX_OFFSET);
+  const units = ethers.parseUnits(Number(baseAmount).toFixed(decimals), decimals) + BigInt(offset);
+  return ethers.formatUnits(units, decimals);
+};
+
+/**
+ * Save a pending payment with its own deposit address, or reserve a unique amount when
+ * no payer wallet is known
+ * The unique deposit_index and uniq_pending_amount indexes reject collisions, so retry
+ * @param {number} userId - User ID
+ * @param {string} paymentId - Payment ID
+ * @param {object} paymentData - Payment data (amount is the base price)
+ * @param {number} tokenDecimals - Decimals of the payment currency
+ * @returns {Promise<object>} { amount: amount the user must send, depositAddress: address or null }
+ */
+const savePendingPayment = async (userId, paymentId, paymentData, tokenDecimals) => {
+  if (DEPOSIT_ADDRESSES.ENABLED) {
+    return saveDepositPayment(userId, paymentId, paymentData);
+  }
+
+  if (paymentData.payer_wallet) {
+    await savePayment(userId, paymentId, paymentData);
+    return { amount: String(paymentData.amount), depositAddress: null };
+  }
+
+  const maxAttempts = 10;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const amount = generateUniqueAmount(paymentData.amount, tokenDecimals);
+    try {
+      await savePayment(userId, paymentId, { ...paymentData, amount });
+      return { amount, depositAddress: null };
+    } catch (error) {
+      if (error.code !== "ER_DUP_ENTRY" || attempt === maxAttempts) {
+        throw error;
+      }
+      // Amount already reserved by another pending payment - try another offset
+    }
+  }
+};
+
+/**
+ * Save a pending payment on the next free deposit address index
+ * The address alone identifies the order, so the plain price is charged
+ * @param {number} userId - User ID
+ * @param {string} paymentId - Payment ID
+ * @param {object} paymentData - Payment data
+ * @returns {Promise<object>} { amount, depositAddress }
+ */
+const saveDepositPayment = async (userId, paymentId, paymentData) => {
+  const maxAttempts = 10;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const depositIndex = await getNextDepositIndex();
+    const depositAddress = deriveDepositAddress(depositIndex);
+    try {
+      await savePayment(userId, paymentId, {
+        ...paymentData,
+        payer_wallet: null,
+        deposit_index: depositIndex,
+        deposit_address: depositAddress,
+      });
+      return { amount: String(paymentData.amount), depositAddress };
+    } catch (error) {
+      if (error.code !== "ER_DUP_ENTRY" || attempt === maxAttempts) {
+        throw error;
+      }
+      // Index taken by a payment created at the same time - take the next one
+    }
+  }
+};
+
+/**
+ * Take a use of the order's promo code (if any) for its payment
+ * A free order holds its use for PAYMENT.TIMEOUT, extended while its token is deployed
+ * @param {number} userId - User ID
+ * @param {string|null} paymentId - Payment ID (null for free orders)
+ * @param {object} sessionData - Session data (promoUseId is set on it)
+ * @returns {Promise<object>} { valid, reason? } - invalid when the code was used up meanwhile
+ */
+const redeemPromoCode = async (userId, paymentId, sessionData) => {
+  if (!sessionData.promo) {
+    return { valid: true };
+  }
+
+  const quote = calculateQuote(sessionData);
+  const holdSeconds = paymentId ? null : Math.round(PAYMENT.TIMEOUT / 1000);
+  const reserved = await reservePromoCode(sessionData.promo, userId, paymentId, quote.discount, holdSeconds);
+  if (!reserved.valid) {
+    return reserved;
+  }
+
+  sessionData.promoUseId = reserved.useId;
+  await logActivity(userId, "promo_code_redeemed", {
+    code: sessionData.promo.code,
+    payment_id: paymentId,
+    discount: quote.discount,
+    free_order: quote.total <= 0,
+  });
+  return reserved;
+};
+
 /**
  * Handle payment request
  * @param {object} bot - Telegram bot instance
@@ -451,29 +1053,54 @@ const handlePaymentRequest = async (
   sessionData
 ) => {
   const paymentId = generatePaymentId();
+  const method = getPaymentMethod(sessionData.paymentMethod);
+  const network = getNetwork(method.network);
+  const tokenDecimals = await getTokenDecimals(method.token, method.network);
+  const quote = calculateQuote(sessionData);
 
   // Save payment to DB
-  await savePayment(userId, paymentId, {
-    amount: PAYMENT.AMOUNT_USDT,
-    currency: "USDT",
-    payer_wallet: sessionData.payerWallet,
+  const { amount, depositAddress } = await savePendingPayment(userId, paymentId, {
+    amount: getMethodAmount(quote, method),
+    currency: method.currency,
+    payment_method: method.key,
+    price_breakdown: buildPriceBreakdown(quote, method),
+    payer_wallet: sessionData.payerWallet || null,
     status: "pending",
-  });
+    chat_id: chatId,
+  }, tokenDecimals);
+
+  const redeemed = await redeemPromoCode(userId, paymentId, sessionData);
+  if (!redeemed.valid) {
+    // Used up by another checkout since it was checked: drop this payment before it is shown
+    await updatePaymentStatus(paymentId, "failed");
+    delete sessionData.promo;
+    await bot.sendMessage(chatId, `❌ Promo code removed: ${redeemed.reason}`);
+    await showPreview(bot, chatId, telegramId, sessionData);
+    return;
+  }
 
   sessionData.paymentId = paymentId;
+  sessionData.paymentAmount = amount;
   await saveUserSession(telegramId, STEPS.WAITING_PAYMENT, sessionData);
 
+  let senderInfo = `⚠️ Send this *exact* amount - the decimals identify your order. Any wallet or exchange can be used.`;
+  if (depositAddress) {
+    senderInfo = "🔑 This address is unique to this order. Any wallet or exchange can be used - do not reuse it for other orders.";
+  } else if (sessionData.payerWallet) {
+    senderInfo = `From your wallet: \`${sessionData.payerWallet}\``;
+  }
+
   const paymentMessage = `
 💳 Payment Instructions:
 
-Send exactly ${PAYMENT.AMOUNT_USDT} USDT to:
-\`${ADDRESSES.PAYMENT_WALLET_BSC}\`
+Send exactly ${amount} ${method.currency} on ${network.name} to:
+\`${depositAddress || method.wallet}\`
 
-From your wallet: \`${sessionData.payerWallet}\`
+${senderInfo}
 
 Payment ID: \`${paymentId}\`
 
-⏱️ You have 15 minutes to complete the payment.
+⏱️ You have ${Math.round(PAYMENT.TIMEOUT / 60000)} minutes to complete the payment.
 `;
 
   await bot.sendMessage(chatId, paymentMessage, {
@@ -484,34 +1111,36 @@ Payment ID: \`${paymentId}\`
     },
   });
 
-  // Start payment listener
-  await startPaymentListener(
-    bot,
-    sessionData.payerWallet,
-    paymentId,
-    userId,
-    chatId,
-    telegramId,
-    {
-      name: sessionData.name,
-      symbol: sessionData.symbol,
-      initialSupply: sessionData.initialSupply,
-      taxPercent: sessionData.taxPercent || 0,
-      taxWallet: sessionData.taxWallet || null,
-    }
-  );
+  // Start payment listener (payment is persisted, so it survives restarts)
+  await startPaymentListener(bot, paymentId);
 };
 
 /**
  * Handle token deployment after payment confirmation
+ * Tracked as a running operation, so a shutdown waits for it to finish
  * @param {object} bot - Telegram bot instance
  * @param {number} chatId - Chat ID
  * @param {number} telegramId - Telegram user ID
  * @param {number} userId - User ID
  * @param {object} sessionData - Session data
  * @param {string} ownerWallet - Owner wallet address
+ * @returns {Promise<void>}
  */
-const handleTokenDeployment = async (
+const handleTokenDeployment = (bot, chatId, telegramId, userId, sessionData, ownerWallet) =>
+  trackOperation(`deployment for user ${userId}`, () =>
+    runTokenDeployment(bot, chatId, telegramId, userId, sessionData, ownerWallet)
+  );
+
+/**
+ * Queue a paid token for deployment (see handleTokenDeployment)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ * @param {object} sessionData - Session data
+ * @param {string} ownerWallet - Owner wallet address
+ */
+const runTokenDeployment = async (
   bot,
   chatId,
   telegramId,
@@ -520,44 +1149,322 @@ const handleTokenDeployment = async (
   ownerWallet
 ) => {
   try {
-    // In test mode, skip payment verification
-    if (!TEST_MODE) {
-      // Verify payment is confirmed
-      const payment = await getPayment(sessionData.paymentId);
-      if (!payment || payment.status !== "confirmed") {
-        await bot.sendMessage(
-          chatId,
-          "❌ Payment not verified yet. Please wait..."
-        );
-        return;
-      }
+    if (!(await isOrderDeployable(bot, chatId, sessionData))) {
+      return;
     }
 
-    // NEW: Get network info
-    const network = getNetwork(sessionData.network || "alvey");
+    // The deployment worker sends it, retries with backoff and reports progress in this chat
+    const { enqueueDeployment } = require("./deploymentQueue");
+    await enqueueDeployment(bot, {
+      userId,
+      telegramId,
+      chatId,
+      paymentId: sessionData.paymentId,
+      promoUseId: sessionData.promoUseId,
+      tokenParams: getTokenParams(sessionData),
+      ownerWallet,
+      sessionData,
+    });
+  } catch (error) {
+    console.error("DEPLOYMENT ERROR:", error);
+    await reportDeployFailure(bot, chatId, userId, sessionData.paymentId, error);
+  }
+};
 
-    // Deploy token
-    const result = await deployTokenAfterPayment(
-      bot,
+/**
+ * Report a deployment that created no token: flag a paid order and explain the error to the user
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {string|null} paymentId - Payment ID (null for free orders)
+ * @param {Error} error - Last deployment error (with error.attempts and error.txHash when known)
+ * @returns {Promise<void>}
+ */
+const reportDeployFailure = async (bot, chatId, userId, paymentId, error) => {
+  console.error("Error type:", error.constructor.name);
+  console.error("Full error:", error);
+
+  // Paid order without a token: flag it for a retry or an admin-approved refund
+  if (paymentId && !TEST_MODE) {
+    await handlePaidDeployFailure(bot, chatId, userId, paymentId, error);
+  }
+
+  let errorMessage = '❌ <b>Deployment failed:</b>\n\n';
+
+  if (error.message && error.message.includes('insufficient funds')) {
+    errorMessage += '💰 Not enough ALV for gas fees\n';
+  } else if (error.message && error.message.includes('CALL_EXCEPTION')) {
+    errorMessage += '⚠️ Constructor arguments rejected\n';
+  } else if (error.message && error.message.includes('timeout')) {
+    errorMessage += '⏱️ RPC timeout - network congested\n';
+  } else if (error.message && error.message.includes('VALIDATION FAILED')) {
+    errorMessage += error.message + '\n';
+  } else if (error.message && error.message.includes('DEPLOYMENT FAILED')) {
+    errorMessage += error.message + '\n';
+  } else if (error.message && error.message.includes('TX FAILED')) {
+    errorMessage += error.message + '\n';
+  } else if (error.message && error.message.includes("Reflection and Burn features require")) {
+    // Factory version error - show specific message
+    await bot.sendMessage(
       chatId,
-      userId,
-      {
-        name: sessionData.name,
-        symbol: sessionData.symbol,
-        initialSupply: sessionData.initialSupply,
-        taxPercent: sessionData.taxPercent || 0,
-        taxWallet: sessionData.taxWallet || null,
-        reflectionPercent: sessionData.reflectionPercent || 0,
-        burnPercent: sessionData.burnPercent || 0,
-        enableReflection: sessionData.enableReflection || false,
-        enableBurn: sessionData.enableBurn || false,
-        network: sessionData.network || "alvey",
+      `❌ ${error.message}\n\n` +
+      `💡 <b>Solution:</b>\n` +
+      `To use Reflection and Burn features, you need to deploy the updated Factory contract.\n\n` +
+      `1. Compile the new TokenFactory.sol contract\n` +
+      `2. Deploy it to Alvey Chain\n` +
+      `3. Update FACTORY_ADDRESS in your .env file\n\n` +
+      `Alternatively, you can create tokens without Reflection/Burn using the current Factory.`,
+      { parse_mode: 'HTML' }
+    );
+  } else {
+    // Generic error handling
+    errorMessage += error.message + '\n';
+  }
+
+  errorMessage += '\n<b>Debug info:</b>\n<code>';
+  errorMessage += error.message.substring(0, 200);
+  errorMessage += '</code>';
+
+  await bot.sendMessage(chatId, errorMessage, { parse_mode: 'HTML' });
+};
+
+/**
+ * Token parameters for deployment from the wizard session
+ * @param {object} sessionData - Session data
+ * @returns {object} Token parameters (without initialOwner)
+ */
+const getTokenParams = (sessionData) => {
+  const schedules = getFeeSchedules(sessionData);
+  return {
+    name: sessionData.name,
+    symbol: sessionData.symbol,
+    initialSupply: sessionData.initialSupply,
+    taxPercent: schedules.transfer.taxPercent,
+    taxWallet: sessionData.taxWallet || null,
+    reflectionPercent: schedules.transfer.reflectionPercent,
+    burnPercent: schedules.transfer.burnPercent,
+    buyFees: schedules.buy,
+    sellFees: schedules.sell,
+    maxTransactionPercent: sessionData.maxTransactionPercent || 0,
+    maxWalletPercent: sessionData.maxWalletPercent || 0,
+    manualLaunch: sessionData.manualLaunch || false,
+    antiSnipeBlocks: sessionData.antiSnipeBlocks || 0,
+    antiSnipeSellFee: sessionData.antiSnipeSellFee || 0,
+    enableReflection: sessionData.enableReflection || false,
+    enableBurn: sessionData.enableBurn || false,
+    network: sessionData.network || "alvey",
+  };
+};
+
+/**
+ * Tax for messages: "5%", or "buy 3% / sell 5% / transfer 0%" when the schedules differ
+ * @param {object} schedules - From getFeeSchedules
+ * @returns {string}
+ */
+const formatTaxPercents = (schedules) => {
+  const { buy, sell, transfer } = schedules;
+  if (buy.taxPercent === transfer.taxPercent && sell.taxPercent === transfer.taxPercent) {
+    return `${transfer.taxPercent}%`;
+  }
+  return `buy ${buy.taxPercent}% / sell ${sell.taxPercent}% / transfer ${transfer.taxPercent}%`;
+};
+
+/**
+ * Anti-whale limits for messages, e.g. "max transaction 1% · max wallet 2%"
+ * @param {object} data - Session data or token parameters
+ * @returns {string}
+ */
+const formatLimits = (data) => {
+  const limits = [];
+  if (data.maxTransactionPercent) {
+    limits.push(`max transaction ${data.maxTransactionPercent}%`);
+  }
+  if (data.maxWalletPercent) {
+    limits.push(`max wallet ${data.maxWalletPercent}%`);
+  }
+  return limits.length > 0 ? limits.join(" · ") : "None";
+};
+
+/**
+ * Launch settings for messages, e.g. "owner enables trading · anti-snipe 5 blocks, +20% sell fee"
+ * @param {object} data - Session data or token parameters
+ * @returns {string}
+ */
+const formatLaunch = (data) => {
+  if (!data.manualLaunch) {
+    return "trading enabled at once";
+  }
+  const antiSnipe = data.antiSnipeBlocks
+    ? ` · anti-snipe ${data.antiSnipeBlocks} blocks, +${data.antiSnipeSellFee}% sell fee (burned)`
+    : "";
+  return `owner enables trading${antiSnipe}`;
+};
+
+/**
+ * Check the order is paid and has no token yet before deploying it, by the bot or from the user's wallet
+ * (tells the user when it cannot be deployed)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {object} sessionData - Session data
+ * @returns {Promise<boolean>}
+ */
+const isOrderDeployable = async (bot, chatId, sessionData) => {
+  // In test mode, skip payment verification
+  if (TEST_MODE) {
+    return true;
+  }
+
+  // Free orders have no payment: one token per promo code use, deployed while the use is held
+  if (sessionData.freeOrder) {
+    if (!sessionData.promoUseId) {
+      await bot.sendMessage(chatId, "❌ This free order has no promo code. Start again with /create_token.");
+      return false;
+    }
+    const use = await getPromoCodeUse(sessionData.promoUseId);
+    if (use && use.token_id) {
+      await bot.sendMessage(chatId, "✅ This order has already been deployed. Use /my_tokens to see your token.");
+      return false;
+    }
+    if (await getOpenDeploymentByPromoUse(sessionData.promoUseId)) {
+      await bot.sendMessage(
+        chatId,
+        "⏳ The deployment of this order is already in progress. " +
+        "You will get the token details as soon as it is done."
+      );
+      return false;
+    }
+    if (!(await holdPromoCodeUse(sessionData.promoUseId, Math.round(PAYMENT.TIMEOUT / 1000)))) {
+      await bot.sendMessage(
+        chatId,
+        "⌛ This free order expired before it was deployed. Start again with /create_token to redeem the code again."
+      );
+      return false;
+    }
+    return true;
+  }
+
+  // Verify payment is confirmed (a failed deployment can be retried until refunded)
+  const payment = await getPayment(sessionData.paymentId);
+  if (!payment || !["confirmed", "deploy_failed"].includes(payment.status)) {
+    await bot.sendMessage(
+      chatId,
+      "❌ Payment not verified yet. Please wait..."
+    );
+    return false;
+  }
+
+  // A deployment of this order reached the chain: deploying again could create a second token
+  if (payment.deploy_tx_hash) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ A deployment of this order was already sent (tx ${payment.deploy_tx_hash}). ` +
+      `Please contact support with your payment ID ${payment.payment_id} - it cannot be deployed again.`
+    );
+    return false;
+  }
+
+  // One deployment per order: a second one while the first is queued, confirming or saved would create a second token
+  if (payment.token_id || (await getOpenDeploymentByPayment(payment.payment_id))) {
+    await bot.sendMessage(
+      chatId,
+      payment.token_id
+        ? "✅ This order has already been deployed. Use /my_tokens to see your token."
+        : "⏳ The deployment of this order is already in progress. " +
+          "You will get the token details as soon as it is done."
+    );
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Ask whether the bot deploys the token or the user signs the deployment
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} sessionData - Session data
+ * @param {string} ownerWallet - Owner wallet address
+ */
+const requestDeployMode = async (bot, chatId, telegramId, sessionData, ownerWallet) => {
+  const network = getNetwork(sessionData.network || "alvey");
+  sessionData.ownerWallet = ownerWallet;
+  await saveUserSession(telegramId, STEPS.WAITING_DEPLOY_MODE, sessionData);
+
+  await bot.sendMessage(
+    chatId,
+    `🚀 <b>How should the token be deployed?</b>\n\n` +
+    `🤖 <b>Bot deploys</b> - we sign and pay the gas.\n` +
+    `✍️ <b>Sign in my wallet</b> - you sign the factory call from <code>${ownerWallet}</code> ` +
+    `and pay the gas in ${network.currency}; the factory records your wallet as the creator.`,
+    {
+      parse_mode: "HTML",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "🤖 Bot deploys", callback_data: "deploymode_bot" }],
+          [{ text: "✍️ Sign in my wallet", callback_data: "deploymode_wallet" }],
+        ],
       },
-      ownerWallet
+    }
+  );
+};
+
+/**
+ * Handle deploy mode selection (inline button)
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleDeployModeSelection = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const mode = query.data.replace("deploymode_", "");
+
+  try {
+    const session = await getUserSession(telegramId);
+    if (!session || session.step !== STEPS.WAITING_DEPLOY_MODE) {
+      await bot.answerCallbackQuery(query.id, { text: "This selection has expired", show_alert: true });
+      return;
+    }
+
+    const user = await getUser(telegramId);
+    const sessionData = session.session_data;
+
+    await bot.editMessageText(
+      mode === "wallet" ? "✅ Deployment: <b>signed in your wallet</b>" : "✅ Deployment: <b>by the bot</b>",
+      { chat_id: chatId, message_id: query.message.message_id, parse_mode: "HTML" }
     );
+    await bot.answerCallbackQuery(query.id);
+
+    if (mode === "wallet") {
+      if (await isOrderDeployable(bot, chatId, sessionData)) {
+        await requestWalletDeployment(bot, chatId, telegramId, user.id, sessionData, sessionData.ownerWallet);
+      }
+    } else {
+      // Back to the owner wallet step so a failed deployment can be retried by sending the wallet again
+      await saveUserSession(telegramId, STEPS.WAITING_OWNER_WALLET, sessionData);
+      await handleTokenDeployment(bot, chatId, telegramId, user.id, sessionData, sessionData.ownerWallet);
+    }
+  } catch (error) {
+    console.error("Error in handleDeployModeSelection:", error);
+    await bot.sendMessage(chatId, `❌ Could not start the deployment: ${error.message}`);
+  }
+};
 
-    // Success message
-    const successMessage = `
+/**
+ * Finish a successful deployment (bot-signed or signed in the user's wallet):
+ * link the payment, send the token details and run paid add-ons
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} sessionData - Session data
+ * @param {string} ownerWallet - Owner wallet address
+ * @param {object} result - Saved deployment { tokenId, tokenAddress, txHash }
+ * @returns {Promise<void>}
+ */
+const finishTokenDeployment = async (bot, chatId, telegramId, sessionData, ownerWallet, result) => {
+  const network = getNetwork(sessionData.network || "alvey");
+
+  // Success message
+  const successMessage = `
 ✅ <b>Token created successfully!</b>
 
 📋 <b>Details:</b>
@@ -567,7 +1474,9 @@ const handleTokenDeployment = async (
 📍 Address: <code>${result.tokenAddress}</code>
 👤 Owner: <code>${ownerWallet}</code>
 📊 Supply: ${parseInt(sessionData.initialSupply).toLocaleString()}
-💰 Tax: ${sessionData.taxPercent || 0}%
+💰 Tax: ${formatTaxPercents(getFeeSchedules(sessionData))}
+🐋 Limits: ${formatLimits(sessionData)}
+🚀 Launch: ${formatLaunch(sessionData)}
 
 🔗 <a href="${network.explorer}/tx/${result.txHash}">View Transaction</a>
 🔗 <a href="${network.explorer}/token/${result.tokenAddress}">View Token</a>
@@ -575,86 +1484,167 @@ const handleTokenDeployment = async (
 <b>Next Steps:</b>
 1. Save your token address
 2. Verification info sent separately
-3. See manual verification guide
+3. See manual verification guide${
+    sessionData.manualLaunch
+      ? "\n4. Add liquidity, then open Manage Token → 🚀 Enable Trading (buys and sells are closed until then)"
+      : ""
+  }
 `;
 
-    // Send success message with deployment info button
-    await bot.sendMessage(chatId, successMessage, { 
-      parse_mode: "HTML",
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { 
-              text: '🔗 View Token', 
-              url: `${network.explorer}/address/${result.tokenAddress}` 
-            },
-            { 
-              text: '📋 Deployment Info', 
-              callback_data: `di_${result.tokenAddress}` 
-            }
-          ]
-        ]
-      }
-    });
+  if (sessionData.paymentId) {
+    await linkPaymentToken(sessionData.paymentId, result.tokenId);
+  }
+  if (sessionData.freeOrder && sessionData.promoUseId) {
+    await linkPromoCodeUseToken(sessionData.promoUseId, result.tokenId);
+  }
 
-    // Send detailed verification instructions if available
-    if (result.verificationInstructions) {
-      await bot.sendMessage(chatId, result.verificationInstructions, { parse_mode: 'HTML' });
+  // Send success message with deployment info button
+  await bot.sendMessage(chatId, successMessage, { 
+    parse_mode: "HTML",
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { 
+            text: '🔗 View Token', 
+            url: `${network.explorer}/address/${result.tokenAddress}` 
+          },
+          { 
+            text: '📋 Deployment Info', 
+            callback_data: `di_${result.tokenAddress}` 
+          }
+        ]
+      ]
     }
+  });
+
+  // Send detailed verification instructions if available
+  if (result.verificationInstructions) {
+    await bot.sendMessage(chatId, result.verificationInstructions, { parse_mode: 'HTML' });
+  }
 
-    // Clean up session
+  // Paid add-on: verify the contract right away
+  if (sessionData.addons && sessionData.addons.autoVerify) {
+    await runAutoVerification(bot, chatId, result.tokenAddress, sessionData, ownerWallet, result.trading);
+  }
+
+  // Clean up session, unless the user started another order while the deployment was queued
+  const session = await getUserSession(telegramId);
+  if (session && session.session_data.paymentId === sessionData.paymentId) {
     await deleteUserSession(telegramId);
-  } catch (error) {
-    console.error("DEPLOYMENT ERROR:", error);
-    console.error("Error type:", error.constructor.name);
-    console.error("Full error:", error);
-
-    let errorMessage = '❌ <b>Deployment failed:</b>\n\n';
-
-    if (error.message && error.message.includes('insufficient funds')) {
-      errorMessage += '💰 Not enough ALV for gas fees\n';
-    } else if (error.message && error.message.includes('CALL_EXCEPTION')) {
-      errorMessage += '⚠️ Constructor arguments rejected\n';
-    } else if (error.message && error.message.includes('timeout')) {
-      errorMessage += '⏱️ RPC timeout - network congested\n';
-    } else if (error.message && error.message.includes('VALIDATION FAILED')) {
-      errorMessage += error.message + '\n';
-    } else if (error.message && error.message.includes('DEPLOYMENT FAILED')) {
-      errorMessage += error.message + '\n';
-    } else if (error.message && error.message.includes('TX FAILED')) {
-      errorMessage += error.message + '\n';
-    } else if (error.message && error.message.includes("Reflection and Burn features require")) {
-      // Factory version error - show specific message
+  }
+};
+
+/**
+ * Record a failed deployment of a paid token and tell the user and admins
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {string} paymentId - Payment ID
+ * @param {Error} error - Last deployment error
+ * @returns {Promise<void>}
+ */
+const handlePaidDeployFailure = async (bot, chatId, userId, paymentId, error) => {
+  try {
+    const reason = String(error.message).substring(0, 1000);
+    await markPaymentDeployFailed(paymentId, reason, error.attempts || 1, error.txHash || null);
+    await logActivity(userId, "deploy_failed", {
+      payment_id: paymentId,
+      attempts: error.attempts || 1,
+      tx_hash: error.txHash || null,
+      error: reason,
+    });
+
+    if (error.txHash) {
+      // The deployment is on-chain, so neither a retry nor a refund is safe
       await bot.sendMessage(
         chatId,
-        `❌ ${error.message}\n\n` +
-        `💡 <b>Solution:</b>\n` +
-        `To use Reflection and Burn features, you need to deploy the updated Factory contract.\n\n` +
-        `1. Compile the new TokenFactory.sol contract\n` +
-        `2. Deploy it to Alvey Chain\n` +
-        `3. Update FACTORY_ADDRESS in your .env file\n\n` +
-        `Alternatively, you can create tokens without Reflection/Burn using the current Factory.`,
-        { parse_mode: 'HTML' }
+        `⚠️ Your token was deployed (tx ${error.txHash}) but could not be saved. ` +
+        `Please contact support with your payment ID ${paymentId} - do not pay or deploy again.`
       );
     } else {
-      // Generic error handling
-      errorMessage += error.message + '\n';
+      await bot.sendMessage(
+        chatId,
+        "💳 Your payment is safe. Send your wallet address again to retry the deployment, " +
+        "or wait for our team to review the order - a refund to your payer wallet can be approved."
+      );
     }
 
-    errorMessage += '\n<b>Debug info:</b>\n<code>';
-    errorMessage += error.message.substring(0, 200);
-    errorMessage += '</code>';
+    await notifyAdmins(
+      bot,
+      `🚨 Deployment failed for paid order ${paymentId}\n\n` +
+      `Attempts: ${error.attempts || 1}\n` +
+      (error.txHash
+        ? `Deploy tx: ${error.txHash} - the token exists on-chain; retries and refunds are blocked\n`
+        : "") +
+      `Error: ${reason.substring(0, 300)}\n\n` +
+      `Review: /refund ${paymentId}`
+    );
+  } catch (logError) {
+    console.error("Error in handlePaidDeployFailure:", logError);
+  }
+};
 
-    await bot.sendMessage(chatId, errorMessage, { parse_mode: 'HTML' });
-    
-    // Log for debugging
-    console.error('Full error logged above');
+/**
+ * Verify a freshly deployed token on the explorer (auto-verification add-on)
+ * Failures are reported but never undo the deployment
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} tokenAddress - Deployed token address
+ * @param {object} sessionData - Session data
+ * @param {string} ownerWallet - Owner wallet address
+ * @param {object|null} trading - Trading settings the token was created with (null for older factories)
+ * @returns {Promise<void>}
+ */
+const runAutoVerification = async (bot, chatId, tokenAddress, sessionData, ownerWallet, trading) => {
+  const networkKey = sessionData.network || "alvey";
+  const network = getNetwork(networkKey);
+
+  try {
+    await bot.sendMessage(chatId, `⏳ Auto-verifying contract on ${network.name} explorer...`);
+
+    const result = await verifyContractWithFallback(tokenAddress, networkKey, {
+      name: sessionData.name,
+      symbol: sessionData.symbol,
+      supply: sessionData.initialSupply,
+      taxPercent: sessionData.taxPercent || 0,
+      taxWallet: sessionData.taxWallet || ethers.ZeroAddress,
+      reflectionPercent: sessionData.reflectionPercent || 0,
+      burnPercent: sessionData.burnPercent || 0,
+      enableReflection: sessionData.enableReflection || false,
+      enableBurn: sessionData.enableBurn || false,
+      owner: ownerWallet,
+      trading: trading || null,
+    });
+
+    await updateTokenVerification(tokenAddress, result.success, result.success ? "verified" : "failed");
+
+    if (result.success) {
+      await bot.sendMessage(
+        chatId,
+        `✅ <b>Contract Verified!</b>\n\n<a href="${result.explorerUrl}">View Verified Code</a>`,
+        { parse_mode: "HTML" }
+      );
+    } else {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ Auto-verification failed. Use /verify to retry."
+      );
+    }
+  } catch (error) {
+    console.error("Error in runAutoVerification:", error);
+    await bot.sendMessage(chatId, "⚠️ Auto-verification failed. Use /verify to retry.");
   }
 };
 
 module.exports = {
   handleCreateToken,
   handleTokenCreationFlow,
+  handlePaymentMethodSelection,
+  handleDeployModeSelection,
+  isOrderDeployable,
+  getTokenParams,
+  finishTokenDeployment,
+  reportDeployFailure,
   STEPS,
 };
 
@@ -0,0 +1,486 @@
+const {
+  createDeployment,
+  getQueuedDeployments,
+  getInFlightDeployments,
+  getDeploymentQueuePosition,
+  claimDeployment,
+  requeueClaimedDeployments,
+  markDeploymentBroadcast,
+  addDeploymentReplacement,
+  requeueDeployment,
+  markDeploymentConfirmed,
+  markDeploymentSaved,
+  markDeploymentFailed,
+  setDeploymentError,
+  setDeploymentStatusMessage,
+  getTokenByTxHash,
+} = require("../utils/database");
+const {
+  getBotWallet,
+  getBotAddress,
+  buildDeployRequest,
+  getBotGasPrice,
+  signBotTransaction,
+  broadcastTransaction,
+  getBotMinedNonce,
+  getBotDeployment,
+  getTransactionReceipt,
+} = require("../utils/blockchain");
+const { ethers } = require("ethers");
+const { withNonce } = require("../utils/nonceManager");
+const { notifyAdmins } = require("../utils/admin");
+const { isShuttingDown, trackOperation } = require("../utils/shutdown");
+const { getStoredTradingConfig } = require("../utils/verificationHelper");
+const { DEPLOY_QUEUE, DEPLOY_RETRY, getNetwork } = require("../config/constants");
+const { recordTokenDeployment } = require("./paymentVerification");
+
+// Queue worker state (single loop shared by every deployment, like the payment watcher)
+let queueBot = null;
+let queueTimer = null;
+let queueBusy = false;
+
+const STUCK_ERROR = "Stuck: replacements exhausted, admins notified";
+
+/**
+ * Queue a bot-signed deployment and tell the user its place in line
+ * @param {object} bot - Telegram bot instance
+ * @param {object} order - { userId, telegramId, chatId, paymentId, promoUseId, tokenParams, ownerWallet, sessionData }
+ * @returns {Promise<number>} Deployment ID
+ */
+const enqueueDeployment = async (bot, order) => {
+  const networkKey = order.tokenParams.network || "alvey";
+  const network = getNetwork(networkKey);
+  if (!network.factoryAddress || network.factoryAddress === ethers.ZeroAddress) {
+    throw new Error(`Factory address not configured for ${network.name}`);
+  }
+
+  const deploymentId = await createDeployment({
+    user_id: order.userId,
+    telegram_id: order.telegramId,
+    chat_id: order.chatId,
+    payment_id: order.paymentId,
+    promo_use_id: order.promoUseId,
+    network: networkKey,
+    factory_address: network.factoryAddress,
+    owner_wallet: order.ownerWallet,
+    params: order.tokenParams,
+    session_data: order.sessionData,
+  });
+
+  const position = await getDeploymentQueuePosition(deploymentId);
+  await updateStatus(
+    bot,
+    { id: deploymentId, chat_id: order.chatId, status_message_id: null },
+    `🕒 <b>Deployment queued</b>\n\n` +
+    `Your token is #${position} in line for ${network.name}. This message shows the progress.`
+  );
+
+  scheduleQueue(0);
+  return deploymentId;
+};
+
+/**
+ * Start the deployment worker
+ * Jobs live in the deployments table, so queued and broadcast deployments are picked up again after a restart
+ * @param {object} bot - Telegram bot instance
+ * @returns {Promise<void>}
+ */
+const startDeploymentQueue = async (bot) => {
+  if (queueBot || isShuttingDown()) {
+    return; // Already running (or stopped for good)
+  }
+  queueBot = bot;
+
+  try {
+    const requeued = await requeueClaimedDeployments();
+    const inFlight = await getInFlightDeployments();
+    console.log(
+      `🚀 Deployment queue started - ${inFlight.length} deployment(s) in flight` +
+      (requeued ? `, ${requeued} interrupted before broadcast requeued` : "")
+    );
+  } catch (error) {
+    console.error("Error loading deployment queue:", error);
+  }
+
+  scheduleQueue(0);
+};
+
+/**
+ * Stop the deployment worker (on shutdown); a running cycle finishes and schedules nothing
+ */
+const stopDeploymentQueue = () => {
+  queueBot = null;
+  clearTimeout(queueTimer);
+  queueTimer = null;
+};
+
+/**
+ * Schedule the next queue cycle
+ * @param {number} delay - Delay in milliseconds
+ */
+const scheduleQueue = (delay) => {
+  if (!queueBot) {
+    return;
+  }
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(runQueueCycle, delay);
+};
+
+/**
+ * Run one queue cycle: follow deployments in flight, then send queued ones while there is room
+ * @returns {Promise<void>}
+ */
+const runQueueCycle = async () => {
+  if (queueBusy || !queueBot) {
+    return;
+  }
+  queueBusy = true;
+  const bot = queueBot;
+
+  try {
+    await trackOperation("deployment queue", async () => {
+      for (const job of await getInFlightDeployments()) {
+        try {
+          await checkDeployment(bot, job);
+        } catch (error) {
+          console.error(`Error checking deployment ${job.id}:`, error);
+        }
+      }
+
+      const slots = DEPLOY_QUEUE.CONCURRENCY - (await getInFlightDeployments()).length;
+      if (slots > 0 && !isShuttingDown()) {
+        const jobs = await getQueuedDeployments(slots);
+        // Different networks are sent in parallel; withNonce serializes each network
+        await Promise.all(jobs.map((job) => startDeployment(bot, job)));
+      }
+    });
+  } catch (error) {
+    console.error("Error in deployment queue:", error);
+  } finally {
+    queueBusy = false;
+    scheduleQueue(DEPLOY_QUEUE.POLL_INTERVAL);
+  }
+};
+
+/**
+ * Claim a queued deployment, sign it with the next nonce and broadcast it
+ * @param {object} bot - Telegram bot instance
+ * @param {object} job - Deployment row
+ * @returns {Promise<void>}
+ */
+const startDeployment = async (bot, job) => {
+  if (!(await claimDeployment(job.id))) {
+    return;
+  }
+
+  try {
+    const params = parseJson(job.params);
+    const request = await buildDeployRequest(job.factory_address, { ...params, initialOwner: job.owner_wallet }, job.network);
+    const gasPrice = await getBotGasPrice(job.network);
+
+    const sent = await withNonce(job.network, getBotWallet(job.network), async (nonce) => {
+      const signed = await signBotTransaction(job.network, request, nonce, gasPrice);
+      const tx = { hash: signed.hash, gasPrice: gasPrice.toString(), kind: "deploy" };
+
+      // Stored before sending: a restart right after the broadcast still finds the transaction
+      await markDeploymentBroadcast(job.id, nonce, tx);
+      try {
+        await broadcastTransaction(job.network, signed.raw);
+      } catch (error) {
+        if (!isUncertainSendError(error)) {
+          throw error; // Rejected by the node: the nonce stays free and the job is retried
+        }
+        // The node may have accepted it: followed like any broadcast transaction
+        console.error(`Broadcast of deployment ${job.id} uncertain:`, error.message);
+      }
+      return tx;
+    });
+
+    await updateStatus(
+      bot,
+      job,
+      `📡 <b>Transaction sent</b>\n\n${txLink(job.network, sent.hash)}\nWaiting for confirmations...`
+    );
+  } catch (error) {
+    await retryOrFail(bot, job, error);
+  }
+};
+
+/**
+ * Follow a deployment in flight: save it once mined, retry it if nothing of it can be mined any more,
+ * speed it up (or cancel it) when it is stuck
+ * @param {object} bot - Telegram bot instance
+ * @param {object} job - Deployment row
+ * @returns {Promise<void>}
+ */
+const checkDeployment = async (bot, job) => {
+  if (job.status === "pending") {
+    return; // Being sent by the current cycle
+  }
+  if (job.status === "confirmed") {
+    await saveDeployment(bot, job, { txHash: job.tx_hash, tokenAddress: job.token_address, blockNumber: job.block_number });
+    return;
+  }
+
+  // Read the mined nonce before the receipts: once it is past ours, a mined transaction of ours has a receipt
+  const minedNonce = job.nonce === null ? null : await getBotMinedNonce(job.network);
+  // Deployments broadcast before the queue existed only have tx_hash
+  const sent = parseJson(job.tx_hashes) || [{ hash: job.tx_hash, kind: "deploy" }];
+  let confirming = false;
+
+  for (const tx of sent) {
+    if (tx.kind === "cancel") {
+      if (await getTransactionReceipt(tx.hash, job.network)) {
+        await retryOrFail(bot, job, new Error("Deployment transaction was stuck and has been cancelled"));
+        return;
+      }
+      continue;
+    }
+
+    const lookup = await getBotDeployment(tx.hash, job.factory_address, job.network);
+    if (lookup.status === "deployed") {
+      await markDeploymentConfirmed(job.id, lookup.result);
+      await updateStatus(
+        bot,
+        job,
+        `✅ <b>Transaction confirmed</b> in block ${lookup.result.blockNumber}\n\n` +
+        `${txLink(job.network, lookup.result.txHash)}\nSaving your token...`
+      );
+      await saveDeployment(bot, job, lookup.result);
+      return;
+    }
+    if (lookup.status === "failed") {
+      await retryOrFail(bot, job, new Error("TX FAILED: Transaction was reverted by network"));
+      return;
+    }
+    confirming = confirming || lookup.status === "confirming";
+  }
+
+  if (confirming || minedNonce === null) {
+    return;
+  }
+
+  if (minedNonce > job.nonce) {
+    // The nonce was used by a transaction that is not one of ours (dropped and reused): nothing was deployed
+    await retryOrFail(bot, job, new Error("Deployment transaction was dropped by the network"));
+    return;
+  }
+
+  if (Date.now() - new Date(job.broadcast_at).getTime() >= DEPLOY_QUEUE.STUCK_AFTER) {
+    await replaceStuckDeployment(bot, job, sent);
+  }
+};
+
+/**
+ * Resend a stuck deployment for the same nonce with a higher gas price
+ * After DEPLOY_QUEUE.MAX_SPEEDUPS speed-ups the nonce is freed with a cancellation (a 0-value transfer
+ * to the bot wallet) and the deployment goes back to the queue once the cancellation is mined
+ * @param {object} bot - Telegram bot instance
+ * @param {object} job - Deployment row
+ * @param {Array<object>} sent - Transactions sent for the nonce so far
+ * @returns {Promise<void>}
+ */
+const replaceStuckDeployment = async (bot, job, sent) => {
+  if (job.replacements >= DEPLOY_QUEUE.MAX_SPEEDUPS + DEPLOY_QUEUE.MAX_CANCEL_BUMPS) {
+    if (job.error !== STUCK_ERROR) {
+      await setDeploymentError(job.id, STUCK_ERROR);
+      await notifyAdmins(
+        bot,
+        `🚨 Deployment ${job.id} is stuck at nonce ${job.nonce} on ${getNetwork(job.network).name}\n\n` +
+        `Last tx: ${sent[sent.length - 1].hash}\n` +
+        (job.payment_id ? `Payment: ${job.payment_id}\n` : "") +
+        `Check the bot wallet's pending transactions.`
+      );
+    }
+    return;
+  }
+
+  const kind = job.replacements >= DEPLOY_QUEUE.MAX_SPEEDUPS ? "cancel" : "deploy";
+  const gasPrice = await getReplacementGasPrice(job.network, sent);
+  const request =
+    kind === "cancel"
+      ? { to: getBotAddress(), value: 0n, gasLimit: 21000n }
+      : await buildDeployRequest(
+        job.factory_address,
+        { ...parseJson(job.params), initialOwner: job.owner_wallet },
+        job.network
+      );
+
+  const signed = await signBotTransaction(job.network, request, job.nonce, gasPrice);
+  const tx = { hash: signed.hash, gasPrice: gasPrice.toString(), kind };
+  await addDeploymentReplacement(job.id, [...sent, tx], kind === "deploy" ? tx.hash : job.tx_hash);
+
+  try {
+    await broadcastTransaction(job.network, signed.raw);
+  } catch (error) {
+    // An earlier transaction may have been mined meanwhile; the next cycle finds its receipt
+    console.error(`Error replacing deployment ${job.id}:`, error.message);
+    return;
+  }
+
+  const gwei = ethers.formatUnits(gasPrice, "gwei");
+  await updateStatus(
+    bot,
+    job,
+    kind === "deploy"
+      ? `⛽ <b>Network is slow</b>\n\nResent with a higher gas price (${gwei} gwei).\n${txLink(job.network, tx.hash)}`
+      : `⛽ <b>Transaction stuck</b>\n\nCancelling it (${gwei} gwei); your token is deployed again right after.`
+  );
+};
+
+/**
+ * Gas price for a replacement: DEPLOY_QUEUE.SPEEDUP_PERCENT above the last one, at least the current price
+ * @param {string} networkKey - Network key
+ * @param {Array<object>} sent - Transactions sent for the nonce so far
+ * @returns {Promise<bigint>} Gas price in wei
+ */
+const getReplacementGasPrice = async (networkKey, sent) => {
+  const current = await getBotGasPrice(networkKey);
+  const last = sent[sent.length - 1].gasPrice ? BigInt(sent[sent.length - 1].gasPrice) : current;
+  const bumped = (last * BigInt(100 + DEPLOY_QUEUE.SPEEDUP_PERCENT)) / 100n;
+  return bumped > current ? bumped : current;
+};
+
+/**
+ * Save a mined deployment and send the user the token details
+ * @param {object} bot - Telegram bot instance
+ * @param {object} job - Deployment row
+ * @param {object} result - { txHash, tokenAddress, blockNumber, receipt? }
+ * @returns {Promise<void>}
+ */
+const saveDeployment = async (bot, job, result) => {
+  const { finishTokenDeployment, reportDeployFailure } = require("./createToken");
+  const params = parseJson(job.params);
+
+  let saved;
+  try {
+    // The token row may exist already if the bot stopped between saving it and closing the job
+    const existing = await getTokenByTxHash(result.txHash);
+    saved = existing
+      ? { success: true, tokenId: existing.id, trading: getStoredTradingConfig(existing), ...result }
+      : await recordTokenDeployment(job.user_id, params, job.owner_wallet, result, job.factory_address);
+    await markDeploymentSaved(job.id, saved.tokenId);
+  } catch (error) {
+    // Deployed but not saved: never redeploy this order
+    error.txHash = result.txHash;
+    error.attempts = job.attempts + 1;
+    await markDeploymentFailed(job.id, error.attempts, error.message);
+    await updateStatus(bot, job, "❌ <b>Deployment failed</b>");
+    await reportDeployFailure(bot, job.chat_id, job.user_id, job.payment_id, error);
+    return;
+  }
+
+  await updateStatus(bot, job, `✅ <b>Token saved</b>\n\n${txLink(job.network, result.txHash)}`);
+
+  const sessionData = parseJson(job.session_data) || { ...params, paymentId: job.payment_id };
+  await finishTokenDeployment(bot, job.chat_id, job.telegram_id, sessionData, job.owner_wallet, saved);
+};
+
+/**
+ * Requeue a deployment that left nothing on-chain with exponential backoff, or fail it for good
+ * @param {object} bot - Telegram bot instance
+ * @param {object} job - Deployment row
+ * @param {Error} error - Error of this attempt
+ * @returns {Promise<void>}
+ */
+const retryOrFail = async (bot, job, error) => {
+  const attempts = job.attempts + 1;
+
+  if (attempts < DEPLOY_RETRY.MAX_ATTEMPTS && isRetryableDeployError(error)) {
+    const delay = DEPLOY_RETRY.BASE_DELAY * 2 ** (attempts - 1);
+    console.log(`Deploy attempt ${attempts} of deployment ${job.id} failed, retrying in ${delay}ms`);
+    await requeueDeployment(job.id, attempts, new Date(Date.now() + delay), error.message);
+    await updateStatus(
+      bot,
+      job,
+      `⚠️ Deployment attempt ${attempts}/${DEPLOY_RETRY.MAX_ATTEMPTS} failed. Retrying in ${Math.round(delay / 1000)}s...`
+    );
+    return;
+  }
+
+  error.attempts = attempts;
+  await markDeploymentFailed(job.id, attempts, error.message);
+  await updateStatus(bot, job, "❌ <b>Deployment failed</b>");
+
+  const { reportDeployFailure } = require("./createToken");
+  await reportDeployFailure(bot, job.chat_id, job.user_id, job.payment_id, error);
+};
+
+/**
+ * Whether a failed deployment can safely be attempted again
+ * @param {Error} error - Deployment error
+ * @returns {boolean}
+ */
+const isRetryableDeployError = (error) => {
+  if (error.txHash) {
+    return false; // Broadcast already - the token may exist
+  }
+  const message = String(error.message);
+  // Configuration problems do not go away by retrying
+  return !(
+    message.includes("not configured") ||
+    message.includes("not set in environment") ||
+    message.includes("Reflection and Burn features require") ||
+    message.includes("Tax wallet is required")
+  );
+};
+
+/**
+ * Whether a failed broadcast may still have reached the network (no answer from the node)
+ * @param {Error} error - Broadcast error
+ * @returns {boolean}
+ */
+const isUncertainSendError = (error) =>
+  ["TIMEOUT", "NETWORK_ERROR", "SERVER_ERROR"].includes(error.code) ||
+  String(error.message).toLowerCase().includes("already known");
+
+/**
+ * Show the progress of a deployment in its status message (edited in place, resent if that fails)
+ * @param {object} bot - Telegram bot instance
+ * @param {object} job - Deployment row (status_message_id is updated on it)
+ * @param {string} text - Status text (HTML)
+ * @returns {Promise<void>}
+ */
+const updateStatus = async (bot, job, text) => {
+  const options = { parse_mode: "HTML", disable_web_page_preview: true };
+  try {
+    if (job.status_message_id) {
+      try {
+        await bot.editMessageText(text, { chat_id: job.chat_id, message_id: job.status_message_id, ...options });
+        return;
+      } catch (error) {
+        if (String(error.message).includes("message is not modified")) {
+          return;
+        }
+        // Deleted or too old to edit: send a new one
+      }
+    }
+
+    const message = await bot.sendMessage(job.chat_id, text, options);
+    job.status_message_id = message.message_id;
+    await setDeploymentStatusMessage(job.id, message.message_id);
+  } catch (error) {
+    console.error("Error sending deployment status:", error.message);
+  }
+};
+
+/**
+ * Explorer link to a transaction
+ * @param {string} networkKey - Network key
+ * @param {string} txHash - Transaction hash
+ * @returns {string} HTML link
+ */
+const txLink = (networkKey, txHash) => `🔗 <a href="${getNetwork(networkKey).explorer}/tx/${txHash}">View Transaction</a>`;
+
+/**
+ * Read a JSON column (returned as a string by some MySQL drivers)
+ * @param {string|object|null} value - Column value
+ * @returns {object|null}
+ */
+const parseJson = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+module.exports = {
+  enqueueDeployment,
+  startDeploymentQueue,
+  stopDeploymentQueue,
+};
@@ -0,0 +1,70 @@
+const { ethers } = require("ethers");
+const { getSweepableDepositPayments, addDepositSweep } = require("../utils/database");
+const { sweepDepositAddress, getTokenDecimals } = require("../utils/blockchain");
+const { getDepositWallet } = require("../utils/depositAddresses");
+const { DEPOSIT_ADDRESSES, getPaymentMethod } = require("../config/constants");
+
+/**
+ * Sweep the deposit addresses of recent payments into the payment wallets
+ * Balances are read from the chain on every run, so an address is only swept while it
+ * still holds funds; each sweep attempt is recorded in deposit_sweeps
+ * @returns {Promise<object>} { swept, empty, failed, unconfirmed }
+ */
+const runDepositSweeps = async () => {
+  const summary = { swept: 0, empty: 0, failed: 0, unconfirmed: 0 };
+
+  const payments = await getSweepableDepositPayments(DEPOSIT_ADDRESSES.SWEEP_LOOKBACK_DAYS);
+  console.log(`🧹 Checking ${payments.length} deposit address(es)`);
+
+  for (const payment of payments) {
+    const method = getPaymentMethod(payment.payment_method);
+    const sweep = {
+      payment_id: payment.payment_id,
+      network: method.network,
+      currency: method.currency,
+      from_address: payment.deposit_address,
+      to_address: method.wallet,
+    };
+
+    try {
+      const wallet = getDepositWallet(payment.deposit_index, payment.deposit_address);
+      const result = await sweepDepositAddress(wallet, method.token, method.wallet, method.network);
+      if (!result) {
+        summary.empty++;
+        continue;
+      }
+
+      await addDepositSweep({
+        ...sweep,
+        amount_units: result.amount,
+        gas_tx_hash: result.gasTxHash,
+        tx_hash: result.txHash,
+        status: "sent",
+      });
+      summary.swept++;
+
+      const decimals = await getTokenDecimals(method.token, method.network);
+      console.log(
+        `✅ Swept ${ethers.formatUnits(result.amount, decimals)} ${method.currency} from ${payment.deposit_address}: ${result.txHash}`
+      );
+    } catch (error) {
+      // Broadcast but not confirmed: the next run reads the balance again, so nothing is swept twice
+      const status = error.txHash ? "unconfirmed" : "failed";
+      await addDepositSweep({
+        ...sweep,
+        amount_units: error.amount,
+        gas_tx_hash: error.gasTxHash,
+        tx_hash: error.txHash,
+        status,
+        error: error.message,
+      });
+      summary[status]++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  runDepositSweeps,
+};
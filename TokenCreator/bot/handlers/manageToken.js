@@ -1,12 +1,76 @@
+const { ethers } = require("ethers");
 const { getToken, updateTokenOwner, getUser } = require("../utils/database");
-const { transferOwnership } = require("../utils/blockchain");
+const {
+  connectProvider,
+  getTokenDetails,
+  sendOwnershipTx,
+  getBotAddress,
+  buildContractCallTx,
+  findOwnershipEvent,
+  getOwnershipEventFromTx,
+  getFeeExemptions,
+  findFeeExemptionEvent,
+  getFeeExemptionEventFromTx,
+  getTokenFeatures,
+  findTradingEnabledEvent,
+  getTradingEnabledEventFromTx,
+} = require("../utils/blockchain");
 const { isValidEthereumAddress } = require("../utils/validators");
-const { NETWORKS } = require("../config/constants");
+const { sendSigningRequest } = require("../utils/walletLinks");
+const { watchUntil, stopWatch } = require("../utils/txWatcher");
+const { NETWORKS, TOKEN_ABI } = require("../config/constants");
 const { logActivity } = require("../utils/database");
 
 // Session steps for management
 const MANAGE_STEPS = {
   WAITING_OWNER_TRANSFER: "waiting_owner_transfer",
+  WAITING_RENOUNCE_CONFIRM: "waiting_renounce_confirm",
+  WAITING_OWNER_TX: "waiting_owner_tx", // waiting for an ownership tx signed in the user's wallet
+  WAITING_EXEMPTION_ADDRESS: "waiting_exemption_address",
+  WAITING_EXEMPTION_TX: "waiting_exemption_tx", // waiting for a setExcludedFromFees tx signed in the user's wallet
+  WAITING_TRADING_TX: "waiting_trading_tx", // waiting for an enableTrading tx signed in the user's wallet
+};
+
+// Ownership changes: the function to call and the event that confirms it
+const OWNERSHIP_ACTIONS = {
+  transfer_ownership: {
+    functionName: "transferOwnership",
+    eventName: "OwnershipTransferred",
+    activity: "ownership_transferred",
+  },
+  // Ownable2Step tokens: transferOwnership only sets the pending owner
+  start_ownership_transfer: {
+    functionName: "transferOwnership",
+    eventName: "OwnershipTransferStarted",
+    activity: "ownership_transfer_started",
+  },
+  accept_ownership: {
+    functionName: "acceptOwnership",
+    eventName: "OwnershipTransferred",
+    activity: "ownership_accepted",
+  },
+  renounce_ownership: {
+    functionName: "renounceOwnership",
+    eventName: "OwnershipTransferred",
+    activity: "ownership_renounced",
+  },
+};
+
+const completing = new Set(); // telegramIds whose ownership, exemption or launch change is being recorded
+
+/**
+ * Get a token created by the Telegram user (null for unknown tokens and tokens of other users)
+ * @param {number} tokenId - Token ID
+ * @param {number} telegramId - Telegram user ID
+ * @returns {Promise<object|null>} Token row
+ */
+const getUserToken = async (tokenId, telegramId) => {
+  const token = await getToken(tokenId);
+  if (!token) {
+    return null;
+  }
+  const user = await getUser(telegramId);
+  return user && token.user_id === user.id ? token : null;
 };
 
 /**
@@ -16,10 +80,11 @@ const MANAGE_STEPS = {
  */
 const handleManageToken = async (bot, query) => {
   const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
   const tokenId = parseInt(query.data.split("_")[1], 10);
 
   try {
-    const token = await getToken(tokenId);
+    const token = await getUserToken(tokenId, telegramId);
 
     if (!token) {
       await bot.answerCallbackQuery(query.id, {
@@ -29,31 +94,51 @@ const handleManageToken = async (bot, query) => {
       return;
     }
 
+    // Show the on-chain owner; fall back to the database if the RPC is unavailable
+    let details = null;
+    try {
+      details = await getTokenDetails(token.token_address, token.network || "alvey");
+    } catch (error) {
+      console.error("Error reading token ownership:", error.message);
+    }
+
+    let ownerLine = `Current Owner: \`${details ? details.owner : token.owner_wallet}\``;
+    if (details && details.renounced) {
+      ownerLine = "Current Owner: 🔥 Renounced (no owner)";
+    } else if (details && details.pendingOwner) {
+      ownerLine += `\nPending Owner: \`${details.pendingOwner}\` (waiting to accept)`;
+    }
+
     const message = `
 🔧 Manage Token: ${token.token_name} (${token.token_symbol})
 
-Current Owner: \`${token.owner_wallet}\`
+${ownerLine}
 
 What would you like to do?
 `;
 
+    const keyboard = [];
+    if (details && details.tradingEnabled === false && !details.renounced) {
+      keyboard.push([{ text: "🚀 Enable Trading", callback_data: `enable_trading_${token.id}` }]);
+    }
+    if (!details || !details.renounced) {
+      keyboard.push([{ text: "🔄 Transfer Ownership", callback_data: `transfer_owner_${token.id}` }]);
+    }
+    if (details && details.pendingOwner) {
+      keyboard.push([{ text: "✅ Accept Ownership", callback_data: `accept_owner_${token.id}` }]);
+    }
+    if (details && details.hasFeeExemptions && !details.renounced) {
+      keyboard.push([{ text: "🛡️ Manage Fee Exemptions", callback_data: `fee_exemptions_${token.id}` }]);
+    }
+    if (!details || !details.renounced) {
+      keyboard.push([{ text: "🔥 Renounce Ownership", callback_data: `renounce_owner_${token.id}` }]);
+    }
+    keyboard.push([{ text: "📋 View Details", callback_data: `token_${token.id}` }]);
+
     await bot.sendMessage(chatId, message, {
       parse_mode: "Markdown",
       reply_markup: {
-        inline_keyboard: [
-          [
-            {
-              text: "🔄 Transfer Ownership",
-              callback_data: `transfer_owner_${token.id}`,
-            },
-          ],
-          [
-            {
-              text: "📋 View Details",
-              callback_data: `token_${token.id}`,
-            },
-          ],
-        ],
+        inline_keyboard: keyboard,
       },
     });
 
@@ -78,7 +163,7 @@ const handleTransferOwnershipStart = async (bot, query) => {
   const tokenId = parseInt(query.data.split("_")[2], 10);
 
   try {
-    const token = await getToken(tokenId);
+    const token = await getUserToken(tokenId, telegramId);
 
     if (!token) {
       await bot.answerCallbackQuery(query.id, {
@@ -140,60 +225,907 @@ const handleOwnershipTransfer = async (bot, msg) => {
       return;
     }
 
-    const token = await getToken(tokenId);
+    const token = await getUserToken(tokenId, telegramId);
     if (!token) {
       await bot.sendMessage(chatId, "❌ Token not found");
       await deleteUserSession(telegramId);
       return;
     }
 
-    // Check if same owner
-    if (token.owner_wallet.toLowerCase() === newOwner.toLowerCase()) {
+    // The on-chain owner decides who can sign (the database may be out of date)
+    const details = await getTokenDetails(token.token_address, token.network || "alvey");
+    const currentOwner = details.owner;
+
+    if (currentOwner.toLowerCase() === newOwner.toLowerCase()) {
+      if (token.owner_wallet.toLowerCase() !== currentOwner.toLowerCase()) {
+        await updateTokenOwner(tokenId, currentOwner);
+      }
       await bot.sendMessage(chatId, "❌ This address is already the owner");
       await deleteUserSession(telegramId);
       return;
     }
 
-    await bot.sendMessage(chatId, "⏳ Transferring ownership...");
+    if (details.renounced) {
+      await bot.sendMessage(chatId, "❌ Ownership of this token has been renounced - it has no owner to transfer from");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    if (details.pendingOwner && details.pendingOwner.toLowerCase() === newOwner.toLowerCase()) {
+      await bot.sendMessage(
+        chatId,
+        "❌ This address is already the pending owner. It must accept ownership: Manage Token → Accept Ownership"
+      );
+      await deleteUserSession(telegramId);
+      return;
+    }
 
-    // Execute transfer on blockchain
-    const txHash = await transferOwnership(
-      token.token_address,
+    await executeOwnerCall(bot, chatId, telegramId, token, "ownership", {
+      action: details.twoStepOwnership ? "start_ownership_transfer" : "transfer_ownership",
+      signer: currentOwner,
+      previousOwner: currentOwner,
       newOwner,
-      token.network || "alvey"
+    });
+  } catch (error) {
+    console.error("Error transferring ownership:", error);
+    await bot.sendMessage(
+      chatId,
+      `❌ Error transferring ownership: ${error.message}`
     );
+  }
+};
+
+/**
+ * Handle renounce ownership callback - explain the consequences and ask for a typed confirmation
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleRenounceOwnershipStart = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const tokenId = parseInt(query.data.split("_")[2], 10);
+
+  try {
+    const token = await getUserToken(tokenId, telegramId);
+
+    if (!token) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Token not found",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const details = await getTokenDetails(token.token_address, token.network || "alvey");
+    if (details.renounced) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Ownership of this token is already renounced",
+        show_alert: true,
+      });
+      return;
+    }
+    if (details.tradingEnabled === false) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Enable trading first - ownership cannot be renounced before the launch",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const { saveUserSession } = require("../utils/database");
+    await saveUserSession(telegramId, MANAGE_STEPS.WAITING_RENOUNCE_CONFIRM, {
+      tokenId: token.id,
+      action: "renounce_ownership",
+    });
+
+    const message = `
+⚠️ Renounce Ownership of ${token.token_name} (${token.token_symbol})
+
+Renouncing sets the owner to the zero address. This is PERMANENT:
+• Nobody, including you, can ever own or manage this token again
+• Ownership cannot be transferred or restored afterwards
+${details.pendingOwner ? `• The pending transfer to \`${details.pendingOwner}\` is cancelled\n` : ""}
+Current Owner: \`${details.owner}\`
+
+To confirm, send exactly:
+\`RENOUNCE ${token.token_symbol}\`
+
+Send anything else to cancel.
+`;
+
+    await bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error("Error in handleRenounceOwnershipStart:", error);
+    await bot.answerCallbackQuery(query.id, {
+      text: "Error starting renounce",
+      show_alert: true,
+    });
+  }
+};
+
+/**
+ * Handle the typed renounce confirmation
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ */
+const handleRenounceConfirm = async (bot, msg) => {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+
+  try {
+    const { getUserSession, deleteUserSession } = require("../utils/database");
+    const session = await getUserSession(telegramId);
+    if (!session || session.step !== MANAGE_STEPS.WAITING_RENOUNCE_CONFIRM) {
+      return;
+    }
+
+    const token = await getUserToken(session.session_data.tokenId, telegramId);
+    if (!token) {
+      await bot.sendMessage(chatId, "❌ Token not found");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    if (msg.text.trim() !== `RENOUNCE ${token.token_symbol}`) {
+      await deleteUserSession(telegramId);
+      await bot.sendMessage(chatId, "❎ Confirmation did not match. Ownership was NOT renounced.");
+      return;
+    }
+
+    const details = await getTokenDetails(token.token_address, token.network || "alvey");
+    if (details.renounced) {
+      await deleteUserSession(telegramId);
+      await bot.sendMessage(chatId, "❌ Ownership of this token is already renounced");
+      return;
+    }
+    if (details.tradingEnabled === false) {
+      await deleteUserSession(telegramId);
+      await bot.sendMessage(chatId, "❌ Enable trading first - ownership cannot be renounced before the launch");
+      return;
+    }
+
+    await executeOwnerCall(bot, chatId, telegramId, token, "ownership", {
+      action: "renounce_ownership",
+      signer: details.owner,
+      previousOwner: details.owner,
+      newOwner: ethers.ZeroAddress,
+    });
+  } catch (error) {
+    console.error("Error renouncing ownership:", error);
+    await bot.sendMessage(chatId, `❌ Error renouncing ownership: ${error.message}`);
+  }
+};
 
-    // Update database
-    await updateTokenOwner(tokenId, newOwner);
+/**
+ * Handle accept ownership callback - the pending owner completes a two-step transfer
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleAcceptOwnership = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const tokenId = parseInt(query.data.split("_")[2], 10);
+
+  try {
+    const token = await getUserToken(tokenId, telegramId);
+
+    if (!token) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Token not found",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const details = await getTokenDetails(token.token_address, token.network || "alvey");
+    if (!details.pendingOwner) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "This token has no pending ownership transfer",
+        show_alert: true,
+      });
+      return;
+    }
 
-    // Log activity
-    const user = await getUser(telegramId);
-    await logActivity(user.id, "ownership_transferred", {
-      token_id: tokenId,
-      token_address: token.token_address,
-      old_owner: token.owner_wallet,
-      new_owner: newOwner,
-      tx_hash: txHash,
+    await bot.answerCallbackQuery(query.id);
+    await executeOwnerCall(bot, chatId, telegramId, token, "ownership", {
+      action: "accept_ownership",
+      signer: details.pendingOwner,
+      previousOwner: details.owner,
+      newOwner: details.pendingOwner,
     });
+  } catch (error) {
+    console.error("Error in handleAcceptOwnership:", error);
+    await bot.sendMessage(chatId, `❌ Error accepting ownership: ${error.message}`);
+  }
+};
+
+/**
+ * Arguments of the ownership function for a change
+ * @param {object} change - Ownership change
+ * @returns {Array}
+ */
+const getOwnershipCallArgs = (change) =>
+  OWNERSHIP_ACTIONS[change.action].functionName === "transferOwnership" ? [change.newOwner] : [];
+
+/**
+ * What the signer is asked to sign for an ownership change
+ * @param {object} token - Token row
+ * @param {object} change - Ownership change
+ * @returns {string} HTML
+ */
+const describeOwnershipChange = (token, change) => {
+  const descriptions = {
+    transfer_ownership:
+      `Your wallet owns ${token.token_name}, so the transfer must be signed there.\n` +
+      `New owner: <code>${change.newOwner}</code>`,
+    start_ownership_transfer:
+      `Your wallet owns ${token.token_name}, so the transfer must be signed there.\n` +
+      `New owner: <code>${change.newOwner}</code>\n` +
+      "The new owner then has to accept ownership to complete the handover.",
+    accept_ownership:
+      `Sign from the pending owner wallet to take over ${token.token_name}.`,
+    renounce_ownership:
+      `Sign from the owner wallet to renounce ${token.token_name}. ` +
+      "<b>The token will have no owner - this cannot be undone.</b>",
+  };
+  return descriptions[change.action];
+};
+
+/**
+ * Record a confirmed ownership change and tell the user
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} token - Token row
+ * @param {object} change - { action, signer, previousOwner, newOwner } (newOwner is ZeroAddress when renouncing)
+ * @param {object} event - { txHash, blockNumber }
+ * @returns {Promise<void>}
+ */
+const recordOwnershipChange = async (bot, chatId, telegramId, token, change, event) => {
+  const { txHash } = event;
+
+  // Update database (a started two-step transfer leaves the owner unchanged)
+  if (change.action !== "start_ownership_transfer") {
+    await updateTokenOwner(token.id, change.newOwner);
+  }
+
+  // Log activity
+  const user = await getUser(telegramId);
+  await logActivity(user.id, OWNERSHIP_ACTIONS[change.action].activity, {
+    token_id: token.id,
+    token_address: token.token_address,
+    old_owner: change.previousOwner,
+    new_owner: change.newOwner,
+    tx_hash: txHash,
+  });
 
-    // Success message
-    const successMessage = `
+  // Success message
+  const txLink = `${NETWORKS[token.network]?.explorer || NETWORKS.alvey.explorer}/tx/${txHash}`;
+  const successMessages = {
+    transfer_ownership: `
 ✅ Ownership transferred successfully!
 
-New Owner: \`${newOwner}\`
-Transaction: ${NETWORKS[token.network]?.explorer || NETWORKS.alvey.explorer}/tx/${txHash}
+New Owner: \`${change.newOwner}\`
+Transaction: ${txLink}
+`,
+    start_ownership_transfer: `
+✅ Ownership transfer started!
+
+Pending Owner: \`${change.newOwner}\`
+Transaction: ${txLink}
+
+The current owner stays in control until the new owner accepts: Manage Token → Accept Ownership (signed from the pending owner wallet).
+`,
+    accept_ownership: `
+✅ Ownership accepted!
+
+New Owner: \`${change.newOwner}\`
+Transaction: ${txLink}
+`,
+    renounce_ownership: `
+🔥 Ownership renounced!
+
+${token.token_name} has no owner anymore.
+Transaction: ${txLink}
+`,
+  };
+
+  await bot.sendMessage(chatId, successMessages[change.action], { parse_mode: "Markdown" });
+};
+
+/**
+ * Handle the fee exemptions callback - list exempt addresses and offer to add or remove one
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleFeeExemptions = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const tokenId = parseInt(query.data.split("_")[2], 10);
+
+  try {
+    const token = await getUserToken(tokenId, telegramId);
+
+    if (!token) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Token not found",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const exemptions = await getFeeExemptions(token.token_address, token.network || "alvey");
+    if (exemptions === null) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "This token was created before fee exemptions were available",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const list = exemptions.length > 0
+      ? exemptions.map((address) => `• \`${address}\`${formatExemptionLabel(token, address)}`).join("\n")
+      : "None";
+
+    const message = `
+🛡️ Fee Exemptions: ${token.token_name} (${token.token_symbol})
+
+Transfers from or to these addresses pay no burn, reflection or tax:
+${list}
+
+Exemptions can only lower fees: the fee schedules themselves cannot be changed.
 `;
 
-    await bot.sendMessage(chatId, successMessage, { parse_mode: "Markdown" });
+    await bot.sendMessage(chatId, message, {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "➕ Exempt an Address", callback_data: `exempt_add_${token.id}` }],
+          [{ text: "➖ Remove an Exemption", callback_data: `exempt_remove_${token.id}` }],
+          [{ text: "⬅️ Back", callback_data: `manage_${token.id}` }],
+        ],
+      },
+    });
 
-    // Clean up session
-    await deleteUserSession(telegramId);
+    await bot.answerCallbackQuery(query.id);
   } catch (error) {
-    console.error("Error transferring ownership:", error);
+    console.error("Error in handleFeeExemptions:", error);
+    await bot.answerCallbackQuery(query.id, {
+      text: "Error loading fee exemptions",
+      show_alert: true,
+    });
+  }
+};
+
+/**
+ * What an exempt address is, e.g. " (this token)"
+ * @param {object} token - Token row
+ * @param {string} address - Exempt address
+ * @returns {string}
+ */
+const formatExemptionLabel = (token, address) => {
+  if (address.toLowerCase() === token.token_address.toLowerCase()) {
+    return " (this token)";
+  }
+  if (token.owner_wallet && address.toLowerCase() === token.owner_wallet.toLowerCase()) {
+    return " (owner)";
+  }
+  return "";
+};
+
+/**
+ * Handle the add / remove exemption callbacks - ask for the address
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleFeeExemptionStart = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const [, mode, id] = query.data.split("_");
+  const tokenId = parseInt(id, 10);
+
+  try {
+    const token = await getUserToken(tokenId, telegramId);
+
+    if (!token) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Token not found",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const { saveUserSession } = require("../utils/database");
+    await saveUserSession(telegramId, MANAGE_STEPS.WAITING_EXEMPTION_ADDRESS, {
+      tokenId: token.id,
+      excluded: mode === "add",
+    });
+
     await bot.sendMessage(
       chatId,
-      `❌ Error transferring ownership: ${error.message}`
+      mode === "add"
+        ? `Send the address to exempt from ${token.token_name} fees (e.g. a presale contract, a locker or a team wallet).`
+        : `Send the address whose ${token.token_name} fee exemption should be removed.`
     );
+
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error("Error in handleFeeExemptionStart:", error);
+    await bot.answerCallbackQuery(query.id, {
+      text: "Error starting fee exemption change",
+      show_alert: true,
+    });
+  }
+};
+
+/**
+ * Handle the address of an exemption change
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ */
+const handleFeeExemptionInput = async (bot, msg) => {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+  const account = msg.text.trim();
+
+  try {
+    const { getUserSession, deleteUserSession } = require("../utils/database");
+    const session = await getUserSession(telegramId);
+    if (!session || session.step !== MANAGE_STEPS.WAITING_EXEMPTION_ADDRESS) {
+      return;
+    }
+
+    if (!isValidEthereumAddress(account)) {
+      await bot.sendMessage(chatId, "❌ Invalid address");
+      return;
+    }
+
+    const { tokenId, excluded } = session.session_data;
+    const token = await getUserToken(tokenId, telegramId);
+    if (!token) {
+      await bot.sendMessage(chatId, "❌ Token not found");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    const networkKey = token.network || "alvey";
+    const [details, exemptions] = await Promise.all([
+      getTokenDetails(token.token_address, networkKey),
+      getFeeExemptions(token.token_address, networkKey),
+    ]);
+
+    if (details.renounced) {
+      await bot.sendMessage(chatId, "❌ Ownership of this token has been renounced - fee exemptions can no longer be changed");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    // Exempting a pair would make every buy and sell fee-free: the token refuses it
+    if (excluded && details.mainPair && details.mainPair.toLowerCase() === account.toLowerCase()) {
+      await bot.sendMessage(chatId, "❌ AMM pairs cannot be exempt from fees");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    const isExempt = (exemptions || []).some((address) => address.toLowerCase() === account.toLowerCase());
+    if (isExempt === excluded) {
+      await bot.sendMessage(chatId, excluded ? "❌ This address is already exempt from fees" : "❌ This address is not exempt from fees");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    await executeOwnerCall(bot, chatId, telegramId, token, "exemption", {
+      account: ethers.getAddress(account),
+      excluded,
+      signer: details.owner,
+    });
+  } catch (error) {
+    console.error("Error updating fee exemption:", error);
+    await bot.sendMessage(chatId, `❌ Error updating fee exemption: ${error.message}`);
+  }
+};
+
+/**
+ * Record a confirmed exemption change and tell the user
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} token - Token row
+ * @param {object} change - { account, excluded, signer }
+ * @param {object} event - { txHash, blockNumber }
+ * @returns {Promise<void>}
+ */
+const recordFeeExemption = async (bot, chatId, telegramId, token, change, event) => {
+  const user = await getUser(telegramId);
+  await logActivity(user.id, change.excluded ? "fee_exemption_added" : "fee_exemption_removed", {
+    token_id: token.id,
+    token_address: token.token_address,
+    account: change.account,
+    tx_hash: event.txHash,
+  });
+
+  const txLink = `${NETWORKS[token.network]?.explorer || NETWORKS.alvey.explorer}/tx/${event.txHash}`;
+  await bot.sendMessage(
+    chatId,
+    `
+✅ ${change.excluded ? "Address exempted from fees" : "Fee exemption removed"}!
+
+Address: \`${change.account}\`
+Transaction: ${txLink}
+`,
+    {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: [[{ text: "🛡️ Fee Exemptions", callback_data: `fee_exemptions_${token.id}` }]],
+      },
+    }
+  );
+};
+
+/**
+ * Handle enable trading callback - explain the launch and ask for confirmation
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleEnableTradingStart = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const tokenId = parseInt(query.data.split("_")[2], 10);
+
+  try {
+    const token = await getUserToken(tokenId, telegramId);
+
+    if (!token) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Token not found",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const features = await getTokenFeatures(token.token_address, token.network || "alvey");
+    if (!features.launch) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "This token has no trading switch",
+        show_alert: true,
+      });
+      return;
+    }
+    if (features.launch.tradingEnabled) {
+      await bot.answerCallbackQuery(query.id, {
+        text: `Trading is already enabled (block ${features.launch.tradingEnabledBlock})`,
+        show_alert: true,
+      });
+      return;
+    }
+
+    const { antiSnipeBlocks, antiSnipeSellFee } = features.launch;
+    const message = `
+🚀 Enable Trading of ${token.token_name} (${token.token_symbol})
+
+Once enabled, anyone can buy and sell through the DEX pair. This is PERMANENT: trading cannot be paused again.
+${antiSnipeBlocks > 0
+    ? `\n🎯 Anti-snipe: for the first ${antiSnipeBlocks} blocks, sells pay an extra ${antiSnipeSellFee}% fee that is burned.\n`
+    : ""}
+Add liquidity before enabling trading.
+`;
+
+    await bot.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "✅ Enable Trading Now", callback_data: `confirm_trading_${token.id}` }],
+          [{ text: "❌ Cancel", callback_data: `manage_${token.id}` }],
+        ],
+      },
+    });
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error("Error in handleEnableTradingStart:", error);
+    await bot.answerCallbackQuery(query.id, {
+      text: "Error loading launch settings",
+      show_alert: true,
+    });
+  }
+};
+
+/**
+ * Handle the enable trading confirmation - send the launch from the bot wallet or ask the owner to sign it
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleEnableTradingConfirm = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const telegramId = query.from.id;
+  const tokenId = parseInt(query.data.split("_")[2], 10);
+
+  try {
+    const token = await getUserToken(tokenId, telegramId);
+
+    if (!token) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Token not found",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const details = await getTokenDetails(token.token_address, token.network || "alvey");
+    if (details.tradingEnabled !== false) {
+      await bot.answerCallbackQuery(query.id, {
+        text: details.tradingEnabled ? "Trading is already enabled" : "This token has no trading switch",
+        show_alert: true,
+      });
+      return;
+    }
+    if (details.renounced) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Ownership of this token has been renounced",
+        show_alert: true,
+      });
+      return;
+    }
+
+    await bot.answerCallbackQuery(query.id);
+    await executeOwnerCall(bot, chatId, telegramId, token, "trading", { signer: details.owner });
+  } catch (error) {
+    console.error("Error enabling trading:", error);
+    await bot.sendMessage(chatId, `❌ Error enabling trading: ${error.message}`);
+  }
+};
+
+/**
+ * Record a confirmed launch and tell the user
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} token - Token row
+ * @param {object} change - { signer }
+ * @param {object} event - { txHash, blockNumber } of the TradingEnabled event
+ * @returns {Promise<void>}
+ */
+const recordEnableTrading = async (bot, chatId, telegramId, token, change, event) => {
+  const user = await getUser(telegramId);
+  await logActivity(user.id, "trading_enabled", {
+    token_id: token.id,
+    token_address: token.token_address,
+    block_number: event.blockNumber,
+    tx_hash: event.txHash,
+  });
+
+  const txLink = `${NETWORKS[token.network]?.explorer || NETWORKS.alvey.explorer}/tx/${event.txHash}`;
+  await bot.sendMessage(
+    chatId,
+    `
+✅ Trading enabled for ${token.token_name} (${token.token_symbol})!
+${event.blockNumber ? `\nEnabled at block: ${event.blockNumber}` : ""}
+Transaction: ${txLink}
+`,
+    {
+      reply_markup: {
+        inline_keyboard: [[{ text: "🔧 Manage Token", callback_data: `manage_${token.id}` }]],
+      },
+    }
+  );
+};
+
+// Owner-only calls: signed by the bot when it is the signer, otherwise in the signer's wallet.
+// Each one knows its function, the event that confirms it and how to record it
+const OWNER_CALLS = {
+  ownership: {
+    step: MANAGE_STEPS.WAITING_OWNER_TX,
+    watchKey: "owner",
+    txLabel: "ownership",
+    watchLabel: "the ownership change",
+    getCall: (change) => ({
+      functionName: OWNERSHIP_ACTIONS[change.action].functionName,
+      args: getOwnershipCallArgs(change),
+    }),
+    describe: describeOwnershipChange,
+    findEvent: (token, change, fromBlock, networkKey) =>
+      findOwnershipEvent(
+        token.token_address,
+        OWNERSHIP_ACTIONS[change.action].eventName,
+        change.newOwner,
+        fromBlock,
+        networkKey
+      ),
+    getEventFromTx: (txHash, token, change, networkKey) =>
+      getOwnershipEventFromTx(
+        txHash,
+        token.token_address,
+        OWNERSHIP_ACTIONS[change.action].eventName,
+        change.newOwner,
+        networkKey
+      ),
+    record: recordOwnershipChange,
+  },
+  exemption: {
+    step: MANAGE_STEPS.WAITING_EXEMPTION_TX,
+    watchKey: "exempt",
+    txLabel: "fee exemption",
+    watchLabel: "the fee exemption change",
+    getCall: (change) => ({ functionName: "setExcludedFromFees", args: [change.account, change.excluded] }),
+    describe: (token, change) =>
+      `Sign from the owner wallet to ${change.excluded ? "exempt" : "stop exempting"} ` +
+      `<code>${change.account}</code> from ${token.token_name} fees.`,
+    findEvent: (token, change, fromBlock, networkKey) =>
+      findFeeExemptionEvent(token.token_address, change.account, change.excluded, fromBlock, networkKey),
+    getEventFromTx: (txHash, token, change, networkKey) =>
+      getFeeExemptionEventFromTx(txHash, token.token_address, change.account, change.excluded, networkKey),
+    record: recordFeeExemption,
+  },
+  trading: {
+    step: MANAGE_STEPS.WAITING_TRADING_TX,
+    watchKey: "trading",
+    txLabel: "enable trading",
+    watchLabel: "the launch",
+    getCall: () => ({ functionName: "enableTrading", args: [] }),
+    describe: (token) => `Sign from the owner wallet to open trading of ${token.token_name}. This cannot be undone.`,
+    findEvent: (token, change, fromBlock, networkKey) =>
+      findTradingEnabledEvent(token.token_address, fromBlock, networkKey),
+    getEventFromTx: (txHash, token, change, networkKey) =>
+      getTradingEnabledEventFromTx(txHash, token.token_address, networkKey),
+    record: recordEnableTrading,
+  },
+};
+
+/**
+ * Send an owner-only call from the bot wallet, or ask the signer to sign it in their own wallet
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} token - Token row
+ * @param {string} kind - Key in OWNER_CALLS
+ * @param {object} change - Call details, always with the signer
+ * @returns {Promise<void>}
+ */
+const executeOwnerCall = async (bot, chatId, telegramId, token, kind, change) => {
+  const botAddress = getBotAddress();
+  if (!botAddress || change.signer.toLowerCase() !== botAddress.toLowerCase()) {
+    // Signer is the user's wallet
+    await requestOwnerCallSignature(bot, chatId, telegramId, token, kind, change);
+    return;
+  }
+
+  const call = OWNER_CALLS[kind];
+  const networkKey = token.network || "alvey";
+  await bot.sendMessage(chatId, `⏳ Sending the ${call.txLabel} transaction...`);
+
+  // The bot holds this token (or is its pending owner)
+  const { functionName, args } = call.getCall(change);
+  const txHash = await sendOwnershipTx(token.token_address, functionName, args, networkKey);
+  const result = await call.getEventFromTx(txHash, token, change, networkKey);
+
+  await completeOwnerCall(bot, chatId, telegramId, token, kind, change, result.event || { txHash, blockNumber: null });
+};
+
+/**
+ * Send an owner-only call for the user to sign and watch for the event that confirms it
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} token - Token row
+ * @param {string} kind - Key in OWNER_CALLS
+ * @param {object} change - Call details (see executeOwnerCall)
+ * @returns {Promise<void>}
+ */
+const requestOwnerCallSignature = async (bot, chatId, telegramId, token, kind, change) => {
+  const { saveUserSession } = require("../utils/database");
+  const call = OWNER_CALLS[kind];
+  const networkKey = token.network || "alvey";
+  const { functionName, args } = call.getCall(change);
+  const fromBlock = await connectProvider(networkKey).getBlockNumber();
+
+  await saveUserSession(telegramId, call.step, {
+    tokenId: token.id,
+    ...change,
+    fromBlock,
+  });
+
+  const tx = buildContractCallTx(token.token_address, TOKEN_ABI, functionName, args, change.signer, networkKey);
+  await sendSigningRequest(bot, chatId, tx, {
+    title: `✍️ <b>Sign ${functionName}</b>`,
+    description: call.describe(token, change),
+    fileName: `${functionName}_${token.token_symbol}`,
+  });
+
+  await bot.sendMessage(
+    chatId,
+    `👀 Watching for ${call.watchLabel}... Paste the transaction hash (0x...) here to speed things up.`
+  );
+
+  watchUntil(
+    `${call.watchKey}_${telegramId}`,
+    async () => {
+      const event = await call.findEvent(token, change, fromBlock, networkKey);
+      if (!event) {
+        return false;
+      }
+      await completeOwnerCall(bot, chatId, telegramId, token, kind, change, event);
+      return true;
+    },
+    {
+      onTimeout: () => bot.sendMessage(
+        chatId,
+        `⌛ Stopped watching for ${call.watchLabel}. If you sent it, paste the transaction hash (0x...) here.`
+      ),
+    }
+  );
+};
+
+/**
+ * Handle text while waiting for an owner-only call signed in the user's wallet (a pasted tx hash)
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ */
+const handleOwnerCallTxInput = async (bot, msg) => {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+  const txHash = msg.text.trim();
+
+  try {
+    const { getUserSession, deleteUserSession } = require("../utils/database");
+    const session = await getUserSession(telegramId);
+    const kind = session && Object.keys(OWNER_CALLS).find((key) => OWNER_CALLS[key].step === session.step);
+    if (!kind) {
+      return;
+    }
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+      await bot.sendMessage(chatId, "⏳ Waiting for your transaction. Paste the transaction hash (0x...) or /cancel.");
+      return;
+    }
+
+    const { tokenId, fromBlock, ...change } = session.session_data;
+    const token = await getUserToken(tokenId, telegramId);
+    if (!token) {
+      await bot.sendMessage(chatId, "❌ Token not found");
+      await deleteUserSession(telegramId);
+      return;
+    }
+
+    const result = await OWNER_CALLS[kind].getEventFromTx(txHash, token, change, token.network || "alvey");
+    if (result.status !== "confirmed") {
+      await bot.sendMessage(chatId, `❌ ${result.reason}`);
+      return;
+    }
+
+    await completeOwnerCall(bot, chatId, telegramId, token, kind, change, result.event);
+  } catch (error) {
+    console.error("Error in handleOwnerCallTxInput:", error);
+    await bot.sendMessage(chatId, `❌ Error checking transaction: ${error.message}`);
+  }
+};
+
+/**
+ * Record a confirmed owner-only call once (bot-signed, found by the watcher or pasted by the user)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {object} token - Token row
+ * @param {string} kind - Key in OWNER_CALLS
+ * @param {object} change - Call details (see executeOwnerCall)
+ * @param {object} event - { txHash, blockNumber } of the confirming event
+ * @returns {Promise<void>}
+ */
+const completeOwnerCall = async (bot, chatId, telegramId, token, kind, change, event) => {
+  if (completing.has(telegramId)) {
+    return; // The watcher and a pasted hash found it at the same time
+  }
+  completing.add(telegramId);
+
+  try {
+    const { deleteUserSession } = require("../utils/database");
+    const call = OWNER_CALLS[kind];
+    stopWatch(`${call.watchKey}_${telegramId}`);
+
+    await call.record(bot, chatId, telegramId, token, change, event);
+
+    // Clean up session
+    await deleteUserSession(telegramId);
+  } finally {
+    completing.delete(telegramId);
   }
 };
 
@@ -201,6 +1133,14 @@ module.exports = {
   handleManageToken,
   handleTransferOwnershipStart,
   handleOwnershipTransfer,
+  handleRenounceOwnershipStart,
+  handleRenounceConfirm,
+  handleAcceptOwnership,
+  handleOwnerCallTxInput,
+  handleFeeExemptions,
+  handleFeeExemptionStart,
+  handleFeeExemptionInput,
+  handleEnableTradingStart,
+  handleEnableTradingConfirm,
   MANAGE_STEPS,
 };
-
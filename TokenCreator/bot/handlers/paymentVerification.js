@@ -1,297 +1,655 @@
 const {
   getRecentTransactions,
   verifyPayment,
-  deployToken,
+  getTokenDecimals,
+  toTokenUnits,
+  connectProvider,
+  getTokenTradingConfig,
 } = require("../utils/blockchain");
 const {
   updatePaymentStatus,
   getPayment,
+  getPaymentByTxHash,
+  getPendingPayments,
+  getOverduePayments,
+  getBotState,
+  setBotState,
+  deleteBotState,
+  setPaymentPayer,
+  addPaymentTransaction,
+  removePaymentTransaction,
+  getPaymentTransactionByHash,
+  getPaymentReceivedUnits,
+  extendPaymentExpiry,
+  isDepositSweepTx,
   saveToken,
-  getUser,
 } = require("../utils/database");
-const { ADDRESSES, PAYMENT, NETWORKS, getNetwork } = require("../config/constants");
+const { ethers } = require("ethers");
+const {
+  PAYMENT,
+  getNetwork,
+  getPaymentMethod,
+  getEnabledPaymentMethods,
+} = require("../config/constants");
 const { logActivity } = require("../utils/database");
+const { creditReferralCommission } = require("./referrals");
+const { isShuttingDown, trackOperation } = require("../utils/shutdown");
+
+// Payment watcher state (single loop shared by every pending payment)
+let watcherBot = null;
+let watcherTimer = null;
+let watcherBusy = false;
+const idleMethods = new Set(); // methods whose cursor was already cleared
+
+/**
+ * Key under which the last scanned block is stored in bot_state
+ * @param {string} methodKey - Payment method key
+ * @returns {string}
+ */
+const lastBlockKey = (methodKey) => `payment_last_block_${methodKey}`;
 
 /**
- * Start payment listener that checks for payment every 5 seconds
+ * Start the persistent payment watcher
+ * Pending payments live in the payments table, so every still-valid payment
+ * is picked up again after a restart and scanning resumes from the stored block
  * @param {object} bot - Telegram bot instance
- * @param {string} payerWallet - Wallet address that should send payment
- * @param {string} paymentId - Payment ID
- * @param {number} userId - User ID
- * @param {number} chatId - Telegram chat ID
- * @param {number} telegramId - Telegram user ID
- * @param {object} tokenParams - Token parameters for deployment
  * @returns {Promise<void>}
  */
-const startPaymentListener = async (
-  bot,
-  payerWallet,
-  paymentId,
-  userId,
-  chatId,
-  telegramId,
-  tokenParams
-) => {
-  const startTime = Date.now();
-  const timeout = PAYMENT.TIMEOUT; // 15 minutes
-  const checkInterval = PAYMENT.CHECK_INTERVAL; // 5 seconds
-  let lastCheckedBlock = null;
-
-  const checkPayment = async () => {
-    try {
-      // Check if timeout exceeded
-      if (Date.now() - startTime > timeout) {
-        await updatePaymentStatus(paymentId, "expired");
-        await bot.sendMessage(
-          chatId,
-          "❌ Payment expired (15 minutes without confirmation)"
-        );
-        return;
-      }
+const startPaymentWatcher = async (bot) => {
+  if (watcherBot || isShuttingDown()) {
+    return; // Already running (or stopped for good)
+  }
+  watcherBot = bot;
 
-      // Get payment from DB
-      const payment = await getPayment(paymentId);
-      if (!payment || payment.status !== "pending") {
-        return; // Payment already processed or expired
-      }
+  try {
+    const pending = await getPendingPayments();
+    console.log(`💳 Payment watcher started - resuming ${pending.length} pending payment(s)`);
+  } catch (error) {
+    console.error("Error loading pending payments:", error);
+  }
 
-      // Get current block number
-      const { connectProvider } = require("../utils/blockchain");
-      const provider = connectProvider("bsc");
-      const currentBlock = await provider.getBlockNumber();
+  scheduleWatcher(0);
+};
 
-      // Initialize lastCheckedBlock if not set
-      if (lastCheckedBlock === null) {
-        lastCheckedBlock = Math.max(currentBlock - 100, 0); // Check last 100 blocks
-      }
+/**
+ * Stop the payment watcher (on shutdown); a running cycle finishes and schedules nothing
+ */
+const stopPaymentWatcher = () => {
+  watcherBot = null;
+  clearTimeout(watcherTimer);
+  watcherTimer = null;
+};
 
-      // Get recent transactions
-      const transactions = await getRecentTransactions(
-        ADDRESSES.PAYMENT_WALLET_BSC,
-        lastCheckedBlock,
-        "bsc"
-      );
+/**
+ * Schedule the next watcher cycle
+ * @param {number} delay - Delay in milliseconds
+ */
+const scheduleWatcher = (delay) => {
+  if (!watcherBot) {
+    return;
+  }
+  clearTimeout(watcherTimer);
+  watcherTimer = setTimeout(runWatcherCycle, delay);
+};
+
+/**
+ * Run one watcher cycle: expire overdue payments, then scan for new transfers
+ * @returns {Promise<void>}
+ */
+const runWatcherCycle = async () => {
+  if (watcherBusy || !watcherBot) {
+    return;
+  }
+  watcherBusy = true;
+  const bot = watcherBot;
+
+  try {
+    // Tracked so a shutdown waits for the cycle instead of cutting off a payment half-confirmed
+    await trackOperation("payment check", async () => {
+      await expireOverduePayments(bot);
+      await checkPendingPayments(bot);
+    });
+  } catch (error) {
+    console.error("Error in payment watcher:", error);
+    // Continue checking even on error
+  } finally {
+    watcherBusy = false;
+    scheduleWatcher(PAYMENT.CHECK_INTERVAL);
+  }
+};
+
+/**
+ * Expire payments by their expires_at column and notify the users
+ * @param {object} bot - Telegram bot instance
+ * @returns {Promise<void>}
+ */
+const expireOverduePayments = async (bot) => {
+  const overdue = await getOverduePayments();
 
-      // Update last checked block
-      lastCheckedBlock = currentBlock;
+  for (const payment of overdue) {
+    await updatePaymentStatus(payment.payment_id, "expired");
+    await logActivity(payment.user_id, "payment_expired", {
+      payment_id: payment.payment_id,
+    });
 
-      // Filter transactions by payer wallet
-      const matchingTxs = transactions.filter(
-        (tx) => tx.from.toLowerCase() === payerWallet.toLowerCase()
+    try {
+      await bot.sendMessage(
+        payment.chat_id || payment.telegram_id,
+        `❌ Payment expired (${Math.round(PAYMENT.TIMEOUT / 60000)} minutes without confirmation)\n\n` +
+        `Payment ID: ${payment.payment_id}\n\n` +
+        `Already paid? Paste your transaction hash here and the payment will be reattached to this order.`
       );
+    } catch (error) {
+      console.error("Error notifying expired payment:", error.message);
+    }
+  }
+};
 
-      for (const tx of matchingTxs) {
-        // Verify payment
-        const isValid = await verifyPayment(
-          tx.txHash,
-          PAYMENT.AMOUNT_USDT,
-          payerWallet,
-          ADDRESSES.PAYMENT_WALLET_BSC,
-          "bsc"
-        );
-
-        if (isValid) {
-          // Check if this tx_hash was already used
-          const existingPayment = await getPayment(paymentId);
-          if (existingPayment && existingPayment.tx_hash === tx.txHash) {
-            continue; // Already processed
-          }
-
-          // Update payment status
-          await updatePaymentStatus(paymentId, "confirmed", tx.txHash);
-
-          // Update session to wait for owner wallet
-          const { getUserSession, saveUserSession } = require("../utils/database");
-          const { STEPS } = require("./createToken");
-          const session = await getUserSession(telegramId);
-          
-          if (session) {
-            session.session_data.paymentConfirmed = true;
-            await saveUserSession(telegramId, STEPS.WAITING_OWNER_WALLET, session.session_data);
-          }
-
-          // NEW: Get network from session to show correct network name
-          const { getNetwork } = require("../config/constants");
-          const network = session ? getNetwork(session.session_data?.network || "alvey") : getNetwork("alvey");
-          
-          // Notify user
-          await bot.sendMessage(
-            chatId,
-            `✅ Payment confirmed! Please send your ${network.name.toUpperCase()} wallet address to receive token ownership.`
-          );
-
-          // Log activity
-          await logActivity(userId, "payment_confirmed", {
-            payment_id: paymentId,
-            tx_hash: tx.txHash,
-          });
-
-          return; // Stop checking
-        }
-      }
+/**
+ * Scan every payment method for new transfers and match them to pending payments
+ * @param {object} bot - Telegram bot instance
+ * @returns {Promise<void>}
+ */
+const checkPendingPayments = async (bot) => {
+  const payments = await getPendingPayments();
+
+  // Group pending payments by payment method (chain + token)
+  const paymentsByMethod = new Map();
+  for (const payment of payments) {
+    const methodKey = payment.payment_method || getPaymentMethod().key;
+    if (!paymentsByMethod.has(methodKey)) {
+      paymentsByMethod.set(methodKey, []);
+    }
+    paymentsByMethod.get(methodKey).push(payment);
+  }
+
+  // Methods with nothing to match drop their cursor, so old transfers are never replayed
+  // against a later payment; the next payment starts from a short lookback instead
+  for (const method of getEnabledPaymentMethods()) {
+    if (!paymentsByMethod.has(method.key) && !idleMethods.has(method.key)) {
+      await deleteBotState(lastBlockKey(method.key));
+      idleMethods.add(method.key);
+    }
+  }
 
-      // Schedule next check
-      setTimeout(checkPayment, checkInterval);
+  for (const [methodKey, methodPayments] of paymentsByMethod) {
+    idleMethods.delete(methodKey);
+    try {
+      await checkMethodPayments(bot, getPaymentMethod(methodKey), methodPayments);
     } catch (error) {
-      console.error("Error in payment listener:", error);
-      // Continue checking even on error
-      setTimeout(checkPayment, checkInterval);
+      // One failing chain must not block the others
+      console.error(`Error checking ${methodKey} payments:`, error);
     }
-  };
+  }
+};
+
+/**
+ * Scan one payment method's wallet for new transfers and match them to its pending payments
+ * @param {object} bot - Telegram bot instance
+ * @param {object} method - Payment method from the registry
+ * @param {Array} payments - Pending payments using this method
+ * @returns {Promise<void>}
+ */
+const checkMethodPayments = async (bot, method, payments) => {
+  const provider = connectProvider(method.network);
+  const currentBlock = await provider.getBlockNumber();
+  const stateKey = lastBlockKey(method.key);
+
+  // Resume from the stored block (or look back a little on first run)
+  const storedBlock = await getBotState(stateKey);
+  const fromBlock = storedBlock !== null
+    ? parseInt(storedBlock, 10) + 1
+    : Math.max(currentBlock - PAYMENT.LOOKBACK_BLOCKS, 0);
+
+  if (fromBlock > currentBlock) {
+    return; // No new blocks yet
+  }
+
+  // Scan in chunks so a long downtime does not exceed the RPC limits
+  const maxRange = method.token ? PAYMENT.MAX_BLOCK_RANGE : PAYMENT.MAX_NATIVE_BLOCK_RANGE;
+  const toBlock = Math.min(currentBlock, fromBlock + maxRange - 1);
+
+  // The payment wallet plus the deposit address of every payment that has one
+  const recipients = [method.wallet, ...payments.filter((p) => p.deposit_address).map((p) => p.deposit_address)];
+  const transactions = await getRecentTransactions(
+    recipients,
+    fromBlock,
+    method.network,
+    toBlock,
+    { tokenAddress: method.token }
+  );
+
+  const decimals = await getTokenDecimals(method.token, method.network);
+  const usedTxHashes = new Set();
+
+  for (const payment of payments) {
+    for (const tx of transactions) {
+      // Match by deposit address, payer wallet, or the unique amount when no wallet was given
+      if (usedTxHashes.has(tx.txHash) || !transferMatchesPayment(tx, payment, method, decimals)) {
+        continue;
+      }
+
+      const result = await creditPaymentTx(bot, payment, method, tx.txHash);
+      if (result.credited || result.used) {
+        usedTxHashes.add(tx.txHash);
+      }
+      if (result.confirmed) {
+        break;
+      }
+      if (result.credited) {
+        // Partial payment: the sender is now known, so top-ups in this range match too
+        payment.payer_wallet = payment.payer_wallet || result.from;
+      }
+    }
+  }
 
-  // Start checking
-  checkPayment();
+  // Only advance the cursor once the range was scanned successfully
+  await setBotState(stateKey, toBlock);
 };
 
 /**
- * Deploy token after payment confirmation
+ * Check whether a transaction was already credited to any payment
+ * Only a quick rejection: the unique tx_hash indexes settle concurrent credits
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<boolean>}
+ */
+const isTxHashUsed = async (txHash) =>
+  Boolean((await getPaymentTransactionByHash(txHash)) || (await getPaymentByTxHash(txHash)));
+
+/**
+ * Credit a transaction to a payment and confirm the payment once fully paid
+ * Amounts are compared as exact integers in the currency's smallest units;
+ * a transfer short of the price is kept and the rest can be sent as a top-up.
+ * Until a sender is known, a payment without a deposit address is only matched by its
+ * unique amount, so nobody can claim another user's transfer (or a deposit sweep) as theirs
  * @param {object} bot - Telegram bot instance
- * @param {number} chatId - Telegram chat ID
- * @param {number} userId - User ID
- * @param {object} tokenParams - Token parameters
- * @param {string} ownerWallet - Owner wallet address
- * @returns {Promise<object>} Deployment result
+ * @param {object} payment - Payment row (with telegram_id)
+ * @param {object} method - Payment method from the registry
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<object>} { credited, confirmed, used, from, reason }
  */
-const deployTokenAfterPayment = async (
-  bot,
-  chatId,
-  userId,
-  tokenParams,
-  ownerWallet
-) => {
-  try {
-    // NEW: Get network from tokenParams or default to alvey
-    const networkKey = tokenParams.network || "alvey";
-    const network = getNetwork(networkKey);
-    
-    await bot.sendMessage(chatId, `⏳ Deploying token to ${network.name}...`);
+const creditPaymentTx = async (bot, payment, method, txHash) => {
+  // Never let one transfer pay for two orders (e.g. it was pasted manually before)
+  if (await isTxHashUsed(txHash)) {
+    return { credited: false, used: true, reason: "This transaction was already used for a payment" };
+  }
+
+  // Anyone may pay into a deposit address; the payment wallet only counts the payer's transfers
+  const transfer = await verifyPayment(
+    txHash,
+    payment.deposit_address ? null : payment.payer_wallet,
+    getPaymentRecipient(payment, method),
+    method.network,
+    { tokenAddress: method.token }
+  );
+
+  if (!transfer) {
+    return {
+      credited: false,
+      reason: "Transaction does not pay this order (wrong currency, sender or recipient, or not mined yet)",
+    };
+  }
 
-    // Use network factory address
-    const factoryAddress = network.factoryAddress;
+  // Sweeps move earlier payments from deposit addresses into the payment wallet
+  if (await isDepositSweepTx(txHash, transfer.from)) {
+    return { credited: false, reason: "This transaction is a deposit sweep, not a payment" };
+  }
+
+  const expected = toTokenUnits(payment.amount, transfer.decimals);
+
+  // No sender known yet: only the exact amount reserved for this order identifies it
+  if (!payment.deposit_address && !payment.payer_wallet && transfer.value !== expected) {
+    return {
+      credited: false,
+      reason: `Transaction does not pay this order: send exactly ${payment.amount} ${method.currency} in one transfer`,
+    };
+  }
 
-    if (!factoryAddress || factoryAddress === "0x0000000000000000000000000000000000000000") {
-      throw new Error(`Factory address not configured for ${network.name}`);
+  if (!(await addPaymentTransaction(payment.payment_id, txHash, transfer.from, transfer.value))) {
+    return { credited: false, used: true, reason: "This transaction was already used for a payment" };
+  }
+
+  // Record the sender before anything else so top-ups are matched by wallet
+  if (!payment.payer_wallet) {
+    await setPaymentPayer(payment.payment_id, transfer.from);
+  }
+
+  const received = await getPaymentReceivedUnits(payment.payment_id);
+
+  if (received >= expected) {
+    // Confirmed another payment meanwhile (e.g. an older one that predates payment_transactions)
+    if (!(await confirmPayment(bot, payment, txHash))) {
+      await removePaymentTransaction(payment.payment_id, txHash);
+      return { credited: false, used: true, reason: "This transaction was already used for a payment" };
     }
+    return { credited: true, confirmed: true, from: transfer.from };
+  }
+
+  await notifyPartialPayment(bot, payment, method, transfer, received, expected);
+  return { credited: true, confirmed: false, from: transfer.from };
+};
+
+/**
+ * Keep a partially paid payment open and ask the user to send the rest
+ * @param {object} bot - Telegram bot instance
+ * @param {object} payment - Payment row (with telegram_id)
+ * @param {object} method - Payment method from the registry
+ * @param {object} transfer - Transfer returned by verifyPayment
+ * @param {bigint} received - Total received so far (smallest units)
+ * @param {bigint} expected - Price (smallest units)
+ * @returns {Promise<void>}
+ */
+const notifyPartialPayment = async (bot, payment, method, transfer, received, expected) => {
+  await extendPaymentExpiry(payment.payment_id);
+
+  const format = (units) => `${ethers.formatUnits(units, transfer.decimals)} ${method.currency}`;
+
+  await logActivity(payment.user_id, "payment_partial", {
+    payment_id: payment.payment_id,
+    received: received.toString(),
+    expected: expected.toString(),
+  });
 
-    // Deploy token
-    const result = await deployToken(
-      factoryAddress,
-      {
-        ...tokenParams,
-        initialOwner: ownerWallet,
-      },
-      networkKey
+  try {
+    await bot.sendMessage(
+      payment.chat_id || payment.telegram_id,
+      `⚠️ Partial payment received: ${format(received)} of ${format(expected)}\n\n` +
+      (payment.deposit_address
+        ? `Send the remaining ${format(expected - received)} to the same deposit address (${payment.deposit_address}) `
+        : `Send the remaining ${format(expected - received)} from the same wallet (${transfer.from}) `) +
+      `within ${Math.round(PAYMENT.TIMEOUT / 60000)} minutes to complete the order.\n\n` +
+      `Payment ID: ${payment.payment_id}`
     );
+  } catch (error) {
+    console.error("Error notifying partial payment:", error.message);
+  }
+};
 
-    // NEW: Validate deployment result
-    if (!result || !result.tokenAddress) {
-      throw new Error('DEPLOYMENT FAILED: No token address returned from deployment');
-    }
+/**
+ * Address a payment is sent to: its own deposit address, or the method's payment wallet
+ * @param {object} payment - Payment row
+ * @param {object} method - Payment method from the registry
+ * @returns {string}
+ */
+const getPaymentRecipient = (payment, method) => payment.deposit_address || method.wallet;
 
-    // NEW: Additional validation - verify contract exists
-    const { connectProvider } = require("../utils/blockchain");
-    const provider = connectProvider(networkKey);
-    const code = await provider.getCode(result.tokenAddress);
-    
-    if (code === '0x' || code.length < 100) {
-      throw new Error(
-        `VALIDATION FAILED: No contract code at ${result.tokenAddress}\n` +
-        `Bytecode: ${code.length} bytes (expected >1000)\n` +
-        'Contract deployment verification failed'
-      );
-    }
+/**
+ * Check whether an incoming transfer belongs to a pending payment
+ * @param {object} tx - Transfer from getRecentTransactions
+ * @param {object} payment - Payment row
+ * @param {object} method - Payment method from the registry
+ * @param {number} decimals - Decimals of the payment currency
+ * @returns {boolean}
+ */
+const transferMatchesPayment = (tx, payment, method, decimals) => {
+  if (tx.to.toLowerCase() !== getPaymentRecipient(payment, method).toLowerCase()) {
+    return false;
+  }
+  if (payment.deposit_address) {
+    return true; // The deposit address alone identifies the order
+  }
+  if (payment.payer_wallet) {
+    return tx.from.toLowerCase() === payment.payer_wallet.toLowerCase();
+  }
+  // Pay-by-unique-amount: the amount alone identifies the order
+  return BigInt(tx.value) === toTokenUnits(payment.amount, decimals);
+};
 
-    console.log('✅ Deployment validated - Contract has', Math.floor((code.length - 2) / 2), 'bytes of code');
-
-    // NEW: Use verification helper (no source code comparison)
-    const { validateDeployment, storeDeploymentInfo, generateVerificationInstructions } = require('../utils/verificationHelper');
-    const { ethers } = require('ethers');
-    
-    // Get receipt from result if available, otherwise construct minimal receipt
-    const receipt = result.receipt || {
-      contractAddress: result.tokenAddress,
-      transactionHash: result.txHash,
-      blockNumber: result.blockNumber,
-      gasUsed: { toString: () => '0' }
-    };
+/**
+ * Mark a payment as confirmed and move the user to the owner wallet step
+ * @param {object} bot - Telegram bot instance
+ * @param {object} payment - Payment row (with telegram_id)
+ * @param {string} txHash - Transaction that completed the payment
+ * @returns {Promise<boolean>} False if the transaction already confirmed another payment
+ */
+const confirmPayment = async (bot, payment, txHash) => {
+  // Update payment status (the unique tx_hash index rejects a transaction used elsewhere)
+  if (!(await updatePaymentStatus(payment.payment_id, "confirmed", txHash))) {
+    return false;
+  }
 
-    // Additional validation using helper
-    const validation = await validateDeployment(provider, result.tokenAddress);
-    console.log('✅', validation.message);
-
-    // Convert initialSupply to string
-    const initialSupplyBigInt = ethers.parseUnits(tokenParams.initialSupply.toString(), 18);
-    const initialSupplyString = initialSupplyBigInt.toString();
-
-    // Store comprehensive deployment info
-    const deploymentInfo = storeDeploymentInfo({
-      contractAddress: result.tokenAddress,
-      txHash: result.txHash,
-      blockNumber: receipt.blockNumber || result.blockNumber,
-      gasUsed: receipt.gasUsed ? (typeof receipt.gasUsed === 'bigint' ? receipt.gasUsed.toString() : receipt.gasUsed.toString()) : '0',
-      gasPrice: '0', // Will be updated if available
-      tokenName: tokenParams.name,
-      tokenSymbol: tokenParams.symbol,
-      initialSupply: initialSupplyString,
-      taxPercent: tokenParams.taxPercent || 0,
-      taxWallet: tokenParams.taxWallet || ethers.ZeroAddress,
-      reflectionPercent: tokenParams.reflectionPercent || 0,
-      burnPercent: tokenParams.burnPercent || 0,
-      enableReflection: tokenParams.enableReflection || false,
-      enableBurn: tokenParams.enableBurn || false,
-      owner: ownerWallet
-    });
+  // Update session to wait for owner wallet (only if it still belongs to this payment)
+  const { getUserSession, saveUserSession } = require("../utils/database");
+  const { STEPS } = require("./createToken");
+  const session = await getUserSession(payment.telegram_id);
 
-    // Generate verification instructions
-    const instructions = generateVerificationInstructions(deploymentInfo);
-
-    // Save token to database with deployment info
-    const tokenId = await saveToken(userId, {
-      token_name: tokenParams.name,
-      token_symbol: tokenParams.symbol,
-      initial_supply: tokenParams.initialSupply,
-      tax_percent: tokenParams.taxPercent || 0,
-      tax_wallet: tokenParams.taxWallet || null,
-      token_address: result.tokenAddress,
-      owner_wallet: ownerWallet,
-      factory_address: factoryAddress,
-      tx_hash: result.txHash,
-      network: networkKey,
-      reflection_percent: tokenParams.reflectionPercent || 0,
-      burn_percent: tokenParams.burnPercent || 0,
-      has_reflection: tokenParams.enableReflection || false,
-      has_burn: tokenParams.enableBurn || false,
-      compiler_version: deploymentInfo.compilation.compiler,
-      evm_version: deploymentInfo.compilation.evmVersion,
-      optimization_enabled: deploymentInfo.compilation.optimizationEnabled,
-      optimization_runs: deploymentInfo.compilation.optimizationRuns,
-      constructor_arguments: deploymentInfo.constructorArguments,
-      is_verified: false,
-      verification_status: 'deployment_validated',
-      deployment_info: deploymentInfo,
-      verification_notes: 'Immutable variables embedded in bytecode. Manual or Blockscout support verification required.',
-      verification_instructions: instructions,
-    });
+  if (session && session.session_data.paymentId === payment.payment_id) {
+    session.session_data.paymentConfirmed = true;
+    await saveUserSession(payment.telegram_id, STEPS.WAITING_OWNER_WALLET, session.session_data);
+  }
 
-    await logActivity(userId, "token_deployed", {
-      token_id: tokenId,
-      token_address: result.tokenAddress,
-      tx_hash: result.txHash,
-    });
+  // Get network from session to show correct network name
+  const network = getNetwork(session?.session_data?.network || "alvey");
+
+  // Notify user
+  await bot.sendMessage(
+    payment.chat_id || payment.telegram_id,
+    `✅ Payment confirmed! Please send your ${network.name.toUpperCase()} wallet address to receive token ownership.`
+  );
+
+  // Log activity
+  await logActivity(payment.user_id, "payment_confirmed", {
+    payment_id: payment.payment_id,
+    tx_hash: txHash,
+  });
+
+  // Referral commission for whoever invited this user
+  await creditReferralCommission(bot, payment);
+  return true;
+};
 
+/**
+ * Confirm a payment from a transaction hash pasted by the user
+ * Works for payments outside the watcher's lookback window and reattaches
+ * late payments to orders that already expired
+ * @param {object} bot - Telegram bot instance
+ * @param {string} paymentId - Payment ID
+ * @param {string} txHash - Transaction hash pasted by the user
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Promise<object>} { confirmed: boolean, partial?: boolean, reason?: string }
+ */
+const confirmPaymentByTxHash = (bot, paymentId, txHash, telegramId, chatId) =>
+  trackOperation(`payment check ${paymentId}`, () => checkPaymentTxHash(bot, paymentId, txHash, telegramId, chatId));
+
+/**
+ * Credit a pasted transaction hash to a payment (see confirmPaymentByTxHash)
+ * @param {object} bot - Telegram bot instance
+ * @param {string} paymentId - Payment ID
+ * @param {string} txHash - Transaction hash pasted by the user
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Promise<object>} { confirmed: boolean, partial?: boolean, reason?: string }
+ */
+const checkPaymentTxHash = async (bot, paymentId, txHash, telegramId, chatId) => {
+  const payment = await getPayment(paymentId);
+  if (!payment) {
+    return { confirmed: false, reason: "Payment not found" };
+  }
+
+  if (payment.status === "confirmed") {
+    return { confirmed: false, reason: "This payment is already confirmed" };
+  }
+
+  if (payment.status !== "pending" && payment.status !== "expired") {
+    return { confirmed: false, reason: `Payment is ${payment.status}` };
+  }
+
+  const wasExpired = payment.status === "expired";
+  const method = getPaymentMethod(payment.payment_method);
+  let result;
+  try {
+    result = await creditPaymentTx(
+      bot,
+      { ...payment, telegram_id: telegramId, chat_id: payment.chat_id || chatId },
+      method,
+      txHash
+    );
+  } catch (error) {
+    // The node is down or refused the request: the transaction may well pay the order
+    if (!error.rpcError) {
+      throw error;
+    }
     return {
-      success: true,
-      tokenId,
-      ...result,
+      confirmed: false,
+      reason: `Could not reach ${getNetwork(method.network).name} to check the transaction. Please paste the hash again in a few minutes`,
     };
-  } catch (error) {
-    console.error("Error deploying token:", error);
-    throw error;
   }
+
+  if (!result.credited) {
+    return { confirmed: false, reason: result.reason };
+  }
+
+  if (wasExpired) {
+    await logActivity(payment.user_id, "late_payment_reattached", {
+      payment_id: payment.payment_id,
+      tx_hash: txHash,
+    });
+  }
+
+  // A partial payment was already reported to the user by creditPaymentTx
+  return { confirmed: result.confirmed, partial: !result.confirmed };
+};
+
+/**
+ * Start watching a newly created payment
+ * The payment is read from the payments table, so it survives restarts;
+ * this only makes sure the watcher runs and checks right away
+ * @param {object} bot - Telegram bot instance
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<void>}
+ */
+const startPaymentListener = async (bot, paymentId) => {
+  if (!watcherBot) {
+    await startPaymentWatcher(bot);
+    return;
+  }
+
+  console.log(`Watching payment ${paymentId}`);
+  scheduleWatcher(0);
+};
+
+/**
+ * Validate a deployed token and save it for the user
+ * Shared by bot-signed deployments and transactions signed in the user's wallet
+ * @param {number} userId - User ID
+ * @param {object} tokenParams - Token parameters
+ * @param {string} ownerWallet - Owner wallet address
+ * @param {object} result - Deployment { txHash, tokenAddress, blockNumber, receipt }
+ * @param {string} factoryAddress - Factory the token was created by
+ * @param {string} signedBy - "bot" or "user"
+ * @returns {Promise<object>} { success, tokenId, ...result }
+ */
+const recordTokenDeployment = async (userId, tokenParams, ownerWallet, result, factoryAddress, signedBy = "bot") => {
+  const networkKey = tokenParams.network || "alvey";
+
+  // NEW: Additional validation - verify contract exists
+  const provider = connectProvider(networkKey);
+  const code = await provider.getCode(result.tokenAddress);
+  
+  if (code === '0x' || code.length < 100) {
+    throw new Error(
+      `VALIDATION FAILED: No contract code at ${result.tokenAddress}\n` +
+      `Bytecode: ${code.length} bytes (expected >1000)\n` +
+      'Contract deployment verification failed'
+    );
+  }
+
+  console.log('✅ Deployment validated - Contract has', Math.floor((code.length - 2) / 2), 'bytes of code');
+
+  // NEW: Use verification helper (no source code comparison)
+  const { validateDeployment, storeDeploymentInfo, generateVerificationInstructions } = require('../utils/verificationHelper');
+  
+  // Get receipt from result if available, otherwise construct minimal receipt
+  const receipt = result.receipt || {
+    contractAddress: result.tokenAddress,
+    transactionHash: result.txHash,
+    blockNumber: result.blockNumber,
+    gasUsed: { toString: () => '0' }
+  };
+
+  // Additional validation using helper
+  const validation = await validateDeployment(provider, result.tokenAddress);
+  console.log('✅', validation.message);
+
+  // Buy / sell schedules and DEX router as deployed (null if an older factory created the token)
+  const trading = await getTokenTradingConfig(result.tokenAddress, networkKey);
+
+  // Convert initialSupply to string
+  const initialSupplyBigInt = ethers.parseUnits(tokenParams.initialSupply.toString(), 18);
+  const initialSupplyString = initialSupplyBigInt.toString();
+
+  // Store comprehensive deployment info
+  const deploymentInfo = storeDeploymentInfo({
+    contractAddress: result.tokenAddress,
+    txHash: result.txHash,
+    blockNumber: receipt.blockNumber || result.blockNumber,
+    gasUsed: receipt.gasUsed ? (typeof receipt.gasUsed === 'bigint' ? receipt.gasUsed.toString() : receipt.gasUsed.toString()) : '0',
+    gasPrice: '0', // Will be updated if available
+    tokenName: tokenParams.name,
+    tokenSymbol: tokenParams.symbol,
+    initialSupply: initialSupplyString,
+    taxPercent: tokenParams.taxPercent || 0,
+    taxWallet: tokenParams.taxWallet || ethers.ZeroAddress,
+    reflectionPercent: tokenParams.reflectionPercent || 0,
+    burnPercent: tokenParams.burnPercent || 0,
+    enableReflection: tokenParams.enableReflection || false,
+    enableBurn: tokenParams.enableBurn || false,
+    owner: ownerWallet,
+    trading
+  });
+
+  // Generate verification instructions
+  const instructions = generateVerificationInstructions(deploymentInfo);
+
+  // Save token to database with deployment info
+  const tokenId = await saveToken(userId, {
+    token_name: tokenParams.name,
+    token_symbol: tokenParams.symbol,
+    initial_supply: tokenParams.initialSupply,
+    tax_percent: tokenParams.taxPercent || 0,
+    tax_wallet: tokenParams.taxWallet || null,
+    token_address: result.tokenAddress,
+    owner_wallet: ownerWallet,
+    factory_address: factoryAddress,
+    tx_hash: result.txHash,
+    network: networkKey,
+    reflection_percent: tokenParams.reflectionPercent || 0,
+    burn_percent: tokenParams.burnPercent || 0,
+    has_reflection: tokenParams.enableReflection || false,
+    has_burn: tokenParams.enableBurn || false,
+    compiler_version: deploymentInfo.compilation.compiler,
+    evm_version: deploymentInfo.compilation.evmVersion,
+    optimization_enabled: deploymentInfo.compilation.optimizationEnabled,
+    optimization_runs: deploymentInfo.compilation.optimizationRuns,
+    constructor_arguments: deploymentInfo.constructorArguments,
+    is_verified: false,
+    verification_status: 'deployment_validated',
+    deployment_info: deploymentInfo,
+    verification_notes: 'Immutable variables embedded in bytecode. Manual or Blockscout support verification required.',
+    verification_instructions: instructions,
+  });
+
+  await logActivity(userId, "token_deployed", {
+    token_id: tokenId,
+    token_address: result.tokenAddress,
+    tx_hash: result.txHash,
+    signed_by: signedBy,
+  });
+
+  return {
+    success: true,
+    tokenId,
+    trading,
+    ...result,
+  };
 };
 
 module.exports = {
+  startPaymentWatcher,
+  stopPaymentWatcher,
   startPaymentListener,
-  deployTokenAfterPayment,
+  confirmPaymentByTxHash,
+  recordTokenDeployment,
 };
 
@@ -0,0 +1,280 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  getUser,
+  getPayment,
+  getUserPayments,
+  getPaymentTransactions,
+  getToken,
+} = require("../utils/database");
+const { getTokenDecimals } = require("../utils/blockchain");
+const { PAYMENT_METHODS, getPaymentMethod, getNetwork } = require("../config/constants");
+const { escapeHtml } = require("../utils/html");
+
+// Payments a receipt can be downloaded for
+const RECEIPT_STATUSES = ["confirmed"];
+
+const STATUS_BADGES = {
+  pending: "⏳",
+  confirmed: "✅",
+  expired: "⌛",
+  failed: "❌",
+  deploy_failed: "⚠️",
+  refund_pending: "💸",
+  refunded: "↩️",
+};
+
+/**
+ * Handle /payments command - list the user's payments
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ */
+const handlePayments = async (bot, msg) => {
+  if (!msg || !msg.chat || !msg.from) {
+    console.error("Invalid message structure:", msg);
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+
+  try {
+    const user = await getUser(telegramId, {
+      username: msg.from.username,
+      first_name: msg.from.first_name,
+      last_name: msg.from.last_name,
+    });
+
+    const payments = await getUserPayments(user.id);
+
+    if (payments.length === 0) {
+      await bot.sendMessage(chatId, "You haven't made any payments yet. Use /create_token to create a token.");
+      return;
+    }
+
+    let message = `💳 <b>Your Payments</b> (latest ${payments.length})\n\n`;
+    const keyboard = [];
+
+    payments.forEach((payment, index) => {
+      const date = new Date(payment.created_at).toLocaleDateString();
+      const badge = STATUS_BADGES[payment.status] || "•";
+      const network = getPaymentNetwork(payment);
+
+      message += `${index + 1}. ${badge} <b>${payment.amount} ${payment.currency}</b> - ${payment.status}\n`;
+      message += `   ID: <code>${payment.payment_id}</code>\n`;
+      if (payment.tx_hash) {
+        message += `   Tx: <a href="${network.explorer}/tx/${payment.tx_hash}">${shortHash(payment.tx_hash)}</a>\n`;
+      }
+      if (payment.token_id) {
+        const token = payment.token_name
+          ? `${escapeHtml(payment.token_name)} (${escapeHtml(payment.token_symbol)})`
+          : `#${payment.token_id}`;
+        message += `   Token: ${token}\n`;
+      }
+      message += `   Date: ${date}\n\n`;
+
+      if (RECEIPT_STATUSES.includes(payment.status)) {
+        keyboard.push([
+          { text: `🧾 Receipt ${payment.amount} ${payment.currency} (${date})`, callback_data: `receipt_${payment.payment_id}` },
+        ]);
+      }
+    });
+
+    await bot.sendMessage(chatId, message, {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      reply_markup: keyboard.length > 0 ? { inline_keyboard: keyboard } : undefined,
+    });
+  } catch (error) {
+    console.error("Error in handlePayments:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle receipt download callback - send the receipt as an HTML document
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleReceiptDownload = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const paymentId = query.data.replace("receipt_", "");
+
+  try {
+    const user = await getUser(query.from.id);
+    const payment = await getPayment(paymentId);
+
+    if (!payment || payment.user_id !== user.id) {
+      await bot.answerCallbackQuery(query.id, { text: "Payment not found", show_alert: true });
+      return;
+    }
+    if (!RECEIPT_STATUSES.includes(payment.status)) {
+      await bot.answerCallbackQuery(query.id, { text: `No receipt for a ${payment.status} payment`, show_alert: true });
+      return;
+    }
+
+    const token = payment.token_id ? await getToken(payment.token_id) : null;
+    const transactions = await getPaymentTransactions(paymentId);
+    const html = await generateReceiptHtml(user, payment, token, transactions);
+
+    const tempDir = path.join(__dirname, "../../temp");
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+    const tempFile = path.join(tempDir, `Receipt_${paymentId}.html`);
+    fs.writeFileSync(tempFile, html);
+
+    try {
+      await bot.sendDocument(chatId, tempFile, {
+        caption: `🧾 <b>Receipt</b> for payment <code>${paymentId}</code>`,
+        parse_mode: "HTML",
+      });
+    } finally {
+      setTimeout(() => {
+        try {
+          if (fs.existsSync(tempFile)) {
+            fs.unlinkSync(tempFile);
+          }
+        } catch (e) {
+          console.error("Error deleting temp file:", e);
+        }
+      }, 5000);
+    }
+
+    await bot.answerCallbackQuery(query.id, { text: "✅ Receipt ready!" });
+  } catch (error) {
+    console.error("Error in handleReceiptDownload:", error);
+    await bot.answerCallbackQuery(query.id, { text: "Error generating receipt", show_alert: true });
+  }
+};
+
+/**
+ * Build the HTML receipt for a confirmed payment
+ * @param {object} user - User row
+ * @param {object} payment - Payment row
+ * @param {object|null} token - Linked token row
+ * @param {Array} transactions - Credited payment transactions
+ * @returns {Promise<string>} HTML document
+ */
+const generateReceiptHtml = async (user, payment, token, transactions) => {
+  const method = PAYMENT_METHODS[payment.payment_method] ? getPaymentMethod(payment.payment_method) : null;
+  const network = getPaymentNetwork(payment);
+  const breakdown = typeof payment.price_breakdown === "string"
+    ? JSON.parse(payment.price_breakdown)
+    : payment.price_breakdown;
+
+  const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`;
+  const txLink = (explorer, hash) => `<a href="${explorer}/tx/${hash}">${hash}</a>`;
+  const formatDate = (date) => (date ? new Date(date).toISOString().replace("T", " ").substring(0, 19) + " UTC" : "-");
+
+  const customer = user.username ? `@${user.username}` : [user.first_name, user.last_name].filter(Boolean).join(" ");
+
+  let paymentRows =
+    row("Receipt", escapeHtml(payment.payment_id)) +
+    row("Customer", `${escapeHtml(customer || "-")} (Telegram ID ${user.telegram_id})`) +
+    row("Amount", `${payment.amount} ${escapeHtml(payment.currency)}`) +
+    row("Payment method", escapeHtml(method ? method.name : payment.payment_method)) +
+    row("Network", escapeHtml(network.name)) +
+    row("Status", escapeHtml(payment.status)) +
+    row("Created", formatDate(payment.created_at)) +
+    row("Confirmed", formatDate(payment.confirmed_at));
+  if (payment.payer_wallet) {
+    paymentRows += row("Paid from", `<code>${payment.payer_wallet}</code>`);
+  }
+  if (payment.deposit_address) {
+    paymentRows += row("Paid to", `<code>${payment.deposit_address}</code>`);
+  }
+  if (payment.tx_hash) {
+    paymentRows += row("Transaction", txLink(network.explorer, payment.tx_hash));
+  }
+
+  let breakdownHtml = "";
+  if (breakdown && Array.isArray(breakdown.items)) {
+    breakdownHtml =
+      "<h2>Price breakdown</h2><table>" +
+      breakdown.items.map((item) => row(item.label, `${item.amount} ${escapeHtml(breakdown.currency)}`)).join("") +
+      row("Total", `<b>${breakdown.total} ${escapeHtml(breakdown.currency)}</b>`) +
+      "</table>";
+  }
+
+  let transactionsHtml = "";
+  if (transactions.length > 1 && method) {
+    // Top-ups: list every credited transfer
+    const decimals = await getTokenDecimals(method.token, method.network);
+    transactionsHtml =
+      "<h2>Transfers</h2><table>" +
+      transactions
+        .map((tx) => row(
+          `${ethers.formatUnits(BigInt(tx.amount_units), decimals)} ${method.currency}`,
+          txLink(network.explorer, tx.tx_hash)
+        ))
+        .join("") +
+      "</table>";
+  }
+
+  let tokenHtml = "";
+  if (token) {
+    const tokenNetwork = getNetwork(token.network || "alvey");
+    tokenHtml =
+      "<h2>Token</h2><table>" +
+      row("Name", escapeHtml(token.token_name)) +
+      row("Symbol", escapeHtml(token.token_symbol)) +
+      row("Initial supply", escapeHtml(String(token.initial_supply))) +
+      row("Network", escapeHtml(tokenNetwork.name)) +
+      row("Address", `<a href="${tokenNetwork.explorer}/address/${token.token_address}">${token.token_address}</a>`) +
+      row("Owner", `<code>${token.owner_wallet}</code>`) +
+      row("Tax", `${token.tax_percent || 0}%`) +
+      row("Reflection", token.has_reflection ? `${token.reflection_percent || 0}%` : "Disabled") +
+      row("Burn", token.has_burn ? `${token.burn_percent || 0}%` : "Disabled") +
+      row("Deployment", txLink(tokenNetwork.explorer, token.tx_hash)) +
+      row("Deployed", formatDate(token.deployed_at)) +
+      "</table>";
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(payment.payment_id)}</title>
+<style>
+  body { font-family: Arial, sans-serif; max-width: 760px; margin: 40px auto; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #ddd; word-break: break-all; }
+  th { width: 35%; color: #555; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>Token Creator Bot - Payment Receipt</h1>
+<p>Issued ${formatDate(new Date())}</p>
+<h2>Payment</h2>
+<table>${paymentRows}</table>
+${breakdownHtml}
+${transactionsHtml}
+${tokenHtml}
+</body>
+</html>
+`;
+};
+
+/**
+ * Network a payment was made on (from its payment method, Alvey Chain for unknown methods)
+ * @param {object} payment - Payment row
+ * @returns {object} Network config
+ */
+const getPaymentNetwork = (payment) => {
+  const method = PAYMENT_METHODS[payment.payment_method];
+  return getNetwork(method ? method.network : "alvey");
+};
+
+/**
+ * Shorten a transaction hash for display
+ * @param {string} hash - Transaction hash
+ * @returns {string}
+ */
+const shortHash = (hash) => `${hash.substring(0, 10)}...${hash.substring(hash.length - 8)}`;
+
+module.exports = {
+  handlePayments,
+  handleReceiptDownload,
+};
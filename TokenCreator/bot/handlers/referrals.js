@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const {
+  getUser,
+  getUserByReferralCode,
+  setUserReferralCode,
+  setUserReferrer,
+  setUserPayoutWallet,
+  getReferrer,
+  addReferralEarning,
+  getReferralStats,
+  getReferralBalancesDue,
+  createReferralPayout,
+  completeReferralPayout,
+  failReferralPayout,
+  saveUserSession,
+  deleteUserSession,
+  logActivity,
+} = require("../utils/database");
+const { sendPaymentWalletTransfer } = require("../utils/blockchain");
+const { isValidEthereumAddress } = require("../utils/validators");
+const { REFERRAL, getPaymentMethod, getNetwork } = require("../config/constants");
+
+const REFERRAL_STEPS = {
+  WAITING_PAYOUT_WALLET: "waiting_referral_payout_wallet",
+};
+
+const REFERRAL_PREFIX = "ref_";
+
+/**
+ * Get a user's referral code, creating one on first use
+ * @param {object} user - User row
+ * @returns {Promise<string>} Referral code
+ */
+const ensureReferralCode = async (user) => {
+  if (user.referral_code) {
+    return user.referral_code;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = crypto.randomBytes(5).toString("hex").toUpperCase();
+    if (await setUserReferralCode(user.id, code)) {
+      return code;
+    }
+  }
+  throw new Error("Could not generate a unique referral code");
+};
+
+/**
+ * Tie a user to the referrer from a /start deep-link payload
+ * @param {object} user - User who sent /start
+ * @param {string} payload - Deep-link payload (e.g. "ref_A1B2C3D4E5")
+ * @returns {Promise<object|null>} Referrer if the user was tied to one
+ */
+const handleReferralStart = async (user, payload) => {
+  if (!payload || !payload.startsWith(REFERRAL_PREFIX)) {
+    return null;
+  }
+
+  const code = payload.slice(REFERRAL_PREFIX.length).trim();
+  if (!/^[A-Za-z0-9]{1,20}$/.test(code)) {
+    return null;
+  }
+
+  const referrer = await getUserByReferralCode(code);
+  if (!referrer || referrer.id === user.id) {
+    return null;
+  }
+
+  if (!(await setUserReferrer(user.id, referrer.id))) {
+    return null; // Already referred or not a new user
+  }
+
+  await logActivity(user.id, "referral_joined", { referrer_id: referrer.id, code });
+  return referrer;
+};
+
+/**
+ * Credit the referrer of a paying user with a commission
+ * Called once a payment is confirmed; never throws so confirmation is not affected
+ * @param {object} bot - Telegram bot instance
+ * @param {object} payment - Confirmed payment row
+ * @returns {Promise<void>}
+ */
+const creditReferralCommission = async (bot, payment) => {
+  try {
+    const referrer = await getReferrer(payment.user_id);
+    if (!referrer || REFERRAL.COMMISSION_PERCENT <= 0) {
+      return;
+    }
+
+    // Commission on the USDT quote total (the charged amount may be in another currency)
+    const breakdown = typeof payment.price_breakdown === "string"
+      ? JSON.parse(payment.price_breakdown)
+      : payment.price_breakdown;
+    const value = breakdown ? Number(breakdown.total) : Number(payment.amount);
+    const commission = Math.round(value * REFERRAL.COMMISSION_PERCENT * 1e4) / 1e6;
+    if (!(commission > 0)) {
+      return;
+    }
+
+    const credited = await addReferralEarning(referrer.id, payment.user_id, payment.payment_id, commission);
+    if (!credited) {
+      return; // Payment already credited
+    }
+
+    await logActivity(referrer.id, "referral_commission", {
+      payment_id: payment.payment_id,
+      referred_user_id: payment.user_id,
+      amount: commission,
+    });
+
+    try {
+      await bot.sendMessage(
+        referrer.telegram_id,
+        `🎉 You earned ${commission} USDT referral commission!\n\nUse /referrals to see your balance.`
+      );
+    } catch (error) {
+      console.error("Error notifying referrer:", error.message);
+    }
+  } catch (error) {
+    console.error("Error in creditReferralCommission:", error);
+  }
+};
+
+/**
+ * Handle /referrals command - show referral link and earnings
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ */
+const handleReferrals = async (bot, msg) => {
+  if (!msg || !msg.chat || !msg.from) {
+    console.error("Invalid message structure:", msg);
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+
+  try {
+    const user = await getUser(telegramId, {
+      username: msg.from.username,
+      first_name: msg.from.first_name,
+      last_name: msg.from.last_name,
+    });
+
+    const code = await ensureReferralCode(user);
+    const stats = await getReferralStats(user.id);
+    const me = await bot.getMe();
+    const link = `https://t.me/${me.username}?start=${REFERRAL_PREFIX}${code}`;
+
+    const message =
+      `🤝 <b>Referral Program</b>\n\n` +
+      `Earn ${REFERRAL.COMMISSION_PERCENT}% of every payment made by users you invite.\n\n` +
+      `🔗 Your link:\n<code>${link}</code>\n\n` +
+      `👥 Referred users: ${stats.referred}\n` +
+      `💰 Total earned: ${stats.earned} USDT\n` +
+      `⏳ Unpaid balance: ${stats.balance} USDT\n` +
+      `✅ Paid out: ${stats.paid} USDT\n\n` +
+      `💼 Payout wallet: ${user.payout_wallet ? `<code>${user.payout_wallet}</code>` : "not set"}\n` +
+      `<i>Balances from ${REFERRAL.MIN_PAYOUT} USDT are paid in USDT (BSC) in regular batches.</i>`;
+
+    await bot.sendMessage(chatId, message, {
+      parse_mode: "HTML",
+      reply_markup: {
+        inline_keyboard: [[{ text: "💼 Set payout wallet", callback_data: "referral_wallet" }]],
+      },
+    });
+  } catch (error) {
+    console.error("Error in handleReferrals:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle "Set payout wallet" callback
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleReferralWalletStart = async (bot, query) => {
+  try {
+    await saveUserSession(query.from.id, REFERRAL_STEPS.WAITING_PAYOUT_WALLET, {});
+    await bot.answerCallbackQuery(query.id);
+    await bot.sendMessage(
+      query.message.chat.id,
+      "💼 Send the BSC wallet address that should receive your USDT referral payouts:"
+    );
+  } catch (error) {
+    console.error("Error in handleReferralWalletStart:", error);
+    await bot.answerCallbackQuery(query.id, { text: "Error", show_alert: true });
+  }
+};
+
+/**
+ * Handle payout wallet input
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ */
+const handleReferralWalletInput = async (bot, msg) => {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+  const wallet = msg.text.trim();
+
+  try {
+    if (!isValidEthereumAddress(wallet)) {
+      await bot.sendMessage(chatId, "❌ Invalid address. Please send a valid BSC wallet address.");
+      return;
+    }
+
+    const user = await getUser(telegramId);
+    await setUserPayoutWallet(user.id, wallet);
+    await deleteUserSession(telegramId);
+    await logActivity(user.id, "referral_wallet_set", { wallet });
+
+    await bot.sendMessage(chatId, `✅ Payout wallet set to <code>${wallet}</code>`, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in handleReferralWalletInput:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Pay every referral balance that reached REFERRAL.MIN_PAYOUT
+ * Sends one USDT transfer per referrer from the payment wallet and logs each payout
+ * @param {object|null} bot - Telegram bot instance for notifications (optional)
+ * @returns {Promise<object>} { sent, failed, unconfirmed }
+ */
+const runReferralPayouts = async (bot = null) => {
+  const method = getPaymentMethod(REFERRAL.PAYOUT_METHOD);
+  const network = getNetwork(method.network);
+  const summary = { sent: 0, failed: 0, unconfirmed: 0 };
+
+  const due = await getReferralBalancesDue(REFERRAL.MIN_PAYOUT);
+  console.log(`💸 ${due.length} referral balance(s) due`);
+
+  for (const row of due) {
+    const payout = await createReferralPayout(row.user_id, row.payout_wallet);
+    if (!payout) {
+      continue;
+    }
+
+    try {
+      const txHash = await sendPaymentWalletTransfer(
+        method.token,
+        row.payout_wallet,
+        payout.amount,
+        method.network,
+        method.wallet
+      );
+      await completeReferralPayout(payout.payoutId, txHash);
+      await logActivity(row.user_id, "referral_payout", {
+        payout_id: payout.payoutId,
+        amount: payout.amount,
+        wallet: row.payout_wallet,
+        tx_hash: txHash,
+      });
+      summary.sent++;
+
+      if (bot) {
+        await bot.sendMessage(
+          row.telegram_id,
+          `💸 Referral payout sent: ${payout.amount} USDT\n\n${network.explorer}/tx/${txHash}`
+        ).catch((error) => console.error("Error notifying payout:", error.message));
+      }
+    } catch (error) {
+      if (error.txHash) {
+        // Broadcast but not confirmed - keep the earnings reserved until checked manually
+        await logActivity(row.user_id, "referral_payout_unconfirmed", {
+          payout_id: payout.payoutId,
+          amount: payout.amount,
+          tx_hash: error.txHash,
+          error: error.message,
+        });
+        summary.unconfirmed++;
+      } else {
+        await failReferralPayout(payout.payoutId, error.message);
+        await logActivity(row.user_id, "referral_payout_failed", {
+          payout_id: payout.payoutId,
+          amount: payout.amount,
+          error: error.message,
+        });
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REFERRAL_STEPS,
+  handleReferralStart,
+  creditReferralCommission,
+  handleReferrals,
+  handleReferralWalletStart,
+  handleReferralWalletInput,
+  runReferralPayouts,
+};
@@ -0,0 +1,226 @@
+const { ethers } = require("ethers");
+const {
+  getUser,
+  getPayment,
+  getPaymentsByStatus,
+  getPaymentReceivedUnits,
+  startPaymentRefund,
+  completePaymentRefund,
+  cancelPaymentRefund,
+  voidReferralEarning,
+  logActivity,
+} = require("../utils/database");
+const { getTokenDecimals, toTokenUnits, sendPaymentWalletTransfer } = require("../utils/blockchain");
+const { getPaymentMethod, getNetwork } = require("../config/constants");
+const { isAdminUser } = require("../utils/admin");
+const { escapeHtml } = require("../utils/html");
+
+/**
+ * Handle /refund command (admins only)
+ * Without arguments lists failed deployments, with a payment ID shows it for approval
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object
+ * @param {Array} match - Regex match (match[1] = payment ID)
+ */
+const handleRefundCommand = async (bot, msg, match) => {
+  if (!msg || !msg.chat || !msg.from) {
+    return;
+  }
+
+  const chatId = msg.chat.id;
+  if (!(await isAdminUser(msg.from.id))) {
+    await bot.sendMessage(chatId, "⛔ This command is for admins only.");
+    return;
+  }
+
+  try {
+    const paymentId = match && match[1];
+
+    if (!paymentId) {
+      const failed = await getPaymentsByStatus("deploy_failed");
+      if (failed.length === 0) {
+        await bot.sendMessage(chatId, "✅ No failed deployments waiting for a refund.");
+        return;
+      }
+
+      let message = `💸 <b>Failed Deployments (${failed.length})</b>\n\n`;
+      failed.forEach((payment) => {
+        message += `• <code>${payment.payment_id}</code> - ${payment.amount} ${payment.currency}\n`;
+        message += `  Error: ${escapeHtml(String(payment.deploy_error || "unknown").substring(0, 100))}\n`;
+      });
+      message += "\nSend /refund &lt;payment_id&gt; to review a refund.";
+
+      await bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+      return;
+    }
+
+    const payment = await getPayment(paymentId);
+    if (!payment) {
+      await bot.sendMessage(chatId, "❌ Payment not found");
+      return;
+    }
+
+    const method = getPaymentMethod(payment.payment_method);
+    const amount = await getRefundAmount(payment, method);
+
+    const message =
+      `💸 <b>Refund Review</b>\n\n` +
+      `Payment: <code>${payment.payment_id}</code>\n` +
+      `Status: ${payment.status}\n` +
+      `Method: ${method.name}\n` +
+      `Refund: ${amount} ${method.currency}\n` +
+      `To: <code>${payment.payer_wallet || "unknown"}</code>\n` +
+      `Deploy attempts: ${payment.deploy_attempts}\n` +
+      (payment.deploy_tx_hash
+        ? `Deploy tx: <code>${payment.deploy_tx_hash}</code> - on-chain, cannot be refunded\n`
+        : "") +
+      `Error: ${escapeHtml(String(payment.deploy_error || "-").substring(0, 300))}`;
+
+    const canRefund = payment.status === "deploy_failed" && payment.payer_wallet && !payment.deploy_tx_hash;
+
+    await bot.sendMessage(chatId, message, {
+      parse_mode: "HTML",
+      reply_markup: canRefund
+        ? { inline_keyboard: [[{ text: "✅ Approve refund", callback_data: `refund_approve_${payment.payment_id}` }]] }
+        : undefined,
+    });
+  } catch (error) {
+    console.error("Error in handleRefundCommand:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Handle refund approval callback (admins only)
+ * @param {object} bot - Telegram bot instance
+ * @param {object} query - Callback query object
+ */
+const handleRefundApprove = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const paymentId = query.data.replace("refund_approve_", "");
+
+  if (!(await isAdminUser(query.from.id))) {
+    await bot.answerCallbackQuery(query.id, { text: "⛔ Admins only", show_alert: true });
+    return;
+  }
+
+  try {
+    await bot.answerCallbackQuery(query.id, { text: "⏳ Sending refund..." });
+    const admin = await getUser(query.from.id);
+    const result = await refundPayment(bot, paymentId, admin.id);
+    await bot.sendMessage(chatId, result.message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in handleRefundApprove:", error);
+    await bot.sendMessage(chatId, "❌ An error occurred. Please try again.");
+  }
+};
+
+/**
+ * Amount to refund: everything received for the payment (including top-ups and overpayment)
+ * @param {object} payment - Payment row
+ * @param {object} method - Payment method from the registry
+ * @returns {Promise<string>} Amount in method.currency
+ */
+const getRefundAmount = async (payment, method) => {
+  const decimals = await getTokenDecimals(method.token, method.network);
+  const received = await getPaymentReceivedUnits(payment.payment_id);
+  const units = received > 0n ? received : toTokenUnits(payment.amount, decimals);
+  return ethers.formatUnits(units, decimals);
+};
+
+/**
+ * Send a refund for a failed deployment back to the payer wallet
+ * @param {object} bot - Telegram bot instance
+ * @param {string} paymentId - Payment ID
+ * @param {number} adminUserId - Approving admin's user ID
+ * @returns {Promise<object>} { success, message }
+ */
+const refundPayment = async (bot, paymentId, adminUserId) => {
+  const payment = await getPayment(paymentId);
+  if (!payment) {
+    return { success: false, message: "❌ Payment not found" };
+  }
+  if (!payment.payer_wallet) {
+    return { success: false, message: "❌ Payer wallet unknown - refund manually" };
+  }
+  if (payment.deploy_tx_hash) {
+    return {
+      success: false,
+      message: `❌ The deployment <code>${payment.deploy_tx_hash}</code> reached the chain - the token exists, no refund`,
+    };
+  }
+
+  // Claim the payment first so a second approval cannot send another refund
+  if (!(await startPaymentRefund(paymentId))) {
+    return { success: false, message: `❌ Payment is ${payment.status}, not deploy_failed` };
+  }
+
+  const method = getPaymentMethod(payment.payment_method);
+  const network = getNetwork(method.network);
+  let amount;
+
+  try {
+    amount = await getRefundAmount(payment, method);
+    const txHash = await sendPaymentWalletTransfer(
+      method.token,
+      payment.payer_wallet,
+      amount,
+      method.network,
+      method.wallet
+    );
+
+    await completePaymentRefund(paymentId, txHash);
+    // A refunded order earns its referrer nothing
+    await voidReferralEarning(paymentId);
+    await logActivity(payment.user_id, "payment_refunded", {
+      payment_id: paymentId,
+      amount,
+      currency: method.currency,
+      to: payment.payer_wallet,
+      tx_hash: txHash,
+      approved_by: adminUserId,
+    });
+
+    if (payment.chat_id) {
+      await bot.sendMessage(
+        payment.chat_id,
+        `💸 Your payment ${paymentId} was refunded: ${amount} ${method.currency}\n\n${network.explorer}/tx/${txHash}`
+      ).catch((error) => console.error("Error notifying refund:", error.message));
+    }
+
+    return {
+      success: true,
+      message: `✅ Refunded ${amount} ${method.currency}\n<a href="${network.explorer}/tx/${txHash}">View Transaction</a>`,
+    };
+  } catch (error) {
+    if (error.txHash) {
+      // Broadcast but unconfirmed: keep refund_pending with the hash so it is never sent twice
+      await completePaymentRefund(paymentId, error.txHash, false);
+      await voidReferralEarning(paymentId);
+      await logActivity(payment.user_id, "payment_refund_unconfirmed", {
+        payment_id: paymentId,
+        tx_hash: error.txHash,
+        error: error.message,
+        approved_by: adminUserId,
+      });
+      return {
+        success: false,
+        message: `⚠️ Refund broadcast but not confirmed - check <code>${error.txHash}</code> before doing anything else`,
+      };
+    }
+
+    await cancelPaymentRefund(paymentId);
+    await logActivity(payment.user_id, "payment_refund_failed", {
+      payment_id: paymentId,
+      error: error.message,
+      approved_by: adminUserId,
+    });
+    return { success: false, message: `❌ Refund failed: ${escapeHtml(error.message.substring(0, 200))}` };
+  }
+};
+
+module.exports = {
+  handleRefundCommand,
+  handleRefundApprove,
+  refundPayment,
+};
@@ -6,6 +6,8 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 const { getNetwork } = require('../config/constants');
+const { TRADING_CONFIG_TYPE } = require('../utils/feeSchedules');
+const { getStoredTradingConfig } = require('../utils/verificationHelper');
 
 /**
  * Send interactive verification buttons after token creation
@@ -70,9 +72,9 @@ To add a green checkmark ✅, use the buttons below:
  */
 async function sendSourceCode(bot, chatId, queryId) {
   try {
-    // Use flattened code instead of original (no imports, ready to paste)
-    const { getFlattenedSecureToken } = require('../utils/contractFlattener');
-    const sourceCode = getFlattenedSecureToken();
+    // Same template as auto-verification, so it matches the deployed bytecode (no imports, ready to paste)
+    const { generateFlattenedSecureToken } = require('../utils/dynamicFlattener');
+    const sourceCode = generateFlattenedSecureToken();
 
     // If code is too long, send as document
     if (sourceCode.length > 4000) {
@@ -158,7 +160,8 @@ async function sendConstructorArgs(bot, chatId, queryId, tokenId) {
       burnPercent: token.burn_percent || 0,
       enableReflection: token.has_reflection || false,
       enableBurn: token.has_burn || false,
-      owner: token.owner_wallet
+      owner: token.owner_wallet,
+      trading: getStoredTradingConfig(token)
     });
 
     const argsMessage = `
@@ -260,32 +263,38 @@ function encodeConstructorArgs(params) {
       supply = ethers.parseUnits(supply.toString(), 18);
     }
 
-    const encoded = abiCoder.encode(
-      [
-        'string',    // name
-        'string',    // symbol
-        'uint256',   // initialSupply
-        'uint8',     // taxPercent
-        'address',   // taxWallet
-        'uint8',     // reflectionPercent
-        'uint8',     // burnPercent
-        'bool',      // enableReflection
-        'bool',      // enableBurn
-        'address',   // initialOwner
-      ],
-      [
-        params.name,
-        params.symbol,
-        supply,
-        params.taxPercent || 0,
-        params.taxWallet || ethers.ZeroAddress,
-        params.reflectionPercent || 0,
-        params.burnPercent || 0,
-        params.enableReflection || false,
-        params.enableBurn || false,
-        params.owner
-      ]
-    );
+    const types = [
+      'string',    // name
+      'string',    // symbol
+      'uint256',   // initialSupply
+      'uint8',     // taxPercent
+      'address',   // taxWallet
+      'uint8',     // reflectionPercent
+      'uint8',     // burnPercent
+      'bool',      // enableReflection
+      'bool',      // enableBurn
+      'address',   // initialOwner
+    ];
+    const values = [
+      params.name,
+      params.symbol,
+      supply,
+      params.taxPercent || 0,
+      params.taxWallet || ethers.ZeroAddress,
+      params.reflectionPercent || 0,
+      params.burnPercent || 0,
+      params.enableReflection || false,
+      params.enableBurn || false,
+      params.owner
+    ];
+
+    // Newer tokens take the trading settings (buy fees, sell fees, DEX router) last
+    if (params.trading) {
+      types.push(TRADING_CONFIG_TYPE);
+      values.push(params.trading);
+    }
+
+    const encoded = abiCoder.encode(types, values);
 
     // Return without '0x' prefix for Blockscout
     return encoded.substring(2);
@@ -0,0 +1,200 @@
+const {
+  connectProvider,
+  buildCreateTokenTx,
+  getUserDeployment,
+  findUserDeployment,
+} = require("../utils/blockchain");
+const { getUserSession, saveUserSession, deleteUserSession, logActivity } = require("../utils/database");
+const { sendSigningRequest } = require("../utils/walletLinks");
+const { watchUntil, stopWatch } = require("../utils/txWatcher");
+const { getNetwork } = require("../config/constants");
+const { notifyAdmins } = require("../utils/admin");
+const { recordTokenDeployment } = require("./paymentVerification");
+
+const completing = new Set(); // telegramIds whose deployment is being recorded
+
+/**
+ * Send the unsigned createToken transaction to the user and start watching for it
+ * The user's wallet signs and pays the gas, so the factory records the user as creator
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ * @param {object} sessionData - Session data (payment already checked)
+ * @param {string} ownerWallet - Wallet that signs the transaction and owns the token
+ * @returns {Promise<void>}
+ */
+const requestWalletDeployment = async (bot, chatId, telegramId, userId, sessionData, ownerWallet) => {
+  const { STEPS, getTokenParams } = require("./createToken");
+  const networkKey = sessionData.network || "alvey";
+  const network = getNetwork(networkKey);
+
+  const tx = buildCreateTokenTx({ ...getTokenParams(sessionData), initialOwner: ownerWallet }, networkKey);
+  const fromBlock = await connectProvider(networkKey).getBlockNumber();
+
+  sessionData.ownerWallet = ownerWallet;
+  sessionData.walletDeploy = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    fromBlock,
+  };
+  await saveUserSession(telegramId, STEPS.WAITING_WALLET_DEPLOY, sessionData);
+
+  await sendSigningRequest(bot, chatId, tx, {
+    title: "✍️ <b>Deploy from your wallet</b>",
+    description:
+      `Sign the factory <code>createToken</code> call in your wallet. ` +
+      `You pay the gas in ${network.currency} and the factory records your wallet as the creator.`,
+    fileName: `Deploy_${sessionData.symbol}`,
+  });
+
+  await bot.sendMessage(
+    chatId,
+    "👀 Watching for your transaction... Paste the transaction hash (0x...) here to speed things up."
+  );
+
+  await logActivity(userId, "wallet_deploy_requested", {
+    network: networkKey,
+    owner_wallet: ownerWallet,
+    payment_id: sessionData.paymentId || null,
+  });
+
+  watchWalletDeployment(bot, chatId, telegramId, userId);
+};
+
+/**
+ * Poll the factory for the user's signed deployment until it is found or the watch times out
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ */
+const watchWalletDeployment = (bot, chatId, telegramId, userId) => {
+  const { STEPS } = require("./createToken");
+
+  watchUntil(
+    `deploy_${telegramId}`,
+    async () => {
+      const session = await getUserSession(telegramId);
+      if (!session || session.step !== STEPS.WAITING_WALLET_DEPLOY) {
+        return true; // Cancelled or already completed
+      }
+
+      const pending = session.session_data.walletDeploy;
+      const deployment = await findUserDeployment(pending, pending.fromBlock, session.session_data.network || "alvey");
+      if (!deployment) {
+        return false;
+      }
+      await completeWalletDeployment(bot, chatId, telegramId, userId, deployment.result);
+      return true;
+    },
+    {
+      onTimeout: () => bot.sendMessage(
+        chatId,
+        "⌛ Stopped watching for your deployment. If you sent it, paste the transaction hash (0x...) here."
+      ),
+    }
+  );
+};
+
+/**
+ * Handle text while waiting for the user's signed deployment (a pasted tx hash)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ * @param {object} sessionData - Session data
+ * @param {string} text - Message text
+ * @returns {Promise<void>}
+ */
+const handleWalletDeployInput = async (bot, chatId, telegramId, userId, sessionData, text) => {
+  if (!/^0x[a-fA-F0-9]{64}$/.test(text)) {
+    await bot.sendMessage(
+      chatId,
+      "⏳ Waiting for your deployment. Paste the transaction hash (0x...) once you have signed it, " +
+      "or send an owner wallet address to choose the deployment method again."
+    );
+    return;
+  }
+
+  await bot.sendMessage(chatId, "🔍 Checking your transaction...");
+  const deployment = await getUserDeployment(text, sessionData.walletDeploy, sessionData.network || "alvey");
+
+  if (deployment.status === "deployed") {
+    await completeWalletDeployment(bot, chatId, telegramId, userId, deployment.result);
+  } else if (deployment.status === "failed") {
+    await bot.sendMessage(
+      chatId,
+      "❌ Your deployment transaction was reverted. Check the gas settings in your wallet and sign the request again."
+    );
+  } else {
+    await bot.sendMessage(chatId, `❌ ${deployment.reason}`);
+  }
+};
+
+/**
+ * Save a user-signed deployment and finish the wizard (once per session)
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} telegramId - Telegram user ID
+ * @param {number} userId - User ID
+ * @param {object} deployment - { txHash, tokenAddress, blockNumber, receipt }
+ * @returns {Promise<void>}
+ */
+const completeWalletDeployment = async (bot, chatId, telegramId, userId, deployment) => {
+  if (completing.has(telegramId)) {
+    return; // The watcher and a pasted hash found it at the same time
+  }
+  completing.add(telegramId);
+
+  try {
+    const { STEPS, getTokenParams, finishTokenDeployment, isOrderDeployable } = require("./createToken");
+    const session = await getUserSession(telegramId);
+    if (!session || session.step !== STEPS.WAITING_WALLET_DEPLOY) {
+      return;
+    }
+    stopWatch(`deploy_${telegramId}`);
+
+    const sessionData = session.session_data;
+
+    // The order may have been refunded or deployed by the bot while the user was signing
+    if (!(await isOrderDeployable(bot, chatId, sessionData))) {
+      await deleteUserSession(telegramId);
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Your token was deployed but is not recorded for this order. Please contact support.\n\nTx: ${deployment.txHash}`
+      );
+      await notifyAdmins(
+        bot,
+        `⚠️ Wallet deployment for order ${sessionData.paymentId} not recorded (order no longer deployable)\n\n` +
+        `Token: ${deployment.tokenAddress}\nTx: ${deployment.txHash}`
+      );
+      return;
+    }
+
+    const result = await recordTokenDeployment(
+      userId,
+      getTokenParams(sessionData),
+      sessionData.ownerWallet,
+      deployment,
+      sessionData.walletDeploy.to,
+      "user"
+    );
+
+    await finishTokenDeployment(bot, chatId, telegramId, sessionData, sessionData.ownerWallet, result);
+  } catch (error) {
+    console.error("Error completing wallet deployment:", error);
+    await bot.sendMessage(
+      chatId,
+      `❌ Your token was deployed but could not be saved. Paste the transaction hash again to retry.\n\nTx: ${deployment.txHash}`
+    );
+  } finally {
+    completing.delete(telegramId);
+  }
+};
+
+module.exports = {
+  requestWalletDeployment,
+  handleWalletDeployInput,
+};
@@ -4,16 +4,55 @@ const { ethers } = require("ethers");
 require("dotenv").config();
 
 // Import handlers
-const { handleCreateToken, handleTokenCreationFlow, STEPS } = require("./handlers/createToken");
+const {
+  handleCreateToken,
+  handleTokenCreationFlow,
+  handlePaymentMethodSelection,
+  handleDeployModeSelection,
+  STEPS,
+} = require("./handlers/createToken");
 const { handleMyTokens, handleTokenDetail } = require("./handlers/myTokens");
 const {
   handleManageToken,
   handleTransferOwnershipStart,
   handleOwnershipTransfer,
+  handleRenounceOwnershipStart,
+  handleRenounceConfirm,
+  handleAcceptOwnership,
+  handleOwnerCallTxInput,
+  handleFeeExemptions,
+  handleFeeExemptionStart,
+  handleFeeExemptionInput,
+  handleEnableTradingStart,
+  handleEnableTradingConfirm,
   MANAGE_STEPS,
 } = require("./handlers/manageToken");
+const {
+  REFERRAL_STEPS,
+  handleReferralStart,
+  handleReferrals,
+  handleReferralWalletStart,
+  handleReferralWalletInput,
+} = require("./handlers/referrals");
+const { handleRefundCommand, handleRefundApprove } = require("./handlers/refunds");
+const {
+  handleAdminStats,
+  handleAdminUser,
+  handleAdminBan,
+  handleAdminBroadcast,
+  handleAdminBroadcastConfirm,
+  handleAdminPayments,
+  handleAdminReserved,
+  handleAdminAllow,
+} = require("./handlers/admin");
+const { handlePayments, handleReceiptDownload } = require("./handlers/payments");
 const { getUser, getUserSession, deleteUserSession, saveUserSession } = require("./utils/database");
-const { startPaymentListener } = require("./handlers/paymentVerification");
+const { startPaymentWatcher, stopPaymentWatcher } = require("./handlers/paymentVerification");
+const { startDeploymentQueue, stopDeploymentQueue } = require("./handlers/deploymentQueue");
+const { protectUpdates } = require("./utils/abuseGuard");
+const { startUpdates, stopUpdates } = require("./utils/webhookServer");
+const { onShutdown, shutdown } = require("./utils/shutdown");
+const { getStoredTradingConfig } = require("./utils/verificationHelper");
 
 // Initialize bot
 const token = process.env.BOT_TOKEN;
@@ -22,15 +61,26 @@ if (!token) {
   process.exit(1);
 }
 
-const bot = new TelegramBot(token, { polling: true });
+// Updates start after every handler is registered (see startUpdates at the end): polling or webhook per BOT_MODE
+const bot = new TelegramBot(token, { polling: { autoStart: false } });
+
+// Bans, rate limits and flood detection for every command, message and callback
+protectUpdates(bot);
+
+// Resume watching pending payments stored in the database
+startPaymentWatcher(bot).catch((error) => {
+  console.error("Error starting payment watcher:", error);
+});
 
-// Store active payment listeners
-const activeListeners = new Map();
+// Send queued deployments and follow the ones broadcast before the last restart
+startDeploymentQueue(bot).catch((error) => {
+  console.error("Error starting deployment queue:", error);
+});
 
 /**
- * Handle /start command
+ * Handle /start command (optionally with a ref_<code> deep-link payload)
  */
-bot.onText(/\/start/, async (msg) => {
+bot.onText(/\/start(?:\s+(\S+))?/, async (msg, match) => {
   // Validate message structure
   if (!msg || !msg.chat || !msg.from) {
     console.error("Invalid message structure:", msg);
@@ -41,12 +91,17 @@ bot.onText(/\/start/, async (msg) => {
   const telegramId = msg.from.id;
 
   try {
-    await getUser(telegramId, {
+    const user = await getUser(telegramId, {
       username: msg.from.username,
       first_name: msg.from.first_name,
       last_name: msg.from.last_name,
     });
 
+    const referrer = await handleReferralStart(user, match && match[1]);
+    if (referrer) {
+      console.log(`User ${user.id} joined via referral from user ${referrer.id}`);
+    }
+
     const welcomeMessage = `
 🤖 Welcome to Token Creator Bot!
 
@@ -55,10 +110,12 @@ Create ERC-20 tokens on Alvey Chain securely.
 Commands:
 /create_token - Create a new token
 /my_tokens - View your created tokens
+/payments - Payment history and receipts
 /manage - Manage your tokens
 /analyze - Analyze any token
 /claim_reflection - Claim reflection rewards
 /verify - Verify a token contract
+/referrals - Invite friends and earn commission
 /cancel - Cancel current process
 /help - Get help and information
 
@@ -85,6 +142,34 @@ Let's get started! 🚀
  */
 bot.onText(/\/create_token/, (msg) => handleCreateToken(bot, msg));
 
+/**
+ * Handle /referrals command
+ */
+bot.onText(/\/referrals/, (msg) => handleReferrals(bot, msg));
+
+/**
+ * Handle /payments command
+ */
+bot.onText(/\/payments/, (msg) => handlePayments(bot, msg));
+
+/**
+ * Handle /refund command (admins only)
+ */
+bot.onText(/\/refund(?:\s+(\S+))?/, (msg, match) => handleRefundCommand(bot, msg, match));
+
+/**
+ * Handle admin commands (admins only)
+ */
+bot.onText(/\/admin_stats(?:\s+(\d+))?/, (msg, match) => handleAdminStats(bot, msg, match));
+bot.onText(/\/admin_user(?:\s+(\S+))?/, (msg, match) => handleAdminUser(bot, msg, match));
+bot.onText(/\/admin_ban(?:\s+(\S+)(?:\s+([\s\S]+))?)?/, (msg, match) => handleAdminBan(bot, msg, match, "ban"));
+bot.onText(/\/admin_shadowban(?:\s+(\S+)(?:\s+([\s\S]+))?)?/, (msg, match) => handleAdminBan(bot, msg, match, "shadowban"));
+bot.onText(/\/admin_unban(?:\s+(\S+))?/, (msg, match) => handleAdminBan(bot, msg, match, "unban"));
+bot.onText(/\/admin_broadcast(?:\s+([\s\S]+))?/, (msg, match) => handleAdminBroadcast(bot, msg, match));
+bot.onText(/\/admin_payments(?:\s+(\S+))?/, (msg, match) => handleAdminPayments(bot, msg, match));
+bot.onText(/\/admin_reserved(?:\s+(add|remove)(?:\s+(name|symbol)(?:\s+(.+))?)?)?/, (msg, match) => handleAdminReserved(bot, msg, match));
+bot.onText(/\/admin_allow(?:\s+(\S+)(?:\s+(name|symbol)(?:\s+(.+))?)?)?/, (msg, match) => handleAdminAllow(bot, msg, match));
+
 /**
  * Handle /my_tokens command
  */
@@ -234,19 +319,24 @@ bot.onText(/\/help/, async (msg) => {
    - Token symbol
    - Initial supply
    - Tax fee (optional)
-3. Confirm and pay 20 USDT (BSC)
+   - Reflection and burn (optional)
+   - Anti-whale limits: max transaction and max wallet (optional)
+   - Launch: trade at once, or enable trading later with an anti-snipe window (optional)
+3. Confirm and pay (USDT, aUSDT, ALV or BNB)
 4. Provide your Alvey Chain wallet
 5. Token will be deployed automatically
 
 🔹 Viewing Tokens:
 - Use /my_tokens to see all your tokens
 - Click on a token to view details
-- Manage ownership from token details
+- Manage ownership from token details: transfer (the new owner accepts), accept or renounce
+- Exempt addresses from fees (presale, locker, team wallets) under Manage Token → Fee Exemptions
+- Open trading of a manual-launch token after adding liquidity under Manage Token → Enable Trading
 
 🔹 Analyzing Tokens:
 - Use /analyze to analyze any token by address
 - Or click "🔍 Analyze" button on your tokens
-- Shows all features: Tax, Reflection, Burn
+- Shows all features: Tax, Reflection, Burn, fee-exempt addresses, launch status
 - Displays security status and explorer links
 
 🔹 Claiming Reflection Rewards:
@@ -261,15 +351,21 @@ bot.onText(/\/help/, async (msg) => {
 - Contracts are automatically verified after deployment
 - Manual verification available if auto-verification fails
 
+🔹 Referrals:
+- Use /referrals to get your invite link
+- Earn a commission on every payment by users you invite
+- Set a payout wallet to receive USDT payouts
+
 🔹 Cancelling Processes:
 - Use /cancel at any time to cancel your current process
 - Works for token creation, analysis, reflection claims, etc.
 - Your session will be cleared and you can start fresh
 
 🔹 Payment:
-- Send exactly 20 USDT from BSC
+- Choose a payment method and send the exact amount shown
 - Payment is verified automatically
 - You have 15 minutes to complete payment
+- Use /payments to see your payment history and download receipts
 
 🔹 Security:
 - Tokens are immutable (except ownership)
@@ -359,12 +455,36 @@ bot.on("callback_query", async (query) => {
         await bot.answerCallbackQuery(query.id, { text: "Error selecting network", show_alert: true });
         return;
       }
+    } else if (data.startsWith("receipt_")) {
+      await handleReceiptDownload(bot, query);
+    } else if (data.startsWith("refund_approve_")) {
+      await handleRefundApprove(bot, query);
+    } else if (data === "admin_broadcast_send" || data === "admin_broadcast_cancel") {
+      await handleAdminBroadcastConfirm(bot, query);
+    } else if (data === "referral_wallet") {
+      await handleReferralWalletStart(bot, query);
+    } else if (data.startsWith("paymethod_")) {
+      await handlePaymentMethodSelection(bot, query);
+    } else if (data.startsWith("deploymode_")) {
+      await handleDeployModeSelection(bot, query);
     } else if (data.startsWith("token_")) {
       await handleTokenDetail(bot, query);
     } else if (data.startsWith("manage_")) {
       await handleManageToken(bot, query);
     } else if (data.startsWith("transfer_owner_")) {
       await handleTransferOwnershipStart(bot, query);
+    } else if (data.startsWith("renounce_owner_")) {
+      await handleRenounceOwnershipStart(bot, query);
+    } else if (data.startsWith("accept_owner_")) {
+      await handleAcceptOwnership(bot, query);
+    } else if (data.startsWith("fee_exemptions_")) {
+      await handleFeeExemptions(bot, query);
+    } else if (data.startsWith("exempt_add_") || data.startsWith("exempt_remove_")) {
+      await handleFeeExemptionStart(bot, query);
+    } else if (data.startsWith("enable_trading_")) {
+      await handleEnableTradingStart(bot, query);
+    } else if (data.startsWith("confirm_trading_")) {
+      await handleEnableTradingConfirm(bot, query);
     } else if (data.startsWith("analyze_")) {
       // NEW: Handle analyze with network selection (format: analyze_NETWORK_ADDRESS)
       const parts = data.split("_");
@@ -539,7 +659,8 @@ bot.on("callback_query", async (query) => {
             burnPercent: token.burn_percent || 0,
             enableReflection: token.has_reflection || false,
             enableBurn: token.has_burn || false,
-            owner: token.owner_wallet
+            owner: token.owner_wallet,
+            trading: getStoredTradingConfig(token)
           });
         }
       } else {
@@ -555,7 +676,8 @@ bot.on("callback_query", async (query) => {
           burnPercent: token.burn_percent || 0,
           enableReflection: token.has_reflection || false,
           enableBurn: token.has_burn || false,
-          owner: token.owner_wallet
+          owner: token.owner_wallet,
+          trading: getStoredTradingConfig(token)
         });
       }
 
@@ -713,7 +835,8 @@ TX Hash: <code>${deploymentInfo.txHash || token.tx_hash}</code>
           burnPercent: token.burn_percent || 0,
           enableReflection: token.has_reflection || false,
           enableBurn: token.has_burn || false,
-          owner: token.owner_wallet
+          owner: token.owner_wallet,
+          trading: getStoredTradingConfig(token)
         }
       );
       
@@ -799,6 +922,34 @@ bot.on("message", async (msg) => {
         return;
       }
 
+      // Typed confirmation before renouncing ownership
+      if (session.step === MANAGE_STEPS.WAITING_RENOUNCE_CONFIRM) {
+        await handleRenounceConfirm(bot, msg);
+        return;
+      }
+
+      // Ownership, fee exemption or enableTrading transaction signed in the user's wallet (pasted tx hash)
+      if (
+        session.step === MANAGE_STEPS.WAITING_OWNER_TX ||
+        session.step === MANAGE_STEPS.WAITING_EXEMPTION_TX ||
+        session.step === MANAGE_STEPS.WAITING_TRADING_TX
+      ) {
+        await handleOwnerCallTxInput(bot, msg);
+        return;
+      }
+
+      // Address to exempt from fees (or to remove from the exemptions)
+      if (session.step === MANAGE_STEPS.WAITING_EXEMPTION_ADDRESS) {
+        await handleFeeExemptionInput(bot, msg);
+        return;
+      }
+
+      // Referral payout wallet input
+      if (session.step === REFERRAL_STEPS.WAITING_PAYOUT_WALLET) {
+        await handleReferralWalletInput(bot, msg);
+        return;
+      }
+
       // NEW: Handle claim reflection token address input
       if (session.step === 'waiting_claim_token_address') {
         const tokenAddress = msg.text.trim();
@@ -866,7 +1017,8 @@ bot.on("message", async (msg) => {
           burnPercent: token.burn_percent || 0,
           enableReflection: token.has_reflection || false,
           enableBurn: token.has_burn || false,
-          owner: token.owner_wallet
+          owner: token.owner_wallet,
+          trading: getStoredTradingConfig(token)
         });
 
         // Update database
@@ -970,18 +1122,21 @@ bot.on("error", (error) => {
   console.error("Bot error:", error);
 });
 
-// Graceful shutdown
-process.once("SIGINT", () => {
-  console.log("\nShutting down bot...");
-  bot.stopPolling();
-  process.exit(0);
-});
+// Graceful shutdown: stop taking updates, payment checks and queued deployments, then wait for running cycles
+onShutdown("updates", () => stopUpdates(bot));
+onShutdown("payment watcher", stopPaymentWatcher);
+onShutdown("deployment queue", stopDeploymentQueue);
 
-process.once("SIGTERM", () => {
-  console.log("\nShutting down bot...");
-  bot.stopPolling();
-  process.exit(0);
-});
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    shutdown(signal).finally(() => process.exit(0));
+  });
+}
 
-console.log("Token Creator Bot is running...");
+startUpdates(bot)
+  .then(() => console.log("Token Creator Bot is running..."))
+  .catch((error) => {
+    console.error("Error starting bot updates:", error);
+    process.exit(1);
+  });
 
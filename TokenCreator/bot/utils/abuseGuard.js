@@ -0,0 +1,338 @@
+const { findUser, getUser, blockUserUntil, logActivity } = require("./database");
+const { ABUSE, DISABLE_RATE_LIMIT, isAdmin } = require("../config/constants");
+
+const globalHits = []; // timestamps of recent updates from all users
+const userHits = new Map(); // "<kind>:<telegramId>" -> timestamps
+const strikes = new Map(); // telegramId -> timestamps of rate-limit hits
+const notices = new Map(); // "<type>:<telegramId>" -> time of the last notice
+const statusCache = new Map(); // telegramId -> { user, loadedAt }
+const queues = new Map(); // telegramId -> promise chain, keeps a user's updates in order
+
+/**
+ * Gate every update before the bot's handlers see it
+ * Wraps processUpdate, which both polling and webhooks feed, so every command, message and
+ * callback goes through checkUpdate
+ * @param {object} bot - Telegram bot instance
+ */
+const protectUpdates = (bot) => {
+  const processUpdate = bot.processUpdate.bind(bot);
+
+  bot.processUpdate = (update) => {
+    const from = getSender(update);
+    if (!from) {
+      processUpdate(update);
+      return;
+    }
+
+    const previous = queues.get(from.id) || Promise.resolve();
+    const next = previous
+      .then(() => checkUpdate(bot, update, from))
+      .then((allowed) => {
+        if (allowed) {
+          processUpdate(update);
+        }
+      })
+      .catch((error) => console.error("Error in protectUpdates:", error));
+
+    queues.set(from.id, next);
+    next.then(() => {
+      if (queues.get(from.id) === next) {
+        queues.delete(from.id);
+      }
+    });
+  };
+
+  setInterval(pruneCounters, 60000).unref();
+};
+
+/**
+ * Decide whether an update reaches the handlers: bans, temporary blocks, rate limits and flood detection
+ * Admins are never limited. Fails open when the ban status cannot be read
+ * @param {object} bot - Telegram bot instance
+ * @param {object} update - Telegram update
+ * @param {object} from - Sender of the update
+ * @returns {Promise<boolean>} True if the update may be processed
+ */
+const checkUpdate = async (bot, update, from) => {
+  try {
+    const kind = getKind(update);
+    const user = await getUserStatus(from.id);
+    if (isAdmin(from.id) || (user && user.role === "admin")) {
+      return true;
+    }
+
+    if (user && user.is_shadowbanned) {
+      if (update.callback_query) {
+        await bot.answerCallbackQuery(update.callback_query.id).catch(() => {});
+      }
+      return false;
+    }
+
+    if (user && user.is_banned) {
+      const reason = user.ban_reason ? `\nReason: ${user.ban_reason}` : "";
+      await sendNotice(
+        bot,
+        update,
+        "ban",
+        `⛔ Your account has been banned from using this bot.${reason}\n\nIf you think this is a mistake, contact support.`
+      );
+      return false;
+    }
+
+    const now = Date.now();
+    if (user && user.blocked_until && new Date(user.blocked_until).getTime() > now) {
+      const minutes = Math.ceil((new Date(user.blocked_until).getTime() - now) / 60000);
+      await sendNotice(
+        bot,
+        update,
+        "block",
+        `🚫 You are temporarily blocked for sending too many requests. Try again in ${minutes} minute(s).`
+      );
+      return false;
+    }
+
+    if (DISABLE_RATE_LIMIT) {
+      return true;
+    }
+
+    if (!recordHit(globalHits, ABUSE.GLOBAL, now)) {
+      await sendNotice(bot, update, "busy", "⏳ The bot is busy right now. Please try again in a moment.");
+      return false;
+    }
+
+    if (kind !== "callback" && !recordHit(getHits("flood", from.id), ABUSE.FLOOD, now)) {
+      await blockTemporarily(bot, update, from, "flood", kind);
+      return false;
+    }
+
+    const limit = kind === "command" ? ABUSE.COMMANDS : kind === "callback" ? ABUSE.CALLBACKS : null;
+    if (limit && !recordHit(getHits(kind, from.id), limit, now)) {
+      await handleRateLimitHit(bot, update, from, kind, limit);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error("Error in checkUpdate:", error);
+    return true;
+  }
+};
+
+/**
+ * Reject an update over the per-user limit; the first hit in a window counts as a strike,
+ * and STRIKES_BEFORE_BLOCK strikes lead to a temporary block
+ * @param {object} bot - Telegram bot instance
+ * @param {object} update - Telegram update
+ * @param {object} from - Sender of the update
+ * @param {string} kind - "command" or "callback"
+ * @param {object} limit - { MAX, WINDOW }
+ * @returns {Promise<void>}
+ */
+const handleRateLimitHit = async (bot, update, from, kind, limit) => {
+  const now = Date.now();
+  const noticeKey = `limit_${kind}:${from.id}`;
+  if (notices.has(noticeKey) && now - notices.get(noticeKey) < limit.WINDOW) {
+    if (update.callback_query) {
+      await bot.answerCallbackQuery(update.callback_query.id).catch(() => {});
+    }
+    return; // Already counted in this window
+  }
+
+  const userStrikes = (strikes.get(from.id) || []).filter((time) => now - time < ABUSE.STRIKE_WINDOW);
+  userStrikes.push(now);
+  strikes.set(from.id, userStrikes);
+
+  const user = await getUser(from.id, from);
+  await logActivity(user.id, "rate_limited", { kind, strikes: userStrikes.length });
+
+  if (userStrikes.length >= ABUSE.STRIKES_BEFORE_BLOCK) {
+    await blockTemporarily(bot, update, from, "rate_limit", kind);
+    return;
+  }
+
+  const seconds = Math.ceil(limit.WINDOW / 1000);
+  notices.set(noticeKey, now);
+  await sendNotice(
+    bot,
+    update,
+    null,
+    `⏳ Slow down! You are sending ${kind === "command" ? "commands" : "button presses"} too fast. ` +
+    `Try again in ${seconds} seconds; repeated abuse leads to a temporary block.`
+  );
+};
+
+/**
+ * Block a user for ABUSE.TEMP_BLOCK, log it and tell them
+ * @param {object} bot - Telegram bot instance
+ * @param {object} update - Telegram update
+ * @param {object} from - Sender of the update
+ * @param {string} reason - "flood" or "rate_limit"
+ * @param {string} kind - Kind of the update that triggered the block
+ * @returns {Promise<void>}
+ */
+const blockTemporarily = async (bot, update, from, reason, kind) => {
+  const until = new Date(Date.now() + ABUSE.TEMP_BLOCK);
+  const user = await getUser(from.id, from);
+
+  await blockUserUntil(user.id, until);
+  statusCache.set(from.id, { user: { ...user, blocked_until: until }, loadedAt: Date.now() });
+  strikes.delete(from.id);
+
+  await logActivity(user.id, "user_temp_blocked", {
+    reason,
+    kind,
+    until: until.toISOString(),
+  });
+
+  const minutes = Math.ceil(ABUSE.TEMP_BLOCK / 60000);
+  await sendNotice(
+    bot,
+    update,
+    "block",
+    `🚫 You have been blocked for ${minutes} minutes for ${reason === "flood" ? "flooding the bot" : "sending too many requests"}.`
+  );
+};
+
+/**
+ * Ban status of a user, cached for ABUSE.CACHE_TTL
+ * @param {number} telegramId - Telegram user ID
+ * @returns {Promise<object|null>} User or null if unknown
+ */
+const getUserStatus = async (telegramId) => {
+  const cached = statusCache.get(telegramId);
+  if (cached && Date.now() - cached.loadedAt < ABUSE.CACHE_TTL) {
+    return cached.user;
+  }
+
+  const user = await findUser(telegramId);
+  statusCache.set(telegramId, { user, loadedAt: Date.now() });
+  return user;
+};
+
+/**
+ * Drop a user's cached ban status (after an admin bans or unbans them)
+ * @param {number} telegramId - Telegram user ID
+ */
+const forgetUser = (telegramId) => {
+  statusCache.delete(Number(telegramId));
+  strikes.delete(Number(telegramId));
+};
+
+/**
+ * Reply to a rejected update; callbacks get an alert, messages at most one notice per NOTICE_INTERVAL
+ * @param {object} bot - Telegram bot instance
+ * @param {object} update - Telegram update
+ * @param {string|null} type - Notice type to throttle on (null = always send)
+ * @param {string} text - Notice text
+ * @returns {Promise<void>}
+ */
+const sendNotice = async (bot, update, type, text) => {
+  try {
+    if (update.callback_query) {
+      await bot.answerCallbackQuery(update.callback_query.id, { text, show_alert: true });
+      return;
+    }
+
+    const from = getSender(update);
+    const key = `${type}:${from.id}`;
+    if (type && notices.has(key) && Date.now() - notices.get(key) < ABUSE.NOTICE_INTERVAL) {
+      return;
+    }
+    if (type) {
+      notices.set(key, Date.now());
+    }
+    await bot.sendMessage(update.message.chat.id, text);
+  } catch (error) {
+    console.error("Error sending abuse notice:", error.message);
+  }
+};
+
+/**
+ * Record an event in a sliding window
+ * @param {Array<number>} hits - Timestamps (pruned in place)
+ * @param {object} limit - { MAX, WINDOW }
+ * @param {number} now - Current time
+ * @returns {boolean} False if the limit was already reached (the event is not recorded)
+ */
+const recordHit = (hits, limit, now) => {
+  while (hits.length > 0 && now - hits[0] >= limit.WINDOW) {
+    hits.shift();
+  }
+  if (hits.length >= limit.MAX) {
+    return false;
+  }
+  hits.push(now);
+  return true;
+};
+
+/**
+ * Sliding-window timestamps of a user for one kind of update
+ * @param {string} kind - "flood", "command" or "callback"
+ * @param {number} telegramId - Telegram user ID
+ * @returns {Array<number>} Timestamps
+ */
+const getHits = (kind, telegramId) => {
+  const key = `${kind}:${telegramId}`;
+  if (!userHits.has(key)) {
+    userHits.set(key, []);
+  }
+  return userHits.get(key);
+};
+
+/**
+ * Sender of a message or callback query
+ * @param {object} update - Telegram update
+ * @returns {object|null} Telegram user, null for other updates
+ */
+const getSender = (update) => {
+  if (update.callback_query) {
+    return update.callback_query.from;
+  }
+  return update.message && update.message.from ? update.message.from : null;
+};
+
+/**
+ * Kind of a guarded update
+ * @param {object} update - Telegram update (message or callback query)
+ * @returns {string} "command", "message" or "callback"
+ */
+const getKind = (update) => {
+  if (update.callback_query) {
+    return "callback";
+  }
+  return (update.message.text || "").startsWith("/") ? "command" : "message";
+};
+
+/**
+ * Forget counters that can no longer affect a limit
+ */
+const pruneCounters = () => {
+  const now = Date.now();
+  const longestWindow = Math.max(ABUSE.COMMANDS.WINDOW, ABUSE.CALLBACKS.WINDOW, ABUSE.FLOOD.WINDOW);
+
+  for (const [key, hits] of userHits) {
+    if (hits.length === 0 || now - hits[hits.length - 1] >= longestWindow) {
+      userHits.delete(key);
+    }
+  }
+  for (const [key, userStrikes] of strikes) {
+    if (now - userStrikes[userStrikes.length - 1] >= ABUSE.STRIKE_WINDOW) {
+      strikes.delete(key);
+    }
+  }
+  for (const [key, time] of notices) {
+    if (now - time >= Math.max(ABUSE.NOTICE_INTERVAL, longestWindow)) {
+      notices.delete(key);
+    }
+  }
+  for (const [key, cached] of statusCache) {
+    if (now - cached.loadedAt >= ABUSE.CACHE_TTL) {
+      statusCache.delete(key);
+    }
+  }
+};
+
+module.exports = {
+  protectUpdates,
+  forgetUser,
+};
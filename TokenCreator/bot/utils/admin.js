@@ -0,0 +1,50 @@
+const { ADMIN_IDS, isAdmin } = require("../config/constants");
+const { findUser, getAdminTelegramIds } = require("./database");
+
+/**
+ * Check admin access: a configured ADMIN_TELEGRAM_IDS entry or a user with role = 'admin'
+ * @param {number} telegramId - Telegram user ID
+ * @returns {Promise<boolean>} True if the user is an admin
+ */
+const isAdminUser = async (telegramId) => {
+  if (isAdmin(telegramId)) {
+    return true;
+  }
+
+  try {
+    const user = await findUser(telegramId);
+    return Boolean(user && user.role === "admin");
+  } catch (error) {
+    console.error("Error in isAdminUser:", error);
+    return false;
+  }
+};
+
+/**
+ * Send a message to every admin (best effort)
+ * @param {object} bot - Telegram bot instance
+ * @param {string} message - Message text
+ * @param {object} options - sendMessage options
+ * @returns {Promise<void>}
+ */
+const notifyAdmins = async (bot, message, options = {}) => {
+  let adminIds = ADMIN_IDS;
+  try {
+    adminIds = [...new Set([...ADMIN_IDS, ...(await getAdminTelegramIds())])];
+  } catch (error) {
+    // Fall back to the configured admins
+  }
+
+  for (const adminId of adminIds) {
+    try {
+      await bot.sendMessage(adminId, message, options);
+    } catch (error) {
+      console.error(`Error notifying admin ${adminId}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  isAdminUser,
+  notifyAdmins,
+};
@@ -1,6 +1,11 @@
 const { ethers } = require("ethers");
 const { NETWORKS, getNetwork, ADDRESSES, USDT_ABI, FACTORY_ABI, TOKEN_ABI } = require("../config/constants");
+const { withNonce } = require("./nonceManager");
+const { getFeeSchedules, hasUniformFees, hasAnyTax, SCHEDULES } = require("./feeSchedules");
 const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const util = require('util');
 const execPromise = util.promisify(exec);
 require("dotenv").config();
@@ -27,18 +32,25 @@ const connectProvider = (networkKey) => {
  * Get token details from blockchain
  * @param {string} tokenAddress - Token contract address
  * @param {string} networkKey - Network key
- * @returns {Promise<object>} Token details
+ * @returns {Promise<object>} { name, symbol, totalSupply, owner, twoStepOwnership, pendingOwner, renounced,
+ *   hasFeeExemptions, tradingEnabled (null for tokens without a trading switch) }
  */
 const getTokenDetails = async (tokenAddress, networkKey = "alvey") => {
   try {
     const provider = connectProvider(networkKey);
     const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
 
-    const [name, symbol, totalSupply, owner] = await Promise.all([
+    const [name, symbol, totalSupply, owner, pendingOwner, ownerExcluded, tradingEnabled] = await Promise.all([
       tokenContract.name(),
       tokenContract.symbol(),
       tokenContract.totalSupply(),
       tokenContract.owner(),
+      // Tokens from factories before Ownable2Step have no pendingOwner()
+      tokenContract.pendingOwner().catch(() => null),
+      // Tokens from factories before fee exemptions have no isExcludedFromFees()
+      tokenContract.isExcludedFromFees(ethers.ZeroAddress).catch(() => null),
+      // Tokens from factories before the trading switch have no tradingEnabled()
+      tokenContract.tradingEnabled().catch(() => null),
     ]);
 
     return {
@@ -46,6 +58,11 @@ const getTokenDetails = async (tokenAddress, networkKey = "alvey") => {
       symbol,
       totalSupply: totalSupply.toString(),
       owner,
+      twoStepOwnership: pendingOwner !== null,
+      pendingOwner: pendingOwner && pendingOwner !== ethers.ZeroAddress ? pendingOwner : null,
+      renounced: owner === ethers.ZeroAddress,
+      hasFeeExemptions: ownerExcluded !== null,
+      tradingEnabled,
     };
   } catch (error) {
     console.error("Error in getTokenDetails:", error);
@@ -54,294 +71,1054 @@ const getTokenDetails = async (tokenAddress, networkKey = "alvey") => {
 };
 
 /**
- * Deploy token using factory
- * @param {string} factoryAddress - Factory contract address (optional, will use network.factoryAddress if not provided)
+ * Tax wallet passed to the factory
+ * If no schedule has a tax and no taxWallet provided, use owner address as taxWallet
+ * (it won't be used anyway since tax is 0)
+ * This is a workaround for the deployed contract that requires taxWallet even when tax is 0
  * @param {object} params - Token parameters
- * @param {string} networkKey - Network key ('alvey', 'bscTestnet', etc.)
- * @returns {Promise<object>} Transaction hash and token address
+ * @returns {string} Tax wallet address
  */
-const deployToken = async (factoryAddress, params, networkKey = "alvey") => {
-  try {
-    if (!process.env.BOT_PRIVATE_KEY) {
-      throw new Error("BOT_PRIVATE_KEY not set in environment");
+const resolveTaxWallet = (params) => {
+  let taxWallet = params.taxWallet;
+  if (!taxWallet || taxWallet === ethers.ZeroAddress) {
+    if (!hasAnyTax(getFeeSchedules(params))) {
+      // Use owner address when tax is 0 (won't be used since tax is 0%)
+      taxWallet = params.initialOwner;
+    } else {
+      // Tax > 0 requires a valid wallet - this should not happen
+      throw new Error("Tax wallet is required when tax percent > 0");
+    }
+  }
+
+  // Ensure taxWallet is a valid address string
+  return typeof taxWallet === "string" ? taxWallet : taxWallet.toString();
+};
+
+/**
+ * Trading settings passed to the factory: buy and sell schedules, the network's DEX router,
+ * the anti-whale limits and the launch settings
+ * @param {object} params - Token parameters
+ * @param {string} networkKey - Network key
+ * @returns {object} SecureToken.TradingConfig
+ *   { buyFees, sellFees, dexRouter, maxTransactionBps, maxWalletBps, manualLaunch, antiSnipeBlocks, antiSnipeSellFee }
+ */
+const buildTradingConfig = (params, networkKey = "alvey") => {
+  const schedules = getFeeSchedules(params);
+  return {
+    buyFees: schedules.buy,
+    sellFees: schedules.sell,
+    dexRouter: getNetwork(networkKey).dexRouter || ethers.ZeroAddress,
+    // Percent of supply with up to two decimals -> basis points
+    maxTransactionBps: Math.round((params.maxTransactionPercent || 0) * 100),
+    maxWalletBps: Math.round((params.maxWalletPercent || 0) * 100),
+    manualLaunch: params.manualLaunch || false,
+    antiSnipeBlocks: params.antiSnipeBlocks || 0,
+    antiSnipeSellFee: params.antiSnipeSellFee || 0,
+  };
+};
+
+/**
+ * Read the deployed token address from a factory createToken receipt
+ * Checks the transaction succeeded, parses TokenDeployed and verifies the token has bytecode
+ * @param {object} provider - Network provider
+ * @param {object} factory - Factory contract
+ * @param {object} receipt - createToken transaction receipt
+ * @returns {Promise<string>} Token address
+ */
+const parseDeploymentReceipt = async (provider, factory, receipt) => {
+  // Validate TX didn't fail
+  if (!receipt || receipt.status === 0) {
+    throw new Error(
+      'TX FAILED: Transaction was reverted by network\n' +
+      'Possible causes:\n' +
+      '- Invalid constructor arguments\n' +
+      '- Out of gas\n' +
+      '- RPC error'
+    );
+  }
+
+  // Get token address from event
+  const event = receipt.logs.find((log) => {
+    try {
+      const parsed = factory.interface.parseLog(log);
+      return parsed && parsed.name === "TokenDeployed";
+    } catch {
+      return false;
+    }
+  });
+
+  let tokenAddress;
+  if (event) {
+    const parsed = factory.interface.parseLog(event);
+    tokenAddress = parsed.args.tokenAddress;
+  } else {
+    // Fallback: get from factory events
+    const filter = factory.filters.TokenDeployed();
+    const events = await factory.queryFilter(filter, receipt.blockNumber, receipt.blockNumber);
+    if (events.length > 0) {
+      tokenAddress = events[0].args.tokenAddress;
+    } else {
+      throw new Error("Could not find TokenDeployed event");
     }
+  }
+
+  console.log('Token address from event:', tokenAddress);
+
+  // NEW: Verify contract actually exists on blockchain
+  console.log('Verifying contract bytecode...');
+  const code = await provider.getCode(tokenAddress);
+
+  console.log('Bytecode length:', code.length);
+  console.log('First 100 chars:', code.substring(0, 100));
 
+  if (code === '0x' || code.length < 100) {
+    throw new Error(
+      `VALIDATION FAILED: No contract code at ${tokenAddress}\n` +
+      `Bytecode: ${code.length} bytes (expected >1000)\n` +
+      'Deployment failed or was not included in block'
+    );
+  }
+
+  console.log('✅ CONTRACT VERIFIED - Bytecode size:', Math.floor((code.length - 2) / 2), 'bytes');
+
+  return tokenAddress;
+};
+
+/**
+ * Bot wallet (BOT_PRIVATE_KEY) connected to a network
+ * @param {string} networkKey - Network key
+ * @returns {ethers.Wallet} Wallet
+ */
+const getBotWallet = (networkKey = "alvey") => {
+  if (!process.env.BOT_PRIVATE_KEY) {
+    throw new Error("BOT_PRIVATE_KEY not set in environment");
+  }
+  return new ethers.Wallet(process.env.BOT_PRIVATE_KEY, connectProvider(networkKey));
+};
+
+/**
+ * Build the factory createToken call for a bot-signed deployment
+ * The call is simulated first, so arguments the factory rejects cost no gas and no nonce;
+ * older factories get their own signature when the token does not need the missing features
+ * @param {string} factoryAddress - Factory contract address
+ * @param {object} params - Token parameters (with initialOwner)
+ * @param {string} networkKey - Network key ('alvey', 'bscTestnet', etc.)
+ * @returns {Promise<object>} { to, data, gasLimit }
+ */
+const buildDeployRequest = async (factoryAddress, params, networkKey = "alvey") => {
+  try {
     const network = getNetwork(networkKey);
-    
-    // Use network factory address if not provided
-    const actualFactoryAddress = factoryAddress || network.factoryAddress;
-    if (!actualFactoryAddress || actualFactoryAddress === "0x0000000000000000000000000000000000000000") {
+    if (!factoryAddress || factoryAddress === ethers.ZeroAddress) {
       throw new Error(`Factory address not configured for ${network.name}`);
     }
 
-    const provider = connectProvider(networkKey);
-    const wallet = new ethers.Wallet(process.env.BOT_PRIVATE_KEY, provider);
-    const factory = new ethers.Contract(actualFactoryAddress, FACTORY_ABI, wallet);
-    
+    const wallet = getBotWallet(networkKey);
+
     console.log('\n=== DEPLOYMENT STARTING ===');
     console.log('Network:', network.name);
     console.log('Token:', params.name, params.symbol);
     console.log('Owner:', params.initialOwner);
-    console.log('Factory:', actualFactoryAddress);
+    console.log('Factory:', factoryAddress);
 
     // Convert supply to BigNumber
     const initialSupply = ethers.parseUnits(params.initialSupply.toString(), 18);
+    const taxWallet = resolveTaxWallet(params);
 
-    // If taxPercent is 0 and no taxWallet provided, use owner address as taxWallet
-    // (it won't be used anyway since tax is 0)
-    // This is a workaround for the deployed contract that requires taxWallet even when tax is 0
-    let taxWallet = params.taxWallet;
-    if (!taxWallet || taxWallet === ethers.ZeroAddress || taxWallet === "0x0000000000000000000000000000000000000000") {
-      if (params.taxPercent === 0 || !params.taxPercent) {
-        // Use owner address when tax is 0 (won't be used since tax is 0%)
-        taxWallet = params.initialOwner;
-      } else {
-        // Tax > 0 requires a valid wallet - this should not happen
-        throw new Error("Tax wallet is required when tax percent > 0");
+    const legacyArgs = [
+      params.name,
+      params.symbol,
+      initialSupply,
+      params.taxPercent || 0,
+      taxWallet,
+      params.reflectionPercent || 0,
+      params.burnPercent || 0,
+      params.enableReflection || false,
+      params.enableBurn || false,
+      params.initialOwner,
+    ];
+
+    // Check if reflection/burn are actually enabled with non-zero percentages
+    const schedules = getFeeSchedules(params);
+    const hasReflection = params.enableReflection && SCHEDULES.some(({ key }) => schedules[key].reflectionPercent > 0);
+    const hasBurn = params.enableBurn && SCHEDULES.some(({ key }) => schedules[key].burnPercent > 0);
+
+    const scheduleError =
+      "⚠️ Separate buy, sell and transfer fees require the new Factory contract.\n\n" +
+      "Please deploy the updated Factory contract first, or use the same fees for every transfer.";
+    const hasLimits = Boolean(params.maxTransactionPercent || params.maxWalletPercent);
+    const limitsError =
+      "⚠️ Anti-whale limits require the new Factory contract.\n\n" +
+      "Please deploy the updated Factory contract first, or create the token without limits.";
+    const launchError =
+      "⚠️ A manual launch (Enable Trading) requires the new Factory contract.\n\n" +
+      "Please deploy the updated Factory contract first, or let trading start at once.";
+    const reflectionError =
+      "⚠️ Reflection and Burn features require the new Factory contract.\n\n" +
+      "Your token will be created WITHOUT reflection/burn features.\n" +
+      "To use these features, please deploy the updated Factory contract first.\n\n" +
+      "You can still create tokens with Tax only using the current Factory.";
+
+    // Newest first; an older signature is only used if the token needs nothing it lacks
+    const signatures = [
+      {
+        abi: FACTORY_ABI,
+        args: [...legacyArgs, buildTradingConfig(params, networkKey)],
+      },
+      {
+        // Reflection and burn, one schedule for every transfer
+        abi: [
+          "function createToken(string memory _name, string memory _symbol, uint256 _initialSupply, uint8 _taxPercent, address _taxWallet, uint8 _reflectionPercent, uint8 _burnPercent, bool _enableReflection, bool _enableBurn, address _initialOwner) external returns (address)",
+        ],
+        args: legacyArgs,
+        unsupported:
+          (!hasUniformFees(schedules) && scheduleError) ||
+          (hasLimits && limitsError) ||
+          (params.manualLaunch && launchError),
+      },
+      {
+        // Tax only
+        abi: [
+          "function createToken(string memory _name, string memory _symbol, uint256 _initialSupply, uint256 _taxPercent, address _taxWallet, address _initialOwner) external returns (address)",
+        ],
+        args: [params.name, params.symbol, initialSupply, params.taxPercent || 0, taxWallet, params.initialOwner],
+        unsupported:
+          (!hasUniformFees(schedules) && scheduleError) ||
+          (hasLimits && limitsError) ||
+          (params.manualLaunch && launchError) ||
+          ((hasReflection || hasBurn) && reflectionError),
+      },
+    ];
+
+    let firstError = null;
+    for (const signature of signatures) {
+      const factory = new ethers.Contract(factoryAddress, signature.abi, wallet);
+      try {
+        await factory.createToken.staticCall(...signature.args);
+      } catch (error) {
+        // Factory might be an older version - try the next signature
+        console.log('Factory rejected this createToken signature, trying an older one...');
+        firstError = firstError || error;
+        continue;
       }
-    }
-    
-    // Ensure taxWallet is a valid address string
-    if (typeof taxWallet !== "string") {
-      taxWallet = taxWallet.toString();
-    }
-
-    // NEW: Log parameters before sending (after taxWallet is initialized)
-    console.log('\n=== CONSTRUCTOR PARAMETERS ===');
-    console.log('Name:', params.name);
-    console.log('Symbol:', params.symbol);
-    console.log('Supply:', ethers.formatUnits(initialSupply, 18));
-    console.log('Tax %:', params.taxPercent || 0);
-    console.log('Tax Wallet:', taxWallet);
-    console.log('Reflection %:', params.reflectionPercent || 0);
-    console.log('Burn %:', params.burnPercent || 0);
-    console.log('Enable Reflection:', params.enableReflection || false);
-    console.log('Enable Burn:', params.enableBurn || false);
-    console.log('Owner:', params.initialOwner);
-    
-    // Try to call factory.createToken with new parameters first
-    // If Factory is old version, fallback to old signature
-    let tx;
-    try {
-      // Try new signature (with reflection and burn)
-      tx = await factory.createToken(
-        params.name,
-        params.symbol,
-        initialSupply,
-        params.taxPercent || 0,
-        taxWallet,
-        params.reflectionPercent || 0,
-        params.burnPercent || 0,
-        params.enableReflection || false,
-        params.enableBurn || false,
-        params.initialOwner,
-        {
-          gasLimit: 5000000, // 5M gas limit
-          gasPrice: networkKey === 'alvey' ? ethers.parseUnits('100', 'gwei') : undefined, // 100 gwei for Alvey
-        }
-      );
-      
-      console.log('TX Hash:', tx.hash);
-      console.log('Waiting for confirmations...');
-    } catch (error) {
-      // Factory might be old version - try old signature
-      console.log('New Factory signature failed, trying old signature...');
-      const OLD_FACTORY_ABI = [
-        "function createToken(string memory _name, string memory _symbol, uint256 _initialSupply, uint256 _taxPercent, address _taxWallet, address _initialOwner) external returns (address)",
-      ];
-      const oldFactory = new ethers.Contract(factoryAddress, OLD_FACTORY_ABI, wallet);
-      
-      // Check if reflection/burn are actually enabled with non-zero percentages
-      const hasReflection = params.enableReflection && (params.reflectionPercent || 0) > 0;
-      const hasBurn = params.enableBurn && (params.burnPercent || 0) > 0;
-      
-      if (hasReflection || hasBurn) {
-        throw new Error(
-          "⚠️ Reflection and Burn features require the new Factory contract.\n\n" +
-          "Your token will be created WITHOUT reflection/burn features.\n" +
-          "To use these features, please deploy the updated Factory contract first.\n\n" +
-          "You can still create tokens with Tax only using the current Factory."
-        );
+
+      if (signature.unsupported) {
+        throw new Error(signature.unsupported);
       }
-      
-      // Use old signature (reflection/burn are disabled or 0, so it's safe)
-      tx = await oldFactory.createToken(
-        params.name,
-        params.symbol,
-        initialSupply,
-        params.taxPercent || 0,
-        taxWallet,
-        params.initialOwner,
-        {
-          gasLimit: 5000000, // 5M gas limit
-          gasPrice: networkKey === 'alvey' ? ethers.parseUnits('100', 'gwei') : undefined, // 100 gwei for Alvey
-        }
-      );
-      
-      console.log('TX Hash:', tx.hash);
-      console.log('Waiting for confirmations...');
+      return {
+        to: factoryAddress,
+        data: factory.interface.encodeFunctionData("createToken", signature.args),
+        gasLimit: 5000000n, // 5M gas limit
+      };
     }
 
-    // Wait for transaction receipt (2 confirmations)
-    const receipt = await tx.wait(2);
+    // Rejected by every signature: the newest one's reason is the useful one
+    throw firstError;
+  } catch (error) {
+    console.error("Error in buildDeployRequest:", error);
+    throw error;
+  }
+};
+
+/**
+ * Gas price for a bot transaction: 100 gwei on Alvey, the node's price elsewhere
+ * @param {string} networkKey - Network key
+ * @returns {Promise<bigint>} Gas price in wei
+ */
+const getBotGasPrice = async (networkKey = "alvey") => {
+  if (networkKey === "alvey") {
+    return ethers.parseUnits("100", "gwei");
+  }
+  const feeData = await connectProvider(networkKey).getFeeData();
+  return feeData.gasPrice;
+};
 
-    console.log('\n=== DEPLOYMENT RECEIPT ===');
+/**
+ * Sign a transaction with the bot wallet without sending it, so its hash can be stored first
+ * @param {string} networkKey - Network key
+ * @param {object} request - { to, data, value, gasLimit }
+ * @param {number} nonce - Bot wallet nonce
+ * @param {bigint} gasPrice - Gas price in wei
+ * @returns {Promise<object>} { hash, raw }
+ */
+const signBotTransaction = async (networkKey, request, nonce, gasPrice) => {
+  const wallet = getBotWallet(networkKey);
+  const raw = await wallet.signTransaction({
+    type: 0,
+    chainId: getNetwork(networkKey).chainId,
+    to: request.to,
+    data: request.data || "0x",
+    value: request.value || 0n,
+    gasLimit: request.gasLimit,
+    gasPrice,
+    nonce,
+  });
+  return { hash: ethers.keccak256(raw), raw };
+};
+
+/**
+ * Broadcast a signed transaction
+ * @param {string} networkKey - Network key
+ * @param {string} raw - Signed transaction
+ * @returns {Promise<string>} Transaction hash
+ */
+const broadcastTransaction = async (networkKey, raw) => {
+  try {
+    const tx = await connectProvider(networkKey).broadcastTransaction(raw);
     console.log('TX Hash:', tx.hash);
-    console.log('TX Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
-    console.log('Contract Address:', receipt.contractAddress);
-    console.log('Gas Used:', receipt.gasUsed.toString());
-
-    // NEW: Validate TX didn't fail
-    if (!receipt || receipt.status === 0) {
-      throw new Error(
-        'TX FAILED: Transaction was reverted by network\n' +
-        'Possible causes:\n' +
-        '- Invalid constructor arguments\n' +
-        '- Out of gas\n' +
-        '- RPC error'
-      );
-    }
-
-    // Get token address from event
-    const event = receipt.logs.find((log) => {
-      try {
-        const parsed = factory.interface.parseLog(log);
-        return parsed && parsed.name === "TokenDeployed";
-      } catch {
-        return false;
-      }
-    });
+    return tx.hash;
+  } catch (error) {
+    console.error("Error in broadcastTransaction:", error);
+    throw error;
+  }
+};
 
-    let tokenAddress;
-    if (event) {
-      const parsed = factory.interface.parseLog(event);
-      tokenAddress = parsed.args.tokenAddress;
-    } else {
-      // Fallback: get from factory events
-      const filter = factory.filters.TokenDeployed();
-      const events = await factory.queryFilter(filter, receipt.blockNumber, receipt.blockNumber);
-      if (events.length > 0) {
-        tokenAddress = events[0].args.tokenAddress;
-      } else {
-        throw new Error("Could not find TokenDeployed event");
-      }
+/**
+ * Number of mined transactions of the bot wallet (every nonce below it is used)
+ * @param {string} networkKey - Network key
+ * @returns {Promise<number>}
+ */
+const getBotMinedNonce = async (networkKey = "alvey") => {
+  const wallet = getBotWallet(networkKey);
+  return wallet.provider.getTransactionCount(wallet.address, "latest");
+};
+
+/**
+ * Look up a bot-signed deployment by its transaction hash
+ * @param {string} txHash - Deployment transaction hash
+ * @param {string} factoryAddress - Factory the transaction was sent to
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object>} { status: "unknown"|"pending"|"confirming"|"failed"|"deployed", result? }
+ */
+const getBotDeployment = async (txHash, factoryAddress, networkKey = "alvey") => {
+  try {
+    const provider = connectProvider(networkKey);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      // Not mined: still in the mempool, or dropped if the node no longer knows it
+      const tx = await provider.getTransaction(txHash);
+      return { status: tx ? "pending" : "unknown" };
     }
+    if (receipt.status === 0) {
+      return { status: "failed" };
+    }
+    // Wait for 2 confirmations before the token is saved
+    if ((await receipt.confirmations()) < 2) {
+      return { status: "confirming" };
+    }
+
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+    const tokenAddress = await parseDeploymentReceipt(provider, factory, receipt);
+
+    return {
+      status: "deployed",
+      result: {
+        txHash: receipt.hash,
+        tokenAddress,
+        blockNumber: receipt.blockNumber,
+        receipt,
+      },
+    };
+  } catch (error) {
+    console.error("Error in getBotDeployment:", error);
+    throw error;
+  }
+};
 
-    console.log('Token address from event:', tokenAddress);
+/**
+ * Build the unsigned factory createToken transaction for the user to sign
+ * The signer becomes the creator recorded by the factory and pays the gas
+ * @param {object} params - Token parameters (initialOwner = user's wallet)
+ * @param {string} networkKey - Network key
+ * @returns {object} { from, to, data, value, chainId, gasLimit, gasPrice }
+ */
+const buildCreateTokenTx = (params, networkKey = "alvey") => {
+  const network = getNetwork(networkKey);
+  if (!network.factoryAddress || network.factoryAddress === ethers.ZeroAddress) {
+    throw new Error(`Factory address not configured for ${network.name}`);
+  }
+
+  const args = [
+    params.name,
+    params.symbol,
+    ethers.parseUnits(params.initialSupply.toString(), 18),
+    params.taxPercent || 0,
+    resolveTaxWallet(params),
+    params.reflectionPercent || 0,
+    params.burnPercent || 0,
+    params.enableReflection || false,
+    params.enableBurn || false,
+    params.initialOwner,
+    buildTradingConfig(params, networkKey),
+  ];
+
+  return {
+    ...buildContractCallTx(network.factoryAddress, FACTORY_ABI, "createToken", args, params.initialOwner, networkKey),
+    gasLimit: 5000000n,
+  };
+};
 
-    // NEW: Verify contract actually exists on blockchain
-    console.log('Verifying contract bytecode...');
-    const code = await provider.getCode(tokenAddress);
+/**
+ * Check a transaction the user says deployed their token
+ * Only a successful factory call with exactly the prepared calldata is accepted
+ * @param {string} txHash - Transaction hash
+ * @param {object} expected - { to, data } from buildCreateTokenTx
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object>} { status: "pending"|"mismatch"|"failed"|"deployed", result?, reason? }
+ */
+const getUserDeployment = async (txHash, expected, networkKey = "alvey") => {
+  try {
+    const provider = connectProvider(networkKey);
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) {
+      return { status: "pending", reason: "Transaction not found yet" };
+    }
 
-    console.log('Bytecode length:', code.length);
-    console.log('First 100 chars:', code.substring(0, 100));
+    if (
+      !tx.to ||
+      tx.to.toLowerCase() !== expected.to.toLowerCase() ||
+      tx.data.toLowerCase() !== expected.data.toLowerCase()
+    ) {
+      return { status: "mismatch", reason: "This transaction is not the prepared token deployment" };
+    }
 
-    if (code === '0x' || code.length < 100) {
-      throw new Error(
-        `VALIDATION FAILED: No contract code at ${tokenAddress}\n` +
-        `Bytecode: ${code.length} bytes (expected >1000)\n` +
-        'Deployment failed or was not included in block'
-      );
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      return { status: "pending", reason: "Transaction not confirmed yet" };
+    }
+    if (receipt.status === 0) {
+      return { status: "failed", reason: "Transaction was reverted" };
     }
 
-    console.log('✅ CONTRACT VERIFIED - Bytecode size:', Math.floor((code.length - 2) / 2), 'bytes');
+    const factory = new ethers.Contract(expected.to, FACTORY_ABI, provider);
+    const tokenAddress = await parseDeploymentReceipt(provider, factory, receipt);
 
     return {
-      txHash: receipt.hash,
-      tokenAddress,
-      blockNumber: receipt.blockNumber,
-      receipt: receipt,
+      status: "deployed",
+      result: {
+        txHash: receipt.hash,
+        tokenAddress,
+        blockNumber: receipt.blockNumber,
+        receipt,
+        creator: tx.from,
+      },
     };
   } catch (error) {
-    console.error("Error in deployToken:", error);
+    console.error("Error in getUserDeployment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Look for the user's signed deployment among the factory's TokenDeployed events
+ * @param {object} expected - { from, to, data } from buildCreateTokenTx
+ * @param {number} fromBlock - First block to scan
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object|null>} getUserDeployment result of the matching deployment, null if not seen yet
+ */
+const findUserDeployment = async (expected, fromBlock, networkKey = "alvey") => {
+  try {
+    const provider = connectProvider(networkKey);
+    const factory = new ethers.Contract(expected.to, FACTORY_ABI, provider);
+    const events = await factory.queryFilter(factory.filters.TokenDeployed(null, expected.from), fromBlock);
+
+    for (const event of events) {
+      const deployment = await getUserDeployment(event.transactionHash, expected, networkKey);
+      if (deployment.status === "deployed") {
+        return deployment;
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error("Error in findUserDeployment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Call an ownership or owner-only function of a token from the bot's wallet
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} functionName - "transferOwnership", "acceptOwnership", "renounceOwnership",
+ *   "setExcludedFromFees" or "enableTrading"
+ * @param {Array} args - Function arguments
+ * @param {string} network - Network name
+ * @returns {Promise<string>} Transaction hash
+ */
+const sendOwnershipTx = async (tokenAddress, functionName, args, network = "alvey") => {
+  try {
+    const wallet = getBotWallet(network);
+    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, wallet);
+
+    // Same nonce allocation as queued deployments, so the two never collide
+    const tx = await withNonce(network, wallet, (nonce) => tokenContract[functionName](...args, { nonce }));
+    const receipt = await tx.wait();
+
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error in ${functionName}:`, error);
     throw error;
   }
 };
 
 /**
  * Transfer token ownership
+ * On two-step tokens this only makes newOwner the pending owner
  * @param {string} tokenAddress - Token contract address
  * @param {string} newOwner - New owner address
  * @param {string} network - Network name
  * @returns {Promise<string>} Transaction hash
  */
-const transferOwnership = async (tokenAddress, newOwner, network = "alvey") => {
+const transferOwnership = (tokenAddress, newOwner, network = "alvey") =>
+  sendOwnershipTx(tokenAddress, "transferOwnership", [newOwner], network);
+
+/**
+ * Address of the bot's deployer wallet (BOT_PRIVATE_KEY)
+ * @returns {string|null} Address, or null when no key is configured
+ */
+const getBotAddress = () =>
+  process.env.BOT_PRIVATE_KEY ? new ethers.Wallet(process.env.BOT_PRIVATE_KEY).address : null;
+
+/**
+ * Build an unsigned contract call for the user to sign in their own wallet
+ * @param {string} contractAddress - Contract address
+ * @param {Array} abi - Contract ABI (must include the function)
+ * @param {string} functionName - Function to call
+ * @param {Array} args - Function arguments
+ * @param {string} from - Wallet that must sign (e.g. the token owner)
+ * @param {string} networkKey - Network key
+ * @returns {object} { from, to, data, value, chainId, gasPrice }
+ */
+const buildContractCallTx = (contractAddress, abi, functionName, args, from, networkKey = "alvey") => {
+  const network = getNetwork(networkKey);
+  return {
+    from,
+    to: contractAddress,
+    data: new ethers.Interface(abi).encodeFunctionData(functionName, args),
+    value: 0n,
+    chainId: network.chainId,
+    gasPrice: networkKey === "alvey" ? ethers.parseUnits("100", "gwei") : undefined,
+  };
+};
+
+/**
+ * Find an ownership event emitted by a token (for transfers signed by the user)
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} eventName - "OwnershipTransferred" or "OwnershipTransferStarted"
+ * @param {string} newOwner - Expected new owner
+ * @param {number} fromBlock - First block to scan
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object|null>} { txHash, blockNumber, previousOwner, newOwner } or null
+ */
+const findOwnershipEvent = async (tokenAddress, eventName, newOwner, fromBlock, networkKey = "alvey") => {
   try {
-    if (!process.env.BOT_PRIVATE_KEY) {
-      throw new Error("BOT_PRIVATE_KEY not set in environment");
+    const provider = connectProvider(networkKey);
+    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    const events = await tokenContract.queryFilter(tokenContract.filters[eventName](null, newOwner), fromBlock);
+    if (events.length === 0) {
+      return null;
     }
 
-    const provider = connectProvider(network);
-    const wallet = new ethers.Wallet(process.env.BOT_PRIVATE_KEY, provider);
-    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, wallet);
+    const event = events[events.length - 1];
+    return {
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      previousOwner: event.args.previousOwner,
+      newOwner: event.args.newOwner,
+    };
+  } catch (error) {
+    console.error("Error in findOwnershipEvent:", error);
+    throw error;
+  }
+};
 
-    const tx = await tokenContract.transferOwnership(newOwner);
-    const receipt = await tx.wait();
+/**
+ * Read an ownership event from a transaction the user says they sent
+ * @param {string} txHash - Transaction hash
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} eventName - Event name (see findOwnershipEvent)
+ * @param {string} newOwner - Expected new owner
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object>} { status: "pending"|"failed"|"mismatch"|"confirmed", event?, reason? }
+ */
+const getOwnershipEventFromTx = async (txHash, tokenAddress, eventName, newOwner, networkKey = "alvey") => {
+  try {
+    const provider = connectProvider(networkKey);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      return { status: "pending", reason: "Transaction not found or not confirmed yet" };
+    }
+    if (receipt.status === 0) {
+      return { status: "failed", reason: "Transaction was reverted" };
+    }
 
-    return receipt.hash;
+    const tokenInterface = new ethers.Interface(TOKEN_ABI);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = tokenInterface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (parsed && parsed.name === eventName && parsed.args.newOwner.toLowerCase() === newOwner.toLowerCase()) {
+        return {
+          status: "confirmed",
+          event: {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            previousOwner: parsed.args.previousOwner,
+            newOwner: parsed.args.newOwner,
+          },
+        };
+      }
+    }
+
+    return { status: "mismatch", reason: "This transaction did not change the token's ownership as requested" };
   } catch (error) {
-    console.error("Error in transferOwnership:", error);
+    console.error("Error in getOwnershipEventFromTx:", error);
     throw error;
   }
 };
 
 /**
- * Verify payment transaction
+ * Addresses a token exempts from fees, replayed from its ExcludedFromFees events
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} networkKey - Network key
+ * @returns {Promise<Array<string>|null>} Exempt addresses, null for tokens from before fee exemptions
+ */
+const getFeeExemptions = async (tokenAddress, networkKey = "alvey") => {
+  const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, connectProvider(networkKey));
+
+  let creationBlock;
+  try {
+    creationBlock = Number(await tokenContract.creationBlock());
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") {
+      return null;
+    }
+    console.error("Error in getFeeExemptions:", error);
+    throw error;
+  }
+
+  try {
+    const events = await tokenContract.queryFilter(tokenContract.filters.ExcludedFromFees(), creationBlock);
+    const exempt = new Map(); // lowercase address -> address, in the order the exemptions were added
+    for (const event of events) {
+      const key = event.args.account.toLowerCase();
+      if (event.args.isExcluded) {
+        exempt.set(key, event.args.account);
+      } else {
+        exempt.delete(key);
+      }
+    }
+    return [...exempt.values()];
+  } catch (error) {
+    console.error("Error in getFeeExemptions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the ExcludedFromFees event of an exemption change (for changes signed by the user)
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} account - Exempted (or no longer exempted) address
+ * @param {boolean} excluded - Expected new state
+ * @param {number} fromBlock - First block to scan
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object|null>} { txHash, blockNumber } or null
+ */
+const findFeeExemptionEvent = async (tokenAddress, account, excluded, fromBlock, networkKey = "alvey") => {
+  try {
+    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, connectProvider(networkKey));
+    const events = await tokenContract.queryFilter(tokenContract.filters.ExcludedFromFees(account), fromBlock);
+    const event = events.reverse().find((candidate) => candidate.args.isExcluded === excluded);
+    return event ? { txHash: event.transactionHash, blockNumber: event.blockNumber } : null;
+  } catch (error) {
+    console.error("Error in findFeeExemptionEvent:", error);
+    throw error;
+  }
+};
+
+/**
+ * Read an exemption change from a transaction the user says they sent
+ * @param {string} txHash - Transaction hash
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} account - Expected address
+ * @param {boolean} excluded - Expected new state
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object>} { status: "pending"|"failed"|"mismatch"|"confirmed", event?, reason? }
+ */
+const getFeeExemptionEventFromTx = async (txHash, tokenAddress, account, excluded, networkKey = "alvey") => {
+  try {
+    const receipt = await connectProvider(networkKey).getTransactionReceipt(txHash);
+    if (!receipt) {
+      return { status: "pending", reason: "Transaction not found or not confirmed yet" };
+    }
+    if (receipt.status === 0) {
+      return { status: "failed", reason: "Transaction was reverted" };
+    }
+
+    const tokenInterface = new ethers.Interface(TOKEN_ABI);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = tokenInterface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (
+        parsed &&
+        parsed.name === "ExcludedFromFees" &&
+        parsed.args.account.toLowerCase() === account.toLowerCase() &&
+        parsed.args.isExcluded === excluded
+      ) {
+        return { status: "confirmed", event: { txHash: receipt.hash, blockNumber: receipt.blockNumber } };
+      }
+    }
+
+    return { status: "mismatch", reason: "This transaction did not change the fee exemption as requested" };
+  } catch (error) {
+    console.error("Error in getFeeExemptionEventFromTx:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the TradingEnabled event of a token (for launches signed by the owner)
+ * @param {string} tokenAddress - Token contract address
+ * @param {number} fromBlock - First block to scan
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object|null>} { txHash, blockNumber } or null
+ */
+const findTradingEnabledEvent = async (tokenAddress, fromBlock, networkKey = "alvey") => {
+  try {
+    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, connectProvider(networkKey));
+    const events = await tokenContract.queryFilter(tokenContract.filters.TradingEnabled(), fromBlock);
+    if (events.length === 0) {
+      return null;
+    }
+    return { txHash: events[0].transactionHash, blockNumber: events[0].blockNumber };
+  } catch (error) {
+    console.error("Error in findTradingEnabledEvent:", error);
+    throw error;
+  }
+};
+
+/**
+ * Read the TradingEnabled event from a transaction the owner says they sent
+ * @param {string} txHash - Transaction hash
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object>} { status: "pending"|"failed"|"mismatch"|"confirmed", event?, reason? }
+ */
+const getTradingEnabledEventFromTx = async (txHash, tokenAddress, networkKey = "alvey") => {
+  try {
+    const receipt = await connectProvider(networkKey).getTransactionReceipt(txHash);
+    if (!receipt) {
+      return { status: "pending", reason: "Transaction not found or not confirmed yet" };
+    }
+    if (receipt.status === 0) {
+      return { status: "failed", reason: "Transaction was reverted" };
+    }
+
+    const tokenInterface = new ethers.Interface(TOKEN_ABI);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = tokenInterface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (parsed && parsed.name === "TradingEnabled") {
+        return { status: "confirmed", event: { txHash: receipt.hash, blockNumber: receipt.blockNumber } };
+      }
+    }
+
+    return { status: "mismatch", reason: "This transaction did not enable trading on this token" };
+  } catch (error) {
+    console.error("Error in getTradingEnabledEventFromTx:", error);
+    throw error;
+  }
+};
+
+/**
+ * Private key of the payment wallet on a network
+ * @param {string} networkKey - Network key
+ * @returns {string|undefined}
+ */
+const getPaymentWalletKey = (networkKey) =>
+  networkKey === "alvey"
+    ? process.env.PAYMENT_WALLET_ALVEY_PRIVATE_KEY || process.env.PAYMENT_WALLET_PRIVATE_KEY
+    : process.env.PAYMENT_WALLET_PRIVATE_KEY;
+
+/**
+ * Send a transfer from the payment wallet (e.g. referral payouts and refunds)
+ * @param {string|null} tokenAddress - Token contract address, or null for the native coin
+ * @param {string} to - Recipient address
+ * @param {number|string} amount - Amount in whole tokens
+ * @param {string} networkKey - Network key
+ * @param {string} expectedSender - Address the signing key must belong to
+ * @returns {Promise<string>} Transaction hash (errors after broadcast carry error.txHash)
+ */
+const sendPaymentWalletTransfer = async (tokenAddress, to, amount, networkKey, expectedSender) => {
+  try {
+    const privateKey = getPaymentWalletKey(networkKey);
+    if (!privateKey) {
+      throw new Error("PAYMENT_WALLET_PRIVATE_KEY not set in environment");
+    }
+
+    const provider = connectProvider(networkKey);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    if (wallet.address.toLowerCase() !== expectedSender.toLowerCase()) {
+      throw new Error(`Payment wallet private key does not belong to ${expectedSender}`);
+    }
+
+    const decimals = await getTokenDecimals(tokenAddress, networkKey);
+    const value = toTokenUnits(amount, decimals);
+
+    let tx;
+    if (tokenAddress === null) {
+      tx = await wallet.sendTransaction({ to, value });
+    } else {
+      const tokenContract = new ethers.Contract(tokenAddress, USDT_ABI, wallet);
+      tx = await tokenContract.transfer(to, value);
+    }
+
+    return await waitForTransfer(tx);
+  } catch (error) {
+    console.error("Error in sendPaymentWalletTransfer:", error);
+    throw error;
+  }
+};
+
+/**
+ * Wait for a broadcast transfer to be mined successfully
+ * @param {ethers.TransactionResponse} tx - Broadcast transaction
+ * @returns {Promise<string>} Transaction hash (errors with an unknown outcome carry error.txHash)
+ */
+const waitForTransfer = async (tx) => {
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (error) {
+    // Broadcast but outcome unknown (a revert is a known failure): callers must not retry blindly
+    if (error.code !== "CALL_EXCEPTION") {
+      error.txHash = tx.hash;
+    }
+    throw error;
+  }
+
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`TX FAILED: transfer ${tx.hash} reverted`);
+  }
+  return receipt.hash;
+};
+
+/**
+ * Move the whole balance of a deposit address to the payment wallet
+ * Token sweeps first send the deposit address the gas it is missing from the payment wallet;
+ * native coin sweeps send the balance minus the gas
+ * @param {ethers.HDNodeWallet} depositWallet - Signing wallet of the deposit address
+ * @param {string|null} tokenAddress - Token contract address, or null for the native coin
+ * @param {string} to - Payment wallet address
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object|null>} { amount: bigint, gasTxHash, txHash }, or null when there is nothing to sweep
+ *   (errors after a broadcast carry error.txHash or error.gasTxHash, and error.amount)
+ */
+const sweepDepositAddress = async (depositWallet, tokenAddress, to, networkKey) => {
+  let amount = null;
+  let gasTxHash = null;
+
+  try {
+    const provider = connectProvider(networkKey);
+    const wallet = depositWallet.connect(provider);
+    const gasPrice = networkKey === "alvey"
+      ? ethers.parseUnits("100", "gwei")
+      : (await provider.getFeeData()).gasPrice;
+
+    if (tokenAddress === null) {
+      const balance = await provider.getBalance(wallet.address);
+      const gasLimit = 21000n;
+      if (balance <= gasLimit * gasPrice) {
+        return null; // Empty, or not worth the gas
+      }
+
+      amount = balance - gasLimit * gasPrice;
+      const tx = await wallet.sendTransaction({ to, value: amount, gasLimit, gasPrice });
+      return { amount, gasTxHash, txHash: await waitForTransfer(tx) };
+    }
+
+    const tokenContract = new ethers.Contract(tokenAddress, USDT_ABI, wallet);
+    amount = await tokenContract.balanceOf(wallet.address);
+    if (amount === 0n) {
+      return null;
+    }
+
+    // 20% headroom over the estimate; only the missing part is sent from the payment wallet
+    const gasLimit = ((await tokenContract.transfer.estimateGas(to, amount)) * 120n) / 100n;
+    const gasBalance = await provider.getBalance(wallet.address);
+    if (gasBalance < gasLimit * gasPrice) {
+      try {
+        gasTxHash = await sendPaymentWalletTransfer(
+          null,
+          wallet.address,
+          ethers.formatEther(gasLimit * gasPrice - gasBalance),
+          networkKey,
+          to
+        );
+      } catch (error) {
+        // The sweep itself was never sent
+        error.gasTxHash = error.txHash;
+        delete error.txHash;
+        throw error;
+      }
+    }
+
+    const tx = await tokenContract.transfer(to, amount, { gasLimit, gasPrice });
+    return { amount, gasTxHash, txHash: await waitForTransfer(tx) };
+  } catch (error) {
+    console.error("Error in sweepDepositAddress:", error);
+    error.amount = amount;
+    error.gasTxHash = error.gasTxHash || gasTxHash;
+    throw error;
+  }
+};
+
+/**
+ * Default stablecoin contract for a network (legacy behaviour)
+ * @param {string} networkKey - Network key
+ * @returns {string} Token contract address
+ */
+const getDefaultPaymentToken = (networkKey) =>
+  networkKey === "bsc" || networkKey === "bscTestnet" ? ADDRESSES.USDT_BSC : ADDRESSES.aUSDT_ALVEY;
+
+// decimals() per token contract, read once (they never change)
+const tokenDecimalsCache = new Map();
+
+/**
+ * Get the decimals of a payment currency
+ * ERC-20 decimals are read from the contract and cached, native coins always use 18
+ * @param {string|null} tokenAddress - Token contract address, or null for the native coin
+ * @param {string} networkKey - Network key
+ * @returns {Promise<number>} Decimals
+ */
+const getTokenDecimals = async (tokenAddress, networkKey = "bsc") => {
+  if (tokenAddress === null) {
+    return 18;
+  }
+
+  const cacheKey = `${networkKey}:${tokenAddress.toLowerCase()}`;
+  if (tokenDecimalsCache.has(cacheKey)) {
+    return tokenDecimalsCache.get(cacheKey);
+  }
+
+  try {
+    const provider = connectProvider(networkKey);
+    const tokenContract = new ethers.Contract(tokenAddress, USDT_ABI, provider);
+    const decimals = Number(await tokenContract.decimals());
+    tokenDecimalsCache.set(cacheKey, decimals);
+    return decimals;
+  } catch (error) {
+    console.error("Error in getTokenDecimals:", error);
+    throw error;
+  }
+};
+
+/**
+ * Convert a decimal amount (e.g. a DECIMAL column value) to smallest units
+ * Trailing zeros beyond the token decimals are ignored; real extra precision throws
+ * @param {number|string} amount - Amount
+ * @param {number} decimals - Currency decimals
+ * @returns {bigint} Amount in smallest units
+ */
+const toTokenUnits = (amount, decimals) => {
+  let value = String(amount);
+  if (value.includes(".")) {
+    value = value.replace(/0+$/, "").replace(/\.$/, "");
+  }
+  return ethers.parseUnits(value, decimals);
+};
+
+/**
+ * Read the payment transferred to a wallet by a transaction
+ * Returns the exact amount in smallest units so callers compare integers,
+ * and partial payments can be added up across several transactions
+ * Throws on RPC errors (with error.rpcError set), so callers can tell an unreachable node
+ * from a transaction that pays nothing
  * @param {string} txHash - Transaction hash
- * @param {number} expectedAmount - Expected amount in USDT
- * @param {string} expectedFrom - Expected sender address
+ * @param {string|null} expectedFrom - Expected sender address (null to accept any sender)
  * @param {string} expectedTo - Expected recipient address
  * @param {string} networkKey - Network key ('bsc' for USDT)
- * @returns {Promise<boolean>} True if payment is valid
+ * @param {object} options - { tokenAddress: token contract or null for native coin }
+ * @returns {Promise<object|null>} { from, value: bigint, decimals } or null if nothing was paid
  */
 const verifyPayment = async (
   txHash,
-  expectedAmount,
   expectedFrom,
   expectedTo,
-  networkKey = "bsc"
+  networkKey = "bsc",
+  options = {}
 ) => {
   try {
+    const tokenAddress = options.tokenAddress !== undefined ? options.tokenAddress : getDefaultPaymentToken(networkKey);
+    const decimals = await getTokenDecimals(tokenAddress, networkKey);
+
     const provider = connectProvider(networkKey);
     const receipt = await provider.getTransactionReceipt(txHash);
 
     if (!receipt || receipt.status !== 1) {
-      return false;
+      return null;
     }
 
-    // Get USDT contract
-    const usdtAddress = networkKey === "bsc" || networkKey === "bscTestnet" ? ADDRESSES.USDT_BSC : ADDRESSES.aUSDT_ALVEY;
-    const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, provider);
+    // Native coin: check the transaction value itself
+    if (tokenAddress === null) {
+      const tx = await provider.getTransaction(txHash);
+      if (!tx || !tx.to || tx.to.toLowerCase() !== expectedTo.toLowerCase() || tx.value === 0n) {
+        return null;
+      }
+      if (expectedFrom && tx.from.toLowerCase() !== expectedFrom.toLowerCase()) {
+        return null;
+      }
+      return { from: tx.from, value: tx.value, decimals };
+    }
 
-    // Parse Transfer events
+    // Sum the Transfer events emitted by the payment token only
     const transferInterface = new ethers.Interface(USDT_ABI);
-    const transferEvent = transferInterface.getEvent("Transfer");
+    let from = expectedFrom;
+    let value = 0n;
 
     for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+        continue;
+      }
       try {
         const parsed = transferInterface.parseLog(log);
         if (
           parsed &&
           parsed.name === "Transfer" &&
-          parsed.args.from.toLowerCase() === expectedFrom.toLowerCase() &&
+          (!from || parsed.args.from.toLowerCase() === from.toLowerCase()) &&
           parsed.args.to.toLowerCase() === expectedTo.toLowerCase()
         ) {
-          // USDT has 18 decimals
-          const amount = Number(ethers.formatUnits(parsed.args.value, 18));
-          if (Math.abs(amount - expectedAmount) < 0.01) {
-            // Allow small difference for rounding
-            return true;
-          }
+          from = parsed.args.from;
+          value += parsed.args.value;
         }
       } catch {
         // Not a Transfer event, continue
       }
     }
 
-    return false;
+    return value > 0n ? { from, value, decimals } : null;
   } catch (error) {
     console.error("Error in verifyPayment:", error);
-    return false;
+    error.rpcError = true;
+    throw error;
   }
 };
 
@@ -364,21 +1141,30 @@ const getTransactionReceipt = async (txHash, networkKey = "alvey") => {
 
 /**
  * Get recent transactions to an address
- * @param {string} toAddress - Recipient address
+ * Token payments are read from Transfer logs, native coin payments from block transactions
+ * Throws on RPC errors so callers never skip a block range that was not scanned
+ * @param {string|Array<string>} toAddress - Recipient address (or several, e.g. deposit addresses)
  * @param {number} fromBlock - Starting block number
  * @param {string} networkKey - Network key
+ * @param {number} toBlock - Last block to scan (optional, defaults to current block)
+ * @param {object} options - { tokenAddress: token contract or null for native coin }
  * @returns {Promise<Array>} Array of transaction hashes
  */
-const getRecentTransactions = async (toAddress, fromBlock, networkKey = "bsc") => {
+const getRecentTransactions = async (toAddress, fromBlock, networkKey = "bsc", toBlock = null, options = {}) => {
   try {
     const provider = connectProvider(networkKey);
-    const currentBlock = await provider.getBlockNumber();
-    const usdtAddress = networkKey === "bsc" || networkKey === "bscTestnet" ? ADDRESSES.USDT_BSC : ADDRESSES.aUSDT_ALVEY;
-    const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, provider);
+    const lastBlock = toBlock !== null ? toBlock : await provider.getBlockNumber();
+    const tokenAddress = options.tokenAddress !== undefined ? options.tokenAddress : getDefaultPaymentToken(networkKey);
+
+    if (tokenAddress === null) {
+      return await getRecentNativeTransactions(provider, toAddress, fromBlock, lastBlock);
+    }
+
+    const usdtContract = new ethers.Contract(tokenAddress, USDT_ABI, provider);
 
-    // Get Transfer events
+    // An array of recipients matches a transfer to any of them
     const filter = usdtContract.filters.Transfer(null, toAddress);
-    const events = await usdtContract.queryFilter(filter, fromBlock, currentBlock);
+    const events = await usdtContract.queryFilter(filter, fromBlock, lastBlock);
 
     return events.map((event) => ({
       txHash: event.transactionHash,
@@ -390,8 +1176,43 @@ const getRecentTransactions = async (toAddress, fromBlock, networkKey = "bsc") =
     }));
   } catch (error) {
     console.error("Error in getRecentTransactions:", error);
-    return [];
+    throw error;
+  }
+};
+
+/**
+ * Scan blocks for native coin transfers to an address
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {string|Array<string>} toAddress - Recipient address (or several)
+ * @param {number} fromBlock - Starting block number
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Array>} Transfers in the same format as token transfers
+ */
+const getRecentNativeTransactions = async (provider, toAddress, fromBlock, toBlock) => {
+  const transfers = [];
+  const recipients = new Set([].concat(toAddress).map((address) => address.toLowerCase()));
+
+  for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+    const block = await provider.getBlock(blockNumber, true);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not available`);
+    }
+
+    for (const tx of block.prefetchedTransactions) {
+      if (tx.to && recipients.has(tx.to.toLowerCase()) && tx.value > 0n) {
+        transfers.push({
+          txHash: tx.hash,
+          from: tx.from,
+          to: tx.to,
+          value: tx.value.toString(),
+          blockNumber: block.number,
+          timestamp: block.timestamp,
+        });
+      }
+    }
   }
+
+  return transfers;
 };
 
 /**
@@ -410,20 +1231,53 @@ const getTokenFeatures = async (tokenAddress, networkKey = "alvey") => {
       "function BURN_PERCENT() external view returns (uint8)",
       "function taxWallet() external view returns (address)",
       "function taxPercent() external view returns (uint256)",
+      // Tokens with buy / sell / transfer schedules
+      "function getFeeSchedules() external view returns (tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) buyFees, tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) sellFees, tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) transferFees)",
+      "function dexRouter() external view returns (address)",
+      "function mainPair() external view returns (address)",
+      // Tokens with anti-whale limits
+      "function maxTransactionAmount() external view returns (uint256)",
+      "function maxWalletAmount() external view returns (uint256)",
+      // Tokens with a trading switch
+      "function tradingEnabled() external view returns (bool)",
+      "function tradingEnabledBlock() external view returns (uint256)",
+      "function MANUAL_LAUNCH() external view returns (bool)",
+      "function ANTI_SNIPE_BLOCKS() external view returns (uint8)",
+      "function ANTI_SNIPE_SELL_FEE() external view returns (uint8)",
     ];
 
     const tokenContract = new ethers.Contract(tokenAddress, SECURE_TOKEN_FEATURES_ABI, provider);
     
     // Try to read new features (for new tokens with reflection/burn)
     try {
-      const [hasReflection, hasBurn, reflectionPercent, burnPercent, taxWallet, taxPercent] = await Promise.all([
+      const [
+        hasReflection, hasBurn, reflectionPercent, burnPercent, taxWallet, taxPercent,
+        schedules, dexRouter, mainPair, maxTransactionAmount, maxWalletAmount,
+        tradingEnabled, tradingEnabledBlock, manualLaunch, antiSnipeBlocks, antiSnipeSellFee,
+      ] = await Promise.all([
         tokenContract.HAS_REFLECTION().catch(() => false),
         tokenContract.HAS_BURN().catch(() => false),
         tokenContract.REFLECTION_PERCENT().catch(() => 0),
         tokenContract.BURN_PERCENT().catch(() => 0),
         tokenContract.taxWallet().catch(() => ethers.ZeroAddress),
         tokenContract.taxPercent().catch(() => 0),
+        tokenContract.getFeeSchedules().catch(() => null),
+        tokenContract.dexRouter().catch(() => null),
+        tokenContract.mainPair().catch(() => null),
+        tokenContract.maxTransactionAmount().catch(() => null),
+        tokenContract.maxWalletAmount().catch(() => null),
+        tokenContract.tradingEnabled().catch(() => null),
+        tokenContract.tradingEnabledBlock().catch(() => null),
+        tokenContract.MANUAL_LAUNCH().catch(() => null),
+        tokenContract.ANTI_SNIPE_BLOCKS().catch(() => null),
+        tokenContract.ANTI_SNIPE_SELL_FEE().catch(() => null),
       ]);
+
+      const toSchedule = (schedule) => ({
+        taxPercent: Number(schedule.taxPercent),
+        reflectionPercent: Number(schedule.reflectionPercent),
+        burnPercent: Number(schedule.burnPercent),
+      });
       
       return {
         hasReflection: hasReflection || false,
@@ -431,7 +1285,27 @@ const getTokenFeatures = async (tokenAddress, networkKey = "alvey") => {
         reflectionPercent: Number(reflectionPercent) || 0,
         burnPercent: Number(burnPercent) || 0,
         taxWallet: taxWallet || ethers.ZeroAddress,
-        taxPercent: Number(taxPercent) || 0
+        taxPercent: Number(taxPercent) || 0,
+        // null for tokens from before separate schedules (one schedule for every transfer)
+        feeSchedules: schedules
+          ? { buy: toSchedule(schedules[0]), sell: toSchedule(schedules[1]), transfer: toSchedule(schedules[2]) }
+          : null,
+        dexRouter: dexRouter,
+        mainPair: mainPair && mainPair !== ethers.ZeroAddress ? mainPair : null,
+        // Current limits in wei ("0" = no limit), null for tokens from before anti-whale limits
+        limits: maxTransactionAmount !== null && maxWalletAmount !== null
+          ? { maxTransactionAmount: maxTransactionAmount.toString(), maxWalletAmount: maxWalletAmount.toString() }
+          : null,
+        // null for tokens from before the trading switch
+        launch: tradingEnabled !== null && manualLaunch !== null
+          ? {
+            manualLaunch,
+            tradingEnabled,
+            tradingEnabledBlock: tradingEnabled ? Number(tradingEnabledBlock) : null,
+            antiSnipeBlocks: Number(antiSnipeBlocks),
+            antiSnipeSellFee: Number(antiSnipeSellFee),
+          }
+          : null,
       };
     } catch (error) {
       // Fallback: try reading only tax (for old tokens)
@@ -445,7 +1319,12 @@ const getTokenFeatures = async (tokenAddress, networkKey = "alvey") => {
           reflectionPercent: 0,
           burnPercent: 0,
           taxWallet: taxWallet || ethers.ZeroAddress,
-          taxPercent: Number(taxPercent) || 0
+          taxPercent: Number(taxPercent) || 0,
+          feeSchedules: null,
+          dexRouter: null,
+          mainPair: null,
+          limits: null,
+          launch: null,
         };
       } catch (fallbackError) {
         console.error('Error reading token features (fallback):', fallbackError);
@@ -458,6 +1337,63 @@ const getTokenFeatures = async (tokenAddress, networkKey = "alvey") => {
   }
 };
 
+/**
+ * Trading settings a token was created with (its last constructor argument, needed for verification)
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} networkKey - Network key
+ * @returns {Promise<object|null>} SecureToken.TradingConfig (see buildTradingConfig), null for tokens from before separate schedules
+ */
+const getTokenTradingConfig = async (tokenAddress, networkKey = "alvey") => {
+  const tokenContract = new ethers.Contract(
+    tokenAddress,
+    [
+      "function getFeeSchedules() external view returns (tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) buyFees, tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) sellFees, tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) transferFees)",
+      "function dexRouter() external view returns (address)",
+      "function MAX_TRANSACTION_BPS() external view returns (uint16)",
+      "function MAX_WALLET_BPS() external view returns (uint16)",
+      "function MANUAL_LAUNCH() external view returns (bool)",
+      "function ANTI_SNIPE_BLOCKS() external view returns (uint8)",
+      "function ANTI_SNIPE_SELL_FEE() external view returns (uint8)",
+    ],
+    connectProvider(networkKey)
+  );
+
+  try {
+    const [schedules, dexRouter, maxTransactionBps, maxWalletBps, manualLaunch, antiSnipeBlocks, antiSnipeSellFee] =
+      await Promise.all([
+        tokenContract.getFeeSchedules(),
+        tokenContract.dexRouter(),
+        tokenContract.MAX_TRANSACTION_BPS(),
+        tokenContract.MAX_WALLET_BPS(),
+        tokenContract.MANUAL_LAUNCH(),
+        tokenContract.ANTI_SNIPE_BLOCKS(),
+        tokenContract.ANTI_SNIPE_SELL_FEE(),
+      ]);
+    const toSchedule = (schedule) => ({
+      taxPercent: Number(schedule.taxPercent),
+      reflectionPercent: Number(schedule.reflectionPercent),
+      burnPercent: Number(schedule.burnPercent),
+    });
+    return {
+      buyFees: toSchedule(schedules[0]),
+      sellFees: toSchedule(schedules[1]),
+      dexRouter,
+      maxTransactionBps: Number(maxTransactionBps),
+      maxWalletBps: Number(maxWalletBps),
+      manualLaunch,
+      antiSnipeBlocks: Number(antiSnipeBlocks),
+      antiSnipeSellFee: Number(antiSnipeSellFee),
+    };
+  } catch (error) {
+    // Older tokens do not have these functions; anything else (RPC errors) is not an answer
+    if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") {
+      return null;
+    }
+    console.error("Error in getTokenTradingConfig:", error);
+    throw error;
+  }
+};
+
 /**
  * NEW: Check if a specific feature is enabled on token
  */
@@ -487,12 +1423,7 @@ const checkTokenFeature = async (tokenAddress, featureName, networkKey = "alvey"
  */
 const claimReflectionRewards = async (tokenAddress, networkKey = "alvey") => {
   try {
-    if (!process.env.BOT_PRIVATE_KEY) {
-      throw new Error("BOT_PRIVATE_KEY not set in environment");
-    }
-
-    const provider = connectProvider(networkKey);
-    const wallet = new ethers.Wallet(process.env.BOT_PRIVATE_KEY, provider);
+    const wallet = getBotWallet(networkKey);
     
     // ABI for claimReflectionRewards
     const TOKEN_REFLECTION_ABI = [
@@ -516,7 +1447,7 @@ const claimReflectionRewards = async (tokenAddress, networkKey = "alvey") => {
     }
     
     // Claim reflection rewards
-    const tx = await tokenContract.claimReflectionRewards();
+    const tx = await withNonce(networkKey, wallet, (nonce) => tokenContract.claimReflectionRewards({ nonce }));
     const receipt = await tx.wait();
     
     return {
@@ -589,29 +1520,46 @@ async function verifyContract(tokenAddress, networkKey, params) {
         ];
 
         // Build verification command
-        const argsString = constructorArgs
-            .map(arg => {
-                if (typeof arg === 'string' && arg.startsWith('0x')) {
-                    return `"${arg}"`;
-                } else if (typeof arg === 'string') {
-                    return `"${arg}"`;
-                } else if (typeof arg === 'boolean') {
-                    return arg.toString();
-                } else {
-                    return arg.toString();
-                }
-            })
-            .join(' ');
+        // Newer tokens take the trading settings tuple last, which the command line cannot express:
+        // their arguments go through a --constructor-args module instead
+        let argsFile = null;
+        let argsString;
+        if (params.trading) {
+            argsFile = path.join(os.tmpdir(), `verify-args-${tokenAddress}.js`);
+            fs.writeFileSync(argsFile, `module.exports = ${JSON.stringify([...constructorArgs, params.trading])};\n`);
+            argsString = `--constructor-args ${argsFile}`;
+        } else {
+            argsString = constructorArgs
+                .map(arg => {
+                    if (typeof arg === 'string' && arg.startsWith('0x')) {
+                        return `"${arg}"`;
+                    } else if (typeof arg === 'string') {
+                        return `"${arg}"`;
+                    } else if (typeof arg === 'boolean') {
+                        return arg.toString();
+                    } else {
+                        return arg.toString();
+                    }
+                })
+                .join(' ');
+        }
 
         const command = `npx hardhat verify --network ${networkKey} ${tokenAddress} ${argsString}`;
 
         console.log('Verification command:', command);
 
         // Execute verification (with timeout)
-        const { stdout, stderr } = await execPromise(command, {
-            timeout: 60000, // 60 second timeout
-            cwd: process.cwd()
-        });
+        let stdout, stderr;
+        try {
+            ({ stdout, stderr } = await execPromise(command, {
+                timeout: 60000, // 60 second timeout
+                cwd: process.cwd()
+            }));
+        } finally {
+            if (argsFile) {
+                fs.rmSync(argsFile, { force: true });
+            }
+        }
 
         console.log('Verification output:', stdout);
 
@@ -732,12 +1680,36 @@ async function verifyContractWithFallback(tokenAddress, networkKey, params) {
 module.exports = {
   connectProvider,
   getTokenDetails,
-  deployToken,
+  getBotWallet,
+  buildDeployRequest,
+  getBotGasPrice,
+  signBotTransaction,
+  broadcastTransaction,
+  getBotMinedNonce,
+  getBotDeployment,
+  buildCreateTokenTx,
+  getUserDeployment,
+  findUserDeployment,
+  sendOwnershipTx,
   transferOwnership,
+  getBotAddress,
+  buildContractCallTx,
+  findOwnershipEvent,
+  getOwnershipEventFromTx,
+  getFeeExemptions,
+  findFeeExemptionEvent,
+  getFeeExemptionEventFromTx,
+  findTradingEnabledEvent,
+  getTradingEnabledEventFromTx,
+  sendPaymentWalletTransfer,
+  sweepDepositAddress,
   verifyPayment,
   getTransactionReceipt,
+  getTokenDecimals,
+  toTokenUnits,
   getRecentTransactions,
   getTokenFeatures,
+  getTokenTradingConfig,
   checkTokenFeature,
   claimReflectionRewards,
   getClaimableReflection,
@@ -3,6 +3,7 @@ const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
 const FormData = require('form-data');
+const { TRADING_CONFIG_TYPE } = require('./feeSchedules');
 
 /**
  * Verify contract on Blockscout via form submission (API v2)
@@ -149,32 +150,38 @@ function encodeConstructorArgs(params) {
         }
 
         // Order MUST match SecureToken constructor exactly
-        const encoded = abiCoder.encode(
-            [
-                'string',    // name
-                'string',    // symbol
-                'uint256',   // initialSupply
-                'uint8',     // taxPercent
-                'address',   // taxWallet
-                'uint8',     // reflectionPercent
-                'uint8',     // burnPercent
-                'bool',      // enableReflection
-                'bool',      // enableBurn
-                'address',   // initialOwner
-            ],
-            [
-                params.name,
-                params.symbol,
-                supply,
-                params.taxPercent || 0,
-                params.taxWallet || ethers.ZeroAddress,
-                params.reflectionPercent || 0,
-                params.burnPercent || 0,
-                params.enableReflection || false,
-                params.enableBurn || false,
-                params.owner,
-            ]
-        );
+        const types = [
+            'string',    // name
+            'string',    // symbol
+            'uint256',   // initialSupply
+            'uint8',     // taxPercent
+            'address',   // taxWallet
+            'uint8',     // reflectionPercent
+            'uint8',     // burnPercent
+            'bool',      // enableReflection
+            'bool',      // enableBurn
+            'address',   // initialOwner
+        ];
+        const values = [
+            params.name,
+            params.symbol,
+            supply,
+            params.taxPercent || 0,
+            params.taxWallet || ethers.ZeroAddress,
+            params.reflectionPercent || 0,
+            params.burnPercent || 0,
+            params.enableReflection || false,
+            params.enableBurn || false,
+            params.owner,
+        ];
+
+        // Newer tokens take the trading settings (buy fees, sell fees, DEX router) last
+        if (params.trading) {
+            types.push(TRADING_CONFIG_TYPE);
+            values.push(params.trading);
+        }
+
+        const encoded = abiCoder.encode(types, values);
 
         // Return without 0x prefix for Blockscout
         return encoded.substring(2);
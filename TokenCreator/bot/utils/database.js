@@ -1,4 +1,5 @@
 const mysql = require("mysql2/promise");
+const { PAYMENT, DEFAULT_PAYMENT_METHOD } = require("../config/constants");
 require("dotenv").config();
 
 // Create connection pool
@@ -226,6 +227,21 @@ const getToken = async (tokenId) => {
   }
 };
 
+/**
+ * Get a token by its deployment transaction
+ * @param {string} txHash - Deployment transaction hash
+ * @returns {Promise<object|null>} Token object or null
+ */
+const getTokenByTxHash = async (txHash) => {
+  try {
+    const [rows] = await pool.execute("SELECT * FROM tokens WHERE tx_hash = ? LIMIT 1", [txHash]);
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getTokenByTxHash:", error);
+    throw error;
+  }
+};
+
 /**
  * Save payment to database
  * @param {number} userId - User ID
@@ -233,73 +249,1351 @@ const getToken = async (tokenId) => {
  * @param {object} paymentData - Payment data
  * @returns {Promise<number>} Payment ID
  */
-const savePayment = async (userId, paymentId, paymentData) => {
+const savePayment = async (userId, paymentId, paymentData) => {
+  try {
+    const expiresAt = new Date(Date.now() + PAYMENT.TIMEOUT);
+
+    const [result] = await pool.execute(
+      `INSERT INTO payments (
+        user_id, token_id, payment_id, amount, currency, payment_method, payer_wallet, tx_hash, status, chat_id,
+        price_breakdown, deposit_index, deposit_address, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        paymentData.token_id || null,
+        paymentId,
+        paymentData.amount,
+        paymentData.currency || "USDT",
+        paymentData.payment_method || DEFAULT_PAYMENT_METHOD,
+        paymentData.payer_wallet,
+        paymentData.tx_hash || null,
+        paymentData.status || "pending",
+        paymentData.chat_id || null,
+        paymentData.price_breakdown ? JSON.stringify(paymentData.price_breakdown) : null,
+        paymentData.deposit_index !== undefined ? paymentData.deposit_index : null,
+        paymentData.deposit_address || null,
+        expiresAt,
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    console.error("Error in savePayment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get payment by payment ID
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<object|null>} Payment object or null
+ */
+const getPayment = async (paymentId) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM payments WHERE payment_id = ?",
+      [paymentId]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getPayment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's payments, newest first, with the linked token
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum number of payments
+ * @returns {Promise<Array>} Payments with token_name, token_symbol, token_address and token_network
+ */
+const getUserPayments = async (userId, limit = 10) => {
+  try {
+    // query() instead of execute(): prepared statements reject a bound LIMIT on some MySQL versions
+    const [rows] = await pool.query(
+      `SELECT p.*, t.token_name, t.token_symbol, t.token_address, t.network AS token_network
+       FROM payments p
+       LEFT JOIN tokens t ON t.id = p.token_id
+       WHERE p.user_id = ?
+       ORDER BY p.created_at DESC, p.id DESC
+       LIMIT ?`,
+      [userId, limit]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getUserPayments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the payment that used a transaction hash (uses uniq_tx_hash)
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<object|null>} Payment object or null
+ */
+const getPaymentByTxHash = async (txHash) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM payments WHERE tx_hash = ? LIMIT 1",
+      [txHash.toLowerCase()]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getPaymentByTxHash:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get pending payments that have not expired yet (with the payer's Telegram ID)
+ * @returns {Promise<Array>} Array of payments
+ */
+const getPendingPayments = async () => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT p.*, u.telegram_id FROM payments p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.status = 'pending' AND p.expires_at > NOW()
+       ORDER BY p.created_at ASC`
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getPendingPayments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get pending payments whose expires_at has passed (with the payer's Telegram ID)
+ * @returns {Promise<Array>} Array of payments
+ */
+const getOverduePayments = async () => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT p.*, u.telegram_id FROM payments p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.status = 'pending' AND p.expires_at <= NOW()`
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getOverduePayments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update payment status
+ * The unique tx_hash index rejects a transaction that already confirmed another payment
+ * @param {string} paymentId - Payment ID
+ * @param {string} status - New status
+ * @param {string} txHash - Transaction hash (optional)
+ * @returns {Promise<boolean>} False if the transaction belongs to another payment
+ */
+const updatePaymentStatus = async (paymentId, status, txHash = null) => {
+  try {
+    if (txHash) {
+      await pool.execute(
+        "UPDATE payments SET status = ?, tx_hash = ?, confirmed_at = NOW() WHERE payment_id = ?",
+        [status, txHash.toLowerCase(), paymentId]
+      );
+    } else {
+      await pool.execute(
+        "UPDATE payments SET status = ?, confirmed_at = NOW() WHERE payment_id = ?",
+        [status, paymentId]
+      );
+    }
+    return true;
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return false;
+    }
+    console.error("Error in updatePaymentStatus:", error);
+    throw error;
+  }
+};
+
+/**
+ * Link a payment to the token it paid for
+ * A successful retry after a failed deployment makes the payment confirmed again
+ * @param {string} paymentId - Payment ID
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<void>}
+ */
+const linkPaymentToken = async (paymentId, tokenId) => {
+  try {
+    await pool.execute(
+      `UPDATE payments SET token_id = ?, status = 'confirmed', deploy_error = NULL
+       WHERE payment_id = ? AND status IN ('confirmed', 'deploy_failed') AND (token_id IS NULL OR token_id = ?)`,
+      [tokenId, paymentId, tokenId]
+    );
+  } catch (error) {
+    console.error("Error in linkPaymentToken:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a confirmed payment whose deployment failed
+ * @param {string} paymentId - Payment ID
+ * @param {string} errorMessage - Last deployment error
+ * @param {number} attempts - Deployment attempts made
+ * @param {string|null} deployTxHash - Deployment transaction that reached the chain, if any
+ * @returns {Promise<void>}
+ */
+const markPaymentDeployFailed = async (paymentId, errorMessage, attempts, deployTxHash = null) => {
+  try {
+    await pool.execute(
+      `UPDATE payments SET status = 'deploy_failed', deploy_error = ?, deploy_attempts = deploy_attempts + ?,
+         deploy_tx_hash = COALESCE(?, deploy_tx_hash)
+       WHERE payment_id = ? AND status IN ('confirmed', 'deploy_failed')`,
+      [errorMessage, attempts, deployTxHash ? deployTxHash.toLowerCase() : null, paymentId]
+    );
+  } catch (error) {
+    console.error("Error in markPaymentDeployFailed:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get payments by status (with the payer's Telegram ID)
+ * @param {string} status - Payment status
+ * @returns {Promise<Array>} Array of payments
+ */
+const getPaymentsByStatus = async (status) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT p.*, u.telegram_id, u.username FROM payments p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.status = ?
+       ORDER BY p.created_at ASC`,
+      [status]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getPaymentsByStatus:", error);
+    throw error;
+  }
+};
+
+/**
+ * Claim a failed-deployment payment for refunding
+ * Atomic, so a refund can never be sent twice; never for a deployment that reached the chain
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<boolean>} True if the payment moved to refund_pending
+ */
+const startPaymentRefund = async (paymentId) => {
+  try {
+    const [result] = await pool.execute(
+      `UPDATE payments SET status = 'refund_pending'
+       WHERE payment_id = ? AND status = 'deploy_failed' AND deploy_tx_hash IS NULL`,
+      [paymentId]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error("Error in startPaymentRefund:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a refund transaction
+ * @param {string} paymentId - Payment ID
+ * @param {string} txHash - Refund transaction hash
+ * @param {boolean} confirmed - False while the transaction is broadcast but unconfirmed
+ * @returns {Promise<void>}
+ */
+const completePaymentRefund = async (paymentId, txHash, confirmed = true) => {
+  try {
+    await pool.execute(
+      `UPDATE payments SET refund_tx_hash = ?, status = ?, refunded_at = IF(?, NOW(), refunded_at)
+       WHERE payment_id = ? AND status = 'refund_pending'`,
+      [txHash.toLowerCase(), confirmed ? "refunded" : "refund_pending", confirmed, paymentId]
+    );
+  } catch (error) {
+    console.error("Error in completePaymentRefund:", error);
+    throw error;
+  }
+};
+
+/**
+ * Return a payment to deploy_failed after a refund that was never broadcast
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<void>}
+ */
+const cancelPaymentRefund = async (paymentId) => {
+  try {
+    await pool.execute(
+      "UPDATE payments SET status = 'deploy_failed' WHERE payment_id = ? AND status = 'refund_pending' AND refund_tx_hash IS NULL",
+      [paymentId]
+    );
+  } catch (error) {
+    console.error("Error in cancelPaymentRefund:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a transfer credited to a payment
+ * The unique tx_hash index guarantees a transaction is only ever credited once
+ * @param {string} paymentId - Payment ID
+ * @param {string} txHash - Transaction hash
+ * @param {string} fromAddress - Sender address
+ * @param {bigint} amountUnits - Amount in smallest units
+ * @returns {Promise<boolean>} False if the transaction was already credited
+ */
+const addPaymentTransaction = async (paymentId, txHash, fromAddress, amountUnits) => {
+  try {
+    await pool.execute(
+      "INSERT INTO payment_transactions (payment_id, tx_hash, from_address, amount_units) VALUES (?, ?, ?, ?)",
+      [paymentId, txHash.toLowerCase(), fromAddress, amountUnits.toString()]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return false;
+    }
+    console.error("Error in addPaymentTransaction:", error);
+    throw error;
+  }
+};
+
+/**
+ * Undo the credit of a transfer that turned out to belong to another payment
+ * @param {string} paymentId - Payment ID
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<void>}
+ */
+const removePaymentTransaction = async (paymentId, txHash) => {
+  try {
+    await pool.execute(
+      "DELETE FROM payment_transactions WHERE payment_id = ? AND tx_hash = ?",
+      [paymentId, txHash.toLowerCase()]
+    );
+  } catch (error) {
+    console.error("Error in removePaymentTransaction:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the credited transfer for a transaction hash
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<object|null>} Payment transaction or null
+ */
+const getPaymentTransactionByHash = async (txHash) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM payment_transactions WHERE tx_hash = ? LIMIT 1",
+      [txHash.toLowerCase()]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getPaymentTransactionByHash:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all transfers credited to a payment, oldest first
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Array>} Payment transactions
+ */
+const getPaymentTransactions = async (paymentId) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM payment_transactions WHERE payment_id = ? ORDER BY created_at ASC, id ASC",
+      [paymentId]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getPaymentTransactions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the total amount credited to a payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<bigint>} Amount in smallest units
+ */
+const getPaymentReceivedUnits = async (paymentId) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT CAST(COALESCE(SUM(amount_units), 0) AS CHAR) AS total FROM payment_transactions WHERE payment_id = ?",
+      [paymentId]
+    );
+    return BigInt(rows[0].total);
+  } catch (error) {
+    console.error("Error in getPaymentReceivedUnits:", error);
+    throw error;
+  }
+};
+
+/**
+ * Keep a partially paid payment open for another timeout period
+ * Also reopens an expired payment that received a late partial transfer
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<void>}
+ */
+const extendPaymentExpiry = async (paymentId) => {
+  try {
+    const expiresAt = new Date(Date.now() + PAYMENT.TIMEOUT);
+    await pool.execute(
+      "UPDATE payments SET status = 'pending', expires_at = ? WHERE payment_id = ? AND status IN ('pending', 'expired')",
+      [expiresAt, paymentId]
+    );
+  } catch (error) {
+    console.error("Error in extendPaymentExpiry:", error);
+    throw error;
+  }
+};
+
+/**
+ * Next unused deposit address index
+ * The unique deposit_index column rejects an index taken concurrently (retry on ER_DUP_ENTRY)
+ * @returns {Promise<number>}
+ */
+const getNextDepositIndex = async () => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT COALESCE(MAX(deposit_index), -1) + 1 AS next_index FROM payments"
+    );
+    return Number(rows[0].next_index);
+  } catch (error) {
+    console.error("Error in getNextDepositIndex:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get recent payments whose deposit address may hold funds to sweep
+ * Pending payments are left alone until they are confirmed or expire
+ * @param {number} days - Only payments created in the last N days
+ * @returns {Promise<Array>} Payments
+ */
+const getSweepableDepositPayments = async (days) => {
+  try {
+    // query() instead of execute(): prepared statements reject a bound INTERVAL on some MySQL versions
+    const [rows] = await pool.query(
+      `SELECT * FROM payments
+       WHERE deposit_address IS NOT NULL AND status <> 'pending'
+         AND created_at > NOW() - INTERVAL ? DAY
+       ORDER BY deposit_index ASC`,
+      [days]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getSweepableDepositPayments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a sweep from a deposit address
+ * @param {object} sweep - { payment_id, network, currency, from_address, to_address, amount_units, gas_tx_hash, tx_hash, status, error }
+ * @returns {Promise<void>}
+ */
+const addDepositSweep = async (sweep) => {
+  try {
+    await pool.execute(
+      `INSERT INTO deposit_sweeps (
+        payment_id, network, currency, from_address, to_address, amount_units, gas_tx_hash, tx_hash, status, error
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sweep.payment_id,
+        sweep.network,
+        sweep.currency,
+        sweep.from_address,
+        sweep.to_address,
+        sweep.amount_units !== undefined && sweep.amount_units !== null ? sweep.amount_units.toString() : null,
+        sweep.gas_tx_hash || null,
+        sweep.tx_hash || null,
+        sweep.status,
+        sweep.error || null,
+      ]
+    );
+  } catch (error) {
+    console.error("Error in addDepositSweep:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a transfer into a payment wallet is a deposit sweep rather than a payment:
+ * a recorded sweep transaction, or any transfer sent from one of our deposit addresses
+ * @param {string} txHash - Transaction hash
+ * @param {string} fromAddress - Sender of the transfer
+ * @returns {Promise<boolean>}
+ */
+const isDepositSweepTx = async (txHash, fromAddress) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT 1 FROM deposit_sweeps WHERE LOWER(tx_hash) = ?
+       UNION ALL
+       SELECT 1 FROM payments WHERE LOWER(deposit_address) = ?
+       LIMIT 1`,
+      [txHash.toLowerCase(), fromAddress.toLowerCase()]
+    );
+    return rows.length > 0;
+  } catch (error) {
+    console.error("Error in isDepositSweepTx:", error);
+    throw error;
+  }
+};
+
+/**
+ * Queue a bot-signed deployment
+ * @param {object} deployment - { user_id, telegram_id, chat_id, payment_id, promo_use_id, network, factory_address, owner_wallet, params, session_data }
+ * @returns {Promise<number>} Deployment ID
+ */
+const createDeployment = async (deployment) => {
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO deployments (
+        user_id, telegram_id, chat_id, payment_id, promo_use_id, network, factory_address, owner_wallet, params, session_data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        deployment.user_id,
+        deployment.telegram_id || null,
+        deployment.chat_id,
+        deployment.payment_id || null,
+        deployment.promo_use_id || null,
+        deployment.network,
+        deployment.factory_address,
+        deployment.owner_wallet,
+        JSON.stringify(deployment.params),
+        deployment.session_data ? JSON.stringify(deployment.session_data) : null,
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    console.error("Error in createDeployment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get queued deployments that are due (retry backoff over), oldest first
+ * @param {number} limit - Maximum number of deployments
+ * @returns {Promise<Array>} Deployments
+ */
+const getQueuedDeployments = async (limit) => {
+  try {
+    // query() instead of execute(): prepared statements reject a bound LIMIT/INTERVAL on some MySQL versions
+    const [rows] = await pool.query(
+      `SELECT * FROM deployments
+       WHERE status = 'queued' AND (run_after IS NULL OR run_after <= NOW())
+       ORDER BY id ASC
+       LIMIT ?`,
+      [limit]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getQueuedDeployments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get deployments the worker is sending or waiting on (claimed, broadcast or mined but not saved)
+ * @returns {Promise<Array>} Deployments, oldest first
+ */
+const getInFlightDeployments = async () => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM deployments WHERE status IN ('pending', 'broadcast', 'confirmed') ORDER BY id ASC"
+    );
+    return rows;
+  } catch (error) {
+    console.error("Error in getInFlightDeployments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Position of a queued deployment in the queue
+ * @param {number} deploymentId - Deployment ID
+ * @returns {Promise<number>} 1 = next to be sent
+ */
+const getDeploymentQueuePosition = async (deploymentId) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT COUNT(*) AS ahead FROM deployments WHERE status IN ('queued', 'pending') AND id < ?",
+      [deploymentId]
+    );
+    return rows[0].ahead + 1;
+  } catch (error) {
+    console.error("Error in getDeploymentQueuePosition:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the deployment of a payment that is still queued or in flight
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<object|null>} Deployment or null
+ */
+const getOpenDeploymentByPayment = async (paymentId) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT * FROM deployments
+       WHERE payment_id = ? AND status IN ('queued', 'pending', 'broadcast', 'confirmed')
+       ORDER BY id DESC LIMIT 1`,
+      [paymentId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    console.error("Error in getOpenDeploymentByPayment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the deployment of a free order's promo code use that is still queued or in flight
+ * @param {number} promoUseId - Promo code use ID
+ * @returns {Promise<object|null>} Deployment or null
+ */
+const getOpenDeploymentByPromoUse = async (promoUseId) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT * FROM deployments
+       WHERE promo_use_id = ? AND status IN ('queued', 'pending', 'broadcast', 'confirmed')
+       ORDER BY id DESC LIMIT 1`,
+      [promoUseId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    console.error("Error in getOpenDeploymentByPromoUse:", error);
+    throw error;
+  }
+};
+
+/**
+ * Claim a queued deployment for sending
+ * @param {number} deploymentId - Deployment ID
+ * @returns {Promise<boolean>} False if it was no longer queued
+ */
+const claimDeployment = async (deploymentId) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE deployments SET status = 'pending' WHERE id = ? AND status = 'queued'",
+      [deploymentId]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error("Error in claimDeployment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Put deployments claimed by a worker that stopped back in the queue
+ * Nothing was sent for them: the transaction hash is stored before a transaction is broadcast
+ * @returns {Promise<number>} Number of deployments requeued
+ */
+const requeueClaimedDeployments = async () => {
+  try {
+    const [result] = await pool.execute("UPDATE deployments SET status = 'queued' WHERE status = 'pending'");
+    return result.affectedRows;
+  } catch (error) {
+    console.error("Error in requeueClaimedDeployments:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store the signed deployment transaction and its nonce before it is broadcast
+ * @param {number} deploymentId - Deployment ID
+ * @param {number} nonce - Bot wallet nonce
+ * @param {object} sent - { hash, gasPrice, kind: "deploy" }
+ * @returns {Promise<void>}
+ */
+const markDeploymentBroadcast = async (deploymentId, nonce, sent) => {
+  try {
+    await pool.execute(
+      `UPDATE deployments
+       SET status = 'broadcast', nonce = ?, tx_hash = ?, tx_hashes = ?, replacements = 0, broadcast_at = NOW()
+       WHERE id = ?`,
+      [nonce, sent.hash, JSON.stringify([sent]), deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in markDeploymentBroadcast:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a speed-up or cancellation sent for the nonce of a deployment
+ * @param {number} deploymentId - Deployment ID
+ * @param {Array<object>} txHashes - Every transaction sent for the nonce, the new one last
+ * @param {string} txHash - Latest deployment transaction (unchanged by a cancellation)
+ * @returns {Promise<void>}
+ */
+const addDeploymentReplacement = async (deploymentId, txHashes, txHash) => {
+  try {
+    await pool.execute(
+      `UPDATE deployments
+       SET tx_hashes = ?, tx_hash = ?, replacements = replacements + 1, broadcast_at = NOW()
+       WHERE id = ?`,
+      [JSON.stringify(txHashes), txHash, deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in addDeploymentReplacement:", error);
+    throw error;
+  }
+};
+
+/**
+ * Put a deployment back in the queue (nothing of it is on-chain)
+ * @param {number} deploymentId - Deployment ID
+ * @param {number} attempts - Failed attempts so far
+ * @param {Date} runAfter - Earliest time of the next attempt
+ * @param {string} errorMessage - Last error
+ * @returns {Promise<void>}
+ */
+const requeueDeployment = async (deploymentId, attempts, runAfter, errorMessage) => {
+  try {
+    await pool.execute(
+      `UPDATE deployments
+       SET status = 'queued', attempts = ?, run_after = ?, nonce = NULL, tx_hash = NULL, tx_hashes = NULL,
+           replacements = 0, broadcast_at = NULL, error = ?
+       WHERE id = ?`,
+      [attempts, runAfter, String(errorMessage).substring(0, 1000), deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in requeueDeployment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a deployment whose transaction was mined
+ * @param {number} deploymentId - Deployment ID
+ * @param {object} result - { txHash, tokenAddress, blockNumber }
+ * @returns {Promise<void>}
+ */
+const markDeploymentConfirmed = async (deploymentId, result) => {
+  try {
+    await pool.execute(
+      "UPDATE deployments SET status = 'confirmed', tx_hash = ?, token_address = ?, block_number = ? WHERE id = ?",
+      [result.txHash, result.tokenAddress, result.blockNumber, deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in markDeploymentConfirmed:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a deployment whose token was saved
+ * @param {number} deploymentId - Deployment ID
+ * @param {number} tokenId - Saved token ID
+ * @returns {Promise<void>}
+ */
+const markDeploymentSaved = async (deploymentId, tokenId) => {
+  try {
+    await pool.execute(
+      "UPDATE deployments SET status = 'saved', token_id = ?, error = NULL WHERE id = ?",
+      [tokenId, deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in markDeploymentSaved:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a deployment that will not be attempted again
+ * @param {number} deploymentId - Deployment ID
+ * @param {number} attempts - Failed attempts
+ * @param {string} errorMessage - Reason
+ * @returns {Promise<void>}
+ */
+const markDeploymentFailed = async (deploymentId, attempts, errorMessage) => {
+  try {
+    await pool.execute(
+      "UPDATE deployments SET status = 'failed', attempts = ?, error = ? WHERE id = ?",
+      [attempts, String(errorMessage).substring(0, 1000), deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in markDeploymentFailed:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store the error of a deployment without changing its status
+ * @param {number} deploymentId - Deployment ID
+ * @param {string} errorMessage - Error
+ * @returns {Promise<void>}
+ */
+const setDeploymentError = async (deploymentId, errorMessage) => {
+  try {
+    await pool.execute(
+      "UPDATE deployments SET error = ? WHERE id = ?",
+      [String(errorMessage).substring(0, 1000), deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in setDeploymentError:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remember the chat message that shows a deployment's status
+ * @param {number} deploymentId - Deployment ID
+ * @param {number} messageId - Telegram message ID
+ * @returns {Promise<void>}
+ */
+const setDeploymentStatusMessage = async (deploymentId, messageId) => {
+  try {
+    await pool.execute(
+      "UPDATE deployments SET status_message_id = ? WHERE id = ?",
+      [messageId, deploymentId]
+    );
+  } catch (error) {
+    console.error("Error in setDeploymentStatusMessage:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a promo code
+ * @param {object} promoData - { code, discount_type, discount_value, max_uses, per_user_limit, expires_at }
+ * @returns {Promise<number>} Promo code ID
+ */
+const createPromoCode = async (promoData) => {
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO promo_codes (code, discount_type, discount_value, max_uses, per_user_limit, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        promoData.code.trim().toUpperCase(),
+        promoData.discount_type,
+        promoData.discount_value,
+        promoData.max_uses || null,
+        promoData.per_user_limit === undefined ? 1 : promoData.per_user_limit,
+        promoData.expires_at || null,
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    console.error("Error in createPromoCode:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get an active promo code by its code (case-insensitive)
+ * @param {string} code - Promo code
+ * @returns {Promise<object|null>} Promo code or null
+ */
+const getPromoCode = async (code) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM promo_codes WHERE code = ? AND is_active = TRUE LIMIT 1",
+      [code.trim().toUpperCase()]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getPromoCode:", error);
+    throw error;
+  }
+};
+
+// A use counts while its payment is pending or confirmed; a free-order use (no payment) counts once it
+// deployed a token, or until its hold runs out (uses from before holds existed have none and always count)
+const COUNTED_PROMO_USE = `(
+  (u.payment_id IS NULL AND (u.token_id IS NOT NULL OR u.reserved_until IS NULL OR u.reserved_until > NOW()))
+  OR p.status IN ('pending', 'confirmed')
+)`;
+
+/**
+ * Count the uses of a promo code that are still valid
+ * Uses tied to an expired or failed payment, and abandoned free orders, are released
+ * @param {number} promoCodeId - Promo code ID
+ * @param {number|null} userId - Only count this user's uses (optional)
+ * @param {object} db - Pool or a connection inside a transaction
+ * @returns {Promise<number>}
+ */
+const countPromoCodeUses = async (promoCodeId, userId = null, db = pool) => {
+  try {
+    const params = [promoCodeId];
+    let userFilter = "";
+    if (userId !== null) {
+      userFilter = " AND u.user_id = ?";
+      params.push(userId);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) AS uses FROM promo_code_uses u
+       LEFT JOIN payments p ON p.payment_id = u.payment_id
+       WHERE u.promo_code_id = ?${userFilter} AND ${COUNTED_PROMO_USE}`,
+      params
+    );
+    return Number(rows[0].uses);
+  } catch (error) {
+    console.error("Error in countPromoCodeUses:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a promo code redemption if the code still has uses left
+ * The code row is locked while counting, so concurrent checkouts cannot exceed its limits
+ * @param {number} promoCodeId - Promo code ID
+ * @param {number} userId - User ID
+ * @param {string|null} paymentId - Payment the discount applied to (null for free orders)
+ * @param {number} discountAmount - Discount in the pricing currency
+ * @param {number|null} holdSeconds - Free orders: how long the use is held unless a token is deployed
+ * @returns {Promise<object>} { useId } or { limit: "total" | "user" | "inactive" }
+ */
+const reservePromoCodeUse = async (promoCodeId, userId, paymentId, discountAmount, holdSeconds = null) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [[promoCode]] = await connection.execute(
+      "SELECT max_uses, per_user_limit FROM promo_codes WHERE id = ? AND is_active = TRUE FOR UPDATE",
+      [promoCodeId]
+    );
+    let limit = null;
+    if (!promoCode) {
+      limit = "inactive";
+    } else if (
+      promoCode.max_uses !== null &&
+      (await countPromoCodeUses(promoCodeId, null, connection)) >= promoCode.max_uses
+    ) {
+      limit = "total";
+    } else if (
+      promoCode.per_user_limit !== null &&
+      (await countPromoCodeUses(promoCodeId, userId, connection)) >= promoCode.per_user_limit
+    ) {
+      limit = "user";
+    }
+    if (limit) {
+      await connection.rollback();
+      return { limit };
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO promo_code_uses (promo_code_id, user_id, payment_id, discount_amount, reserved_until)
+       VALUES (?, ?, ?, ?, IF(? IS NULL, NULL, NOW() + INTERVAL ? SECOND))`,
+      [promoCodeId, userId, paymentId, discountAmount, holdSeconds, holdSeconds]
+    );
+    await connection.commit();
+    return { useId: result.insertId };
+  } catch (error) {
+    await connection.rollback();
+    console.error("Error in reservePromoCodeUse:", error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Get a promo code use
+ * @param {number} useId - Use ID
+ * @returns {Promise<object|null>} Use or null
+ */
+const getPromoCodeUse = async (useId) => {
+  try {
+    const [rows] = await pool.execute("SELECT * FROM promo_code_uses WHERE id = ?", [useId]);
+    return rows[0] || null;
+  } catch (error) {
+    console.error("Error in getPromoCodeUse:", error);
+    throw error;
+  }
+};
+
+/**
+ * Extend the hold of a free-order use while its token is being deployed
+ * @param {number} useId - Use ID
+ * @param {number} holdSeconds - How long to hold it from now
+ * @returns {Promise<boolean>} False if the hold already ran out or the order has its token
+ */
+const holdPromoCodeUse = async (useId, holdSeconds) => {
+  try {
+    const [result] = await pool.execute(
+      `UPDATE promo_code_uses SET reserved_until = NOW() + INTERVAL ? SECOND
+       WHERE id = ? AND token_id IS NULL AND reserved_until > NOW()`,
+      [holdSeconds, useId]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error("Error in holdPromoCodeUse:", error);
+    throw error;
+  }
+};
+
+/**
+ * Link a free-order use to the token it deployed (it then counts for good)
+ * @param {number} useId - Use ID
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<void>}
+ */
+const linkPromoCodeUseToken = async (useId, tokenId) => {
+  try {
+    await pool.execute(
+      "UPDATE promo_code_uses SET token_id = ? WHERE id = ? AND token_id IS NULL",
+      [tokenId, useId]
+    );
+  } catch (error) {
+    console.error("Error in linkPromoCodeUseToken:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user by referral code
+ * @param {string} code - Referral code
+ * @returns {Promise<object|null>} User or null
+ */
+const getUserByReferralCode = async (code) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT * FROM users WHERE referral_code = ? LIMIT 1",
+      [code.toUpperCase()]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getUserByReferralCode:", error);
+    throw error;
+  }
+};
+
+/**
+ * Assign a referral code to a user that has none
+ * @param {number} userId - User ID
+ * @param {string} code - Referral code
+ * @returns {Promise<boolean>} False if the code is taken or the user already has one
+ */
+const setUserReferralCode = async (userId, code) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE users SET referral_code = ? WHERE id = ? AND referral_code IS NULL",
+      [code.toUpperCase(), userId]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return false;
+    }
+    console.error("Error in setUserReferralCode:", error);
+    throw error;
+  }
+};
+
+/**
+ * Tie a user to a referrer
+ * Only new users qualify: no referrer yet, not themselves and no payments made
+ * @param {number} userId - Referred user ID
+ * @param {number} referrerId - Referrer user ID
+ * @returns {Promise<boolean>} True if the referrer was set
+ */
+const setUserReferrer = async (userId, referrerId) => {
+  try {
+    const [result] = await pool.execute(
+      `UPDATE users SET referred_by = ?
+       WHERE id = ? AND id <> ? AND referred_by IS NULL
+         AND NOT EXISTS (SELECT 1 FROM payments WHERE payments.user_id = ?)`,
+      [referrerId, userId, referrerId, userId]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error("Error in setUserReferrer:", error);
+    throw error;
+  }
+};
+
+/**
+ * Set the wallet referral payouts are sent to
+ * @param {number} userId - User ID
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<void>}
+ */
+const setUserPayoutWallet = async (userId, wallet) => {
+  try {
+    await pool.execute("UPDATE users SET payout_wallet = ? WHERE id = ?", [wallet, userId]);
+  } catch (error) {
+    console.error("Error in setUserPayoutWallet:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the referrer of a user
+ * @param {number} userId - Referred user ID
+ * @returns {Promise<object|null>} Referrer user or null
+ */
+const getReferrer = async (userId) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT r.* FROM users u
+       JOIN users r ON r.id = u.referred_by
+       WHERE u.id = ? LIMIT 1`,
+      [userId]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error("Error in getReferrer:", error);
+    throw error;
+  }
+};
+
+/**
+ * Credit a referral commission for a confirmed payment
+ * @param {number} referrerId - Referrer user ID
+ * @param {number} referredUserId - Paying user ID
+ * @param {string} paymentId - Payment ID (one commission per payment)
+ * @param {number} amount - Commission in USDT
+ * @returns {Promise<boolean>} False if the payment was already credited
+ */
+const addReferralEarning = async (referrerId, referredUserId, paymentId, amount) => {
+  try {
+    await pool.execute(
+      "INSERT INTO referral_earnings (referrer_id, referred_user_id, payment_id, amount) VALUES (?, ?, ?, ?)",
+      [referrerId, referredUserId, paymentId, amount]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return false;
+    }
+    console.error("Error in addReferralEarning:", error);
+    throw error;
+  }
+};
+
+/**
+ * Void the unpaid referral commission of a refunded payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<boolean>} True if an unpaid commission was removed
+ */
+const voidReferralEarning = async (paymentId) => {
   try {
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-
     const [result] = await pool.execute(
-      `INSERT INTO payments (
-        user_id, token_id, payment_id, amount, currency, payer_wallet, tx_hash, status, expires_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userId,
-        paymentData.token_id || null,
-        paymentId,
-        paymentData.amount,
-        paymentData.currency || "USDT",
-        paymentData.payer_wallet,
-        paymentData.tx_hash || null,
-        paymentData.status || "pending",
-        expiresAt,
-      ]
+      "DELETE FROM referral_earnings WHERE payment_id = ? AND payout_id IS NULL",
+      [paymentId]
     );
-    return result.insertId;
+    return result.affectedRows > 0;
   } catch (error) {
-    console.error("Error in savePayment:", error);
+    console.error("Error in voidReferralEarning:", error);
     throw error;
   }
 };
 
 /**
- * Get payment by payment ID
- * @param {string} paymentId - Payment ID
- * @returns {Promise<object|null>} Payment object or null
+ * Get referral statistics for a user
+ * @param {number} userId - Referrer user ID
+ * @returns {Promise<object>} { referred, earned, balance, paid }
  */
-const getPayment = async (paymentId) => {
+const getReferralStats = async (userId) => {
+  try {
+    const [[referred]] = await pool.execute(
+      "SELECT COUNT(*) AS count FROM users WHERE referred_by = ?",
+      [userId]
+    );
+    const [[earnings]] = await pool.execute(
+      `SELECT
+         COALESCE(SUM(e.amount), 0) AS earned,
+         COALESCE(SUM(CASE WHEN e.payout_id IS NULL AND pay.status = 'confirmed' THEN e.amount ELSE 0 END), 0)
+           AS balance,
+         COALESCE(SUM(CASE WHEN p.status = 'sent' THEN e.amount ELSE 0 END), 0) AS paid
+       FROM referral_earnings e
+       LEFT JOIN referral_payouts p ON p.id = e.payout_id
+       LEFT JOIN payments pay ON pay.payment_id = e.payment_id
+       WHERE e.referrer_id = ?`,
+      [userId]
+    );
+    return {
+      referred: Number(referred.count),
+      earned: Number(earnings.earned),
+      balance: Number(earnings.balance),
+      paid: Number(earnings.paid),
+    };
+  } catch (error) {
+    console.error("Error in getReferralStats:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get referrers whose unpaid balance reaches the payout minimum
+ * Only commissions of confirmed payments count: failed deployments may still be refunded
+ * @param {number} minAmount - Minimum balance in USDT
+ * @returns {Promise<Array>} Rows { user_id, telegram_id, payout_wallet, balance }
+ */
+const getReferralBalancesDue = async (minAmount) => {
   try {
     const [rows] = await pool.execute(
-      "SELECT * FROM payments WHERE payment_id = ?",
-      [paymentId]
+      `SELECT u.id AS user_id, u.telegram_id, u.payout_wallet, SUM(e.amount) AS balance
+       FROM referral_earnings e
+       JOIN users u ON u.id = e.referrer_id
+       JOIN payments pay ON pay.payment_id = e.payment_id
+       WHERE e.payout_id IS NULL AND pay.status = 'confirmed' AND u.payout_wallet IS NOT NULL
+       GROUP BY u.id, u.telegram_id, u.payout_wallet
+       HAVING balance >= ?`,
+      [minAmount]
     );
-    return rows.length > 0 ? rows[0] : null;
+    return rows;
   } catch (error) {
-    console.error("Error in getPayment:", error);
+    console.error("Error in getReferralBalancesDue:", error);
     throw error;
   }
 };
 
 /**
- * Update payment status
+ * Reserve a referrer's unpaid earnings for a new payout
+ * Runs in a transaction so earnings credited meanwhile are left for the next batch
+ * @param {number} userId - Referrer user ID
+ * @param {string} wallet - Payout wallet
+ * @returns {Promise<object|null>} { payoutId, amount } or null if nothing is due
+ */
+const createReferralPayout = async (userId, wallet) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Locks the payments too, so a refund cannot start while their commissions are reserved
+    const [earnings] = await connection.execute(
+      `SELECT e.id FROM referral_earnings e
+       JOIN payments pay ON pay.payment_id = e.payment_id
+       WHERE e.referrer_id = ? AND e.payout_id IS NULL AND pay.status = 'confirmed'
+       FOR UPDATE`,
+      [userId]
+    );
+    if (earnings.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const earningIds = earnings.map((earning) => earning.id);
+    const [[{ amount }]] = await connection.query(
+      "SELECT CAST(SUM(amount) AS CHAR) AS amount FROM referral_earnings WHERE id IN (?)",
+      [earningIds]
+    );
+    const [result] = await connection.execute(
+      "INSERT INTO referral_payouts (user_id, wallet, amount) VALUES (?, ?, ?)",
+      [userId, wallet, amount]
+    );
+    await connection.query(
+      "UPDATE referral_earnings SET payout_id = ? WHERE id IN (?)",
+      [result.insertId, earningIds]
+    );
+
+    await connection.commit();
+    return { payoutId: result.insertId, amount };
+  } catch (error) {
+    await connection.rollback();
+    console.error("Error in createReferralPayout:", error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Mark a referral payout as sent
+ * @param {number} payoutId - Payout ID
+ * @param {string} txHash - Transfer transaction hash
+ * @returns {Promise<void>}
+ */
+const completeReferralPayout = async (payoutId, txHash) => {
+  try {
+    await pool.execute(
+      "UPDATE referral_payouts SET status = 'sent', tx_hash = ?, completed_at = NOW() WHERE id = ?",
+      [txHash.toLowerCase(), payoutId]
+    );
+  } catch (error) {
+    console.error("Error in completeReferralPayout:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a referral payout as failed and release its earnings back to the balance
+ * @param {number} payoutId - Payout ID
+ * @param {string} errorMessage - Failure reason
+ * @returns {Promise<void>}
+ */
+const failReferralPayout = async (payoutId, errorMessage) => {
+  try {
+    await pool.execute(
+      "UPDATE referral_payouts SET status = 'failed', error = ?, completed_at = NOW() WHERE id = ?",
+      [errorMessage, payoutId]
+    );
+    await pool.execute("UPDATE referral_earnings SET payout_id = NULL WHERE payout_id = ?", [payoutId]);
+  } catch (error) {
+    console.error("Error in failReferralPayout:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a persisted bot state value
+ * @param {string} key - State key
+ * @returns {Promise<string|null>} Stored value or null
+ */
+const getBotState = async (key) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT state_value FROM bot_state WHERE state_key = ?",
+      [key]
+    );
+    return rows.length > 0 ? rows[0].state_value : null;
+  } catch (error) {
+    console.error("Error in getBotState:", error);
+    throw error;
+  }
+};
+
+/**
+ * Persist a bot state value
+ * @param {string} key - State key
+ * @param {string|number} value - Value to store
+ * @returns {Promise<void>}
+ */
+const setBotState = async (key, value) => {
+  try {
+    await pool.execute(
+      "INSERT INTO bot_state (state_key, state_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE state_value = VALUES(state_value)",
+      [key, String(value)]
+    );
+  } catch (error) {
+    console.error("Error in setBotState:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a persisted bot state value
+ * @param {string} key - State key
+ * @returns {Promise<void>}
+ */
+const deleteBotState = async (key) => {
+  try {
+    await pool.execute("DELETE FROM bot_state WHERE state_key = ?", [key]);
+  } catch (error) {
+    console.error("Error in deleteBotState:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record the payer wallet of a payment that was matched on amount alone
  * @param {string} paymentId - Payment ID
- * @param {string} status - New status
- * @param {string} txHash - Transaction hash (optional)
+ * @param {string} payerWallet - Sender of the payment transfer
  * @returns {Promise<void>}
  */
-const updatePaymentStatus = async (paymentId, status, txHash = null) => {
+const setPaymentPayer = async (paymentId, payerWallet) => {
   try {
-    if (txHash) {
-      await pool.execute(
-        "UPDATE payments SET status = ?, tx_hash = ?, confirmed_at = NOW() WHERE payment_id = ?",
-        [status, txHash, paymentId]
-      );
-    } else {
-      await pool.execute(
-        "UPDATE payments SET status = ?, confirmed_at = NOW() WHERE payment_id = ?",
-        [status, paymentId]
-      );
-    }
+    await pool.execute(
+      "UPDATE payments SET payer_wallet = ? WHERE payment_id = ? AND payer_wallet IS NULL",
+      [payerWallet, paymentId]
+    );
   } catch (error) {
-    console.error("Error in updatePaymentStatus:", error);
+    console.error("Error in setPaymentPayer:", error);
     throw error;
   }
 };
@@ -454,20 +1748,371 @@ const updateTokenVerification = async (tokenAddress, isVerified, status = 'pendi
   }
 };
 
+/**
+ * Find a user without creating one
+ * @param {string} identifier - Telegram ID, @username or #<user id>
+ * @returns {Promise<object|null>} User or null
+ */
+const findUser = async (identifier) => {
+  try {
+    const value = String(identifier).trim();
+    let query = "SELECT * FROM users WHERE telegram_id = ?";
+    let param = value;
+    if (value.startsWith("@")) {
+      query = "SELECT * FROM users WHERE username = ?";
+      param = value.substring(1);
+    } else if (value.startsWith("#")) {
+      query = "SELECT * FROM users WHERE id = ?";
+      param = value.substring(1);
+    }
+
+    const [rows] = await pool.execute(query, [param]);
+    return rows[0] || null;
+  } catch (error) {
+    console.error("Error in findUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the Telegram IDs of users with the admin role
+ * @returns {Promise<Array<string>>} Telegram IDs
+ */
+const getAdminTelegramIds = async () => {
+  try {
+    const [rows] = await pool.execute("SELECT telegram_id FROM users WHERE role = 'admin'");
+    return rows.map((row) => String(row.telegram_id));
+  } catch (error) {
+    console.error("Error in getAdminTelegramIds:", error);
+    throw error;
+  }
+};
+
+/**
+ * Ban or unban a user (unbanning also lifts a shadowban and a temporary block)
+ * @param {number} userId - User ID
+ * @param {boolean} banned - True to ban
+ * @param {string|null} reason - Ban reason
+ * @param {boolean} shadow - Shadowban: ignore the user without telling them
+ * @returns {Promise<void>}
+ */
+const setUserBanned = async (userId, banned, reason = null, shadow = false) => {
+  try {
+    if (!banned) {
+      await pool.execute(
+        `UPDATE users SET is_banned = FALSE, is_shadowbanned = FALSE, banned_at = NULL, ban_reason = NULL,
+           blocked_until = NULL
+         WHERE id = ?`,
+        [userId]
+      );
+      return;
+    }
+
+    await pool.execute(
+      "UPDATE users SET is_banned = ?, is_shadowbanned = ?, banned_at = NOW(), ban_reason = ? WHERE id = ?",
+      [!shadow, shadow, reason, userId]
+    );
+  } catch (error) {
+    console.error("Error in setUserBanned:", error);
+    throw error;
+  }
+};
+
+/**
+ * Block a user temporarily
+ * @param {number} userId - User ID
+ * @param {Date} until - End of the block
+ * @returns {Promise<void>}
+ */
+const blockUserUntil = async (userId, until) => {
+  try {
+    await pool.execute("UPDATE users SET blocked_until = ? WHERE id = ?", [until, userId]);
+  } catch (error) {
+    console.error("Error in blockUserUntil:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the Telegram IDs of every user who is not banned or shadowbanned (broadcast recipients)
+ * @returns {Promise<Array<number>>} Telegram IDs
+ */
+const getBroadcastRecipients = async () => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT telegram_id FROM users WHERE is_banned = FALSE AND is_shadowbanned = FALSE ORDER BY id ASC"
+    );
+    return rows.map((row) => row.telegram_id);
+  } catch (error) {
+    console.error("Error in getBroadcastRecipients:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's tokens, payments and recent activity for admins
+ * @param {number} userId - User ID
+ * @param {number} activityLimit - Number of activity log entries
+ * @returns {Promise<object>} { tokens, payments, activity }
+ */
+const getUserOverview = async (userId, activityLimit = 10) => {
+  try {
+    const [[tokens]] = await pool.execute(
+      "SELECT COUNT(*) AS count FROM tokens WHERE user_id = ?",
+      [userId]
+    );
+    const [payments] = await pool.execute(
+      `SELECT status, currency, COUNT(*) AS count, SUM(amount) AS total
+       FROM payments WHERE user_id = ?
+       GROUP BY status, currency`,
+      [userId]
+    );
+    // query() instead of execute(): prepared statements reject a bound LIMIT on some MySQL versions
+    const [activity] = await pool.query(
+      "SELECT action, created_at FROM activity_logs WHERE user_id = ? ORDER BY id DESC LIMIT ?",
+      [userId, activityLimit]
+    );
+    return { tokens: Number(tokens.count), payments, activity };
+  } catch (error) {
+    console.error("Error in getUserOverview:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get operator statistics for the last days
+ * @param {number} days - Period in days (revenue and conversion)
+ * @returns {Promise<object>} { users, tokensByNetwork, revenueByDay, funnel }
+ */
+const getAdminStats = async (days) => {
+  try {
+    // query() instead of execute(): prepared statements reject a bound INTERVAL on some MySQL versions
+    const [[users]] = await pool.query(
+      `SELECT COUNT(*) AS total,
+         SUM(created_at >= NOW() - INTERVAL ? DAY) AS new_users,
+         SUM(is_banned OR is_shadowbanned) AS banned
+       FROM users`,
+      [days]
+    );
+    const [tokensByNetwork] = await pool.query(
+      `SELECT network, COUNT(*) AS total, SUM(deployed_at >= NOW() - INTERVAL ? DAY) AS recent
+       FROM tokens GROUP BY network ORDER BY total DESC`,
+      [days]
+    );
+    // Paid and kept: confirmed, or confirmed but waiting for a refund decision
+    const [revenueByDay] = await pool.query(
+      `SELECT DATE(confirmed_at) AS day, currency, COUNT(*) AS payments, SUM(amount) AS total
+       FROM payments
+       WHERE status IN ('confirmed', 'deploy_failed') AND confirmed_at >= CURDATE() - INTERVAL ? DAY
+       GROUP BY day, currency
+       ORDER BY day DESC, currency`,
+      [days - 1]
+    );
+    const [[funnel]] = await pool.query(
+      `SELECT
+         COUNT(DISTINCT CASE WHEN action = 'create_token_started' THEN user_id END) AS started,
+         COUNT(DISTINCT CASE WHEN action = 'token_deployed' THEN user_id END) AS deployed
+       FROM activity_logs
+       WHERE action IN ('create_token_started', 'token_deployed') AND created_at >= NOW() - INTERVAL ? DAY`,
+      [days]
+    );
+    return {
+      users: {
+        total: Number(users.total),
+        new: Number(users.new_users || 0),
+        banned: Number(users.banned || 0),
+      },
+      tokensByNetwork,
+      revenueByDay,
+      funnel: { started: Number(funnel.started), deployed: Number(funnel.deployed) },
+    };
+  } catch (error) {
+    console.error("Error in getAdminStats:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the reserved names and symbols added by admins
+ * @returns {Promise<Array>} Rows { id, kind, value }
+ */
+const getReservedNames = async () => {
+  try {
+    const [rows] = await pool.execute("SELECT id, kind, value FROM reserved_names ORDER BY kind, value");
+    return rows;
+  } catch (error) {
+    console.error("Error in getReservedNames:", error);
+    throw error;
+  }
+};
+
+/**
+ * Reserve a token name or symbol
+ * @param {string} kind - "name" or "symbol"
+ * @param {string} value - Name or symbol
+ * @param {number} createdBy - Admin user ID
+ * @returns {Promise<boolean>} False if it was already reserved
+ */
+const addReservedName = async (kind, value, createdBy) => {
+  try {
+    const [result] = await pool.execute(
+      "INSERT IGNORE INTO reserved_names (kind, value, created_by) VALUES (?, ?, ?)",
+      [kind, value, createdBy]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error("Error in addReservedName:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a reserved token name or symbol (built-in entries cannot be removed)
+ * @param {string} kind - "name" or "symbol"
+ * @param {string} value - Name or symbol
+ * @returns {Promise<boolean>} False if it was not reserved
+ */
+const removeReservedName = async (kind, value) => {
+  try {
+    const [result] = await pool.execute(
+      "DELETE FROM reserved_names WHERE kind = ? AND value = ?",
+      [kind, value]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error("Error in removeReservedName:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the reserved names a user was allowed to use
+ * @param {number} userId - User ID
+ * @param {string} kind - "name" or "symbol"
+ * @returns {Promise<Array<string>>} Normalized values
+ */
+const getReservedNameOverrides = async (userId, kind) => {
+  try {
+    const [rows] = await pool.execute(
+      "SELECT normalized FROM reserved_name_overrides WHERE user_id = ? AND kind = ?",
+      [userId, kind]
+    );
+    return rows.map((row) => row.normalized);
+  } catch (error) {
+    console.error("Error in getReservedNameOverrides:", error);
+    throw error;
+  }
+};
+
+/**
+ * Allow a user to use a reserved name or symbol
+ * @param {number} userId - User ID
+ * @param {string} kind - "name" or "symbol"
+ * @param {string} value - Name or symbol as approved
+ * @param {string} normalized - Fuzzy-matching form of value
+ * @param {number} approvedBy - Admin user ID
+ * @returns {Promise<void>}
+ */
+const addReservedNameOverride = async (userId, kind, value, normalized, approvedBy) => {
+  try {
+    await pool.execute(
+      `INSERT INTO reserved_name_overrides (user_id, kind, value, normalized, approved_by)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE value = VALUES(value), approved_by = VALUES(approved_by)`,
+      [userId, kind, value, normalized, approvedBy]
+    );
+  } catch (error) {
+    console.error("Error in addReservedNameOverride:", error);
+    throw error;
+  }
+};
+
 module.exports = {
   pool,
   getUser,
   saveToken,
   getUserTokens,
   getToken,
+  getTokenByTxHash,
   savePayment,
   getPayment,
+  getPaymentByTxHash,
+  getUserPayments,
+  getPendingPayments,
+  getOverduePayments,
   updatePaymentStatus,
+  setPaymentPayer,
+  linkPaymentToken,
+  markPaymentDeployFailed,
+  getPaymentsByStatus,
+  startPaymentRefund,
+  completePaymentRefund,
+  cancelPaymentRefund,
+  addPaymentTransaction,
+  removePaymentTransaction,
+  getPaymentTransactionByHash,
+  getPaymentTransactions,
+  getPaymentReceivedUnits,
+  extendPaymentExpiry,
+  getNextDepositIndex,
+  getSweepableDepositPayments,
+  addDepositSweep,
+  isDepositSweepTx,
+  createDeployment,
+  getQueuedDeployments,
+  getInFlightDeployments,
+  getDeploymentQueuePosition,
+  getOpenDeploymentByPayment,
+  getOpenDeploymentByPromoUse,
+  claimDeployment,
+  requeueClaimedDeployments,
+  markDeploymentBroadcast,
+  addDeploymentReplacement,
+  requeueDeployment,
+  markDeploymentConfirmed,
+  markDeploymentSaved,
+  markDeploymentFailed,
+  setDeploymentError,
+  setDeploymentStatusMessage,
+  createPromoCode,
+  getPromoCode,
+  countPromoCodeUses,
+  reservePromoCodeUse,
+  getPromoCodeUse,
+  holdPromoCodeUse,
+  linkPromoCodeUseToken,
+  getUserByReferralCode,
+  setUserReferralCode,
+  setUserReferrer,
+  setUserPayoutWallet,
+  getReferrer,
+  addReferralEarning,
+  voidReferralEarning,
+  getReferralStats,
+  getReferralBalancesDue,
+  createReferralPayout,
+  completeReferralPayout,
+  failReferralPayout,
+  getBotState,
+  setBotState,
+  deleteBotState,
   getUserSession,
   saveUserSession,
   deleteUserSession,
   logActivity,
   updateTokenOwner,
   updateTokenVerification,
+  findUser,
+  getAdminTelegramIds,
+  setUserBanned,
+  blockUserUntil,
+  getBroadcastRecipients,
+  getUserOverview,
+  getAdminStats,
+  getReservedNames,
+  addReservedName,
+  removeReservedName,
+  getReservedNameOverrides,
+  addReservedNameOverride,
 };
 
@@ -0,0 +1,55 @@
+const { ethers } = require("ethers");
+const { DEPOSIT_ADDRESSES } = require("../config/constants");
+
+let accountNode = null; // m/44'/60'/0' (from the xpub, or the mnemonic when no xpub is set)
+
+/**
+ * HD node of the deposit account
+ * @returns {ethers.HDNodeWallet|ethers.HDNodeVoidWallet}
+ */
+const getAccountNode = () => {
+  if (!accountNode) {
+    if (DEPOSIT_ADDRESSES.XPUB) {
+      accountNode = ethers.HDNodeWallet.fromExtendedKey(DEPOSIT_ADDRESSES.XPUB);
+    } else if (DEPOSIT_ADDRESSES.MNEMONIC) {
+      accountNode = ethers.HDNodeWallet.fromPhrase(DEPOSIT_ADDRESSES.MNEMONIC, undefined, DEPOSIT_ADDRESSES.ACCOUNT_PATH);
+    } else {
+      throw new Error("DEPOSIT_XPUB or DEPOSIT_MNEMONIC not set in environment");
+    }
+  }
+  return accountNode;
+};
+
+/**
+ * Derive the deposit address for an index (m/44'/60'/0'/0/<index>)
+ * @param {number} index - Address index (payments.deposit_index)
+ * @returns {string} Checksummed address
+ */
+const deriveDepositAddress = (index) => getAccountNode().deriveChild(0).deriveChild(index).address;
+
+/**
+ * Signing wallet of a deposit address (needs DEPOSIT_MNEMONIC)
+ * @param {number} index - Address index
+ * @param {string} expectedAddress - Address stored on the payment
+ * @returns {ethers.HDNodeWallet}
+ */
+const getDepositWallet = (index, expectedAddress) => {
+  if (!DEPOSIT_ADDRESSES.MNEMONIC) {
+    throw new Error("DEPOSIT_MNEMONIC not set in environment");
+  }
+
+  const wallet = ethers.HDNodeWallet.fromPhrase(
+    DEPOSIT_ADDRESSES.MNEMONIC,
+    undefined,
+    `${DEPOSIT_ADDRESSES.ACCOUNT_PATH}/0/${index}`
+  );
+  if (wallet.address.toLowerCase() !== expectedAddress.toLowerCase()) {
+    throw new Error(`DEPOSIT_MNEMONIC does not derive ${expectedAddress} at index ${index} (does it match DEPOSIT_XPUB?)`);
+  }
+  return wallet;
+};
+
+module.exports = {
+  deriveDepositAddress,
+  getDepositWallet,
+};
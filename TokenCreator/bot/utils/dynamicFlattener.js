@@ -208,18 +208,115 @@ abstract contract Ownable {
     }
 }
 
-contract SecureToken is ERC20, Ownable {
+abstract contract Ownable2Step is Ownable {
+    address private _pendingOwner;
+
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+
+    function pendingOwner() public view virtual returns (address) {
+        return _pendingOwner;
+    }
+
+    function transferOwnership(address newOwner) public virtual override onlyOwner {
+        _pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner(), newOwner);
+    }
+
+    function _transferOwnership(address newOwner) internal virtual override {
+        delete _pendingOwner;
+        super._transferOwnership(newOwner);
+    }
+
+    function acceptOwnership() public virtual {
+        address sender = msg.sender;
+        if (pendingOwner() != sender) {
+            revert("Ownable2Step: caller is not the new owner");
+        }
+        _transferOwnership(sender);
+    }
+}
+
+interface IDexRouter {
+    function factory() external view returns (address);
+    function WETH() external view returns (address);
+}
+
+interface IDexFactory {
+    function createPair(address tokenA, address tokenB) external returns (address pair);
+}
+
+contract SecureToken is ERC20, Ownable2Step {
+    struct FeeSchedule {
+        uint8 taxPercent;
+        uint8 reflectionPercent;
+        uint8 burnPercent;
+    }
+
+    struct TradingConfig {
+        FeeSchedule buyFees;
+        FeeSchedule sellFees;
+        address dexRouter;
+        uint16 maxTransactionBps;
+        uint16 maxWalletBps;
+        bool manualLaunch;
+        uint8 antiSnipeBlocks;
+        uint8 antiSnipeSellFee;
+    }
+
+    uint16 private constant MIN_LIMIT_BPS = 10;
+
+    uint8 private constant MAX_ANTI_SNIPE_BLOCKS = 100;
+    uint8 private constant MAX_ANTI_SNIPE_SELL_FEE = 50;
+
     uint256 public immutable taxPercent;
     address public immutable taxWallet;
+
+    uint8 public immutable BUY_TAX_PERCENT;
+    uint8 public immutable BUY_REFLECTION_PERCENT;
+    uint8 public immutable BUY_BURN_PERCENT;
+    uint8 public immutable SELL_TAX_PERCENT;
+    uint8 public immutable SELL_REFLECTION_PERCENT;
+    uint8 public immutable SELL_BURN_PERCENT;
+
+    address public immutable dexRouter;
+    address public immutable mainPair;
+
+    mapping(address => bool) public automatedMarketMakerPairs;
+
+    mapping(address => bool) public isExcludedFromFees;
+
+    uint256 public immutable creationBlock;
+
+    uint16 public immutable MAX_TRANSACTION_BPS;
+    uint16 public immutable MAX_WALLET_BPS;
+
+    uint256 public maxTransactionAmount;
+    uint256 public maxWalletAmount;
+
+    bool public immutable MANUAL_LAUNCH;
+    uint8 public immutable ANTI_SNIPE_BLOCKS;
+    uint8 public immutable ANTI_SNIPE_SELL_FEE;
+
+    bool public tradingEnabled;
+    uint256 public tradingEnabledBlock;
+
     uint8 public immutable REFLECTION_PERCENT;
     uint8 public immutable BURN_PERCENT;
     bool public immutable HAS_REFLECTION;
     bool public immutable HAS_BURN;
 
-    mapping(address => uint256) private _reflectionBalance;
+    uint256 private constant REFLECTION_MAGNITUDE = 2**128;
+    address private constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+    uint256 private _magnifiedReflectionPerShare;
+    mapping(address => int256) private _magnifiedReflectionCorrections;
     uint256 private _totalReflectionDistributed;
+
     mapping(address => uint256) private _reflectionClaimed;
 
+    mapping(address => bool) public isExcludedFromReflection;
+
+    uint256 public totalReflectionShares;
+
     event TokensTransferred(
         address indexed from,
         address indexed to,
@@ -229,6 +326,10 @@ contract SecureToken is ERC20, Ownable {
     event ReflectionAdded(address indexed holder, uint256 amount);
     event ReflectionClaimed(address indexed holder, uint256 amount);
     event TokensBurned(address indexed from, uint256 amount);
+    event AutomatedMarketMakerPairUpdated(address indexed pair, bool isPair);
+    event ExcludedFromFees(address indexed account, bool isExcluded);
+    event LimitsUpdated(uint256 maxTransactionAmount, uint256 maxWalletAmount);
+    event TradingEnabled(uint256 blockNumber);
 
     constructor(
         string memory _name,
@@ -240,7 +341,8 @@ contract SecureToken is ERC20, Ownable {
         uint8 _burnPercent,
         bool _enableReflection,
         bool _enableBurn,
-        address _initialOwner
+        address _initialOwner,
+        TradingConfig memory _trading
     ) ERC20(_name, _symbol) Ownable(_initialOwner) {
         require(_taxPercent <= 100, "Tax percent must be <= 100");
         require(_reflectionPercent <= 100, "Reflection percent must be <= 100");
@@ -248,7 +350,7 @@ contract SecureToken is ERC20, Ownable {
         require(_initialOwner != address(0), "Owner cannot be zero address");
         require(_initialSupply > 0, "Initial supply must be > 0");
         
-        if (_taxPercent > 0) {
+        if (_taxPercent > 0 || _trading.buyFees.taxPercent > 0 || _trading.sellFees.taxPercent > 0) {
             require(_taxWallet != address(0), "Tax wallet cannot be zero address when tax > 0");
         }
 
@@ -262,76 +364,184 @@ contract SecureToken is ERC20, Ownable {
             "Total fees cannot exceed 100%"
         );
 
+        require(_totalFees(_trading.buyFees) <= 100, "Total buy fees cannot exceed 100%");
+        require(_totalFees(_trading.sellFees) <= 100, "Total sell fees cannot exceed 100%");
+        require(_isValidLimit(_trading.maxTransactionBps), "Max transaction must be 0.1-100% of supply or 0");
+        require(_isValidLimit(_trading.maxWalletBps), "Max wallet must be 0.1-100% of supply or 0");
+        require(_trading.antiSnipeBlocks <= MAX_ANTI_SNIPE_BLOCKS, "Anti-snipe window cannot exceed 100 blocks");
+        require(_trading.antiSnipeSellFee <= MAX_ANTI_SNIPE_SELL_FEE, "Anti-snipe sell fee cannot exceed 50%");
+
         taxPercent = _taxPercent;
         taxWallet = _taxWallet;
 
+        BUY_TAX_PERCENT = _trading.buyFees.taxPercent;
+        BUY_REFLECTION_PERCENT = _trading.buyFees.reflectionPercent;
+        BUY_BURN_PERCENT = _trading.buyFees.burnPercent;
+        SELL_TAX_PERCENT = _trading.sellFees.taxPercent;
+        SELL_REFLECTION_PERCENT = _trading.sellFees.reflectionPercent;
+        SELL_BURN_PERCENT = _trading.sellFees.burnPercent;
+
+        address pair = address(0);
+        if (_trading.dexRouter != address(0)) {
+            IDexRouter router = IDexRouter(_trading.dexRouter);
+            pair = IDexFactory(router.factory()).createPair(address(this), router.WETH());
+            automatedMarketMakerPairs[pair] = true;
+            _setExcludedFromReflection(pair, true);
+            emit AutomatedMarketMakerPairUpdated(pair, true);
+        }
+        dexRouter = _trading.dexRouter;
+        mainPair = pair;
+
+        _setExcludedFromFees(address(this), true);
+        if (_taxWallet != address(0)) {
+            _setExcludedFromFees(_taxWallet, true);
+        }
+        _setExcludedFromReflection(address(this), true);
+        _setExcludedFromReflection(DEAD_ADDRESS, true);
+        creationBlock = block.number;
+
+        MAX_TRANSACTION_BPS = _trading.maxTransactionBps;
+        MAX_WALLET_BPS = _trading.maxWalletBps;
+        maxTransactionAmount = (_initialSupply * _trading.maxTransactionBps) / 10000;
+        maxWalletAmount = (_initialSupply * _trading.maxWalletBps) / 10000;
+
+        MANUAL_LAUNCH = _trading.manualLaunch;
+        ANTI_SNIPE_BLOCKS = _trading.antiSnipeBlocks;
+        ANTI_SNIPE_SELL_FEE = _trading.antiSnipeSellFee;
+        if (!_trading.manualLaunch) {
+            tradingEnabled = true;
+            tradingEnabledBlock = block.number;
+        }
+
         _mint(_initialOwner, _initialSupply);
     }
 
     function transfer(address to, uint256 amount) public override returns (bool) {
-        address sender = _msgSender();
-        uint256 burnAmount = 0;
-        uint256 reflectionAmount = 0;
-        uint256 taxAmount = 0;
-        uint256 netAmount = amount;
+        _transferWithFees(_msgSender(), to, amount);
+        return true;
+    }
 
-        if (HAS_BURN && sender != address(0)) {
-            burnAmount = (amount * BURN_PERCENT) / 100;
-            netAmount -= burnAmount;
-        }
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        address spender = _msgSender();
+        _spendAllowance(from, spender, amount);
+        _transferWithFees(from, to, amount);
+        return true;
+    }
 
-        if (HAS_REFLECTION && sender != address(0)) {
-            reflectionAmount = (netAmount * REFLECTION_PERCENT) / 100;
-            netAmount -= reflectionAmount;
+    function setAutomatedMarketMakerPair(address pair, bool isPair) external onlyOwner {
+        require(pair != mainPair || isPair, "The main pair cannot be removed");
+        require(pair != address(this), "The token cannot be a pair");
+        if (isPair) {
+            require(pair.code.length > 0, "Pair must be a contract");
+            require(!isExcludedFromFees[pair], "Fee exempt addresses cannot be pairs");
         }
+        automatedMarketMakerPairs[pair] = isPair;
+        _setExcludedFromReflection(pair, isPair);
+        emit AutomatedMarketMakerPairUpdated(pair, isPair);
+    }
 
-        if (taxPercent > 0 && taxWallet != address(0) && sender != taxWallet) {
-            taxAmount = (netAmount * taxPercent) / 100;
-            netAmount -= taxAmount;
-        }
+    function setExcludedFromFees(address account, bool excluded) external onlyOwner {
+        require(account != address(0), "Account cannot be zero address");
+        require(!automatedMarketMakerPairs[account], "AMM pairs cannot be exempt from fees");
+        require(isExcludedFromFees[account] != excluded, "Account is already set to this value");
+        _setExcludedFromFees(account, excluded);
+    }
 
-        if (burnAmount > 0) {
-            _update(sender, address(0), burnAmount);
-            emit TokensBurned(sender, burnAmount);
-        }
-        
-        if (reflectionAmount > 0) {
-            _transfer(sender, address(this), reflectionAmount);
-            _totalReflectionDistributed += reflectionAmount;
-            emit ReflectionAdded(address(this), reflectionAmount);
+    function updateLimits(uint256 newMaxTransactionAmount, uint256 newMaxWalletAmount) external onlyOwner {
+        require(_isLooser(newMaxTransactionAmount, maxTransactionAmount), "Max transaction can only be raised or removed");
+        require(_isLooser(newMaxWalletAmount, maxWalletAmount), "Max wallet can only be raised or removed");
+        maxTransactionAmount = newMaxTransactionAmount;
+        maxWalletAmount = newMaxWalletAmount;
+        emit LimitsUpdated(newMaxTransactionAmount, newMaxWalletAmount);
+    }
+
+    function enableTrading() external onlyOwner {
+        require(!tradingEnabled, "Trading is already enabled");
+        tradingEnabled = true;
+        tradingEnabledBlock = block.number;
+        emit TradingEnabled(block.number);
+    }
+
+    function renounceOwnership() public override onlyOwner {
+        require(tradingEnabled, "Enable trading before renouncing ownership");
+        super.renounceOwnership();
+    }
+
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+
+        if (previousOwner != address(0) && previousOwner != taxWallet && isExcludedFromFees[previousOwner]) {
+            _setExcludedFromFees(previousOwner, false);
         }
-        
-        if (taxAmount > 0) {
-            _transfer(sender, taxWallet, taxAmount);
+        if (newOwner != address(0) && !isExcludedFromFees[newOwner] && !automatedMarketMakerPairs[newOwner]) {
+            _setExcludedFromFees(newOwner, true);
         }
-        
-        _transfer(sender, to, netAmount);
-        emit TokensTransferred(sender, to, netAmount, taxAmount);
+    }
 
-        return true;
+    function getFeeSchedules()
+        external
+        view
+        returns (FeeSchedule memory buyFees, FeeSchedule memory sellFees, FeeSchedule memory transferFees)
+    {
+        buyFees = FeeSchedule(BUY_TAX_PERCENT, BUY_REFLECTION_PERCENT, BUY_BURN_PERCENT);
+        sellFees = FeeSchedule(SELL_TAX_PERCENT, SELL_REFLECTION_PERCENT, SELL_BURN_PERCENT);
+        transferFees = FeeSchedule(uint8(taxPercent), REFLECTION_PERCENT, BURN_PERCENT);
     }
 
-    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
-        address spender = _msgSender();
-        _spendAllowance(from, spender, amount);
+    function _transferWithFees(address from, address to, uint256 amount) private {
+        bool launchExempt = _isLaunchExempt(from) || _isLaunchExempt(to);
+        if (!launchExempt) {
+            if (maxTransactionAmount > 0) {
+                require(amount <= maxTransactionAmount, "Transfer amount exceeds the max transaction");
+            }
+            if (!tradingEnabled) {
+                require(!automatedMarketMakerPairs[from] && !automatedMarketMakerPairs[to], "Trading is not enabled yet");
+            }
+        }
+
+        FeeSchedule memory fees;
+        if (isExcludedFromFees[from] || isExcludedFromFees[to]) {
+            fees = FeeSchedule(0, 0, 0);
+        } else if (automatedMarketMakerPairs[from]) {
+            fees = FeeSchedule(BUY_TAX_PERCENT, BUY_REFLECTION_PERCENT, BUY_BURN_PERCENT);
+        } else if (automatedMarketMakerPairs[to]) {
+            fees = FeeSchedule(SELL_TAX_PERCENT, SELL_REFLECTION_PERCENT, SELL_BURN_PERCENT);
+        } else {
+            fees = FeeSchedule(uint8(taxPercent), REFLECTION_PERCENT, BURN_PERCENT);
+        }
 
         uint256 burnAmount = 0;
         uint256 reflectionAmount = 0;
         uint256 taxAmount = 0;
         uint256 netAmount = amount;
 
-        if (HAS_BURN && from != address(0)) {
-            burnAmount = (amount * BURN_PERCENT) / 100;
+        if (
+            !launchExempt &&
+            ANTI_SNIPE_SELL_FEE > 0 &&
+            automatedMarketMakerPairs[to] &&
+            !automatedMarketMakerPairs[from] &&
+            block.number < tradingEnabledBlock + ANTI_SNIPE_BLOCKS
+        ) {
+            uint256 snipeFee = (amount * ANTI_SNIPE_SELL_FEE) / 100;
+            _update(from, address(0), snipeFee);
+            emit TokensBurned(from, snipeFee);
+            amount -= snipeFee;
+            netAmount = amount;
+        }
+
+        if (HAS_BURN) {
+            burnAmount = (amount * fees.burnPercent) / 100;
             netAmount -= burnAmount;
         }
 
-        if (HAS_REFLECTION && from != address(0)) {
-            reflectionAmount = (netAmount * REFLECTION_PERCENT) / 100;
+        if (HAS_REFLECTION) {
+            reflectionAmount = (netAmount * fees.reflectionPercent) / 100;
             netAmount -= reflectionAmount;
         }
 
-        if (taxPercent > 0 && taxWallet != address(0) && from != taxWallet) {
-            taxAmount = (netAmount * taxPercent) / 100;
+        if (fees.taxPercent > 0 && taxWallet != address(0)) {
+            taxAmount = (netAmount * fees.taxPercent) / 100;
             netAmount -= taxAmount;
         }
 
@@ -342,8 +552,6 @@ contract SecureToken is ERC20, Ownable {
         
         if (reflectionAmount > 0) {
             _transfer(from, address(this), reflectionAmount);
-            _totalReflectionDistributed += reflectionAmount;
-            emit ReflectionAdded(address(this), reflectionAmount);
         }
         
         if (taxAmount > 0) {
@@ -353,58 +561,113 @@ contract SecureToken is ERC20, Ownable {
         _transfer(from, to, netAmount);
         emit TokensTransferred(from, to, netAmount, taxAmount);
 
-        return true;
+        if (reflectionAmount > 0) {
+            _distributeReflection(reflectionAmount);
+        }
+
+        if (maxWalletAmount > 0 && !automatedMarketMakerPairs[to] && to != DEAD_ADDRESS && !_isLaunchExempt(to)) {
+            require(balanceOf(to) <= maxWalletAmount, "Recipient balance exceeds the max wallet");
+        }
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+        if (!HAS_REFLECTION) {
+            return;
+        }
+
+        int256 correction = _toInt256(_magnifiedReflectionPerShare * value);
+        if (from != address(0) && !isExcludedFromReflection[from]) {
+            _magnifiedReflectionCorrections[from] += correction;
+            totalReflectionShares -= value;
+        }
+        if (to != address(0) && !isExcludedFromReflection[to]) {
+            _magnifiedReflectionCorrections[to] -= correction;
+            totalReflectionShares += value;
+        }
+    }
+
+    function _distributeReflection(uint256 amount) private {
+        if (totalReflectionShares == 0) {
+            _update(address(this), address(0), amount);
+            emit TokensBurned(address(this), amount);
+            return;
+        }
+        _magnifiedReflectionPerShare += (amount * REFLECTION_MAGNITUDE) / totalReflectionShares;
+        _totalReflectionDistributed += amount;
+        emit ReflectionAdded(address(this), amount);
+    }
+
+    function _setExcludedFromReflection(address account, bool excluded) private {
+        if (isExcludedFromReflection[account] == excluded) {
+            return;
+        }
+        isExcludedFromReflection[account] = excluded;
+
+        uint256 balance = balanceOf(account);
+        if (balance == 0 || !HAS_REFLECTION) {
+            return;
+        }
+        int256 correction = _toInt256(_magnifiedReflectionPerShare * balance);
+        if (excluded) {
+            _magnifiedReflectionCorrections[account] += correction;
+            totalReflectionShares -= balance;
+        } else {
+            _magnifiedReflectionCorrections[account] -= correction;
+            totalReflectionShares += balance;
+        }
+    }
+
+    function _claimableReflection(address holder) private view returns (uint256) {
+        if (!HAS_REFLECTION) {
+            return 0;
+        }
+        uint256 shares = isExcludedFromReflection[holder] ? 0 : balanceOf(holder);
+        int256 earned = _toInt256(_magnifiedReflectionPerShare * shares) + _magnifiedReflectionCorrections[holder];
+        return uint256(earned) / REFLECTION_MAGNITUDE - _reflectionClaimed[holder];
+    }
+
+    function _toInt256(uint256 value) private pure returns (int256) {
+        require(value <= uint256(type(int256).max), "Reflection value overflow");
+        return int256(value);
+    }
+
+    function _setExcludedFromFees(address account, bool excluded) private {
+        isExcludedFromFees[account] = excluded;
+        emit ExcludedFromFees(account, excluded);
+    }
+
+    function _isLaunchExempt(address account) private view returns (bool) {
+        return account == owner() || account == address(this);
+    }
+
+    function _isValidLimit(uint16 bps) private pure returns (bool) {
+        return bps == 0 || (bps >= MIN_LIMIT_BPS && bps <= 10000);
+    }
+
+    function _isLooser(uint256 newLimit, uint256 currentLimit) private pure returns (bool) {
+        return newLimit == 0 || (currentLimit != 0 && newLimit >= currentLimit);
+    }
+
+    function _totalFees(FeeSchedule memory fees) private pure returns (uint256) {
+        return uint256(fees.taxPercent) + fees.reflectionPercent + fees.burnPercent;
     }
 
     function claimReflectionRewards() external returns (uint256) {
         require(HAS_REFLECTION, "Reflection is disabled for this token");
-        
-        uint256 holderBalance = balanceOf(msg.sender);
-        require(holderBalance > 0, "You must hold tokens to claim reflection");
-        
-        uint256 totalSupply = totalSupply();
-        require(totalSupply > 0, "Total supply must be greater than 0");
-        
-        uint256 contractBalance = balanceOf(address(this));
-        require(contractBalance > 0, "No reflection rewards available");
-        
-        uint256 proportionalReflection = (holderBalance * contractBalance) / totalSupply;
-        
-        uint256 alreadyClaimed = _reflectionClaimed[msg.sender];
-        
-        uint256 claimableAmount = proportionalReflection > alreadyClaimed 
-            ? proportionalReflection - alreadyClaimed 
-            : 0;
-        
+
+        uint256 claimableAmount = _claimableReflection(msg.sender);
         require(claimableAmount > 0, "No reflection rewards to claim");
-        
-        _reflectionClaimed[msg.sender] = proportionalReflection;
-        
+
+        _reflectionClaimed[msg.sender] += claimableAmount;
         _transfer(address(this), msg.sender, claimableAmount);
-        
+
         emit ReflectionClaimed(msg.sender, claimableAmount);
         return claimableAmount;
     }
     
     function getClaimableReflection(address holder) external view returns (uint256) {
-        if (!HAS_REFLECTION) return 0;
-        
-        uint256 holderBalance = balanceOf(holder);
-        if (holderBalance == 0) return 0;
-        
-        uint256 totalSupply = totalSupply();
-        if (totalSupply == 0) return 0;
-        
-        uint256 contractBalance = balanceOf(address(this));
-        if (contractBalance == 0) return 0;
-        
-        uint256 proportionalReflection = (holderBalance * contractBalance) / totalSupply;
-        
-        uint256 alreadyClaimed = _reflectionClaimed[holder];
-        
-        return proportionalReflection > alreadyClaimed 
-            ? proportionalReflection - alreadyClaimed 
-            : 0;
+        return _claimableReflection(holder);
     }
 
     function getPendingReflection(address holder) 
@@ -412,24 +675,7 @@ contract SecureToken is ERC20, Ownable {
         view 
         returns (uint256) 
     {
-        if (!HAS_REFLECTION) return 0;
-        
-        uint256 holderBalance = balanceOf(holder);
-        if (holderBalance == 0) return 0;
-        
-        uint256 totalSupply = totalSupply();
-        if (totalSupply == 0) return 0;
-        
-        uint256 contractBalance = balanceOf(address(this));
-        if (contractBalance == 0) return 0;
-        
-        uint256 proportionalReflection = (holderBalance * contractBalance) / totalSupply;
-        
-        uint256 alreadyClaimed = _reflectionClaimed[holder];
-        
-        return proportionalReflection > alreadyClaimed 
-            ? proportionalReflection - alreadyClaimed 
-            : 0;
+        return _claimableReflection(holder);
     }
 
     function mint(address, uint256) external pure {
@@ -491,7 +737,8 @@ function getVerificationData(deploymentReceipt, tokenParams) {
             tokenParams.burnPercent || 0,
             tokenParams.enableReflection || false,
             tokenParams.enableBurn || false,
-            tokenParams.owner
+            tokenParams.owner,
+            ...(tokenParams.trading ? [tokenParams.trading] : [])
         ],
         flattenedCode: generateFlattenedSecureToken(tokenParams),
         verificationUrl: `https://alveyscan.com/address/${deploymentReceipt.contractAddress}#code`
@@ -0,0 +1,97 @@
+// Buy, sell and wallet-to-wallet fee schedules of a token
+// The transfer schedule is kept in the original taxPercent / reflectionPercent / burnPercent fields;
+// buyFees and sellFees fall back to it (sessions and tokens from before separate schedules)
+
+// ABI type of the SecureToken.TradingConfig constructor argument
+// ({ buyFees, sellFees, dexRouter, maxTransactionBps, maxWalletBps, manualLaunch, antiSnipeBlocks, antiSnipeSellFee })
+const TRADING_CONFIG_TYPE =
+  "tuple(tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) buyFees, " +
+  "tuple(uint8 taxPercent, uint8 reflectionPercent, uint8 burnPercent) sellFees, address dexRouter, " +
+  "uint16 maxTransactionBps, uint16 maxWalletBps, bool manualLaunch, uint8 antiSnipeBlocks, uint8 antiSnipeSellFee)";
+
+const SCHEDULES = [
+  { key: "buy", label: "Buy", icon: "🟢" },
+  { key: "sell", label: "Sell", icon: "🔴" },
+  { key: "transfer", label: "Transfer", icon: "🔁" },
+];
+
+/**
+ * Fee schedules from session data or token parameters
+ * @param {object} data - { taxPercent, reflectionPercent, burnPercent, buyFees?, sellFees? }
+ * @returns {object} { buy, sell, transfer }, each { taxPercent, reflectionPercent, burnPercent }
+ */
+const getFeeSchedules = (data) => {
+  const transfer = {
+    taxPercent: data.taxPercent || 0,
+    reflectionPercent: data.reflectionPercent || 0,
+    burnPercent: data.burnPercent || 0,
+  };
+  return {
+    buy: { ...transfer, ...(data.buyFees || {}) },
+    sell: { ...transfer, ...(data.sellFees || {}) },
+    transfer,
+  };
+};
+
+/**
+ * Store one fee type for the three schedules (wizard)
+ * @param {object} data - Session data, updated in place
+ * @param {string} field - "taxPercent", "reflectionPercent" or "burnPercent"
+ * @param {object} percents - { buy, sell, transfer }
+ */
+const setSchedulePercent = (data, field, percents) => {
+  data[field] = percents.transfer;
+  data.buyFees = { ...data.buyFees, [field]: percents.buy };
+  data.sellFees = { ...data.sellFees, [field]: percents.sell };
+};
+
+/**
+ * Sum of the percentages of one schedule
+ * @param {object} schedule - { taxPercent, reflectionPercent, burnPercent }
+ * @returns {number}
+ */
+const totalFees = (schedule) => schedule.taxPercent + schedule.reflectionPercent + schedule.burnPercent;
+
+/**
+ * Whether buys and sells pay the same fees as wallet-to-wallet transfers
+ * @param {object} schedules - From getFeeSchedules
+ * @returns {boolean}
+ */
+const hasUniformFees = (schedules) =>
+  ["buy", "sell"].every((key) =>
+    ["taxPercent", "reflectionPercent", "burnPercent"].every(
+      (field) => schedules[key][field] === schedules.transfer[field]
+    )
+  );
+
+/**
+ * Whether any schedule has a tax
+ * @param {object} schedules - From getFeeSchedules
+ * @returns {boolean}
+ */
+const hasAnyTax = (schedules) => SCHEDULES.some(({ key }) => schedules[key].taxPercent > 0);
+
+/**
+ * One line per schedule, e.g. "🟢 Buy: tax 3% · reflection 1% · burn 0% (4%)"
+ * @param {object} schedules - From getFeeSchedules
+ * @returns {string}
+ */
+const formatFeeSchedules = (schedules) =>
+  SCHEDULES.map(({ key, label, icon }) => {
+    const schedule = schedules[key];
+    return (
+      `${icon} ${label}: tax ${schedule.taxPercent}% · reflection ${schedule.reflectionPercent}% · ` +
+      `burn ${schedule.burnPercent}% (${totalFees(schedule)}%)`
+    );
+  }).join("\n");
+
+module.exports = {
+  TRADING_CONFIG_TYPE,
+  SCHEDULES,
+  getFeeSchedules,
+  setSchedulePercent,
+  totalFees,
+  hasUniformFees,
+  hasAnyTax,
+  formatFeeSchedules,
+};
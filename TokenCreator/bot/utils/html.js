@@ -0,0 +1,12 @@
+/**
+ * Escape HTML special characters for Telegram messages (parse_mode: "HTML")
+ * Quotes are escaped too, so the result is safe inside attributes (e.g. href)
+ * @param {*} text - Text (converted to a string)
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+module.exports = {
+  escapeHtml,
+};
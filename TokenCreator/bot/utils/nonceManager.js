@@ -0,0 +1,60 @@
+const chains = new Map(); // networkKey -> promise chain, one nonce allocation at a time per network
+const nextNonces = new Map(); // networkKey -> next nonce of the bot wallet as far as this process knows
+
+/**
+ * Send a transaction from the bot wallet with the next free nonce
+ * Calls are serialized per network: send(nonce) must broadcast (or fail) before the next
+ * allocation starts. The nonce counts as used once send resolves; after a nonce error the
+ * next allocation reads it from the node again
+ * @param {string} networkKey - Network key
+ * @param {object} wallet - Bot wallet connected to the network's provider
+ * @param {Function} send - async (nonce) => any, broadcasts the transaction
+ * @returns {Promise<any>} Result of send
+ */
+const withNonce = (networkKey, wallet, send) => {
+  const previous = chains.get(networkKey) || Promise.resolve();
+
+  const run = previous.then(async () => {
+    // The node's pending count also covers transactions sent by other tools; the local
+    // counter covers ours that a load-balanced RPC has not seen yet
+    const pending = await wallet.provider.getTransactionCount(wallet.address, "pending");
+    const nonce = Math.max(pending, nextNonces.get(networkKey) || 0);
+
+    try {
+      const result = await send(nonce);
+      nextNonces.set(networkKey, nonce + 1);
+      return result;
+    } catch (error) {
+      if (isNonceError(error)) {
+        nextNonces.delete(networkKey);
+      }
+      throw error;
+    }
+  });
+
+  chains.set(networkKey, run.catch(() => {}));
+  return run;
+};
+
+/**
+ * Whether a send failed because of the nonce (used already, or in use by a pending transaction)
+ * @param {Error} error - Send error
+ * @returns {boolean}
+ */
+const isNonceError = (error) => {
+  if (["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"].includes(error.code)) {
+    return true;
+  }
+  const message = String(error.message).toLowerCase();
+  return (
+    message.includes("nonce too low") ||
+    message.includes("nonce too high") ||
+    message.includes("replacement transaction underpriced") ||
+    message.includes("already known")
+  );
+};
+
+module.exports = {
+  withNonce,
+  isNonceError,
+};
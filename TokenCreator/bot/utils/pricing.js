@@ -0,0 +1,109 @@
+const { PAYMENT, PRICING, getNetwork } = require("../config/constants");
+const { getFeeSchedules, hasAnyTax } = require("./feeSchedules");
+
+/**
+ * Round an amount to 6 decimals (avoids float noise like 24.999999999)
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 1e6) / 1e6;
+
+/**
+ * Calculate the price of a token from the wizard session data
+ * @param {object} sessionData - Session data from handleTokenCreationFlow
+ * @returns {object} { currency, items: [{ key, label, amount }], discount, total }
+ */
+const calculateQuote = (sessionData) => {
+  const networkKey = sessionData.network || "alvey";
+  const network = getNetwork(networkKey);
+  const items = [];
+
+  const basePrice = PRICING.BASE[networkKey] !== undefined ? PRICING.BASE[networkKey] : PAYMENT.AMOUNT_USDT;
+  items.push({ key: `base_${networkKey}`, label: `Token on ${network.name}`, amount: basePrice });
+
+  const features = {
+    tax: hasAnyTax(getFeeSchedules(sessionData)),
+    reflection: Boolean(sessionData.enableReflection),
+    burn: Boolean(sessionData.enableBurn),
+  };
+
+  for (const [key, enabled] of Object.entries(features)) {
+    const feature = PRICING.FEATURES[key];
+    if (enabled && feature.price > 0) {
+      items.push({ key: `feature_${key}`, label: `${feature.name} feature`, amount: feature.price });
+    }
+  }
+
+  const addons = sessionData.addons || {};
+  for (const [key, addon] of Object.entries(PRICING.ADDONS)) {
+    if (addons[key]) {
+      items.push({ key: `addon_${key}`, label: addon.name, amount: addon.price });
+    }
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+  // Promo code discount (validated when entered, see utils/promoCodes.js)
+  let discount = 0;
+  const promo = sessionData.promo;
+  if (promo) {
+    discount = promo.type === "percent"
+      ? roundAmount((subtotal * Math.min(promo.value, 100)) / 100)
+      : Math.min(promo.value, subtotal);
+    items.push({ key: `promo_${promo.code}`, label: `Promo ${promo.code}`, amount: -discount });
+  }
+
+  return {
+    currency: PRICING.CURRENCY,
+    items,
+    discount,
+    total: Math.max(roundAmount(subtotal - discount), 0),
+  };
+};
+
+/**
+ * Convert a quote to the amount charged in a payment method's currency
+ * Stablecoin methods priced at PAYMENT.AMOUNT_USDT charge the quote as-is
+ * @param {object} quote - Quote from calculateQuote
+ * @param {object} method - Payment method from the registry
+ * @returns {number} Amount in method.currency
+ */
+const getMethodAmount = (quote, method) => {
+  if (!PAYMENT.AMOUNT_USDT) {
+    return method.price;
+  }
+  return roundAmount((quote.total * method.price) / PAYMENT.AMOUNT_USDT);
+};
+
+/**
+ * Format a quote as itemized text lines
+ * @param {object} quote - Quote from calculateQuote
+ * @returns {string}
+ */
+const formatQuote = (quote) => {
+  const lines = quote.items.map((item) => `• ${item.label}: ${item.amount} ${quote.currency}`);
+  lines.push(`Total: ${quote.total} ${quote.currency}`);
+  return lines.join("\n");
+};
+
+/**
+ * Build the breakdown stored with a payment (for receipts and refunds)
+ * @param {object} quote - Quote from calculateQuote
+ * @param {object} method - Payment method from the registry
+ * @returns {object}
+ */
+const buildPriceBreakdown = (quote, method) => ({
+  currency: quote.currency,
+  items: quote.items,
+  total: quote.total,
+  payment_method: method.key,
+  method_currency: method.currency,
+  method_amount: getMethodAmount(quote, method),
+});
+
+module.exports = {
+  calculateQuote,
+  getMethodAmount,
+  formatQuote,
+  buildPriceBreakdown,
+};
@@ -0,0 +1,80 @@
+const { getPromoCode, countPromoCodeUses, reservePromoCodeUse } = require("./database");
+
+/**
+ * Check whether a user can redeem a promo code
+ * @param {string} code - Code entered by the user
+ * @param {number} userId - User ID
+ * @returns {Promise<object>} { valid: boolean, promo?: object, reason?: string }
+ */
+const validatePromoCode = async (code, userId) => {
+  const promoCode = await getPromoCode(code);
+  if (!promoCode) {
+    return { valid: false, reason: "Unknown promo code" };
+  }
+
+  if (promoCode.expires_at && new Date(promoCode.expires_at) <= new Date()) {
+    return { valid: false, reason: "This promo code has expired" };
+  }
+
+  if (promoCode.max_uses !== null && (await countPromoCodeUses(promoCode.id)) >= promoCode.max_uses) {
+    return { valid: false, reason: "This promo code has reached its usage limit" };
+  }
+
+  if (
+    promoCode.per_user_limit !== null &&
+    (await countPromoCodeUses(promoCode.id, userId)) >= promoCode.per_user_limit
+  ) {
+    return { valid: false, reason: "You have already used this promo code" };
+  }
+
+  return {
+    valid: true,
+    // Shape stored in the session and read by calculateQuote
+    promo: {
+      id: promoCode.id,
+      code: promoCode.code,
+      type: promoCode.discount_type,
+      value: Number(promoCode.discount_value),
+    },
+  };
+};
+
+// Why a reservation was refused (see reservePromoCodeUse)
+const LIMIT_REASONS = {
+  inactive: "Unknown promo code",
+  total: "This promo code has reached its usage limit",
+  user: "You have already used this promo code",
+};
+
+/**
+ * Redeem a validated promo code for an order, unless its uses ran out meanwhile
+ * validatePromoCode only checks; this is the atomic step that takes a use
+ * @param {object} promo - Promo from validatePromoCode
+ * @param {number} userId - User ID
+ * @param {string|null} paymentId - Payment the discount applies to (null for free orders)
+ * @param {number} discount - Discount in the pricing currency
+ * @param {number|null} holdSeconds - Free orders: how long the use is held unless a token is deployed
+ * @returns {Promise<object>} { valid: boolean, useId?: number, reason?: string }
+ */
+const reservePromoCode = async (promo, userId, paymentId, discount, holdSeconds = null) => {
+  const result = await reservePromoCodeUse(promo.id, userId, paymentId, discount, holdSeconds);
+  if (result.limit) {
+    return { valid: false, reason: LIMIT_REASONS[result.limit] };
+  }
+  return { valid: true, useId: result.useId };
+};
+
+/**
+ * Describe a promo discount for messages (e.g. "50%" or "5 USDT")
+ * @param {object} promo - Promo from validatePromoCode
+ * @param {string} currency - Pricing currency
+ * @returns {string}
+ */
+const formatPromoDiscount = (promo, currency) =>
+  promo.type === "percent" ? `${promo.value}%` : `${promo.value} ${currency}`;
+
+module.exports = {
+  validatePromoCode,
+  reservePromoCode,
+  formatPromoDiscount,
+};
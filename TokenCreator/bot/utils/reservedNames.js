@@ -0,0 +1,111 @@
+const { getReservedNames, getReservedNameOverrides } = require("./database");
+const { RESERVED_TOKENS } = require("../config/constants");
+
+// Look-alike letters from other scripts (after NFKD, which already folds full-width and styled letters)
+const HOMOGLYPHS = {
+  "а": "a", "в": "b", "с": "c", "е": "e", "ё": "e", "һ": "h", "н": "h", "і": "i", "ї": "i", "ј": "j",
+  "к": "k", "м": "m", "о": "o", "р": "p", "ԛ": "q", "ѕ": "s", "т": "t", "у": "y", "х": "x", "ԝ": "w",
+  "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "μ": "u", "ν": "v", "ο": "o", "ρ": "p",
+  "τ": "t", "υ": "u", "χ": "x", "ω": "w", "ß": "ss",
+};
+
+// Digits and symbols used in place of letters; "l" and "1" both read as "i"
+const SUBSTITUTIONS = {
+  "0": "o", "1": "i", "2": "z", "3": "e", "4": "a", "5": "s", "6": "g", "7": "t", "8": "b", "9": "g",
+  "l": "i", "|": "i", "!": "i", "$": "s", "@": "a",
+};
+
+/**
+ * Reduce a name or symbol to the form used for matching: no case, accents, homoglyphs,
+ * digit substitutions, whitespace or punctuation ("T3ther  U$D" -> "tetherusd")
+ * @param {string} value - Name or symbol
+ * @returns {string}
+ */
+const normalizeTokenText = (value) =>
+  Array.from(
+    String(value)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "") // accents split off by NFKD
+      .toLowerCase()
+  )
+    .map((char) => HOMOGLYPHS[char] || SUBSTITUTIONS[char] || char)
+    .join("")
+    .replace(/[^a-z]/g, "");
+
+/**
+ * Edit distance (one substitution, insertion, deletion or swap of neighbours counts as 1),
+ * stopping early above 1 since only "equal" or "one typo" matters
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 0, 1 or 2 (2 = more than one edit)
+ */
+const editDistanceUpToOne = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (Math.abs(a.length - b.length) > 1) {
+    return 2;
+  }
+
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i++;
+  }
+  // One substitution, insertion, deletion or swap at the first difference
+  const rest = (x, y) => a.substring(x) === b.substring(y);
+  const swapped = a[i] === b[i + 1] && a[i + 1] === b[i] && rest(i + 2, i + 2);
+  if (rest(i + 1, i + 1) || rest(i + 1, i) || rest(i, i + 1) || swapped) {
+    return 1;
+  }
+  return 2;
+};
+
+/**
+ * Check a token name or symbol against the reserved registry
+ * Names also match a reserved name with one typo or inside a longer name (for entries of at least
+ * FUZZY_MIN_LENGTH letters); symbols and short names must match exactly after normalization.
+ * Names are compared with reserved symbols too, and symbols with reserved names
+ * @param {string} value - Name or symbol entered by the user
+ * @param {string} kind - "name" or "symbol"
+ * @param {number} userId - User ID (overrides approved by admins are honoured)
+ * @returns {Promise<string|null>} The reserved entry it imitates, or null
+ */
+const findReservedMatch = async (value, kind, userId) => {
+  const normalized = normalizeTokenText(value);
+  if (!normalized) {
+    return null;
+  }
+
+  const overrides = await getReservedNameOverrides(userId, kind);
+  if (overrides.includes(normalized)) {
+    return null;
+  }
+
+  const added = await getReservedNames();
+  const names = [...RESERVED_TOKENS.NAMES, ...added.filter((row) => row.kind === "name").map((row) => row.value)];
+  const symbols = [...RESERVED_TOKENS.SYMBOLS, ...added.filter((row) => row.kind === "symbol").map((row) => row.value)];
+
+  const fuzzy = kind === "name";
+  for (const reserved of kind === "name" ? [...names, ...symbols] : [...symbols, ...names]) {
+    const target = normalizeTokenText(reserved);
+    if (!target) {
+      continue;
+    }
+    if (normalized === target) {
+      return reserved;
+    }
+    const isName = names.includes(reserved);
+    if (fuzzy && isName && target.length >= RESERVED_TOKENS.FUZZY_MIN_LENGTH) {
+      if (normalized.includes(target) || editDistanceUpToOne(normalized, target) === 1) {
+        return reserved;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeTokenText,
+  findReservedMatch,
+};
@@ -0,0 +1,113 @@
+const { pool } = require("./database");
+const { SHUTDOWN } = require("../config/constants");
+
+let shuttingDown = false;
+let nextOperationId = 1;
+const operations = new Map(); // id -> { name, done } of running deployments and payment checks
+const stopHandlers = []; // { name, handler } run when the shutdown starts
+
+/**
+ * Whether a shutdown has started (new deployments are refused from then on)
+ * @returns {boolean}
+ */
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Run an operation the shutdown waits for
+ * @param {string} name - Description for the shutdown log (e.g. "deployment for user 12")
+ * @param {Function} fn - async () => any
+ * @returns {Promise<any>} Result of fn
+ */
+const trackOperation = (name, fn) => {
+  const id = nextOperationId++;
+  const promise = Promise.resolve().then(fn);
+  const done = promise.then(
+    () => operations.delete(id),
+    () => operations.delete(id)
+  );
+  operations.set(id, { name, done });
+  return promise;
+};
+
+/**
+ * Register a step that stops new work when the shutdown starts (stop updates, stop the payment watcher...)
+ * Handlers run in registration order before running operations are drained
+ * @param {string} name - Name for the shutdown log
+ * @param {Function} handler - async () => void
+ */
+const onShutdown = (name, handler) => {
+  stopHandlers.push({ name, handler });
+};
+
+/**
+ * Stop accepting new work, wait for running operations and close the database pool
+ * Deployments still running after SHUTDOWN.DRAIN_TIMEOUT keep their row in the deployment queue
+ * and are picked up again by the queue worker on the next start
+ * @param {string} signal - Signal that triggered the shutdown
+ * @returns {Promise<void>}
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log(`\n${signal} received - shutting down bot...`);
+
+  for (const { name, handler } of stopHandlers) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`Error stopping ${name}:`, error);
+    }
+  }
+
+  if (!(await drainOperations(SHUTDOWN.DRAIN_TIMEOUT))) {
+    const names = [...operations.values()].map((operation) => operation.name);
+    console.warn(`⚠️ Shutdown timed out with ${names.length} operation(s) running: ${names.join(", ")}`);
+    console.warn("Unfinished deployments stay in the deployment queue and resume on the next start");
+    return; // Leave the pool open: the process exits right after
+  }
+
+  try {
+    await pool.end();
+  } catch (error) {
+    console.error("Error closing database pool:", error);
+  }
+  console.log("✅ Shutdown complete");
+};
+
+/**
+ * Wait until no tracked operation is running
+ * Operations started while draining (e.g. a payment check finishing a cycle) are waited for too
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<boolean>} True if every operation finished in time
+ */
+const drainOperations = async (timeout) => {
+  const deadline = Date.now() + timeout;
+
+  while (operations.size > 0) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return false;
+    }
+
+    const names = [...operations.values()].map((operation) => operation.name);
+    console.log(`⏳ Waiting for ${names.length} operation(s): ${names.join(", ")}`);
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(resolve, remaining);
+    });
+    await Promise.race([Promise.all([...operations.values()].map((operation) => operation.done)), timedOut]);
+    clearTimeout(timer);
+  }
+
+  return true;
+};
+
+module.exports = {
+  isShuttingDown,
+  trackOperation,
+  onShutdown,
+  shutdown,
+};
@@ -0,0 +1,57 @@
+const { USER_SIGNING } = require("../config/constants");
+
+const watches = new Map(); // key -> timeout of the next check
+
+/**
+ * Poll for a transaction the user signs in their own wallet
+ * check() runs every interval until it returns true or the watch times out;
+ * errors are logged and the next check still runs. Starting a watch with the
+ * same key replaces the previous one.
+ * @param {string} key - Watch key (e.g. "deploy_<telegramId>")
+ * @param {Function} check - async () => boolean, true when the watch is done
+ * @param {object} options - { interval, timeout, onTimeout: async () => void }
+ */
+const watchUntil = (key, check, options = {}) => {
+  const interval = options.interval || USER_SIGNING.POLL_INTERVAL;
+  const deadline = Date.now() + (options.timeout || USER_SIGNING.WATCH_TIMEOUT);
+
+  stopWatch(key);
+
+  const poll = async () => {
+    watches.delete(key);
+    try {
+      if (await check()) {
+        return;
+      }
+    } catch (error) {
+      console.error(`Error in watch ${key}:`, error);
+    }
+
+    if (Date.now() > deadline) {
+      if (options.onTimeout) {
+        await options.onTimeout().catch((error) => console.error(`Error in watch ${key} timeout:`, error));
+      }
+      return;
+    }
+    watches.set(key, setTimeout(poll, interval));
+  };
+
+  watches.set(key, setTimeout(poll, interval));
+};
+
+/**
+ * Stop a running watch
+ * @param {string} key - Watch key
+ */
+const stopWatch = (key) => {
+  const timer = watches.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    watches.delete(key);
+  }
+};
+
+module.exports = {
+  watchUntil,
+  stopWatch,
+};
@@ -1,4 +1,5 @@
 const { ethers } = require("ethers");
+const { FEATURE_LIMITS } = require("../config/constants");
 
 /**
  * Validate Ethereum address
@@ -94,6 +95,98 @@ const isValidTaxPercent = (percent) => {
   return true;
 };
 
+/**
+ * Parse fee percentages: one number for buys, sells and transfers, or three (buy sell transfer)
+ * @param {string} text - e.g. "5" or "3 5 0" (separated by spaces, commas or slashes)
+ * @returns {object|null} { buy, sell, transfer }, or null if invalid
+ */
+const parseFeePercents = (text) => {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+  const parts = text.trim().split(/[\s,/]+/).filter(Boolean);
+  if (parts.length !== 1 && parts.length !== 3) {
+    return null;
+  }
+  // Whole percents only: the contract stores them as uint8
+  if (!parts.every((part) => /^\d{1,3}$/.test(part) && isValidTaxPercent(part))) {
+    return null;
+  }
+  const [buy, sell = buy, transfer = buy] = parts.map((part) => parseInt(part, 10));
+  return { buy, sell, transfer };
+};
+
+/**
+ * Parse an anti-whale limit in percent of supply
+ * Up to two decimals (the contract stores basis points); "0" or "none" means no limit
+ * @param {string} text - e.g. "1", "0.5" or "none"
+ * @param {string} limit - "maxTransaction" or "maxWallet"
+ * @returns {number|null} Percent (0 for no limit), or null if invalid or outside the bounds
+ */
+const parseLimitPercent = (text, limit) => {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+  const trimmed = text.trim().replace(/%$/, "").trim().toLowerCase();
+  if (trimmed === "none" || trimmed === "no") {
+    return 0;
+  }
+  if (!/^\d{1,3}(\.\d{1,2})?$/.test(trimmed)) {
+    return null;
+  }
+  const percent = parseFloat(trimmed);
+  if (percent === 0) {
+    return 0;
+  }
+  const min = limit === "maxWallet" ? FEATURE_LIMITS.MIN_MAX_WALLET : FEATURE_LIMITS.MIN_MAX_TRANSACTION;
+  if (percent < min || percent > FEATURE_LIMITS.MAX_LIMIT) {
+    return null;
+  }
+  return percent;
+};
+
+/**
+ * Validate a pair of anti-whale limits: a wallet must be able to hold at least one max transaction
+ * @param {number} maxTransactionPercent - Max transaction (0 = no limit)
+ * @param {number} maxWalletPercent - Max wallet (0 = no limit)
+ * @returns {boolean}
+ */
+const isValidLimitPair = (maxTransactionPercent, maxWalletPercent) => {
+  if (!maxWalletPercent || !maxTransactionPercent) {
+    return true;
+  }
+  return maxTransactionPercent <= maxWalletPercent;
+};
+
+/**
+ * Parse the anti-snipe window of a manual launch
+ * @param {string} text - Number of blocks, 0 for no window
+ * @returns {number|null} Blocks, or null if invalid
+ */
+const parseAntiSnipeBlocks = (text) => parseWholeNumber(text, FEATURE_LIMITS.MAX_ANTI_SNIPE_BLOCKS);
+
+/**
+ * Parse the extra sell fee during the anti-snipe window
+ * @param {string} text - Percent (whole number), 0 for none
+ * @returns {number|null} Percent, or null if invalid
+ */
+const parseAntiSnipeSellFee = (text) =>
+  parseWholeNumber(typeof text === "string" ? text.replace(/%\s*$/, "") : text, FEATURE_LIMITS.MAX_ANTI_SNIPE_SELL_FEE);
+
+/**
+ * Parse a whole number between 0 and max
+ * @param {string} text - Input
+ * @param {number} max - Largest accepted value
+ * @returns {number|null}
+ */
+const parseWholeNumber = (text, max) => {
+  if (!text || typeof text !== "string" || !/^\d{1,3}$/.test(text.trim())) {
+    return null;
+  }
+  const value = parseInt(text.trim(), 10);
+  return value <= max ? value : null;
+};
+
 /**
  * Sanitize user input
  * @param {string} input - Input to sanitize
@@ -120,6 +213,11 @@ module.exports = {
   isValidTokenSymbol,
   isValidSupply,
   isValidTaxPercent,
+  parseFeePercents,
+  parseLimitPercent,
+  isValidLimitPair,
+  parseAntiSnipeBlocks,
+  parseAntiSnipeSellFee,
   sanitizeInput,
 };
 
@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getFeeSchedules, formatFeeSchedules } = require('./feeSchedules');
 
 /**
  * Store comprehensive deployment information
@@ -36,6 +37,9 @@ function storeDeploymentInfo(deploymentData) {
             enableReflection: deploymentData.enableReflection,
             enableBurn: deploymentData.enableBurn
         },
+
+        // Buy / sell schedules and DEX router (null for tokens from older factories)
+        trading: deploymentData.trading || null,
         
         // Contract owner
         owner: deploymentData.owner,
@@ -61,7 +65,8 @@ function storeDeploymentInfo(deploymentData) {
             deploymentData.burnPercent,
             deploymentData.enableReflection,
             deploymentData.enableBurn,
-            deploymentData.owner
+            deploymentData.owner,
+            ...(deploymentData.trading ? [deploymentData.trading] : [])
         ],
         
         // Gas information
@@ -119,7 +124,7 @@ La verificación automática de source code NO funcionará.
 - Tax Wallet: <code>${deploymentInfo.fees.taxWallet}</code>
 - Reflection: ${deploymentInfo.fees.reflectionPercent}%
 - Burn: ${deploymentInfo.fees.burnPercent}%
-
+${deploymentInfo.trading ? formatFeeSchedules(getFeeSchedules({ ...deploymentInfo.fees, ...deploymentInfo.trading })) + '\n' : ''}${deploymentInfo.trading && (deploymentInfo.trading.maxTransactionBps || deploymentInfo.trading.maxWalletBps) ? `- Max Transaction: ${deploymentInfo.trading.maxTransactionBps / 100}% · Max Wallet: ${deploymentInfo.trading.maxWalletBps / 100}% (0 = none)\n` : ''}${deploymentInfo.trading && deploymentInfo.trading.manualLaunch ? `- Manual launch · Anti-snipe: ${deploymentInfo.trading.antiSnipeBlocks} blocks, +${deploymentInfo.trading.antiSnipeSellFee}% sell fee\n` : ''}
 <b>Owner:</b> <code>${deploymentInfo.owner}</code>
 
 <b>Compiler:</b> ${deploymentInfo.compilation.compiler}
@@ -130,6 +135,23 @@ La verificación automática de source code NO funcionará.
     `;
 }
 
+/**
+ * Trading settings stored with a token row (deployment_info), for its constructor arguments
+ * Returns null for tokens from older factories, which have no such argument
+ */
+function getStoredTradingConfig(token) {
+    if (!token || !token.deployment_info) return null;
+    try {
+        const info = typeof token.deployment_info === 'string'
+            ? JSON.parse(token.deployment_info)
+            : token.deployment_info;
+        return info.trading || null;
+    } catch (error) {
+        console.error('Error parsing deployment_info:', error);
+        return null;
+    }
+}
+
 /**
  * Validate deployment bytecode exists and has expected size
  */
@@ -157,6 +179,7 @@ async function validateDeployment(provider, contractAddress, expectedMinSize = 5
 module.exports = {
     storeDeploymentInfo,
     generateVerificationInstructions,
+    getStoredTradingConfig,
     validateDeployment
 };
 
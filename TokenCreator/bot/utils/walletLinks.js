@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { USER_SIGNING, getNetwork, NETWORKS } = require("../config/constants");
+
+/**
+ * Transaction request in the EIP-1193 / WalletConnect eth_sendTransaction format
+ * @param {object} tx - { from, to, data, value, chainId, gasLimit, gasPrice }
+ * @returns {object} Request with hex quantities
+ */
+const buildTransactionRequest = (tx) => {
+  const request = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: ethers.toQuantity(tx.value || 0n),
+    chainId: ethers.toQuantity(tx.chainId),
+  };
+  if (tx.gasLimit) {
+    request.gas = ethers.toQuantity(tx.gasLimit);
+  }
+  if (tx.gasPrice) {
+    request.gasPrice = ethers.toQuantity(tx.gasPrice);
+  }
+  return request;
+};
+
+/**
+ * WalletConnect session request payload for a transaction
+ * @param {object} tx - Unsigned transaction
+ * @returns {object} { chainId: "eip155:<id>", request: { method, params } }
+ */
+const buildWalletConnectRequest = (tx) => ({
+  chainId: `eip155:${tx.chainId}`,
+  request: {
+    method: "eth_sendTransaction",
+    params: [buildTransactionRequest(tx)],
+  },
+});
+
+/**
+ * EIP-681 payment link (ethereum:<to>@<chainId>?...) understood by most mobile wallets
+ * @param {object} tx - Unsigned transaction
+ * @returns {string}
+ */
+const buildEip681Link = (tx) => {
+  const params = [`value=${tx.value || 0}`];
+  if (tx.gasLimit) {
+    params.push(`gasLimit=${tx.gasLimit}`);
+  }
+  if (tx.gasPrice) {
+    params.push(`gasPrice=${tx.gasPrice}`);
+  }
+  params.push(`data=${tx.data}`);
+  return `ethereum:${tx.to}@${tx.chainId}?${params.join("&")}`;
+};
+
+/**
+ * Link to the configured signing page, which opens the user's wallet with the transaction
+ * @param {object} tx - Unsigned transaction
+ * @returns {string|null} URL, or null when WALLET_SIGNING_PAGE_URL is not set
+ */
+const buildSigningPageUrl = (tx) => {
+  if (!USER_SIGNING.SIGNING_PAGE_URL) {
+    return null;
+  }
+  const payload = Buffer.from(JSON.stringify(buildTransactionRequest(tx))).toString("base64url");
+  return `${USER_SIGNING.SIGNING_PAGE_URL}#tx=${payload}`;
+};
+
+/**
+ * Name of the network a chain ID belongs to
+ * @param {number} chainId - Chain ID
+ * @returns {string}
+ */
+const getChainName = (chainId) => {
+  const key = Object.keys(NETWORKS).find((networkKey) => NETWORKS[networkKey].chainId === Number(chainId));
+  return key ? getNetwork(key).name : `chain ${chainId}`;
+};
+
+/**
+ * Send a transaction for the user to sign in their own wallet
+ * Sends the deep links as a message and the WalletConnect payload as a JSON document
+ * @param {object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {object} tx - Unsigned transaction
+ * @param {object} options - { title, description, fileName }
+ * @returns {Promise<void>}
+ */
+const sendSigningRequest = async (bot, chatId, tx, options = {}) => {
+  const signingUrl = buildSigningPageUrl(tx);
+  const eip681 = buildEip681Link(tx);
+
+  let message =
+    `${options.title || "✍️ <b>Sign in your wallet</b>"}\n\n` +
+    (options.description ? `${options.description}\n\n` : "") +
+    `🌐 Network: ${getChainName(tx.chainId)}\n` +
+    `👤 Sign from: <code>${tx.from}</code>\n` +
+    `📍 Contract: <code>${tx.to}</code>\n\n`;
+
+  if (signingUrl) {
+    message += "Tap <b>Open wallet</b> below to review and sign the transaction.\n\n";
+  }
+  // Telegram messages are limited to 4096 characters; long links are only in the file
+  if (eip681.length < 3000) {
+    message += `📱 Wallet link (EIP-681):\n<code>${eip681}</code>\n\n`;
+  }
+  message += "The attached file holds the WalletConnect <code>eth_sendTransaction</code> request.";
+
+  await bot.sendMessage(chatId, message, {
+    parse_mode: "HTML",
+    reply_markup: signingUrl ? { inline_keyboard: [[{ text: "👛 Open wallet", url: signingUrl }]] } : undefined,
+  });
+
+  const tempDir = path.join(__dirname, "../../temp");
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  const tempFile = path.join(tempDir, `${options.fileName || "transaction"}_${Date.now()}.json`);
+  fs.writeFileSync(tempFile, JSON.stringify(buildWalletConnectRequest(tx), null, 2));
+
+  try {
+    await bot.sendDocument(chatId, tempFile, { caption: "🔐 Transaction request (eth_sendTransaction)" });
+  } catch (error) {
+    console.error("Error sending document:", error);
+    await bot.sendMessage(
+      chatId,
+      `<b>Calldata:</b>\n<code>${tx.data}</code>`,
+      { parse_mode: "HTML" }
+    );
+  } finally {
+    setTimeout(() => {
+      try {
+        if (fs.existsSync(tempFile)) {
+          fs.unlinkSync(tempFile);
+        }
+      } catch (e) {
+        console.error("Error deleting temp file:", e);
+      }
+    }, 5000);
+  }
+};
+
+module.exports = {
+  buildTransactionRequest,
+  buildWalletConnectRequest,
+  buildEip681Link,
+  buildSigningPageUrl,
+  sendSigningRequest,
+};
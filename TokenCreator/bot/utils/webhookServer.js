@@ -0,0 +1,216 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { pool } = require("./database");
+const { WEBHOOK } = require("../config/constants");
+
+let server = null;
+let ready = false;
+
+/**
+ * Start receiving updates in the configured mode (BOT_MODE)
+ * Handlers are registered on the bot before this is called, so both modes route the same way:
+ * polling and webhook updates both go through bot.processUpdate
+ * @param {object} bot - Telegram bot instance (created with polling autoStart off)
+ * @returns {Promise<void>}
+ */
+const startUpdates = async (bot) => {
+  if (WEBHOOK.ENABLED) {
+    validateWebhookConfig();
+    server = await startHttpServer(bot, new URL(WEBHOOK.URL).pathname);
+
+    await bot.setWebHook(WEBHOOK.URL, {
+      secret_token: WEBHOOK.SECRET,
+      max_connections: WEBHOOK.MAX_CONNECTIONS,
+      ...(WEBHOOK.SELF_SIGNED ? { certificate: WEBHOOK.TLS_CERT } : {}),
+    });
+    console.log(`🌐 Webhook mode: Telegram posts updates to ${WEBHOOK.URL}`);
+  } else {
+    if (WEBHOOK.PORT) {
+      server = await startHttpServer(bot, null);
+    }
+    // Telegram refuses getUpdates while a webhook is set (e.g. after switching back from webhook mode)
+    await bot.deleteWebHook();
+    await bot.startPolling();
+    console.log("🔄 Polling mode");
+  }
+
+  ready = true;
+};
+
+/**
+ * Stop receiving updates: stop polling or close the HTTP server
+ * The webhook stays registered, so Telegram queues updates until the bot is back
+ * @param {object} bot - Telegram bot instance
+ * @returns {Promise<void>}
+ */
+const stopUpdates = async (bot) => {
+  ready = false;
+  if (bot.isPolling()) {
+    await bot.stopPolling();
+  }
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+    server = null;
+  }
+};
+
+/**
+ * Fail fast on an incomplete webhook configuration
+ */
+const validateWebhookConfig = () => {
+  if (!WEBHOOK.URL || !WEBHOOK.URL.startsWith("https://")) {
+    throw new Error("WEBHOOK_URL must be set to a public https:// URL in webhook mode");
+  }
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK.SECRET)) {
+    throw new Error("WEBHOOK_SECRET must be set (1-256 characters: letters, digits, _ and -) in webhook mode");
+  }
+  if ((WEBHOOK.TLS_CERT || WEBHOOK.SELF_SIGNED) && !(WEBHOOK.TLS_CERT && WEBHOOK.TLS_KEY)) {
+    throw new Error("WEBHOOK_TLS_CERT and WEBHOOK_TLS_KEY must both be set to serve HTTPS");
+  }
+};
+
+/**
+ * Start the HTTP(S) server: the webhook endpoint (webhook mode) plus /health and /ready
+ * @param {object} bot - Telegram bot instance
+ * @param {string|null} webhookPath - Path Telegram posts updates to, null in polling mode
+ * @returns {Promise<object>} Listening server
+ */
+const startHttpServer = (bot, webhookPath) => {
+  const handler = (req, res) => {
+    handleRequest(bot, webhookPath, req, res).catch((error) => {
+      console.error("Error in webhook server:", error);
+      sendJson(res, 500, { error: "internal error" });
+    });
+  };
+
+  const httpServer = WEBHOOK.TLS_CERT
+    ? https.createServer({ cert: fs.readFileSync(WEBHOOK.TLS_CERT), key: fs.readFileSync(WEBHOOK.TLS_KEY) }, handler)
+    : http.createServer(handler);
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(WEBHOOK.PORT, WEBHOOK.HOST, () => {
+      console.log(`🌐 HTTP server listening on ${WEBHOOK.HOST}:${WEBHOOK.PORT}`);
+      resolve(httpServer);
+    });
+  });
+};
+
+/**
+ * Route one HTTP request
+ * @param {object} bot - Telegram bot instance
+ * @param {string|null} webhookPath - Webhook path, null in polling mode
+ * @param {object} req - HTTP request
+ * @param {object} res - HTTP response
+ * @returns {Promise<void>}
+ */
+const handleRequest = async (bot, webhookPath, req, res) => {
+  const path = req.url.split("?")[0];
+
+  if (req.method === "GET" && path === "/health") {
+    sendJson(res, 200, { status: "ok", mode: WEBHOOK.ENABLED ? "webhook" : "polling", uptime: Math.round(process.uptime()) });
+    return;
+  }
+
+  if (req.method === "GET" && path === "/ready") {
+    if (!ready) {
+      sendJson(res, 503, { status: "starting" });
+      return;
+    }
+    try {
+      await pool.query("SELECT 1");
+    } catch (error) {
+      sendJson(res, 503, { status: "database unavailable" });
+      return;
+    }
+    sendJson(res, 200, { status: "ready" });
+    return;
+  }
+
+  if (!webhookPath || path !== webhookPath) {
+    sendJson(res, 404, { error: "not found" });
+    return;
+  }
+  if (req.method !== "POST") {
+    sendJson(res, 405, { error: "method not allowed" });
+    return;
+  }
+  if (!isValidSecret(req.headers["x-telegram-bot-api-secret-token"])) {
+    sendJson(res, 401, { error: "unauthorized" });
+    return;
+  }
+
+  let update;
+  try {
+    update = JSON.parse(await readBody(req));
+  } catch (error) {
+    sendJson(res, error.statusCode || 400, { error: error.statusCode ? error.message : "invalid JSON" });
+    return;
+  }
+
+  // Answer at once: Telegram resends updates that are not acknowledged in time
+  sendJson(res, 200, { ok: true });
+  bot.processUpdate(update);
+};
+
+/**
+ * Compare the secret token header in constant time
+ * @param {string|undefined} header - X-Telegram-Bot-Api-Secret-Token
+ * @returns {boolean}
+ */
+const isValidSecret = (header) => {
+  if (typeof header !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(WEBHOOK.SECRET);
+  const received = Buffer.from(header);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Read a request body up to WEBHOOK.MAX_BODY_SIZE
+ * @param {object} req - HTTP request
+ * @returns {Promise<string>} Body
+ */
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= WEBHOOK.MAX_BODY_SIZE) {
+        chunks.push(chunk); // The rest of a larger body is drained and dropped
+      }
+    });
+    req.on("end", () => {
+      if (size > WEBHOOK.MAX_BODY_SIZE) {
+        const error = new Error("payload too large");
+        error.statusCode = 413;
+        reject(error);
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString("utf8"));
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * Send a JSON response
+ * @param {object} res - HTTP response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+module.exports = {
+  startUpdates,
+  stopUpdates,
+};
@@ -2,31 +2,133 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+
+/**
+ * @dev Minimal Uniswap V2 compatible router and factory, used to create the main pair
+ */
+interface IDexRouter {
+    function factory() external view returns (address);
+    function WETH() external view returns (address);
+}
+
+interface IDexFactory {
+    function createPair(address tokenA, address tokenB) external returns (address pair);
+}
 
 /**
  * @title SecureToken
- * @dev ERC-20 Token with immutable tax fee and wallet
+ * @dev ERC-20 Token with immutable buy, sell and transfer fees and tax wallet
  * Minting and burning are permanently disabled
+ * Ownership is handed over in two steps: transferOwnership sets a pending owner,
+ * who must call acceptOwnership. The owner can also renounce ownership.
  */
-contract SecureToken is ERC20, Ownable {
-    // Immutable tax parameters
+contract SecureToken is ERC20, Ownable2Step {
+    /**
+     * @dev Fees of one kind of transfer. Burn is taken from the amount, reflection
+     * from what is left after the burn, tax from what is left after the reflection
+     */
+    struct FeeSchedule {
+        uint8 taxPercent;
+        uint8 reflectionPercent;
+        uint8 burnPercent;
+    }
+
+    /**
+     * @dev Trading settings, passed after the original constructor arguments
+     * buyFees apply to transfers from an AMM pair, sellFees to transfers to one.
+     * dexRouter (Uniswap V2 compatible, or zero) is used to create the main pair.
+     * maxTransactionBps and maxWalletBps are the launch limits in basis points of the
+     * initial supply (100 = 1%), zero for no limit. With manualLaunch, buys and sells stay
+     * closed until the owner calls enableTrading; for antiSnipeBlocks blocks from then on,
+     * sells pay an extra antiSnipeSellFee percent, which is burned
+     */
+    struct TradingConfig {
+        FeeSchedule buyFees;
+        FeeSchedule sellFees;
+        address dexRouter;
+        uint16 maxTransactionBps;
+        uint16 maxWalletBps;
+        bool manualLaunch;
+        uint8 antiSnipeBlocks;
+        uint8 antiSnipeSellFee;
+    }
+
+    // Smallest limit the constructor accepts (0.1% of the supply), so a limit cannot lock holders in
+    uint16 private constant MIN_LIMIT_BPS = 10;
+
+    // Longest anti-snipe window and highest anti-snipe sell fee the constructor accepts
+    uint8 private constant MAX_ANTI_SNIPE_BLOCKS = 100;
+    uint8 private constant MAX_ANTI_SNIPE_SELL_FEE = 50;
+    // Immutable tax parameters (taxPercent, REFLECTION_PERCENT and BURN_PERCENT are the wallet-to-wallet schedule)
     uint256 public immutable taxPercent;
     address public immutable taxWallet;
 
+    // Buy and sell schedules
+    uint8 public immutable BUY_TAX_PERCENT;
+    uint8 public immutable BUY_REFLECTION_PERCENT;
+    uint8 public immutable BUY_BURN_PERCENT;
+    uint8 public immutable SELL_TAX_PERCENT;
+    uint8 public immutable SELL_REFLECTION_PERCENT;
+    uint8 public immutable SELL_BURN_PERCENT;
+
+    // DEX router and the token/WETH pair created with it (zero when no router was given)
+    address public immutable dexRouter;
+    address public immutable mainPair;
+
+    // AMM pairs: transfers from a pair are buys, transfers to a pair are sells
+    mapping(address => bool) public automatedMarketMakerPairs;
+
+    // Addresses whose transfers (sent or received) pay no fees. Exemptions can only lower fees:
+    // everyone else always pays the immutable schedules. They do not lift the launch limits or the
+    // trading gate. The owner's exemption moves with ownership
+    mapping(address => bool) public isExcludedFromFees;
+
+    // Block the token was created in (first block to scan for its events)
+    uint256 public immutable creationBlock;
+
+    // Anti-whale limits the token was created with (basis points of the initial supply, 0 = none)
+    uint16 public immutable MAX_TRANSACTION_BPS;
+    uint16 public immutable MAX_WALLET_BPS;
+
+    // Current limits in tokens (0 = no limit). The owner can only raise or remove them
+    uint256 public maxTransactionAmount;
+    uint256 public maxWalletAmount;
+
+    // Launch settings the token was created with
+    bool public immutable MANUAL_LAUNCH;
+    uint8 public immutable ANTI_SNIPE_BLOCKS;
+    uint8 public immutable ANTI_SNIPE_SELL_FEE;
+
+    // Buys and sells are allowed from tradingEnabledBlock on (the creation block without a manual launch)
+    bool public tradingEnabled;
+    uint256 public tradingEnabledBlock;
+
     // NEW: Reflection rewards configuration
     uint8 public immutable REFLECTION_PERCENT;
     uint8 public immutable BURN_PERCENT;
     bool public immutable HAS_REFLECTION;
     bool public immutable HAS_BURN;
 
-    // NEW: Track reflection balances for each holder (deprecated - using proportional system)
-    mapping(address => uint256) private _reflectionBalance;
+    // Reflection rewards are tracked per share (one share per token held): every reflection raises the
+    // reward per share, and each balance change books a correction, so a holder only earns on tokens
+    // while holding them. Values are magnified to keep the rounding loss negligible
+    uint256 private constant REFLECTION_MAGNITUDE = 2**128;
+    address private constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+    uint256 private _magnifiedReflectionPerShare;
+    mapping(address => int256) private _magnifiedReflectionCorrections;
     uint256 private _totalReflectionDistributed;
-    
+
     // NEW: Track how much reflection each holder has claimed
     mapping(address => uint256) private _reflectionClaimed;
 
+    // Balances that earn no reflection: the token contract (it holds the unclaimed rewards),
+    // AMM pairs and the burn address
+    mapping(address => bool) public isExcludedFromReflection;
+
+    // Sum of the balances that earn reflection
+    uint256 public totalReflectionShares;
+
     // Event emitted when tokens are transferred with tax
     event TokensTransferred(
         address indexed from,
@@ -44,6 +146,18 @@ contract SecureToken is ERC20, Ownable {
     // NEW: Event when tokens are burned
     event TokensBurned(address indexed from, uint256 amount);
 
+    // Event when an address is added to or removed from the AMM pairs
+    event AutomatedMarketMakerPairUpdated(address indexed pair, bool isPair);
+
+    // Event when an address is exempted from fees or its exemption is removed
+    event ExcludedFromFees(address indexed account, bool isExcluded);
+
+    // Event when the owner loosens or removes the anti-whale limits
+    event LimitsUpdated(uint256 maxTransactionAmount, uint256 maxWalletAmount);
+
+    // Event when the owner opens trading (manual launch)
+    event TradingEnabled(uint256 blockNumber);
+
     /**
      * @dev Constructor
      * @param _name Token name
@@ -56,6 +170,7 @@ contract SecureToken is ERC20, Ownable {
      * @param _enableReflection Enable reflection feature
      * @param _enableBurn Enable burn feature
      * @param _initialOwner Initial owner address
+     * @param _trading Buy and sell schedules, the DEX router, the anti-whale limits and the launch settings
      */
     constructor(
         string memory _name,
@@ -67,7 +182,8 @@ contract SecureToken is ERC20, Ownable {
         uint8 _burnPercent,
         bool _enableReflection,
         bool _enableBurn,
-        address _initialOwner
+        address _initialOwner,
+        TradingConfig memory _trading
     ) ERC20(_name, _symbol) Ownable(_initialOwner) {
         require(_taxPercent <= 100, "Tax percent must be <= 100");
         require(_reflectionPercent <= 100, "Reflection percent must be <= 100");
@@ -75,8 +191,8 @@ contract SecureToken is ERC20, Ownable {
         require(_initialOwner != address(0), "Owner cannot be zero address");
         require(_initialSupply > 0, "Initial supply must be > 0");
         
-        // Tax wallet is only required if tax percent > 0
-        if (_taxPercent > 0) {
+        // Tax wallet is only required if a schedule has tax > 0
+        if (_taxPercent > 0 || _trading.buyFees.taxPercent > 0 || _trading.sellFees.taxPercent > 0) {
             require(_taxWallet != address(0), "Tax wallet cannot be zero address when tax > 0");
         }
 
@@ -92,9 +208,57 @@ contract SecureToken is ERC20, Ownable {
             "Total fees cannot exceed 100%"
         );
 
+        require(_totalFees(_trading.buyFees) <= 100, "Total buy fees cannot exceed 100%");
+        require(_totalFees(_trading.sellFees) <= 100, "Total sell fees cannot exceed 100%");
+        require(_isValidLimit(_trading.maxTransactionBps), "Max transaction must be 0.1-100% of supply or 0");
+        require(_isValidLimit(_trading.maxWalletBps), "Max wallet must be 0.1-100% of supply or 0");
+        require(_trading.antiSnipeBlocks <= MAX_ANTI_SNIPE_BLOCKS, "Anti-snipe window cannot exceed 100 blocks");
+        require(_trading.antiSnipeSellFee <= MAX_ANTI_SNIPE_SELL_FEE, "Anti-snipe sell fee cannot exceed 50%");
+
         taxPercent = _taxPercent;
         taxWallet = _taxWallet;
 
+        BUY_TAX_PERCENT = _trading.buyFees.taxPercent;
+        BUY_REFLECTION_PERCENT = _trading.buyFees.reflectionPercent;
+        BUY_BURN_PERCENT = _trading.buyFees.burnPercent;
+        SELL_TAX_PERCENT = _trading.sellFees.taxPercent;
+        SELL_REFLECTION_PERCENT = _trading.sellFees.reflectionPercent;
+        SELL_BURN_PERCENT = _trading.sellFees.burnPercent;
+
+        // Create the token/WETH pair up front, so buys and sells are detected from the first trade
+        address pair = address(0);
+        if (_trading.dexRouter != address(0)) {
+            IDexRouter router = IDexRouter(_trading.dexRouter);
+            pair = IDexFactory(router.factory()).createPair(address(this), router.WETH());
+            automatedMarketMakerPairs[pair] = true;
+            _setExcludedFromReflection(pair, true);
+            emit AutomatedMarketMakerPairUpdated(pair, true);
+        }
+        dexRouter = _trading.dexRouter;
+        mainPair = pair;
+
+        // The owner wallet (exempted by _transferOwnership), the tax wallet and the token itself move tokens without fees
+        _setExcludedFromFees(address(this), true);
+        if (_taxWallet != address(0)) {
+            _setExcludedFromFees(_taxWallet, true);
+        }
+        _setExcludedFromReflection(address(this), true);
+        _setExcludedFromReflection(DEAD_ADDRESS, true);
+        creationBlock = block.number;
+
+        MAX_TRANSACTION_BPS = _trading.maxTransactionBps;
+        MAX_WALLET_BPS = _trading.maxWalletBps;
+        maxTransactionAmount = (_initialSupply * _trading.maxTransactionBps) / 10000;
+        maxWalletAmount = (_initialSupply * _trading.maxWalletBps) / 10000;
+
+        MANUAL_LAUNCH = _trading.manualLaunch;
+        ANTI_SNIPE_BLOCKS = _trading.antiSnipeBlocks;
+        ANTI_SNIPE_SELL_FEE = _trading.antiSnipeSellFee;
+        if (!_trading.manualLaunch) {
+            tradingEnabled = true;
+            tradingEnabledBlock = block.number;
+        }
+
         // Mint initial supply to the initial owner
         _mint(_initialOwner, _initialSupply);
     }
@@ -105,82 +269,185 @@ contract SecureToken is ERC20, Ownable {
      * @param amount Amount to transfer
      */
     function transfer(address to, uint256 amount) public override returns (bool) {
-        address sender = _msgSender();
-        uint256 burnAmount = 0;
-        uint256 reflectionAmount = 0;
-        uint256 taxAmount = 0;
-        uint256 netAmount = amount;
+        _transferWithFees(_msgSender(), to, amount);
+        return true;
+    }
 
-        // NEW: Calculate burn amount if enabled
-        if (HAS_BURN && sender != address(0)) {
-            burnAmount = (amount * BURN_PERCENT) / 100;
-            netAmount -= burnAmount;
-        }
+    /**
+     * @dev Override transferFrom to apply burn, reflection, and tax
+     * @param from Sender address
+     * @param to Recipient address
+     * @param amount Amount to transfer
+     */
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        address spender = _msgSender();
+        _spendAllowance(from, spender, amount);
+        _transferWithFees(from, to, amount);
+        return true;
+    }
 
-        // NEW: Calculate reflection amount if enabled
-        if (HAS_REFLECTION && sender != address(0)) {
-            reflectionAmount = (netAmount * REFLECTION_PERCENT) / 100;
-            netAmount -= reflectionAmount;
+    /**
+     * @dev Add or remove an AMM pair (e.g. a second pair on another DEX)
+     * Only contracts can be pairs, and the main pair cannot be removed. Pairs earn no reflection
+     * @param pair Pair address
+     * @param isPair True to treat transfers from/to the pair as buys/sells
+     */
+    function setAutomatedMarketMakerPair(address pair, bool isPair) external onlyOwner {
+        require(pair != mainPair || isPair, "The main pair cannot be removed");
+        require(pair != address(this), "The token cannot be a pair");
+        if (isPair) {
+            require(pair.code.length > 0, "Pair must be a contract");
+            require(!isExcludedFromFees[pair], "Fee exempt addresses cannot be pairs");
         }
+        automatedMarketMakerPairs[pair] = isPair;
+        _setExcludedFromReflection(pair, isPair);
+        emit AutomatedMarketMakerPairUpdated(pair, isPair);
+    }
 
-        // Calculate tax amount
-        if (taxPercent > 0 && taxWallet != address(0) && sender != taxWallet) {
-            taxAmount = (netAmount * taxPercent) / 100;
-            netAmount -= taxAmount;
-        }
+    /**
+     * @dev Exempt an address from fees (e.g. a presale contract or a locker) or remove its exemption
+     * Transfers from or to an exempt address pay no burn, reflection or tax; the schedules
+     * themselves cannot be changed, so this can never raise the fees anyone pays.
+     * AMM pairs cannot be exempt: that would make every buy and sell fee-free
+     * @param account Address to update
+     * @param excluded True to exempt the address
+     */
+    function setExcludedFromFees(address account, bool excluded) external onlyOwner {
+        require(account != address(0), "Account cannot be zero address");
+        require(!automatedMarketMakerPairs[account], "AMM pairs cannot be exempt from fees");
+        require(isExcludedFromFees[account] != excluded, "Account is already set to this value");
+        _setExcludedFromFees(account, excluded);
+    }
 
-        // Execute all transfers
-        if (burnAmount > 0) {
-            _update(sender, address(0), burnAmount);  // Burn tokens (reduce balance and totalSupply)
-            emit TokensBurned(sender, burnAmount);
-        }
-        
-        if (reflectionAmount > 0) {
-            _transfer(sender, address(this), reflectionAmount);  // Transfer reflection to contract (accumulates proportionally)
-            _totalReflectionDistributed += reflectionAmount;
-            emit ReflectionAdded(address(this), reflectionAmount);  // Emit event for tracking
+    /**
+     * @dev Raise or remove the anti-whale limits. A limit can never be lowered or set again once removed
+     * @param newMaxTransactionAmount New max tokens per transfer (0 removes the limit)
+     * @param newMaxWalletAmount New max tokens per wallet (0 removes the limit)
+     */
+    function updateLimits(uint256 newMaxTransactionAmount, uint256 newMaxWalletAmount) external onlyOwner {
+        require(_isLooser(newMaxTransactionAmount, maxTransactionAmount), "Max transaction can only be raised or removed");
+        require(_isLooser(newMaxWalletAmount, maxWalletAmount), "Max wallet can only be raised or removed");
+        maxTransactionAmount = newMaxTransactionAmount;
+        maxWalletAmount = newMaxWalletAmount;
+        emit LimitsUpdated(newMaxTransactionAmount, newMaxWalletAmount);
+    }
+
+    /**
+     * @dev Open buys and sells (manual launch). One-way: trading cannot be closed again
+     * The anti-snipe window starts at this block
+     */
+    function enableTrading() external onlyOwner {
+        require(!tradingEnabled, "Trading is already enabled");
+        tradingEnabled = true;
+        tradingEnabledBlock = block.number;
+        emit TradingEnabled(block.number);
+    }
+
+    /**
+     * @dev Renouncing before the launch would leave the token closed to trading for good
+     */
+    function renounceOwnership() public override onlyOwner {
+        require(tradingEnabled, "Enable trading before renouncing ownership");
+        super.renounceOwnership();
+    }
+
+    /**
+     * @dev Move the owner's fee exemption to the new owner (none after renouncing)
+     * The tax wallet keeps its own exemption if it was the previous owner
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+
+        if (previousOwner != address(0) && previousOwner != taxWallet && isExcludedFromFees[previousOwner]) {
+            _setExcludedFromFees(previousOwner, false);
         }
-        
-        if (taxAmount > 0) {
-            _transfer(sender, taxWallet, taxAmount);  // Send tax
+        if (newOwner != address(0) && !isExcludedFromFees[newOwner] && !automatedMarketMakerPairs[newOwner]) {
+            _setExcludedFromFees(newOwner, true);
         }
-        
-        _transfer(sender, to, netAmount);  // Send final amount
-        emit TokensTransferred(sender, to, netAmount, taxAmount);
+    }
 
-        return true;
+    /**
+     * @dev Buy, sell and wallet-to-wallet fee schedules
+     */
+    function getFeeSchedules()
+        external
+        view
+        returns (FeeSchedule memory buyFees, FeeSchedule memory sellFees, FeeSchedule memory transferFees)
+    {
+        buyFees = FeeSchedule(BUY_TAX_PERCENT, BUY_REFLECTION_PERCENT, BUY_BURN_PERCENT);
+        sellFees = FeeSchedule(SELL_TAX_PERCENT, SELL_REFLECTION_PERCENT, SELL_BURN_PERCENT);
+        transferFees = FeeSchedule(uint8(taxPercent), REFLECTION_PERCENT, BURN_PERCENT);
     }
 
     /**
-     * @dev Override transferFrom to apply burn, reflection, and tax
+     * @dev Apply the schedule of the transfer and move the tokens
+     * A transfer from an AMM pair is a buy, a transfer to one is a sell, anything else uses the
+     * transfer schedule. Transfers from or to a fee exempt address skip the schedule, nothing else.
+     * Buys and sells need trading to be enabled; sells in the anti-snipe window burn the anti-snipe fee first.
+     * The owner and the token itself are not held by the max transaction, the trading gate or the
+     * anti-snipe fee, so the owner can add liquidity before and right after the launch
      * @param from Sender address
      * @param to Recipient address
      * @param amount Amount to transfer
      */
-    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
-        address spender = _msgSender();
-        _spendAllowance(from, spender, amount);
+    function _transferWithFees(address from, address to, uint256 amount) private {
+        bool launchExempt = _isLaunchExempt(from) || _isLaunchExempt(to);
+        if (!launchExempt) {
+            if (maxTransactionAmount > 0) {
+                require(amount <= maxTransactionAmount, "Transfer amount exceeds the max transaction");
+            }
+            if (!tradingEnabled) {
+                require(!automatedMarketMakerPairs[from] && !automatedMarketMakerPairs[to], "Trading is not enabled yet");
+            }
+        }
+
+        FeeSchedule memory fees;
+        if (isExcludedFromFees[from] || isExcludedFromFees[to]) {
+            fees = FeeSchedule(0, 0, 0);
+        } else if (automatedMarketMakerPairs[from]) {
+            fees = FeeSchedule(BUY_TAX_PERCENT, BUY_REFLECTION_PERCENT, BUY_BURN_PERCENT);
+        } else if (automatedMarketMakerPairs[to]) {
+            fees = FeeSchedule(SELL_TAX_PERCENT, SELL_REFLECTION_PERCENT, SELL_BURN_PERCENT);
+        } else {
+            fees = FeeSchedule(uint8(taxPercent), REFLECTION_PERCENT, BURN_PERCENT);
+        }
 
         uint256 burnAmount = 0;
         uint256 reflectionAmount = 0;
         uint256 taxAmount = 0;
         uint256 netAmount = amount;
 
+        // Sells right after the launch pay the anti-snipe fee on top, burned like the burn fee
+        if (
+            !launchExempt &&
+            ANTI_SNIPE_SELL_FEE > 0 &&
+            automatedMarketMakerPairs[to] &&
+            !automatedMarketMakerPairs[from] &&
+            block.number < tradingEnabledBlock + ANTI_SNIPE_BLOCKS
+        ) {
+            uint256 snipeFee = (amount * ANTI_SNIPE_SELL_FEE) / 100;
+            _update(from, address(0), snipeFee);
+            emit TokensBurned(from, snipeFee);
+            amount -= snipeFee;
+            netAmount = amount;
+        }
+
         // NEW: Calculate burn amount if enabled
-        if (HAS_BURN && from != address(0)) {
-            burnAmount = (amount * BURN_PERCENT) / 100;
+        if (HAS_BURN) {
+            burnAmount = (amount * fees.burnPercent) / 100;
             netAmount -= burnAmount;
         }
 
         // NEW: Calculate reflection amount if enabled
-        if (HAS_REFLECTION && from != address(0)) {
-            reflectionAmount = (netAmount * REFLECTION_PERCENT) / 100;
+        if (HAS_REFLECTION) {
+            reflectionAmount = (netAmount * fees.reflectionPercent) / 100;
             netAmount -= reflectionAmount;
         }
 
         // Calculate tax amount
-        if (taxPercent > 0 && taxWallet != address(0) && from != taxWallet) {
-            taxAmount = (netAmount * taxPercent) / 100;
+        if (fees.taxPercent > 0 && taxWallet != address(0)) {
+            taxAmount = (netAmount * fees.taxPercent) / 100;
             netAmount -= taxAmount;
         }
 
@@ -191,9 +458,7 @@ contract SecureToken is ERC20, Ownable {
         }
         
         if (reflectionAmount > 0) {
-            _transfer(from, address(this), reflectionAmount);  // Transfer reflection to contract (accumulates proportionally)
-            _totalReflectionDistributed += reflectionAmount;
-            emit ReflectionAdded(address(this), reflectionAmount);  // Emit event for tracking
+            _transfer(from, address(this), reflectionAmount);  // The contract holds the rewards until they are claimed
         }
         
         if (taxAmount > 0) {
@@ -203,47 +468,148 @@ contract SecureToken is ERC20, Ownable {
         _transfer(from, to, netAmount);  // Send final amount
         emit TokensTransferred(from, to, netAmount, taxAmount);
 
-        return true;
+        if (reflectionAmount > 0) {
+            _distributeReflection(reflectionAmount);
+        }
+
+        // Pairs hold the liquidity and the burn address the burned tokens, so only wallets are capped
+        // (the owner and the token are not held by the limits)
+        if (maxWalletAmount > 0 && !automatedMarketMakerPairs[to] && to != DEAD_ADDRESS && !_isLaunchExempt(to)) {
+            require(balanceOf(to) <= maxWalletAmount, "Recipient balance exceeds the max wallet");
+        }
     }
 
     /**
-     * NEW: Allow holders to claim their proportional reflection rewards
-     * Calculates reflection based on holder's balance vs total supply
+     * @dev Keep the reflection shares in step with every balance change (fees, burns and claims included)
+     * The correction books what the moved tokens earned up to now: the sender keeps those rewards
+     * and the recipient only earns on the tokens from now on
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+        if (!HAS_REFLECTION) {
+            return;
+        }
+
+        int256 correction = _toInt256(_magnifiedReflectionPerShare * value);
+        if (from != address(0) && !isExcludedFromReflection[from]) {
+            _magnifiedReflectionCorrections[from] += correction;
+            totalReflectionShares -= value;
+        }
+        if (to != address(0) && !isExcludedFromReflection[to]) {
+            _magnifiedReflectionCorrections[to] -= correction;
+            totalReflectionShares += value;
+        }
+    }
+
+    /**
+     * @dev Share a reflection out to the current shares. With no shares left (every holder excluded)
+     * nobody can earn it, so it is burned instead of staying locked in the contract
+     */
+    function _distributeReflection(uint256 amount) private {
+        if (totalReflectionShares == 0) {
+            _update(address(this), address(0), amount);
+            emit TokensBurned(address(this), amount);
+            return;
+        }
+        _magnifiedReflectionPerShare += (amount * REFLECTION_MAGNITUDE) / totalReflectionShares;
+        _totalReflectionDistributed += amount;
+        emit ReflectionAdded(address(this), amount);
+    }
+
+    /**
+     * @dev Start or stop earning reflection. Rewards earned before an exclusion stay claimable
+     */
+    function _setExcludedFromReflection(address account, bool excluded) private {
+        if (isExcludedFromReflection[account] == excluded) {
+            return;
+        }
+        isExcludedFromReflection[account] = excluded;
+
+        uint256 balance = balanceOf(account);
+        if (balance == 0 || !HAS_REFLECTION) {
+            return;
+        }
+        int256 correction = _toInt256(_magnifiedReflectionPerShare * balance);
+        if (excluded) {
+            _magnifiedReflectionCorrections[account] += correction;
+            totalReflectionShares -= balance;
+        } else {
+            _magnifiedReflectionCorrections[account] -= correction;
+            totalReflectionShares += balance;
+        }
+    }
+
+    /**
+     * @dev Reflection a holder has earned and not claimed yet
+     */
+    function _claimableReflection(address holder) private view returns (uint256) {
+        if (!HAS_REFLECTION) {
+            return 0;
+        }
+        uint256 shares = isExcludedFromReflection[holder] ? 0 : balanceOf(holder);
+        int256 earned = _toInt256(_magnifiedReflectionPerShare * shares) + _magnifiedReflectionCorrections[holder];
+        return uint256(earned) / REFLECTION_MAGNITUDE - _reflectionClaimed[holder];
+    }
+
+    /**
+     * @dev Checked conversion for the magnified reflection values
+     */
+    function _toInt256(uint256 value) private pure returns (int256) {
+        require(value <= uint256(type(int256).max), "Reflection value overflow");
+        return int256(value);
+    }
+
+    /**
+     * @dev Update a fee exemption and emit the event the bot lists exemptions from
+     */
+    function _setExcludedFromFees(address account, bool excluded) private {
+        isExcludedFromFees[account] = excluded;
+        emit ExcludedFromFees(account, excluded);
+    }
+
+    /**
+     * @dev Whether an address is exempt from the max transaction, the trading gate and the anti-snipe fee
+     */
+    function _isLaunchExempt(address account) private view returns (bool) {
+        return account == owner() || account == address(this);
+    }
+
+    /**
+     * @dev Whether a launch limit is 0 (none) or between 0.1% and 100% of the supply
+     */
+    function _isValidLimit(uint16 bps) private pure returns (bool) {
+        return bps == 0 || (bps >= MIN_LIMIT_BPS && bps <= 10000);
+    }
+
+    /**
+     * @dev Whether a new limit is no stricter than the current one (0 = no limit)
+     */
+    function _isLooser(uint256 newLimit, uint256 currentLimit) private pure returns (bool) {
+        return newLimit == 0 || (currentLimit != 0 && newLimit >= currentLimit);
+    }
+
+    /**
+     * @dev Sum of the percentages of a schedule
+     */
+    function _totalFees(FeeSchedule memory fees) private pure returns (uint256) {
+        return uint256(fees.taxPercent) + fees.reflectionPercent + fees.burnPercent;
+    }
+
+    /**
+     * NEW: Allow holders to claim their reflection rewards
+     * A holder earns on the tokens they held while each reflection came in; the claimed
+     * tokens earn from the claim on, like any other tokens received
      * Returns the amount of rewards claimed
      */
     function claimReflectionRewards() external returns (uint256) {
         require(HAS_REFLECTION, "Reflection is disabled for this token");
-        
-        // Get holder's balance and total supply
-        uint256 holderBalance = balanceOf(msg.sender);
-        require(holderBalance > 0, "You must hold tokens to claim reflection");
-        
-        uint256 totalSupply = totalSupply();
-        require(totalSupply > 0, "Total supply must be greater than 0");
-        
-        // Get reflection accumulated in contract
-        uint256 contractBalance = balanceOf(address(this));
-        require(contractBalance > 0, "No reflection rewards available");
-        
-        // Calculate proportional reflection: (holderBalance * contractBalance) / totalSupply
-        uint256 proportionalReflection = (holderBalance * contractBalance) / totalSupply;
-        
-        // Calculate how much the holder has already claimed
-        uint256 alreadyClaimed = _reflectionClaimed[msg.sender];
-        
-        // Calculate claimable amount (proportional reflection minus already claimed)
-        uint256 claimableAmount = proportionalReflection > alreadyClaimed 
-            ? proportionalReflection - alreadyClaimed 
-            : 0;
-        
+
+        uint256 claimableAmount = _claimableReflection(msg.sender);
         require(claimableAmount > 0, "No reflection rewards to claim");
-        
-        // Update claimed amount
-        _reflectionClaimed[msg.sender] = proportionalReflection;
-        
-        // Transfer rewards to user
+
+        _reflectionClaimed[msg.sender] += claimableAmount;
         _transfer(address(this), msg.sender, claimableAmount);
-        
+
         emit ReflectionClaimed(msg.sender, claimableAmount);
         return claimableAmount;
     }
@@ -252,26 +618,7 @@ contract SecureToken is ERC20, Ownable {
      * NEW: Get claimable reflection rewards for an address (view function)
      */
     function getClaimableReflection(address holder) external view returns (uint256) {
-        if (!HAS_REFLECTION) return 0;
-        
-        uint256 holderBalance = balanceOf(holder);
-        if (holderBalance == 0) return 0;
-        
-        uint256 totalSupply = totalSupply();
-        if (totalSupply == 0) return 0;
-        
-        uint256 contractBalance = balanceOf(address(this));
-        if (contractBalance == 0) return 0;
-        
-        // Calculate proportional reflection
-        uint256 proportionalReflection = (holderBalance * contractBalance) / totalSupply;
-        
-        // Calculate claimable (proportional minus already claimed)
-        uint256 alreadyClaimed = _reflectionClaimed[holder];
-        
-        return proportionalReflection > alreadyClaimed 
-            ? proportionalReflection - alreadyClaimed 
-            : 0;
+        return _claimableReflection(holder);
     }
 
     /**
@@ -283,27 +630,7 @@ contract SecureToken is ERC20, Ownable {
         view 
         returns (uint256) 
     {
-        // Use new proportional calculation
-        if (!HAS_REFLECTION) return 0;
-        
-        uint256 holderBalance = balanceOf(holder);
-        if (holderBalance == 0) return 0;
-        
-        uint256 totalSupply = totalSupply();
-        if (totalSupply == 0) return 0;
-        
-        uint256 contractBalance = balanceOf(address(this));
-        if (contractBalance == 0) return 0;
-        
-        // Calculate proportional reflection
-        uint256 proportionalReflection = (holderBalance * contractBalance) / totalSupply;
-        
-        // Calculate claimable (proportional minus already claimed)
-        uint256 alreadyClaimed = _reflectionClaimed[holder];
-        
-        return proportionalReflection > alreadyClaimed 
-            ? proportionalReflection - alreadyClaimed 
-            : 0;
+        return _claimableReflection(holder);
     }
 
     /**
@@ -38,6 +38,8 @@ contract TokenFactory {
      * @param _enableReflection Enable reflection feature
      * @param _enableBurn Enable burn feature
      * @param _initialOwner Initial owner address
+     * @param _trading Buy and sell fee schedules, the DEX router for the main pair (zero for none)
+     * and the anti-whale limits in basis points of the supply (zero for none)
      * @return tokenAddress Address of the deployed token
      */
     function createToken(
@@ -50,7 +52,8 @@ contract TokenFactory {
         uint8 _burnPercent,
         bool _enableReflection,
         bool _enableBurn,
-        address _initialOwner
+        address _initialOwner,
+        SecureToken.TradingConfig memory _trading
     ) external returns (address tokenAddress) {
         // Validate inputs
         require(bytes(_name).length > 0, "Name required");
@@ -66,8 +69,8 @@ contract TokenFactory {
             "Total fees (tax + reflection + burn) cannot exceed 100%"
         );
         
-        // Deploy new SecureToken
-        SecureToken newToken = new SecureToken(
+        // Deploy new SecureToken (the buy and sell schedules are validated by its constructor)
+        tokenAddress = address(new SecureToken(
             _name,
             _symbol,
             _initialSupply,
@@ -77,10 +80,9 @@ contract TokenFactory {
             _burnPercent,
             _enableReflection,
             _enableBurn,
-            _initialOwner
-        );
-
-        tokenAddress = address(newToken);
+            _initialOwner,
+            _trading
+        ));
 
         // Add to deployed tokens array
         deployedTokens.push(tokenAddress);
@@ -156,5 +158,20 @@ contract TokenFactory {
             uint8(token.taxPercent())
         );
     }
+
+    /**
+     * @dev Get the buy, sell and wallet-to-wallet fee schedules of a deployed token
+     */
+    function getFeeSchedules(address tokenAddress)
+        external
+        view
+        returns (
+            SecureToken.FeeSchedule memory buyFees,
+            SecureToken.FeeSchedule memory sellFees,
+            SecureToken.FeeSchedule memory transferFees
+        )
+    {
+        return SecureToken(tokenAddress).getFeeSchedules();
+    }
 }
 
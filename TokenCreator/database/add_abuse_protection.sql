@@ -0,0 +1,6 @@
+-- Abuse protection
+-- Shadowbanned users are ignored without a notice; blocked_until is a temporary block
+-- set automatically on flooding or repeated rate-limit hits (see bot/utils/abuseGuard.js)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_shadowbanned BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Updates are ignored without a notice';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS blocked_until TIMESTAMP NULL COMMENT 'Temporary block after flooding or rate-limit abuse';
@@ -0,0 +1,8 @@
+-- Admin role and ban list
+-- Admins are the Telegram IDs in ADMIN_TELEGRAM_IDS plus users with role = 'admin'
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role ENUM('user', 'admin') NOT NULL DEFAULT 'user' COMMENT 'admin = may run /admin_* commands';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_banned BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_reason VARCHAR(255) NULL;
+CREATE INDEX IF NOT EXISTS idx_role ON users(role);
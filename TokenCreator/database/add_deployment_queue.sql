@@ -0,0 +1,16 @@
+-- Deployment queue
+-- Bot-signed deployments are queued in the deployments table and sent by a worker that allocates
+-- the bot wallet's nonces one network at a time; every transaction sent for a nonce (speed-ups and
+-- cancellations included) is kept, so whichever of them is mined is found again after a restart
+
+ALTER TABLE deployments MODIFY COLUMN status ENUM('queued', 'pending', 'broadcast', 'confirmed', 'saved', 'failed') NOT NULL DEFAULT 'queued'
+    COMMENT 'queued -> pending (claimed by the worker) -> broadcast -> confirmed (mined) -> saved';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0 COMMENT 'Failed attempts so far';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS run_after TIMESTAMP NULL COMMENT 'Retry backoff: not sent before this time';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS nonce INT NULL COMMENT 'Bot wallet nonce of the deployment transaction';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS tx_hashes JSON NULL COMMENT 'Every transaction sent for the nonce: [{ hash, gasPrice, kind: deploy|cancel }]';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS replacements INT NOT NULL DEFAULT 0 COMMENT 'Speed-ups and cancellations sent';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS broadcast_at TIMESTAMP NULL COMMENT 'When the latest transaction for the nonce was sent';
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS token_address VARCHAR(42) NULL;
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS block_number BIGINT NULL;
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS status_message_id BIGINT NULL COMMENT 'Status message edited as the job moves on';
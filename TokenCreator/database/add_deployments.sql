@@ -0,0 +1,32 @@
+-- Bot-signed deployments
+-- A row is written before the factory call and the tx hash right after broadcast, so a deployment
+-- interrupted by a restart is finished from the chain on the next start instead of being lost
+
+CREATE TABLE IF NOT EXISTS deployments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    telegram_id BIGINT NULL COMMENT 'Session owner, NULL if unknown',
+    chat_id BIGINT NOT NULL COMMENT 'Chat the result is sent to',
+    payment_id VARCHAR(100) NULL COMMENT 'NULL for free and test orders',
+    promo_use_id INT NULL COMMENT 'Promo code use of a free order',
+    network VARCHAR(20) NOT NULL,
+    factory_address VARCHAR(42) NOT NULL,
+    owner_wallet VARCHAR(42) NOT NULL,
+    params JSON NOT NULL COMMENT 'Token parameters passed to the factory',
+    session_data JSON NULL COMMENT 'Wizard session, used to finish the order after a restart',
+    status ENUM('pending', 'broadcast', 'saved', 'failed') NOT NULL DEFAULT 'pending',
+    tx_hash VARCHAR(66) NULL,
+    token_id INT NULL,
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (token_id) REFERENCES tokens(id) ON DELETE SET NULL,
+    INDEX idx_status (status),
+    INDEX idx_payment_id (payment_id),
+    INDEX idx_promo_use_id (promo_use_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Free orders: one deployment per promo code use (tables created before this column)
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS promo_use_id INT NULL COMMENT 'Promo code use of a free order' AFTER payment_id;
+CREATE INDEX IF NOT EXISTS idx_promo_use_id ON deployments(promo_use_id);
@@ -0,0 +1,30 @@
+-- Per-payment deposit addresses
+-- Each payment gets its own address derived from an HD wallet (BIP-44 m/44'/60'/0'/0/<deposit_index>),
+-- so the recipient alone identifies the order; a sweeper job moves the funds to the payment wallet
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS deposit_index INT NULL UNIQUE COMMENT 'BIP-44 address index of the deposit address';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS deposit_address VARCHAR(42) NULL COMMENT 'Address derived for this payment (NULL = paid to the payment wallet)';
+CREATE INDEX IF NOT EXISTS idx_deposit_address ON payments(deposit_address);
+
+-- Payments with a deposit address are not matched on their amount, so they reserve none
+ALTER TABLE payments MODIFY COLUMN pending_unique_amount DECIMAL(20, 8) GENERATED ALWAYS AS
+    (IF(status = 'pending' AND payer_wallet IS NULL AND deposit_address IS NULL, amount, NULL))
+    STORED COMMENT 'Amount reserved by a pending amount-matched payment';
+
+-- Sweeps from deposit addresses to the payment wallet (one row per attempt)
+CREATE TABLE IF NOT EXISTS deposit_sweeps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    payment_id VARCHAR(100) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    from_address VARCHAR(42) NOT NULL COMMENT 'Deposit address',
+    to_address VARCHAR(42) NOT NULL COMMENT 'Payment wallet',
+    amount_units DECIMAL(65, 0) NULL COMMENT 'Amount swept in the currency''s smallest units',
+    gas_tx_hash VARCHAR(66) NULL COMMENT 'Gas sent from the payment wallet before a token sweep',
+    tx_hash VARCHAR(66) NULL,
+    status ENUM('sent', 'unconfirmed', 'failed') NOT NULL,
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_payment_id (payment_id),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
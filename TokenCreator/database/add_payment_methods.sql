@@ -0,0 +1,6 @@
+-- Payment methods registry
+-- Each payment records which method (chain + token or native coin) it must be paid with
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_method VARCHAR(30) NOT NULL DEFAULT 'usdt_bsc' COMMENT 'Key in PAYMENT_METHODS (bot/config/constants.js)';
+
+CREATE INDEX IF NOT EXISTS idx_payment_method ON payments(payment_method, status);
@@ -0,0 +1,14 @@
+-- Payment transactions
+-- Every on-chain transfer credited to a payment, so partial payments can be topped up
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    payment_id VARCHAR(100) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    from_address VARCHAR(42) NOT NULL,
+    amount_units DECIMAL(65, 0) NOT NULL COMMENT 'Amount in the currency''s smallest units',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE CASCADE,
+    UNIQUE INDEX uniq_tx_hash (tx_hash),
+    INDEX idx_payment_id (payment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
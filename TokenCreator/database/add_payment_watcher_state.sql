@@ -0,0 +1,15 @@
+-- Persistent payment watcher state
+-- Lets the payment watcher resume after a bot restart
+
+-- Key/value store for bot runtime state (e.g. last scanned block per network)
+CREATE TABLE IF NOT EXISTS bot_state (
+    state_key VARCHAR(100) PRIMARY KEY,
+    state_value VARCHAR(255) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Chat to notify when a resumed payment is confirmed or expires
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS chat_id BIGINT NULL COMMENT 'Telegram chat that requested the payment';
+
+-- Index used by the watcher to load pending payments at startup
+CREATE INDEX IF NOT EXISTS idx_status_expires ON payments(status, expires_at);
@@ -0,0 +1,4 @@
+-- Dynamic pricing
+-- Stores the itemized quote each payment amount was computed from, for receipts and refunds
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS price_breakdown JSON NULL COMMENT 'Itemized quote (network, features, add-ons) the amount was computed from';
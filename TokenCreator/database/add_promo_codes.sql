@@ -0,0 +1,36 @@
+-- Promo codes
+-- Discount codes for marketing campaigns and every redemption of them
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL COMMENT 'Stored uppercase',
+    discount_type ENUM('percent', 'fixed') NOT NULL,
+    discount_value DECIMAL(20, 8) NOT NULL COMMENT 'Percent (0-100) or fixed amount in the pricing currency',
+    max_uses INT NULL COMMENT 'NULL = unlimited',
+    per_user_limit INT NULL DEFAULT 1 COMMENT 'NULL = unlimited',
+    expires_at TIMESTAMP NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- A use with a payment only counts while that payment is pending or confirmed;
+-- free orders (100% codes) have no payment and count once they deployed a token (token_id)
+-- or until reserved_until (NULL on uses recorded before holds existed: always counts)
+CREATE TABLE IF NOT EXISTS promo_code_uses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    promo_code_id INT NOT NULL,
+    user_id INT NOT NULL,
+    payment_id VARCHAR(100) NULL,
+    discount_amount DECIMAL(20, 8) NOT NULL,
+    token_id INT NULL COMMENT 'Free orders: token the order deployed',
+    reserved_until TIMESTAMP NULL COMMENT 'Free orders: released after this unless a token was deployed',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_promo_user (promo_code_id, user_id),
+    INDEX idx_payment_id (payment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE promo_code_uses ADD COLUMN IF NOT EXISTS token_id INT NULL COMMENT 'Free orders: token the order deployed';
+ALTER TABLE promo_code_uses ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMP NULL COMMENT 'Free orders: released after this unless a token was deployed';
@@ -0,0 +1,42 @@
+-- Referral program
+-- Ties users to the referrer from /start ref_<code>, credits commissions on confirmed
+-- payments and records USDT payouts
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code VARCHAR(20) NULL UNIQUE COMMENT 'Code used in /start ref_<code> links';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS referred_by INT NULL COMMENT 'User who referred this user';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payout_wallet VARCHAR(42) NULL COMMENT 'Wallet for referral payouts';
+
+-- Referral payouts (one USDT transfer per referrer and batch)
+CREATE TABLE IF NOT EXISTS referral_payouts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    wallet VARCHAR(42) NOT NULL,
+    amount DECIMAL(20, 8) NOT NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'USDT',
+    tx_hash VARCHAR(66) NULL,
+    status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Referral earnings (one commission per confirmed payment; payout_id NULL = unpaid balance)
+CREATE TABLE IF NOT EXISTS referral_earnings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    referrer_id INT NOT NULL,
+    referred_user_id INT NOT NULL,
+    payment_id VARCHAR(100) NOT NULL UNIQUE,
+    amount DECIMAL(20, 8) NOT NULL COMMENT 'Commission in USDT',
+    payout_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (referrer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (referred_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (payout_id) REFERENCES referral_payouts(id) ON DELETE SET NULL,
+    INDEX idx_referrer_payout (referrer_id, payout_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Last, so a re-run that fails here (constraint exists) has created everything else
+ALTER TABLE users ADD CONSTRAINT fk_users_referred_by FOREIGN KEY (referred_by) REFERENCES users(id) ON DELETE SET NULL;
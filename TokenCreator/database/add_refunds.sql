@@ -0,0 +1,15 @@
+-- Refund workflow for failed deployments
+-- deploy_failed: paid but the token could not be deployed (after retries)
+-- refund_pending: refund approved by an admin and being sent
+-- refunded: refund sent back to payer_wallet
+-- deploy_tx_hash: deployment that reached the chain but was not saved (blocks retries and refunds)
+
+ALTER TABLE payments MODIFY COLUMN status
+    ENUM('pending', 'confirmed', 'expired', 'failed', 'deploy_failed', 'refund_pending', 'refunded')
+    NOT NULL DEFAULT 'pending';
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS deploy_attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS deploy_error TEXT NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_tx_hash VARCHAR(66) NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS deploy_tx_hash VARCHAR(66) NULL;
@@ -0,0 +1,26 @@
+-- Reserved token names and symbols
+-- Added to the built-in list (RESERVED_TOKENS in bot/config/constants.js) with /admin_reserved;
+-- overrides let a user create a token that matches a reserved entry (/admin_allow)
+
+CREATE TABLE IF NOT EXISTS reserved_names (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    kind ENUM('name', 'symbol') NOT NULL,
+    value VARCHAR(100) NOT NULL,
+    created_by INT NULL COMMENT 'Admin who reserved it',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE INDEX uniq_reserved_name (kind, value)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS reserved_name_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    kind ENUM('name', 'symbol') NOT NULL,
+    value VARCHAR(100) NOT NULL COMMENT 'Name or symbol as approved',
+    normalized VARCHAR(100) NOT NULL COMMENT 'Fuzzy-matching form of value',
+    approved_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE INDEX uniq_override (user_id, kind, normalized)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
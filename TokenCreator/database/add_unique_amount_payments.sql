@@ -0,0 +1,13 @@
+-- Pay-by-unique-amount payment matching
+-- Payments without a payer wallet are matched on their exact amount alone
+
+-- Payer wallet is optional (unknown until the transfer arrives)
+ALTER TABLE payments MODIFY COLUMN payer_wallet VARCHAR(42) NULL;
+
+-- Amount of pending amount-matched payments (NULL otherwise, so the unique index ignores them)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS pending_unique_amount DECIMAL(20, 8) GENERATED ALWAYS AS
+    (IF(status = 'pending' AND payer_wallet IS NULL, amount, NULL))
+    STORED COMMENT 'Amount reserved by a pending amount-matched payment';
+
+-- Collision protection: two pending amount-matched payments can never share an amount
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_pending_amount ON payments(pending_unique_amount, currency);
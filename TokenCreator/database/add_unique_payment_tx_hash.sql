@@ -0,0 +1,8 @@
+-- One transaction confirms at most one payment
+-- Pasted hashes are checked before crediting; the unique index settles concurrent confirmations
+
+-- Fails if two payments already share a transaction: resolve those by hand first
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_tx_hash ON payments(tx_hash);
+
+-- Superseded by uniq_tx_hash
+DROP INDEX IF EXISTS idx_tx_hash ON payments;
@@ -12,9 +12,20 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(255) NULL,
     first_name VARCHAR(255) NULL,
     last_name VARCHAR(255) NULL,
+    referral_code VARCHAR(20) NULL UNIQUE COMMENT 'Code used in /start ref_<code> links',
+    referred_by INT NULL COMMENT 'User who referred this user',
+    payout_wallet VARCHAR(42) NULL COMMENT 'Wallet for referral payouts',
+    role ENUM('user', 'admin') NOT NULL DEFAULT 'user' COMMENT 'admin = may run /admin_* commands',
+    is_banned BOOLEAN NOT NULL DEFAULT FALSE,
+    banned_at TIMESTAMP NULL,
+    ban_reason VARCHAR(255) NULL,
+    is_shadowbanned BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Updates are ignored without a notice',
+    blocked_until TIMESTAMP NULL COMMENT 'Temporary block after flooding or rate-limit abuse',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    INDEX idx_telegram_id (telegram_id)
+    FOREIGN KEY (referred_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_telegram_id (telegram_id),
+    INDEX idx_role (role)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Tokens table
@@ -71,18 +82,200 @@ CREATE TABLE IF NOT EXISTS payments (
     payment_id VARCHAR(100) UNIQUE NOT NULL,
     amount DECIMAL(20, 8) NOT NULL,
     currency VARCHAR(10) NOT NULL DEFAULT 'USDT',
-    payer_wallet VARCHAR(42) NOT NULL,
+    payment_method VARCHAR(30) NOT NULL DEFAULT 'usdt_bsc' COMMENT 'Key in PAYMENT_METHODS (bot/config/constants.js)',
+    payer_wallet VARCHAR(42) NULL,
     tx_hash VARCHAR(66) NULL,
-    status ENUM('pending', 'confirmed', 'expired', 'failed') NOT NULL DEFAULT 'pending',
+    status ENUM('pending', 'confirmed', 'expired', 'failed', 'deploy_failed', 'refund_pending', 'refunded') NOT NULL DEFAULT 'pending',
+    chat_id BIGINT NULL COMMENT 'Telegram chat that requested the payment',
+    price_breakdown JSON NULL COMMENT 'Itemized quote (network, features, add-ons) the amount was computed from',
+    deposit_index INT NULL UNIQUE COMMENT 'BIP-44 address index of the deposit address',
+    deposit_address VARCHAR(42) NULL COMMENT 'Address derived for this payment (NULL = paid to the payment wallet)',
+    pending_unique_amount DECIMAL(20, 8) GENERATED ALWAYS AS
+        (IF(status = 'pending' AND payer_wallet IS NULL AND deposit_address IS NULL, amount, NULL))
+        STORED COMMENT 'Amount reserved by a pending amount-matched payment',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     confirmed_at TIMESTAMP NULL,
     expires_at TIMESTAMP NULL,
+    deploy_attempts INT NOT NULL DEFAULT 0,
+    deploy_error TEXT NULL,
+    deploy_tx_hash VARCHAR(66) NULL COMMENT 'Deployment that reached the chain but was not saved (blocks retries and refunds)',
+    refund_tx_hash VARCHAR(66) NULL,
+    refunded_at TIMESTAMP NULL,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (token_id) REFERENCES tokens(id) ON DELETE SET NULL,
     INDEX idx_payment_id (payment_id),
     INDEX idx_user_id (user_id),
     INDEX idx_status (status),
-    INDEX idx_tx_hash (tx_hash)
+    UNIQUE INDEX uniq_tx_hash (tx_hash),
+    INDEX idx_status_expires (status, expires_at),
+    INDEX idx_payment_method (payment_method, status),
+    INDEX idx_deposit_address (deposit_address),
+    UNIQUE INDEX uniq_pending_amount (pending_unique_amount, currency)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Payment transactions table (every transfer credited to a payment, for top-ups)
+CREATE TABLE IF NOT EXISTS payment_transactions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    payment_id VARCHAR(100) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    from_address VARCHAR(42) NOT NULL,
+    amount_units DECIMAL(65, 0) NOT NULL COMMENT 'Amount in the currency''s smallest units',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE CASCADE,
+    UNIQUE INDEX uniq_tx_hash (tx_hash),
+    INDEX idx_payment_id (payment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Deposit sweeps table (funds moved from per-payment deposit addresses to the payment wallet)
+CREATE TABLE IF NOT EXISTS deposit_sweeps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    payment_id VARCHAR(100) NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    from_address VARCHAR(42) NOT NULL COMMENT 'Deposit address',
+    to_address VARCHAR(42) NOT NULL COMMENT 'Payment wallet',
+    amount_units DECIMAL(65, 0) NULL COMMENT 'Amount swept in the currency''s smallest units',
+    gas_tx_hash VARCHAR(66) NULL COMMENT 'Gas sent from the payment wallet before a token sweep',
+    tx_hash VARCHAR(66) NULL,
+    status ENUM('sent', 'unconfirmed', 'failed') NOT NULL,
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_payment_id (payment_id),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Deployment queue: bot-signed deployments, sent by a worker that allocates the bot wallet's nonces
+-- one network at a time; unfinished jobs are picked up again after a restart
+CREATE TABLE IF NOT EXISTS deployments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    telegram_id BIGINT NULL COMMENT 'Session owner, NULL if unknown',
+    chat_id BIGINT NOT NULL COMMENT 'Chat the result is sent to',
+    payment_id VARCHAR(100) NULL COMMENT 'NULL for free and test orders',
+    promo_use_id INT NULL COMMENT 'Promo code use of a free order',
+    network VARCHAR(20) NOT NULL,
+    factory_address VARCHAR(42) NOT NULL,
+    owner_wallet VARCHAR(42) NOT NULL,
+    params JSON NOT NULL COMMENT 'Token parameters passed to the factory',
+    session_data JSON NULL COMMENT 'Wizard session, used to finish the order after a restart',
+    status ENUM('queued', 'pending', 'broadcast', 'confirmed', 'saved', 'failed') NOT NULL DEFAULT 'queued'
+        COMMENT 'queued -> pending (claimed by the worker) -> broadcast -> confirmed (mined) -> saved',
+    attempts INT NOT NULL DEFAULT 0 COMMENT 'Failed attempts so far',
+    run_after TIMESTAMP NULL COMMENT 'Retry backoff: not sent before this time',
+    nonce INT NULL COMMENT 'Bot wallet nonce of the deployment transaction',
+    tx_hash VARCHAR(66) NULL COMMENT 'Latest deployment transaction (the mined one once confirmed)',
+    tx_hashes JSON NULL COMMENT 'Every transaction sent for the nonce: [{ hash, gasPrice, kind: deploy|cancel }]',
+    replacements INT NOT NULL DEFAULT 0 COMMENT 'Speed-ups and cancellations sent',
+    broadcast_at TIMESTAMP NULL COMMENT 'When the latest transaction for the nonce was sent',
+    token_address VARCHAR(42) NULL,
+    block_number BIGINT NULL,
+    token_id INT NULL,
+    status_message_id BIGINT NULL COMMENT 'Status message edited as the job moves on',
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (token_id) REFERENCES tokens(id) ON DELETE SET NULL,
+    INDEX idx_status (status),
+    INDEX idx_payment_id (payment_id),
+    INDEX idx_promo_use_id (promo_use_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Promo codes table
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL COMMENT 'Stored uppercase',
+    discount_type ENUM('percent', 'fixed') NOT NULL,
+    discount_value DECIMAL(20, 8) NOT NULL COMMENT 'Percent (0-100) or fixed amount in the pricing currency',
+    max_uses INT NULL COMMENT 'NULL = unlimited',
+    per_user_limit INT NULL DEFAULT 1 COMMENT 'NULL = unlimited',
+    expires_at TIMESTAMP NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Promo code uses table
+-- A use with a payment only counts while that payment is pending or confirmed;
+-- free orders (100% codes) have no payment and count once they deployed a token
+-- or until reserved_until (NULL on uses recorded before holds existed: always counts)
+CREATE TABLE IF NOT EXISTS promo_code_uses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    promo_code_id INT NOT NULL,
+    user_id INT NOT NULL,
+    payment_id VARCHAR(100) NULL,
+    discount_amount DECIMAL(20, 8) NOT NULL,
+    token_id INT NULL COMMENT 'Free orders: token the order deployed',
+    reserved_until TIMESTAMP NULL COMMENT 'Free orders: released after this unless a token was deployed',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_promo_user (promo_code_id, user_id),
+    INDEX idx_payment_id (payment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Referral payouts table (one USDT transfer per referrer and batch)
+CREATE TABLE IF NOT EXISTS referral_payouts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    wallet VARCHAR(42) NOT NULL,
+    amount DECIMAL(20, 8) NOT NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'USDT',
+    tx_hash VARCHAR(66) NULL,
+    status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Referral earnings table (one commission per confirmed payment; payout_id NULL = unpaid balance)
+CREATE TABLE IF NOT EXISTS referral_earnings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    referrer_id INT NOT NULL,
+    referred_user_id INT NOT NULL,
+    payment_id VARCHAR(100) NOT NULL UNIQUE,
+    amount DECIMAL(20, 8) NOT NULL COMMENT 'Commission in USDT',
+    payout_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (referrer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (referred_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (payout_id) REFERENCES referral_payouts(id) ON DELETE SET NULL,
+    INDEX idx_referrer_payout (referrer_id, payout_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Reserved token names and symbols (added to RESERVED_TOKENS in bot/config/constants.js)
+CREATE TABLE IF NOT EXISTS reserved_names (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    kind ENUM('name', 'symbol') NOT NULL,
+    value VARCHAR(100) NOT NULL,
+    created_by INT NULL COMMENT 'Admin who reserved it',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE INDEX uniq_reserved_name (kind, value)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Reserved names a user may use anyway (approved by an admin)
+CREATE TABLE IF NOT EXISTS reserved_name_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    kind ENUM('name', 'symbol') NOT NULL,
+    value VARCHAR(100) NOT NULL COMMENT 'Name or symbol as approved',
+    normalized VARCHAR(100) NOT NULL COMMENT 'Fuzzy-matching form of value',
+    approved_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE INDEX uniq_override (user_id, kind, normalized)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Bot runtime state (payment watcher cursor per network, etc.)
+CREATE TABLE IF NOT EXISTS bot_state (
+    state_key VARCHAR(100) PRIMARY KEY,
+    state_value VARCHAR(255) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- User sessions table
@@ -0,0 +1,49 @@
+/**
+ * Create a promo code
+ * Usage: node scripts/createPromoCode.js <code> <percent|fixed> <value> [maxUses] [perUserLimit] [expiresAt]
+ * Example: node scripts/createPromoCode.js LAUNCH50 percent 50 100 1 2026-12-31
+ * Use 0 for maxUses / perUserLimit to allow unlimited uses
+ */
+
+require('dotenv').config();
+const { pool, createPromoCode } = require('../bot/utils/database');
+
+async function main() {
+  const [code, discountType, value, maxUses, perUserLimit, expiresAt] = process.argv.slice(2);
+
+  if (!code || !['percent', 'fixed'].includes(discountType) || isNaN(parseFloat(value))) {
+    throw new Error('Usage: node scripts/createPromoCode.js <code> <percent|fixed> <value> [maxUses] [perUserLimit] [expiresAt]');
+  }
+
+  const discountValue = parseFloat(value);
+  if (discountValue <= 0 || (discountType === 'percent' && discountValue > 100)) {
+    throw new Error('Discount must be positive (and at most 100 for percent codes)');
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+  if (expiry && isNaN(expiry.getTime())) {
+    throw new Error(`Invalid expiry date: ${expiresAt}`);
+  }
+
+  const id = await createPromoCode({
+    code,
+    discount_type: discountType,
+    discount_value: discountValue,
+    max_uses: maxUses ? parseInt(maxUses, 10) || null : null,
+    per_user_limit: perUserLimit !== undefined ? parseInt(perUserLimit, 10) || null : 1,
+    expires_at: expiry,
+  });
+
+  console.log(`✅ Promo code ${code.toUpperCase()} created (id ${id})`);
+}
+
+main()
+  .then(async () => {
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Failed to create promo code:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
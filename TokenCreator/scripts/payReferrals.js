@@ -0,0 +1,37 @@
+/**
+ * Pay referral balances in USDT from the payment wallet
+ * Intended to run as an admin job (e.g. daily cron)
+ * Usage: node scripts/payReferrals.js
+ * Requires PAYMENT_WALLET_PRIVATE_KEY (key of PAYMENT_WALLET_BSC)
+ */
+
+require('dotenv').config();
+const TelegramBot = require('node-telegram-bot-api');
+const { pool } = require('../bot/utils/database');
+const { runReferralPayouts } = require('../bot/handlers/referrals');
+
+async function main() {
+  // Notify referrers without polling (does not interfere with the running bot)
+  const bot = process.env.BOT_TOKEN ? new TelegramBot(process.env.BOT_TOKEN, { polling: false }) : null;
+
+  const summary = await runReferralPayouts(bot);
+
+  console.log(`✅ Payouts sent: ${summary.sent}`);
+  if (summary.failed > 0) {
+    console.log(`⚠️  Payouts failed (balance kept for the next batch): ${summary.failed}`);
+  }
+  if (summary.unconfirmed > 0) {
+    console.log(`⚠️  Payouts broadcast but unconfirmed (check activity_logs before re-running): ${summary.unconfirmed}`);
+  }
+}
+
+main()
+  .then(async () => {
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Referral payout job failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+/**
+ * Generic migration runner
+ * Executes a SQL file from the database/ folder
+ * Usage: node scripts/runMigration.js <migration_name>
+ */
+
+const mysql = require('mysql2/promise');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+async function runMigration(migrationName) {
+  let connection;
+
+  try {
+    if (!migrationName) {
+      throw new Error('Migration name required (e.g. add_payment_watcher_state)');
+    }
+
+    const sqlPath = path.join(__dirname, '../database', `${migrationName.replace(/\.sql$/, '')}.sql`);
+    if (!fs.existsSync(sqlPath)) {
+      throw new Error(`Migration file not found: ${sqlPath}`);
+    }
+
+    console.log('Connecting to database:', process.env.DB_NAME);
+
+    connection = await mysql.createConnection({
+      host: process.env.DB_HOST || 'localhost',
+      port: parseInt(process.env.DB_PORT || '3306', 10),
+      user: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || '',
+      database: process.env.DB_NAME || 'token_creator_bot',
+      multipleStatements: true
+    });
+
+    console.log('✅ Connected to database');
+
+    const sql = fs.readFileSync(sqlPath, 'utf8');
+
+    console.log(`Executing migration ${path.basename(sqlPath)}...`);
+
+    await connection.query(sql);
+
+    console.log('✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    if (['ER_DUP_FIELDNAME', 'ER_TABLE_EXISTS_ERROR', 'ER_DUP_KEYNAME', 'ER_FK_DUP_NAME'].includes(error.code)) {
+      console.log('⚠️  Some columns, tables or keys may already exist. This is OK.');
+    } else {
+      throw error;
+    }
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+runMigration(process.argv[2])
+  .then(() => {
+    console.log('\n✅ Migration script completed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Migration script failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+/**
+ * Sweep funds from per-payment deposit addresses into the payment wallets
+ * Intended to run as an admin job (e.g. hourly cron)
+ * Usage: node scripts/sweepDeposits.js
+ * Requires DEPOSIT_MNEMONIC, and PAYMENT_WALLET_PRIVATE_KEY / PAYMENT_WALLET_ALVEY_PRIVATE_KEY
+ * to send gas for token sweeps
+ */
+
+require('dotenv').config();
+const { pool } = require('../bot/utils/database');
+const { runDepositSweeps } = require('../bot/handlers/depositSweeps');
+
+async function main() {
+  const summary = await runDepositSweeps();
+
+  console.log(`✅ Deposit addresses swept: ${summary.swept}`);
+  console.log(`   Empty (nothing to sweep): ${summary.empty}`);
+  if (summary.failed > 0) {
+    console.log(`⚠️  Sweeps failed (retried on the next run, see deposit_sweeps): ${summary.failed}`);
+  }
+  if (summary.unconfirmed > 0) {
+    console.log(`⚠️  Sweeps broadcast but unconfirmed (check deposit_sweeps before re-running): ${summary.unconfirmed}`);
+  }
+}
+
+main()
+  .then(async () => {
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Deposit sweep job failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
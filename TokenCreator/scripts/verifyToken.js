@@ -38,11 +38,12 @@ if (require.main === module) {
     const args = process.argv.slice(2);
     
     if (args.length < 12) {
-        console.error("Usage: node scripts/verifyToken.js <address> <network> <name> <symbol> <supply> <taxPercent> <taxWallet> <reflectionPercent> <burnPercent> <enableReflection> <enableBurn> <owner>");
+        console.error("Usage: node scripts/verifyToken.js <address> <network> <name> <symbol> <supply> <taxPercent> <taxWallet> <reflectionPercent> <burnPercent> <enableReflection> <enableBurn> <owner> [tradingJson]");
+        console.error("tradingJson: the token's trading settings, e.g. the \"trading\" object of its Deployment Info (tokens with buy / sell fees)");
         process.exit(1);
     }
 
-    const [address, network, name, symbol, supply, taxPercent, taxWallet, reflectionPercent, burnPercent, enableReflection, enableBurn, owner] = args;
+    const [address, network, name, symbol, supply, taxPercent, taxWallet, reflectionPercent, burnPercent, enableReflection, enableBurn, owner, tradingJson] = args;
 
     const constructorArgs = [
         name,
@@ -54,7 +55,8 @@ if (require.main === module) {
         parseInt(burnPercent),
         enableReflection === 'true',
         enableBurn === 'true',
-        owner
+        owner,
+        ...(tradingJson ? [JSON.parse(tradingJson)] : [])
     ];
 
     verifyToken(address, network, constructorArgs)
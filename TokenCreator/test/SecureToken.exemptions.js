@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Fee schedule with only a tax
+ * @param {number} taxPercent - Tax percentage
+ * @returns {object} FeeSchedule
+ */
+const taxOnly = (taxPercent) => ({ taxPercent, reflectionPercent: 0, burnPercent: 0 });
+
+/**
+ * Manual-launch token with a 10% tax on every kind of transfer, a 1% max transaction and a 2% max
+ * wallet (100000 supply). A contract stands in for the AMM pair and is impersonated to send buys;
+ * the owner has added 50000 tokens of liquidity and trading is still closed
+ */
+async function deployExemptionToken() {
+  const [owner, taxWallet, alice, bob] = await ethers.getSigners();
+
+  const SecureToken = await ethers.getContractFactory("SecureToken");
+  const token = await SecureToken.deploy("Exempt", "EXM", 100000n, 10, taxWallet.address, 0, 0, false, false, owner.address, {
+    buyFees: taxOnly(10),
+    sellFees: taxOnly(10),
+    dexRouter: ethers.ZeroAddress,
+    maxTransactionBps: 100,
+    maxWalletBps: 200,
+    manualLaunch: true,
+    antiSnipeBlocks: 0,
+    antiSnipeSellFee: 0,
+  });
+
+  const TokenFactory = await ethers.getContractFactory("TokenFactory");
+  const pairAddress = await (await TokenFactory.deploy()).getAddress();
+  await token.setAutomatedMarketMakerPair(pairAddress, true);
+  await token.transfer(pairAddress, 50000n);
+
+  await impersonateAccount(pairAddress);
+  await setBalance(pairAddress, ethers.parseEther("1"));
+  const pair = await ethers.getSigner(pairAddress);
+
+  return { token, owner, taxWallet, alice, bob, pair };
+}
+
+describe("SecureToken fee exemptions", function () {
+  it("lifts the fees of an exempt address and nothing else", async function () {
+    const { token, owner, alice, bob, pair } = await loadFixture(deployExemptionToken);
+
+    await token.setExcludedFromFees(alice.address, true);
+    await token.transfer(alice.address, 1000n);
+
+    // Trading is closed for exempt addresses too
+    await expect(token.connect(alice).transfer(pair.address, 100n)).to.be.revertedWith("Trading is not enabled yet");
+    await expect(token.connect(pair).transfer(alice.address, 100n)).to.be.revertedWith("Trading is not enabled yet");
+
+    await token.connect(owner).enableTrading();
+
+    // A buy pays no fee, but the limits still apply
+    await expect(token.connect(pair).transfer(alice.address, 1001n)).to.be.revertedWith(
+      "Transfer amount exceeds the max transaction"
+    );
+    await token.connect(pair).transfer(alice.address, 1000n);
+    expect(await token.balanceOf(alice.address)).to.equal(2000n);
+    await expect(token.connect(pair).transfer(alice.address, 1n)).to.be.revertedWith(
+      "Recipient balance exceeds the max wallet"
+    );
+
+    // Wallet-to-wallet: no tax either way
+    await token.connect(alice).transfer(bob.address, 100n);
+    expect(await token.balanceOf(bob.address)).to.equal(100n);
+    await token.connect(bob).transfer(alice.address, 100n);
+    expect(await token.balanceOf(alice.address)).to.equal(2000n);
+  });
+
+  it("moves the owner's exemption with ownership", async function () {
+    const { token, owner, taxWallet, alice, bob } = await loadFixture(deployExemptionToken);
+    expect(await token.isExcludedFromFees(owner.address)).to.equal(true);
+
+    // Nothing changes until the new owner accepts
+    await token.transferOwnership(alice.address);
+    expect(await token.isExcludedFromFees(alice.address)).to.equal(false);
+
+    await expect(token.connect(alice).acceptOwnership())
+      .to.emit(token, "ExcludedFromFees")
+      .withArgs(owner.address, false)
+      .and.to.emit(token, "ExcludedFromFees")
+      .withArgs(alice.address, true);
+    expect(await token.isExcludedFromFees(owner.address)).to.equal(false);
+    expect(await token.isExcludedFromFees(alice.address)).to.equal(true);
+
+    // The previous owner pays the tax like anyone else
+    await token.connect(owner).transfer(bob.address, 1000n);
+    expect(await token.balanceOf(bob.address)).to.equal(900n);
+
+    // Renouncing leaves no owner exemption behind; the tax wallet keeps its own
+    await token.connect(alice).enableTrading();
+    await token.connect(alice).renounceOwnership();
+    expect(await token.isExcludedFromFees(alice.address)).to.equal(false);
+    expect(await token.isExcludedFromFees(taxWallet.address)).to.equal(true);
+  });
+
+  it("keeps the tax wallet exempt when it was the owner", async function () {
+    const [owner, alice] = await ethers.getSigners();
+
+    const SecureToken = await ethers.getContractFactory("SecureToken");
+    const token = await SecureToken.deploy("Exempt", "EXM", 1000n, 10, owner.address, 0, 0, false, false, owner.address, {
+      buyFees: taxOnly(0),
+      sellFees: taxOnly(0),
+      dexRouter: ethers.ZeroAddress,
+      maxTransactionBps: 0,
+      maxWalletBps: 0,
+      manualLaunch: false,
+      antiSnipeBlocks: 0,
+      antiSnipeSellFee: 0,
+    });
+
+    await token.transferOwnership(alice.address);
+    await token.connect(alice).acceptOwnership();
+    expect(await token.isExcludedFromFees(owner.address)).to.equal(true);
+    expect(await token.isExcludedFromFees(alice.address)).to.equal(true);
+  });
+
+  it("never exempts an AMM pair", async function () {
+    const { token, pair } = await loadFixture(deployExemptionToken);
+
+    await expect(token.setExcludedFromFees(pair.address, true)).to.be.revertedWith("AMM pairs cannot be exempt from fees");
+
+    // Nor can an exempt address become a pair
+    const TokenFactory = await ethers.getContractFactory("TokenFactory");
+    const other = await (await TokenFactory.deploy()).getAddress();
+    await token.setExcludedFromFees(other, true);
+    await expect(token.setAutomatedMarketMakerPair(other, true)).to.be.revertedWith("Fee exempt addresses cannot be pairs");
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Fee schedule
+ * @param {number} taxPercent - Tax percentage
+ * @param {number} burnPercent - Burn percentage
+ * @returns {object} FeeSchedule
+ */
+const schedule = (taxPercent, burnPercent) => ({ taxPercent, reflectionPercent: 0, burnPercent });
+
+/**
+ * Token with a different schedule per kind of transfer: 10% tax wallet to wallet, 2% tax and 5% burn
+ * on buys, 20% tax and 10% burn on sells. A contract stands in for the AMM pair and is impersonated
+ * to send buys; alice and the pair hold 10000 each
+ */
+async function deployScheduledToken() {
+  const [owner, taxWallet, alice, bob] = await ethers.getSigners();
+
+  const SecureToken = await ethers.getContractFactory("SecureToken");
+  const token = await SecureToken.deploy("Sched", "SCH", 100000n, 10, taxWallet.address, 0, 0, false, true, owner.address, {
+    buyFees: schedule(2, 5),
+    sellFees: schedule(20, 10),
+    dexRouter: ethers.ZeroAddress,
+    maxTransactionBps: 0,
+    maxWalletBps: 0,
+    manualLaunch: false,
+    antiSnipeBlocks: 0,
+    antiSnipeSellFee: 0,
+  });
+
+  const TokenFactory = await ethers.getContractFactory("TokenFactory");
+  const pairAddress = await (await TokenFactory.deploy()).getAddress();
+  await token.setAutomatedMarketMakerPair(pairAddress, true);
+  await token.transfer(pairAddress, 10000n);
+  await token.transfer(alice.address, 10000n);
+
+  await impersonateAccount(pairAddress);
+  await setBalance(pairAddress, ethers.parseEther("1"));
+  const pair = await ethers.getSigner(pairAddress);
+
+  return { token, owner, taxWallet, alice, bob, pair };
+}
+
+describe("SecureToken fee schedules", function () {
+  it("reports the three schedules", async function () {
+    const { token } = await loadFixture(deployScheduledToken);
+
+    const [buyFees, sellFees, transferFees] = await token.getFeeSchedules();
+    expect([buyFees.taxPercent, buyFees.reflectionPercent, buyFees.burnPercent]).to.deep.equal([2n, 0n, 5n]);
+    expect([sellFees.taxPercent, sellFees.reflectionPercent, sellFees.burnPercent]).to.deep.equal([20n, 0n, 10n]);
+    expect([transferFees.taxPercent, transferFees.reflectionPercent, transferFees.burnPercent]).to.deep.equal([10n, 0n, 0n]);
+  });
+
+  it("charges the transfer schedule between wallets", async function () {
+    const { token, taxWallet, alice, bob } = await loadFixture(deployScheduledToken);
+
+    await expect(token.connect(alice).transfer(bob.address, 1000n))
+      .to.emit(token, "TokensTransferred")
+      .withArgs(alice.address, bob.address, 900n, 100n);
+    expect(await token.balanceOf(bob.address)).to.equal(900n);
+    expect(await token.balanceOf(taxWallet.address)).to.equal(100n);
+  });
+
+  it("charges the buy schedule on transfers from a pair", async function () {
+    const { token, taxWallet, bob, pair } = await loadFixture(deployScheduledToken);
+    const supply = await token.totalSupply();
+
+    // 5% of 1000 burned, then 2% of the remaining 950 taxed
+    await token.connect(pair).transfer(bob.address, 1000n);
+    expect(await token.balanceOf(bob.address)).to.equal(931n);
+    expect(await token.balanceOf(taxWallet.address)).to.equal(19n);
+    expect(await token.totalSupply()).to.equal(supply - 50n);
+  });
+
+  it("charges the sell schedule on transfers to a pair", async function () {
+    const { token, taxWallet, alice, pair } = await loadFixture(deployScheduledToken);
+    const supply = await token.totalSupply();
+
+    // 10% of 1000 burned, then 20% of the remaining 900 taxed
+    await token.connect(alice).transfer(pair.address, 1000n);
+    expect(await token.balanceOf(pair.address)).to.equal(10720n);
+    expect(await token.balanceOf(taxWallet.address)).to.equal(180n);
+    expect(await token.totalSupply()).to.equal(supply - 100n);
+  });
+
+  it("refuses a schedule above 100%", async function () {
+    const [owner, taxWallet] = await ethers.getSigners();
+    const SecureToken = await ethers.getContractFactory("SecureToken");
+    const trading = {
+      buyFees: schedule(0, 0),
+      sellFees: schedule(0, 0),
+      dexRouter: ethers.ZeroAddress,
+      maxTransactionBps: 0,
+      maxWalletBps: 0,
+      manualLaunch: false,
+      antiSnipeBlocks: 0,
+      antiSnipeSellFee: 0,
+    };
+    const deploy = (overrides) =>
+      SecureToken.deploy("Sched", "SCH", 1000n, 0, taxWallet.address, 0, 0, false, true, owner.address, {
+        ...trading,
+        ...overrides,
+      });
+
+    await expect(deploy({ buyFees: schedule(60, 41) })).to.be.revertedWith("Total buy fees cannot exceed 100%");
+    await expect(deploy({ sellFees: schedule(41, 60) })).to.be.revertedWith("Total sell fees cannot exceed 100%");
+    await expect(deploy({ sellFees: schedule(50, 50) })).to.not.be.reverted;
+  });
+});
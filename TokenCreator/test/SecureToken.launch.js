@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, impersonateAccount, setBalance, mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const NO_FEES = { taxPercent: 0, reflectionPercent: 0, burnPercent: 0 };
+
+/**
+ * Fee-free manual-launch token with a 3-block anti-snipe window that burns 20% of every sell.
+ * A contract stands in for the AMM pair and is impersonated to send buys; the owner has added
+ * 50000 tokens of liquidity and given alice 10000, and trading is still closed
+ */
+async function deployManualLaunchToken() {
+  const [owner, alice, bob] = await ethers.getSigners();
+
+  const SecureToken = await ethers.getContractFactory("SecureToken");
+  const token = await SecureToken.deploy("Launch", "LCH", 100000n, 0, ethers.ZeroAddress, 0, 0, false, false, owner.address, {
+    buyFees: NO_FEES,
+    sellFees: NO_FEES,
+    dexRouter: ethers.ZeroAddress,
+    maxTransactionBps: 0,
+    maxWalletBps: 0,
+    manualLaunch: true,
+    antiSnipeBlocks: 3,
+    antiSnipeSellFee: 20,
+  });
+
+  const TokenFactory = await ethers.getContractFactory("TokenFactory");
+  const pairAddress = await (await TokenFactory.deploy()).getAddress();
+  await token.setAutomatedMarketMakerPair(pairAddress, true);
+  await token.transfer(pairAddress, 50000n);
+  await token.transfer(alice.address, 10000n);
+
+  await impersonateAccount(pairAddress);
+  await setBalance(pairAddress, ethers.parseEther("1"));
+  const pair = await ethers.getSigner(pairAddress);
+
+  return { token, owner, alice, bob, pair };
+}
+
+describe("SecureToken launch", function () {
+  it("keeps buys and sells closed until the owner enables trading", async function () {
+    const { token, owner, alice, bob, pair } = await loadFixture(deployManualLaunchToken);
+
+    expect(await token.tradingEnabled()).to.equal(false);
+    await expect(token.connect(alice).transfer(pair.address, 100n)).to.be.revertedWith("Trading is not enabled yet");
+    await expect(token.connect(pair).transfer(alice.address, 100n)).to.be.revertedWith("Trading is not enabled yet");
+    await expect(token.renounceOwnership()).to.be.revertedWith("Enable trading before renouncing ownership");
+
+    // Wallet-to-wallet transfers work before the launch
+    await token.connect(alice).transfer(bob.address, 100n);
+    expect(await token.balanceOf(bob.address)).to.equal(100n);
+
+    await expect(token.connect(alice).enableTrading()).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+
+    const tx = await token.connect(owner).enableTrading();
+    const { blockNumber } = await tx.wait();
+    await expect(tx).to.emit(token, "TradingEnabled").withArgs(blockNumber);
+    expect(await token.tradingEnabledBlock()).to.equal(BigInt(blockNumber));
+    await expect(token.enableTrading()).to.be.revertedWith("Trading is already enabled");
+
+    await token.connect(pair).transfer(bob.address, 100n);
+    expect(await token.balanceOf(bob.address)).to.equal(200n);
+  });
+
+  it("burns the anti-snipe fee of sells inside the window only", async function () {
+    const { token, owner, alice, bob, pair } = await loadFixture(deployManualLaunchToken);
+    await token.connect(owner).enableTrading();
+    const supply = await token.totalSupply();
+
+    // First block of the window: 20% of the sell is burned
+    await expect(token.connect(alice).transfer(pair.address, 1000n))
+      .to.emit(token, "TokensBurned")
+      .withArgs(alice.address, 200n);
+    expect(await token.balanceOf(pair.address)).to.equal(50800n);
+    expect(await token.totalSupply()).to.equal(supply - 200n);
+
+    // Buys and the owner's liquidity pay nothing
+    await token.connect(pair).transfer(bob.address, 1000n);
+    expect(await token.balanceOf(bob.address)).to.equal(1000n);
+    await token.connect(owner).transfer(pair.address, 1000n);
+    expect(await token.balanceOf(pair.address)).to.equal(50800n);
+
+    // After the window sells pay no extra fee
+    await mine(3);
+    await token.connect(alice).transfer(pair.address, 1000n);
+    expect(await token.balanceOf(pair.address)).to.equal(51800n);
+    expect(await token.totalSupply()).to.equal(supply - 200n);
+  });
+
+  it("opens trading at creation without a manual launch", async function () {
+    const [owner] = await ethers.getSigners();
+    const SecureToken = await ethers.getContractFactory("SecureToken");
+    const token = await SecureToken.deploy("Launch", "LCH", 1000n, 0, ethers.ZeroAddress, 0, 0, false, false, owner.address, {
+      buyFees: NO_FEES,
+      sellFees: NO_FEES,
+      dexRouter: ethers.ZeroAddress,
+      maxTransactionBps: 0,
+      maxWalletBps: 0,
+      manualLaunch: false,
+      antiSnipeBlocks: 0,
+      antiSnipeSellFee: 0,
+    });
+
+    expect(await token.tradingEnabled()).to.equal(true);
+    expect(await token.tradingEnabledBlock()).to.equal(await token.creationBlock());
+    await expect(token.enableTrading()).to.be.revertedWith("Trading is already enabled");
+  });
+});
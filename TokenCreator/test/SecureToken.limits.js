@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+const NO_FEES = { taxPercent: 0, reflectionPercent: 0, burnPercent: 0 };
+
+/**
+ * Fee-free token with a 1% max transaction and a 2% max wallet (100000 supply, so 1000 and 2000
+ * tokens); the owner hands 2000 to alice and 2000 to bob, 500 at a time
+ */
+async function deployLimitedToken() {
+  const [owner, alice, bob, carol] = await ethers.getSigners();
+
+  const SecureToken = await ethers.getContractFactory("SecureToken");
+  const token = await SecureToken.deploy("Limited", "LIM", 100000n, 0, ethers.ZeroAddress, 0, 0, false, false, owner.address, {
+    buyFees: NO_FEES,
+    sellFees: NO_FEES,
+    dexRouter: ethers.ZeroAddress,
+    maxTransactionBps: 100,
+    maxWalletBps: 200,
+    manualLaunch: false,
+    antiSnipeBlocks: 0,
+    antiSnipeSellFee: 0,
+  });
+
+  for (const holder of [alice, bob]) {
+    for (let i = 0; i < 4; i++) {
+      await token.transfer(holder.address, 500n);
+    }
+  }
+
+  return { token, owner, alice, bob, carol };
+}
+
+describe("SecureToken limits", function () {
+  it("caps transfers and wallets", async function () {
+    const { token, alice, bob, carol } = await loadFixture(deployLimitedToken);
+
+    expect(await token.maxTransactionAmount()).to.equal(1000n);
+    expect(await token.maxWalletAmount()).to.equal(2000n);
+
+    await expect(token.connect(alice).transfer(carol.address, 1001n)).to.be.revertedWith(
+      "Transfer amount exceeds the max transaction"
+    );
+    await expect(token.connect(alice).transfer(bob.address, 1n)).to.be.revertedWith(
+      "Recipient balance exceeds the max wallet"
+    );
+    await token.connect(alice).transfer(carol.address, 1000n);
+    expect(await token.balanceOf(carol.address)).to.equal(1000n);
+  });
+
+  it("can only loosen the limits", async function () {
+    const { token, alice, carol } = await loadFixture(deployLimitedToken);
+
+    await expect(token.connect(alice).updateLimits(2000n, 0n)).to.be.revertedWithCustomError(
+      token,
+      "OwnableUnauthorizedAccount"
+    );
+    await expect(token.updateLimits(999n, 2000n)).to.be.revertedWith("Max transaction can only be raised or removed");
+    await expect(token.updateLimits(1000n, 1999n)).to.be.revertedWith("Max wallet can only be raised or removed");
+
+    await expect(token.updateLimits(2000n, 0n)).to.emit(token, "LimitsUpdated").withArgs(2000n, 0n);
+    await token.connect(alice).transfer(carol.address, 2000n);
+    expect(await token.balanceOf(carol.address)).to.equal(2000n);
+
+    // A removed limit cannot be set again
+    await expect(token.updateLimits(2000n, 5000n)).to.be.revertedWith("Max wallet can only be raised or removed");
+    await expect(token.updateLimits(1500n, 0n)).to.be.revertedWith("Max transaction can only be raised or removed");
+    await token.updateLimits(0n, 0n);
+    await expect(token.updateLimits(5000n, 0n)).to.be.revertedWith("Max transaction can only be raised or removed");
+  });
+
+  it("refuses limits below 0.1% of the supply", async function () {
+    const [owner] = await ethers.getSigners();
+    const SecureToken = await ethers.getContractFactory("SecureToken");
+    const deploy = (maxTransactionBps, maxWalletBps) =>
+      SecureToken.deploy("Limited", "LIM", 100000n, 0, ethers.ZeroAddress, 0, 0, false, false, owner.address, {
+        buyFees: NO_FEES,
+        sellFees: NO_FEES,
+        dexRouter: ethers.ZeroAddress,
+        maxTransactionBps,
+        maxWalletBps,
+        manualLaunch: false,
+        antiSnipeBlocks: 0,
+        antiSnipeSellFee: 0,
+      });
+
+    await expect(deploy(9, 0)).to.be.revertedWith("Max transaction must be 0.1-100% of supply or 0");
+    await expect(deploy(0, 10001)).to.be.revertedWith("Max wallet must be 0.1-100% of supply or 0");
+    await expect(deploy(10, 10000)).to.not.be.reverted;
+  });
+
+  it("lets holders burn to the dead address beyond the max wallet", async function () {
+    const { token, alice, bob } = await loadFixture(deployLimitedToken);
+
+    // 4000 tokens end up at the dead address, twice the max wallet
+    for (const holder of [alice, bob]) {
+      await token.connect(holder).transfer(DEAD_ADDRESS, 1000n);
+      await token.connect(holder).transfer(DEAD_ADDRESS, 1000n);
+    }
+    expect(await token.balanceOf(DEAD_ADDRESS)).to.equal(4000n);
+
+    // The max transaction still applies
+    await token.transfer(bob.address, 2000n);
+    await expect(token.connect(bob).transfer(DEAD_ADDRESS, 1001n)).to.be.revertedWith(
+      "Transfer amount exceeds the max transaction"
+    );
+  });
+});
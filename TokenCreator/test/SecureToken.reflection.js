@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+/**
+ * Fee schedule with only a reflection
+ * @param {number} reflectionPercent - Reflection percentage
+ * @returns {object} FeeSchedule
+ */
+const reflectionOnly = (reflectionPercent) => ({ taxPercent: 0, reflectionPercent, burnPercent: 0 });
+
+/**
+ * Token with a 10% reflection on every transfer; the owner (fee exempt) hands out the whole
+ * supply, so alice, bob and carol hold 1000 each and the owner holds nothing
+ */
+async function deployReflectionToken() {
+  const [owner, alice, bob, carol, dave, eve] = await ethers.getSigners();
+
+  const SecureToken = await ethers.getContractFactory("SecureToken");
+  const token = await SecureToken.deploy("Reflect", "RFL", 3000n, 0, ethers.ZeroAddress, 10, 0, true, false, owner.address, {
+    buyFees: reflectionOnly(10),
+    sellFees: reflectionOnly(10),
+    dexRouter: ethers.ZeroAddress,
+    maxTransactionBps: 0,
+    maxWalletBps: 0,
+    manualLaunch: false,
+    antiSnipeBlocks: 0,
+    antiSnipeSellFee: 0,
+  });
+
+  for (const holder of [alice, bob, carol]) {
+    await token.transfer(holder.address, 1000n);
+  }
+
+  return { token, owner, alice, bob, carol, dave, eve };
+}
+
+/**
+ * Sum of the rewards the given holders can still claim
+ * @param {object} token - SecureToken contract
+ * @param {Array<object>} holders - Signers
+ * @returns {Promise<bigint>}
+ */
+async function totalClaimable(token, holders) {
+  let total = 0n;
+  for (const holder of holders) {
+    total += await token.getClaimableReflection(holder.address);
+  }
+  return total;
+}
+
+describe("SecureToken reflection", function () {
+  it("excludes the token contract and the burn address", async function () {
+    const { token, alice, bob, carol } = await loadFixture(deployReflectionToken);
+
+    expect(await token.isExcludedFromReflection(await token.getAddress())).to.equal(true);
+    expect(await token.isExcludedFromReflection(DEAD_ADDRESS)).to.equal(true);
+    expect(await token.totalReflectionShares()).to.equal(3000n);
+
+    // carol -> bob: 100 goes to the contract, which holds it without earning on it
+    await token.connect(carol).transfer(bob.address, 1000n);
+    expect(await token.balanceOf(await token.getAddress())).to.equal(100n);
+    expect(await token.totalReflectionShares()).to.equal(2900n);
+    expect(await token.getClaimableReflection(await token.getAddress())).to.equal(0n);
+
+    // Only the holders share the reflection: alice 1000/2900, bob 1900/2900
+    expect(await token.getClaimableReflection(alice.address)).to.equal(34n);
+    expect(await token.getClaimableReflection(bob.address)).to.equal(65n);
+    expect(await totalClaimable(token, [alice, bob, carol])).to.be.at.most(100n);
+  });
+
+  it("excludes AMM pairs while they are registered", async function () {
+    const { token, owner, alice, carol } = await loadFixture(deployReflectionToken);
+
+    // Any contract can stand in for a pair
+    const TokenFactory = await ethers.getContractFactory("TokenFactory");
+    const pair = await TokenFactory.deploy();
+    const pairAddress = await pair.getAddress();
+
+    await token.connect(owner).setAutomatedMarketMakerPair(pairAddress, true);
+    expect(await token.isExcludedFromReflection(pairAddress)).to.equal(true);
+
+    // A sell: the pair receives 900 and earns nothing on it, alice and bob share the 100
+    await token.connect(carol).transfer(pairAddress, 1000n);
+    expect(await token.totalReflectionShares()).to.equal(2000n);
+    expect(await token.getClaimableReflection(pairAddress)).to.equal(0n);
+    expect(await token.getClaimableReflection(alice.address)).to.be.within(49n, 50n); // Rounded down
+
+    await expect(token.connect(owner).setAutomatedMarketMakerPair(await token.getAddress(), true)).to.be.revertedWith(
+      "The token cannot be a pair"
+    );
+
+    // Removed pairs earn again from then on
+    await token.connect(owner).setAutomatedMarketMakerPair(pairAddress, false);
+    expect(await token.isExcludedFromReflection(pairAddress)).to.equal(false);
+    expect(await token.totalReflectionShares()).to.equal(2900n);
+  });
+
+  it("pays a claim only once", async function () {
+    const { token, alice, carol, dave } = await loadFixture(deployReflectionToken);
+
+    await token.connect(carol).transfer(dave.address, 1000n);
+    const claimable = await token.getClaimableReflection(alice.address);
+    expect(claimable).to.be.greaterThan(0n);
+
+    await expect(token.connect(alice).claimReflectionRewards())
+      .to.emit(token, "ReflectionClaimed")
+      .withArgs(alice.address, claimable);
+    expect(await token.balanceOf(alice.address)).to.equal(1000n + claimable);
+
+    expect(await token.getClaimableReflection(alice.address)).to.equal(0n);
+    await expect(token.connect(alice).claimReflectionRewards()).to.be.revertedWith("No reflection rewards to claim");
+  });
+
+  it("does not pay again after the tokens move to a fresh wallet", async function () {
+    const { token, alice, bob, carol, dave, eve } = await loadFixture(deployReflectionToken);
+
+    await token.connect(carol).transfer(dave.address, 1000n);
+    await token.connect(alice).claimReflectionRewards();
+
+    // alice moves everything to a fresh wallet
+    const moved = await token.balanceOf(alice.address);
+    await token.connect(alice).transfer(eve.address, moved);
+
+    // The old wallet has nothing left to claim...
+    expect(await token.getClaimableReflection(alice.address)).to.equal(0n);
+    await expect(token.connect(alice).claimReflectionRewards()).to.be.revertedWith("No reflection rewards to claim");
+
+    // ...and the fresh wallet only shares the reflection of the move itself
+    const moveReflection = moved / 10n;
+    const eveShares = moved - moveReflection;
+    const shares = await token.totalReflectionShares();
+    expect(await token.getClaimableReflection(eve.address)).to.equal((moveReflection * eveShares) / shares);
+
+    // Whatever is claimed, the contract can pay it
+    const contractBalance = await token.balanceOf(await token.getAddress());
+    expect(await totalClaimable(token, [alice, bob, carol, dave, eve])).to.be.at.most(contractBalance);
+  });
+
+  it("does not pay a later holder for reflections from before they held", async function () {
+    const { token, owner, alice, carol, dave, eve } = await loadFixture(deployReflectionToken);
+
+    await token.connect(carol).transfer(dave.address, 1000n);
+    const aliceClaimable = await token.getClaimableReflection(alice.address);
+
+    // eve buys in after the reflection and only shares the reflection of that transfer
+    await token.connect(alice).transfer(eve.address, 500n);
+    const shares = await token.totalReflectionShares();
+    expect(await token.getClaimableReflection(eve.address)).to.equal((50n * 450n) / shares);
+
+    // The seller keeps what it earned on the tokens it sold
+    expect(await token.getClaimableReflection(alice.address)).to.be.at.least(aliceClaimable);
+
+    // A fee-free transfer from the owner shares no reflection at all
+    await token.connect(dave).transfer(owner.address, 100n);
+    const ownerClaimable = await token.getClaimableReflection(owner.address);
+    await token.connect(owner).transfer(eve.address, 10n);
+    expect(await token.getClaimableReflection(owner.address)).to.equal(ownerClaimable);
+  });
+
+  it("keeps every claim covered by the contract balance", async function () {
+    const { token, alice, bob, carol, dave, eve } = await loadFixture(deployReflectionToken);
+    const holders = [alice, bob, carol, dave, eve];
+
+    // Tokens circulate between the holders, each transfer reflecting 10%
+    for (let round = 0; round < 3; round++) {
+      for (let i = 0; i < holders.length; i++) {
+        const from = holders[i];
+        const to = holders[(i + 1) % holders.length];
+        const balance = await token.balanceOf(from.address);
+        if (balance > 0n) {
+          await token.connect(from).transfer(to.address, balance / 2n);
+        }
+      }
+    }
+
+    for (const holder of holders) {
+      if ((await token.getClaimableReflection(holder.address)) > 0n) {
+        await token.connect(holder).claimReflectionRewards();
+      }
+      expect(await token.getClaimableReflection(holder.address)).to.equal(0n);
+    }
+
+    // Only rounding dust stays behind
+    expect(await token.balanceOf(await token.getAddress())).to.be.lessThan(BigInt(holders.length * 10));
+  });
+});